@@ -31,7 +31,18 @@ import {
   renameProject as dbRenameProject,
   readDoc as dbReadDoc,
   writeDoc as dbWriteDoc,
+  DEFAULT_DOC_NAME,
+  listProjectDocs as dbListProjectDocs,
+  readProjectDoc as dbReadProjectDoc,
+  writeProjectDoc as dbWriteProjectDoc,
+  deleteProjectDoc as dbDeleteProjectDoc,
+  listProjectAdrs as dbListProjectAdrs,
+  getProjectAdr as dbGetProjectAdr,
+  createProjectAdr as dbCreateProjectAdr,
+  setProjectAdrStatus as dbSetProjectAdrStatus,
   listTasks as dbListTasks,
+  listSnapshotTasks,
+  TASK_SORT_KEYS,
   addTasks as dbAddTasks,
   replaceTasks as dbReplaceTasks,
   setTasksState as dbSetTasksState,
@@ -40,16 +51,68 @@ import {
   getScratchpad as dbGetScratchpad,
   updateScratchpadTasks as dbUpdateScratchpadTasks,
   appendScratchpadCommonMemory as dbAppendScratchpadCommonMemory,
+  addScratchpadTasks as dbAddScratchpadTasks,
+  listScratchpads as dbListScratchpads,
+  closeScratchpad as dbCloseScratchpad,
+  deleteScratchpad as dbDeleteScratchpad,
   getSubagentRun as dbGetSubagentRun,
+  addTaskComment as dbAddTaskComment,
+  moveTask as dbMoveTask,
+  applyTaskBatch as dbApplyTaskBatch,
+  deleteTask as dbDeleteTask,
+  getTaskTemplate as dbGetTaskTemplate,
+  listTaskTemplates as dbListTaskTemplates,
+  listTaskComments as dbListTaskComments,
   listProjectFiles as dbListProjectFiles,
   listProjectsForUserWithShares as dbListProjectsWithShares,
   resolveProjectAccess as dbResolveProjectAccess,
   getDataDir,
+  unsafeRegexReason,
 } from './src/db.js';
-import { onInitProject as vcOnInitProject, commitProject as vcCommitProject, listProjectLogs as vcListLogs, revertProject as vcRevertProject } from './src/version.js';
+import {
+  onInitProject as vcOnInitProject,
+  commitProject as vcCommitProject,
+  listProjectLogs as vcListLogs,
+  revertProject as vcRevertProject,
+  diffProjectVersions as vcDiffVersions,
+  readProjectVersion as vcReadVersion,
+  listBranches as vcListBranches,
+  createBranch as vcCreateBranch,
+  switchBranch as vcSwitchBranch,
+  mergeBranch as vcMergeBranch,
+  listTags as vcListTags,
+  createTag as vcCreateTag,
+  deleteTag as vcDeleteTag,
+  currentHash as vcCurrentHash,
+  checkBaseHash as vcCheckBaseHash,
+  agentMergeBase as vcAgentMergeBase,
+  mergeAgentContent as vcMergeAgentContent,
+  retentionPolicy as vcRetentionPolicy,
+  compactAllProjects as vcCompactAllProjects,
+  REVERT_MODES,
+  RESTORE_SCOPES,
+  MERGE_ON_CONFLICT,
+} from './src/version.js';
 import { runScratchpadSubagent, getProviderMeta, buildSelectedPagesMarkdown } from './src/ext_ai/ext_ai.js';
 import { buildProjectsRouter } from './src/share.js';
 import { buildProjectFilesRouter } from './src/project.js';
+import { buildProjectSearchRouter, searchProject } from './src/search.js';
+import { buildProjectHistoryRouter } from './src/history.js';
+import { buildTemplatesRouter, instantiateTemplate, countTemplateTasks } from './src/templates.js';
+import { buildScratchpadsRouter, sweepExpiredScratchpads, scratchpadLimits } from './src/scratchpads.js';
+import { parseMarkdownOutline, editMarkdownSection, SECTION_OPERATIONS } from './src/markdown.js';
+import {
+  ADR_STATUSES,
+  ADR_SETTABLE_STATUSES,
+  adrLabel,
+  normalizeAdrInput,
+  withSupersededBy,
+  renderAdrMarkdown,
+  renderAdrIndex,
+  hasAdrIndex,
+  injectAdrIndex,
+  parseAdrNumber,
+} from './src/adr.js';
 import { loadFilePayload } from './src/ext_ai/fileUtils.js';
 const pdfParse = await import('pdf-parse').then(m => m.default || m);
 
@@ -77,7 +140,9 @@ function userOps(userId, userName) {
       // If structured tasks provided on init, try to insert them
       const tasks = Array.isArray(progress) ? progress : [];
       if (tasks.length) {
-        const valid = validateAndNormalizeTasks(tasks);
+        const normalized = validateAndNormalizeTasks(tasks);
+        const valid = await checkTaskAssignees(normalized.tasks, res.id);
+        valid.invalid = [...normalized.invalid, ...valid.invalid];
         if (valid.invalid.length) {
           res.invalid = valid.invalid;
         }
@@ -85,6 +150,7 @@ function userOps(userId, userName) {
           const addRes = await dbAddTasks(userId, res.id, valid.tasks);
           res.added = addRes.added;
           res.exists = addRes.exists;
+          if (addRes.invalid?.length) res.invalid = [...(res.invalid || []), ...addRes.invalid];
         } else {
           res.added = [];
           res.exists = [];
@@ -196,6 +262,253 @@ function normalizeStatus(s) {
   return 'pending';
 }
 
+// depends_on: array of task_ids (or a single id); returns a deduped array, or null when malformed
+function normalizeDependsOn(input) {
+  if (input == null) return [];
+  const list = Array.isArray(input) ? input : [input];
+  const out = [];
+  for (const v of list) {
+    const id = typeof v === 'string' ? v.trim() : '';
+    if (!validateTaskId(id)) return null;
+    if (!out.includes(id)) out.push(id);
+  }
+  return out;
+}
+
+const TASK_PRIORITIES = ['p0', 'p1', 'p2', 'p3'];
+
+const TASK_META_PROPERTIES = {
+  priority: { type: ['string', 'null'], enum: [...TASK_PRIORITIES, null], description: 'p0 (highest) .. p3' },
+  due_date: { type: ['string', 'null'], description: 'Due date as YYYY-MM-DD' },
+  assignee: { type: ['string', 'null'], description: 'User id of someone with access to this project' },
+  labels: { type: 'array', items: { type: 'string' }, description: 'Free-form labels; replaces the existing list' },
+};
+
+function normalizePriority(input) {
+  const v = String(input).trim().toLowerCase();
+  if (/^[0-3]$/.test(v)) return 'p' + v;
+  return TASK_PRIORITIES.includes(v) ? v : null;
+}
+
+// labels: array of strings (or a single string); trimmed, deduped, max 20 of up to 40 chars each
+function normalizeLabels(input) {
+  const list = Array.isArray(input) ? input : [input];
+  const out = [];
+  for (const v of list) {
+    if (typeof v !== 'string') return null;
+    const label = v.trim();
+    if (!label || label.length > 40) return null;
+    if (!out.includes(label)) out.push(label);
+  }
+  return out.length > 20 ? null : out;
+}
+
+function isValidDueDate(s) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return false;
+  const d = new Date(s + 'T00:00:00Z');
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === s;
+}
+
+// Task metadata (priority, due_date, assignee, labels). Absent keys stay undefined (unchanged);
+// null or '' clears the field. Returns { fields } or { error, hint }.
+function normalizeTaskMeta(t) {
+  const fields = {};
+  if (typeof t.priority !== 'undefined') {
+    if (t.priority === null || t.priority === '') fields.priority = null;
+    else if (!(fields.priority = normalizePriority(t.priority))) return { error: 'invalid_priority', hint: 'priority must be one of p0 (highest), p1, p2, p3' };
+  }
+  if (typeof t.due_date !== 'undefined') {
+    if (t.due_date === null || t.due_date === '') fields.due_date = null;
+    else if (typeof t.due_date === 'string' && isValidDueDate(t.due_date.trim())) fields.due_date = t.due_date.trim();
+    else return { error: 'invalid_due_date', hint: 'due_date must be a calendar date in YYYY-MM-DD form' };
+  }
+  if (typeof t.assignee !== 'undefined') {
+    if (t.assignee === null || t.assignee === '') fields.assignee = null;
+    else if (typeof t.assignee === 'string' && t.assignee.trim()) fields.assignee = t.assignee.trim();
+    else return { error: 'invalid_assignee', hint: 'assignee must be a user id' };
+  }
+  if (typeof t.labels !== 'undefined') {
+    if (t.labels === null) fields.labels = [];
+    else if (!(fields.labels = normalizeLabels(t.labels))) return { error: 'invalid_labels', hint: 'labels must be an array of up to 20 non-empty strings (max 40 chars each)' };
+  }
+  return { fields };
+}
+
+// An assignee must be able to open the project (owner or shared ro/rw user)
+async function assigneeHasAccess(assignee, projectId) {
+  if (!assignee) return true;
+  return !!(await dbResolveProjectAccess(assignee, projectId));
+}
+
+// Split normalized tasks into those whose assignee can access the project and invalid entries
+async function checkTaskAssignees(tasks, projectId) {
+  const ok = [];
+  const invalid = [];
+  for (const t of tasks) {
+    if (await assigneeHasAccess(t.assignee, projectId)) ok.push(t);
+    else invalid.push({ item: t, reason: 'invalid_assignee', hint: 'assignee must be a user with access to this project' });
+  }
+  return { tasks: ok, invalid };
+}
+
+// Random 8-char task ids not in existing; may return fewer than n when the space is exhausted
+function generateTaskIds(existing, n) {
+  const alphabet = 'abcdefghijklmnopqrstuvwxyz0123456789';
+  function rand8() {
+    let s = '';
+    for (let i = 0; i < 8; i++) s += alphabet[Math.floor(Math.random() * alphabet.length)];
+    return s;
+  }
+  const ids = new Set();
+  let attempts = 0;
+  const maxAttempts = n * 1000;
+  while (ids.size < n && attempts < maxAttempts) {
+    attempts++;
+    const id = rand8();
+    if (!existing.has(id) && !ids.has(id)) ids.add(id);
+  }
+  return Array.from(ids.values());
+}
+
+const TASK_BATCH_MAX_OPERATIONS = 200;
+const TASK_DELETE_CHILDREN = ['refuse', 'cascade', 'reparent_to_parent'];
+const TASK_UPDATE_FIELDS = ['state', 'task_info', 'parent_id', 'extra_note', 'depends_on', 'priority', 'due_date', 'assignee', 'labels'];
+
+// progress_batch: shape checks for every operation before anything touches the database.
+// Returns { operations, errors } where errors are [{ index, op, task_id, error, message }].
+function normalizeBatchOperations(list) {
+  const operations = [];
+  const errors = [];
+  list.forEach((raw, index) => {
+    const op = raw && typeof raw === 'object' ? String(raw.op || '').trim() : '';
+    const fail = (error, message) => errors.push({ index, op: op || null, task_id: raw?.task_id ?? null, error, message });
+    if (!['add', 'update', 'delete', 'move'].includes(op)) return fail('invalid_operation', 'op must be add, update, delete or move');
+    if (op === 'add') {
+      const { tasks, invalid } = validateAndNormalizeTasks([raw]);
+      if (invalid.length) return fail(invalid[0].reason, invalid[0].hint || invalid[0].reason);
+      return operations.push({ op, task: tasks[0] });
+    }
+    const task_id = String(raw.task_id || '').trim();
+    if (!validateTaskId(task_id)) return fail('invalid_task_id_format', 'task_id must be exactly 8 lowercase a-z0-9');
+    if (op === 'delete') {
+      if (raw.children != null && !TASK_DELETE_CHILDREN.includes(raw.children)) return fail('invalid_request', `children must be one of ${TASK_DELETE_CHILDREN.join(', ')}`);
+      return operations.push({ op, task_id, children: raw.children || 'refuse' });
+    }
+    if (op === 'move') {
+      for (const key of ['parent_id', 'before_id', 'after_id']) {
+        if (raw[key] != null && !validateTaskId(String(raw[key]))) return fail('invalid_request', `${key} must be an 8-char task id`);
+      }
+      if (['index', 'before_id', 'after_id'].filter(k => raw[k] != null).length > 1) return fail('invalid_request', 'Provide at most one of index, before_id, after_id');
+      if (raw.index != null && (!Number.isInteger(raw.index) || raw.index < 0)) return fail('invalid_request', 'index must be a non-negative integer');
+      return operations.push({
+        op, task_id,
+        parent_id: typeof raw.parent_id === 'undefined' ? undefined : (raw.parent_id || null),
+        index: raw.index ?? undefined,
+        before_id: raw.before_id || undefined,
+        after_id: raw.after_id || undefined,
+      });
+    }
+    if (!TASK_UPDATE_FIELDS.some(k => typeof raw[k] !== 'undefined')) return fail('invalid_request', `update needs at least one of ${TASK_UPDATE_FIELDS.join(', ')}`);
+    const update = {};
+    if (typeof raw.state !== 'undefined') update.state = normalizeStatus(raw.state);
+    if (typeof raw.task_info !== 'undefined') {
+      if (!String(raw.task_info || '').trim()) return fail('missing_task_info', 'task_info cannot be empty');
+      update.task_info = String(raw.task_info).trim();
+    }
+    if (typeof raw.parent_id !== 'undefined') {
+      if (raw.parent_id && !validateTaskId(String(raw.parent_id))) return fail('invalid_parent_id_format', 'parent_id must be an 8-char task id');
+      update.parent_id = raw.parent_id || null;
+    }
+    if (typeof raw.extra_note !== 'undefined') update.extra_note = raw.extra_note == null ? null : String(raw.extra_note);
+    if (typeof raw.depends_on !== 'undefined') {
+      if (!(update.depends_on = normalizeDependsOn(raw.depends_on))) return fail('invalid_depends_on_format', 'depends_on must be an array of 8-char task_ids');
+    }
+    const meta = normalizeTaskMeta(raw);
+    if (meta.error) return fail(meta.error, meta.hint);
+    operations.push({ op, task_id, update: { ...update, ...meta.fields } });
+  });
+  return { operations, errors };
+}
+
+// read_progress paging cursors are opaque to callers; they carry the offset of the next page
+function encodeTaskCursor(offset) {
+  return Buffer.from(JSON.stringify({ o: offset })).toString('base64url');
+}
+
+function decodeTaskCursor(cursor) {
+  try {
+    const { o } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Number.isInteger(o) && o >= 0 ? o : null;
+  } catch {
+    return null;
+  }
+}
+
+const TASK_QUERY_MAX_LIMIT = 500;
+const TASK_COMMENT_MAX_LENGTH = 4000;
+
+// Validate read_progress query arguments; returns listTasks options plus format, or { error, message }
+function parseTaskQueryArgs({ priority, assignee, labels, due_before, root_id, max_depth, text, updated_since, sort, limit, cursor, format }) {
+  const invalid = (message, error = 'invalid_request') => ({ error, message });
+  const filters = {};
+  if (typeof priority !== 'undefined') {
+    filters.priority = (Array.isArray(priority) ? priority : [priority]).map(normalizePriority);
+    if (filters.priority.some(p => !p)) return invalid('priority must be one of p0, p1, p2, p3', 'invalid_priority');
+  }
+  if (assignee) filters.assignee = String(assignee).trim();
+  if (typeof labels !== 'undefined') {
+    filters.labels = normalizeLabels(labels);
+    if (!filters.labels) return invalid('labels must be an array of non-empty strings', 'invalid_labels');
+  }
+  if (due_before) {
+    if (!isValidDueDate(String(due_before).trim())) return invalid('due_before must be a date in YYYY-MM-DD form', 'invalid_due_date');
+    filters.due_before = String(due_before).trim();
+  }
+  if (root_id) {
+    if (!validateTaskId(String(root_id))) return invalid('root_id must be an 8-char task_id');
+    filters.root_id = String(root_id);
+  }
+  if (typeof max_depth !== 'undefined') {
+    if (!Number.isInteger(max_depth) || max_depth < 0) return invalid('max_depth must be a non-negative integer');
+    filters.max_depth = max_depth;
+  }
+  if (typeof text === 'string' && text.trim()) {
+    // "/pattern/flags" is a regular expression; anything else is a case-insensitive substring
+    const m = /^\/(.+)\/([a-z]*)$/s.exec(text.trim());
+    if (m) {
+      if (!/^[imsu]*$/.test(m[2])) return invalid('text regex flags may only use i, m, s, u');
+      try { new RegExp(m[1], m[2]); } catch (err) { return invalid(`invalid text regex: ${err.message}`); }
+      const unsafe = unsafeRegexReason(m[1]);
+      if (unsafe) return invalid(`text regex refused: ${unsafe}`);
+      filters.text = { pattern: m[1], regex: true, flags: m[2] };
+    } else {
+      filters.text = { pattern: text.trim(), regex: false };
+    }
+  }
+  if (updated_since) {
+    const d = new Date(String(updated_since));
+    if (Number.isNaN(d.getTime())) return invalid('updated_since must be an ISO date or timestamp');
+    filters.updated_since = d.toISOString();
+  }
+  if (sort && !TASK_SORT_KEYS.includes(String(sort).replace(/^-/, ''))) {
+    return invalid(`sort must be one of ${TASK_SORT_KEYS.join(', ')} (prefix with - for descending)`);
+  }
+  let pageLimit;
+  if (typeof limit !== 'undefined') {
+    if (!Number.isInteger(limit) || limit < 1 || limit > TASK_QUERY_MAX_LIMIT) return invalid(`limit must be an integer between 1 and ${TASK_QUERY_MAX_LIMIT}`);
+    pageLimit = limit;
+  }
+  let offset = 0;
+  if (cursor) {
+    offset = decodeTaskCursor(cursor);
+    if (offset === null) return invalid('cursor is not a valid read_progress cursor');
+    if (!pageLimit) return invalid('cursor requires limit');
+  }
+  const fmt = format || 'both';
+  if (!['json', 'markdown', 'both'].includes(fmt)) return invalid('format must be one of json, markdown, both');
+  return { filters, sort: sort || undefined, limit: pageLimit, offset, format: fmt };
+}
+
 // Accept tasks as array, single object, or JSON string of either; returns { tasks, invalid }
 function validateAndNormalizeTasks(input) {
   let list = input;
@@ -225,7 +538,11 @@ function validateAndNormalizeTasks(input) {
     if (!validateTaskId(task_id)) { invalid.push({ item: t, reason: 'invalid_task_id_format', hint: 'Use exactly 8 lowercase a-z0-9, e.g., abcd1234' }); continue; }
     if (!task_info) { invalid.push({ item: t, reason: 'missing_task_info' }); continue; }
     if (parent_id && !validateTaskId(parent_id)) { invalid.push({ item: t, reason: 'invalid_parent_id_format', hint: 'Use exactly 8 lowercase a-z0-9' }); continue; }
-    tasks.push({ task_id, task_info, parent_id, status, extra_note });
+    const depends_on = normalizeDependsOn(t.depends_on);
+    if (!depends_on) { invalid.push({ item: t, reason: 'invalid_depends_on_format', hint: 'depends_on must be an array of 8-char task_ids' }); continue; }
+    const meta = normalizeTaskMeta(t);
+    if (meta.error) { invalid.push({ item: t, reason: meta.error, hint: meta.hint }); continue; }
+    tasks.push({ task_id, task_info, parent_id, status, extra_note, depends_on, ...meta.fields });
   }
   return { tasks, invalid };
 }
@@ -252,10 +569,20 @@ function filterProgressContent(md, only) {
 // - newCount === (#context ' ' + #adds '+')
 // Also enforces the "-- " rule for deleting markdown bullets that literally begin with "- ":
 // deletion lines must start with "-- " to include the literal dash in the deleted content.
-function applyUnifiedDiff(oldText, diffText) {
+// Optional fuzzy fallback (opts.fuzzy): when a hunk's exact context is not found, anchor it where
+// at least opts.threshold of its context/delete lines match ignoring whitespace. Deleted lines must
+// still match (whitespace-insensitively); mismatched context keeps the document's line.
+function applyUnifiedDiff(oldText, diffText, opts) {
+  return applyUnifiedDiffDetailed(oldText, diffText, opts).text;
+}
+
+const DEFAULT_FUZZ_THRESHOLD = 0.8;
+
+function applyUnifiedDiffDetailed(oldText, diffText, { fuzzy = false, threshold = DEFAULT_FUZZ_THRESHOLD } = {}) {
   const oldLines = String(oldText ?? '').split(/\n/);
   const diffLines = String(diffText ?? '').split(/\n/);
   const noCR = (s) => String(s ?? '').replace(/\r$/, '');
+  const squash = (s) => noCR(s).replace(/\s+/g, ' ').trim();
   // Collect hunks
   const hunks = [];
   let i = 0;
@@ -316,6 +643,7 @@ function applyUnifiedDiff(oldText, diffText) {
 
   // Apply hunks in order
   const out = [];
+  const fuzzed = [];
   let origIndex = 0; // 0-based index into oldLines
 
   // Helper: find where to apply hunk based on its context (' ' and '-') lines
@@ -325,14 +653,14 @@ function applyUnifiedDiff(oldText, diffText) {
       const p = hl[0];
       if (p === ' ' || p === '-') expected.push(noCR(hl.slice(1)));
     }
-    if (!expected.length) return Math.max(0, hunk.oldStart - 1); // no anchor; fall back to header
+    if (!expected.length) return { pos: Math.max(0, hunk.oldStart - 1), exact: true }; // no anchor; fall back to header
     // Search from current position forward
     for (let pos = Math.max(0, startAt); pos + expected.length <= oldLines.length; pos++) {
       let ok = true;
       for (let k = 0; k < expected.length; k++) {
         if (noCR(oldLines[pos + k]) !== expected[k]) { ok = false; break; }
       }
-      if (ok) return pos;
+      if (ok) return { pos, exact: true };
     }
     // As a fallback, search entire file
     for (let pos = 0; pos + expected.length <= oldLines.length; pos++) {
@@ -340,14 +668,42 @@ function applyUnifiedDiff(oldText, diffText) {
       for (let k = 0; k < expected.length; k++) {
         if (noCR(oldLines[pos + k]) !== expected[k]) { ok = false; break; }
       }
-      if (ok) return pos;
+      if (ok) return { pos, exact: true };
     }
     // If not found, return header-based index so we still error with a clear message
-    return Math.max(0, hunk.oldStart - 1);
+    return { pos: Math.max(0, hunk.oldStart - 1), exact: false };
+  }
+
+  // Whitespace-insensitive scoring from the current position forward; best score wins,
+  // ties go to the position closest to the hunk header.
+  function findFuzzyAnchor(startAt, hunk) {
+    const expected = hunk.lines.filter(hl => hl[0] === ' ' || hl[0] === '-').map(hl => squash(hl.slice(1)));
+    if (!expected.length) return null;
+    let best = null;
+    for (let pos = Math.max(0, startAt); pos + expected.length <= oldLines.length; pos++) {
+      let hits = 0;
+      for (let k = 0; k < expected.length; k++) {
+        if (squash(oldLines[pos + k]) === expected[k]) hits++;
+      }
+      const score = hits / expected.length;
+      const dist = Math.abs(pos - (hunk.oldStart - 1));
+      if (!best || score > best.score || (score === best.score && dist < best.dist)) best = { pos, score, dist };
+    }
+    return best && best.score >= threshold ? best : null;
   }
 
-  for (const h of hunks) {
-    const anchor = findHunkAnchor(origIndex, h);
+  for (let hIdx = 0; hIdx < hunks.length; hIdx++) {
+    const h = hunks[hIdx];
+    let { pos: anchor, exact } = findHunkAnchor(origIndex, h);
+    let isFuzzy = false;
+    if (!exact && fuzzy) {
+      const fz = findFuzzyAnchor(origIndex, h);
+      if (fz) {
+        anchor = fz.pos;
+        isFuzzy = true;
+        fuzzed.push({ hunk: hIdx + 1, header: `@@ -${h.oldStart},${h.oldCount} +${h.newStart},${h.newCount} @@`, line: fz.pos + 1, similarity: Math.round(fz.score * 1000) / 1000 });
+      }
+    }
     while (origIndex < anchor) {
       out.push(noCR(oldLines[origIndex]));
       origIndex++;
@@ -358,7 +714,7 @@ function applyUnifiedDiff(oldText, diffText) {
       const text = hl.slice(1);
       if (prefix === ' ') {
         const got = noCR(oldLines[origIndex]);
-        if (got !== noCR(text)) {
+        if (got !== noCR(text) && !isFuzzy) {
           throw new Error(`Patch context mismatch: expected "${text}" got "${got}"`);
         }
         out.push(got);
@@ -366,7 +722,7 @@ function applyUnifiedDiff(oldText, diffText) {
       } else if (prefix === '-') {
         const got = noCR(oldLines[origIndex]);
         const want = noCR(text);
-        if (got !== want) {
+        if (got !== want && !(isFuzzy && squash(got) === squash(want))) {
           // Enforce the special rule for markdown bullets that begin with "- ".
           // If the target line literally starts with "- " but the diff line omitted the
           // extra dash (i.e., diff line started with "- " instead of "-- "), instruct the caller.
@@ -391,7 +747,60 @@ function applyUnifiedDiff(oldText, diffText) {
     out.push(noCR(oldLines[origIndex]));
     origIndex++;
   }
-  return out.join('\n');
+  return { text: out.join('\n'), fuzzed };
+}
+
+// Search-and-replace edits for write_agent mode=replace. Edits apply in order to the evolving text;
+// occurrence selects the Nth match (1-based) or 'all'; without it old_text must match exactly once.
+// Every edit is evaluated so the caller gets a full report, but ok=false means nothing should be written.
+function applyReplaceEdits(text, edits) {
+  let current = String(text ?? '');
+  const results = [];
+  let ok = true;
+  const list = Array.isArray(edits) ? edits : [];
+  if (!list.length) throw new Error('edits (non-empty array) required for replace mode');
+  list.forEach((e, index) => {
+    const oldText = e && typeof e.old_text === 'string' ? e.old_text : '';
+    const newText = e && typeof e.new_text === 'string' ? e.new_text : null;
+    if (!oldText || newText === null) {
+      ok = false;
+      results.push({ index, status: 'invalid', message: 'old_text (non-empty string) and new_text (string) required' });
+      return;
+    }
+    const positions = [];
+    for (let at = current.indexOf(oldText); at !== -1; at = current.indexOf(oldText, at + oldText.length)) positions.push(at);
+    const occ = e.occurrence;
+    let targets;
+    if (!positions.length) {
+      ok = false;
+      results.push({ index, status: 'not_found', matches: 0 });
+      return;
+    }
+    if (occ === 'all') {
+      targets = positions;
+    } else if (occ == null) {
+      if (positions.length > 1) {
+        ok = false;
+        results.push({ index, status: 'ambiguous', matches: positions.length, lines: positions.map(p => current.slice(0, p).split('\n').length), hint: 'Add surrounding text to old_text or set occurrence' });
+        return;
+      }
+      targets = positions;
+    } else {
+      const n = Number(occ);
+      if (!Number.isInteger(n) || n < 1 || n > positions.length) {
+        ok = false;
+        results.push({ index, status: 'occurrence_out_of_range', matches: positions.length });
+        return;
+      }
+      targets = [positions[n - 1]];
+    }
+    const line = current.slice(0, targets[0]).split('\n').length;
+    for (const at of [...targets].reverse()) {
+      current = current.slice(0, at) + newText + current.slice(at + oldText.length);
+    }
+    results.push({ index, status: 'ok', matches: positions.length, replaced: targets.length, line });
+  });
+  return { ok, text: current, results };
 }
 
 function normalizeTaskText(s) {
@@ -479,17 +888,214 @@ function renderTasksMarkdown(rows) {
     const pid = r.parent_id || null;
     if (pid && nodes.has(pid)) nodes.get(pid).children.push(node); else roots.push(node);
   }
+  // The outline always follows the persisted sibling order, whatever order rows arrived in;
+  // unpositioned tasks go last in creation order, as in placeTask
+  const byPosition = (a, b) => {
+    const pa = Number.isInteger(a.task.position), pb = Number.isInteger(b.task.position);
+    if (pa !== pb) return pa ? -1 : 1;
+    return (pa && a.task.position - b.task.position) || String(a.task.created_at || '').localeCompare(String(b.task.created_at || ''));
+  };
+  roots.sort(byPosition);
+  for (const node of nodes.values()) node.children.sort(byPosition);
   const lines = [];
   function walk(node, depth) {
     const t = node.task;
     const indent = '  '.repeat(depth);
-    lines.push(`${indent}- ${marker(t.status)} ${t.task_info} (${t.task_id})`);
+    const blockers = Array.isArray(t.blocked_by) && t.blocked_by.length ? ` — blocked by: ${t.blocked_by.join(', ')}` : '';
+    const meta = [
+      t.priority,
+      t.due_date ? `due ${t.due_date}` : null,
+      t.assignee ? `@${t.assignee}` : null,
+      ...(Array.isArray(t.labels) ? t.labels.map(l => `#${l}`) : []),
+    ].filter(Boolean);
+    const metaText = meta.length ? ` [${meta.join(', ')}]` : '';
+    lines.push(`${indent}- ${marker(t.status)} ${t.task_info} (${t.task_id})${metaText}${blockers}`);
     for (const ch of node.children) walk(ch, depth + 1);
   }
   for (const n of roots) walk(n, 0);
   return lines.join('\n');
 }
 
+// Largest common_memory that scratchpad_promote copies into AGENTS.md as is; longer memory needs a summary
+const PROMOTE_MEMORY_MAX = 4000;
+
+// extra_note text carried over from a scratchpad task (its notes and comments)
+function promotedTaskNote(scratchpadId, task, { fallbackToInfo = false } = {}) {
+  const parts = [task.scratchpad, task.comments ? `Comments: ${task.comments}` : ''].map(p => String(p || '').trim()).filter(Boolean);
+  if (!parts.length && fallbackToInfo) parts.push(String(task.task_info || '').trim());
+  if (!parts.length) return '';
+  return [`From scratchpad ${scratchpadId} (${task.task_id}):`, ...parts].join('\n');
+}
+
+// Quoted block appended to an AGENTS.md section; a block quote keeps it apart from the section text
+function promotedMemoryBlock(scratchpadId, text, today = new Date()) {
+  const lines = [`From scratchpad \`${scratchpadId}\` (${today.toISOString().slice(0, 10)}):`, '', ...String(text).trim().split(/\r?\n/)];
+  return lines.map(l => (l ? `> ${l}` : '>')).join('\n');
+}
+
+// Mutating tools that accept an optional base_hash (checked against user_projects.hash before running)
+const BASE_HASH_TOOLS = new Set([
+  'rename_project', 'delete_project',
+  'write_agent', 'edit_agent_section', 'write_doc', 'delete_doc',
+  'adr_create', 'adr_supersede', 'adr_set_status', 'adr_index',
+  'progress_add', 'progress_set_new_state', 'progress_move', 'progress_batch', 'progress_delete', 'progress_apply_template', 'progress_add_comment',
+  'scratchpad_promote', 'revert_project', 'create_branch', 'switch_branch', 'merge_branch',
+  'tag_commit', 'delete_tag',
+]);
+const BASE_HASH_PROPERTY = {
+  type: 'string',
+  description: 'Optional. Hash (or tag) the change is based on, e.g. from read_agent/read_progress. If the project has moved on, the call is rejected with error "conflict", the current_hash and the changes since base_hash.'
+};
+
+// Document names: a plain file name such as ARCHITECTURE.md (no paths); AGENTS.md is the default
+const DOC_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/;
+
+function docNameError(name) {
+  if (typeof name !== 'string' || !DOC_NAME_RE.test(name)) {
+    return { error: 'invalid_doc_name', message: 'name must be 1-100 characters of letters, digits, ".", "_" or "-" and start with a letter or digit' };
+  }
+  return null;
+}
+
+// Shared by read_agent and read_doc: the document's content (optionally at a past commit), its
+// outline or line-numbered text, plus the current head hash. Missing documents read as null.
+async function readDocument(acc, doc, { lineNumbers, outline, at_hash }) {
+  let content;
+  if (at_hash) {
+    const version = await vcReadVersion(acc.owner_id, acc.project_id, String(at_hash));
+    const stored = doc === DEFAULT_DOC_NAME ? version.snapshot.agent?.content : version.snapshot.docs?.[doc];
+    content = doc === DEFAULT_DOC_NAME || typeof stored === 'string' ? String(stored ?? '') : null;
+  } else {
+    try {
+      content = await dbReadProjectDoc(acc.owner_id, acc.project_id, doc);
+    } catch (e) {
+      if (!/doc_not_found/.test(String(e?.message || e))) throw e;
+      content = null;
+    }
+  }
+  // Current head hash, to pass back as base_hash on the next write
+  const hash = await vcCurrentHash(acc.owner_id, acc.project_id);
+  if (content === null) return { content: null, hash };
+  if (outline) return { outline: parseMarkdownOutline(content), hash };
+  let text = content;
+  if (lineNumbers) {
+    const lines = String(content ?? '').split('\n');
+    text = lines.map((l, idx) => `${idx + 1}|${l.replace(/\r$/, '')}`).join('\n');
+  }
+  return { text, hash };
+}
+
+// Shared by write_agent and write_doc: full/patch/replace edits with an optional base_hash three-way
+// merge. Returns the JSON payload for the tool result (success or { error, message }). A document
+// that does not exist yet starts out empty and is created by the write.
+async function writeDocument(acc, doc, args, { userId, tool, readTool }) {
+  const { base_hash } = args;
+  let { content, patch, edits, fuzzy, fuzz_threshold, mode, comment } = args;
+  const editMode = String(mode || (patch ? 'patch' : (edits ? 'replace' : 'full'))).toLowerCase();
+  try {
+    if (!acc) return { error: 'project_not_found', message: 'project not found' };
+    if (acc.permission === 'ro') return { error: 'read_only_project', message: 'You have read-only access to this project.' };
+
+    let current;
+    try {
+      current = await dbReadProjectDoc(acc.owner_id, acc.project_id, doc);
+    } catch (e) {
+      if (!/doc_not_found/.test(String(e?.message || e))) throw e;
+      current = '';
+    }
+    // A stale base_hash is not rejected outright: the edit is applied to the base version and
+    // three-way merged with the current document.
+    let stale = null;
+    if (base_hash) {
+      try {
+        stale = await vcAgentMergeBase(acc.owner_id, acc.project_id, String(base_hash), { doc });
+      } catch (e) {
+        if (!/hash_not_found/i.test(String(e?.message || e))) throw e;
+        const conflict = await vcCheckBaseHash(acc.owner_id, acc.project_id, String(base_hash));
+        return { error: 'conflict', ...conflict };
+      }
+    }
+    const source = stale ? stale.content : current;
+
+    let updated;
+    let payload;
+    if (editMode === 'full') {
+      if (typeof content !== 'string') throw new Error('content (string) required for full mode');
+      updated = content;
+      payload = { mode: 'full', status: 'ok' };
+    } else if (editMode === 'patch' || editMode === 'diff') {
+      if (typeof patch !== 'string') throw new Error('patch (unified diff string) required for patch/diff mode');
+      const threshold = Number.isFinite(Number(fuzz_threshold)) ? Math.min(1, Math.max(0.5, Number(fuzz_threshold))) : DEFAULT_FUZZ_THRESHOLD;
+      const applied = applyUnifiedDiffDetailed(source, patch, { fuzzy: !!fuzzy, threshold });
+      updated = applied.text;
+      payload = { mode: 'patch', status: 'ok' };
+      if (fuzzy) payload.fuzzed = applied.fuzzed;
+    } else if (editMode === 'replace') {
+      const { ok, text, results } = applyReplaceEdits(source, edits);
+      if (!ok) {
+        return { error: 'replace_failed', message: 'One or more edits could not be applied; nothing was written', results, suggest: readTool };
+      }
+      updated = text;
+      payload = { mode: 'replace', status: 'ok', results };
+    } else {
+      throw new Error(`Unknown mode: ${mode}`);
+    }
+
+    if (stale) {
+      const merged = vcMergeAgentContent(stale, current, updated);
+      if (!merged.clean) {
+        return {
+          error: 'merge_conflict',
+          message: `${doc} changed since base_hash and ${merged.conflicts.length} edit(s) overlap; nothing was written. Resolve the conflict markers in content and write it again with base_hash set to current_hash.`,
+          base_hash: stale.base_hash,
+          current_hash: stale.current_hash,
+          conflicts: merged.conflicts,
+          content: merged.text,
+          suggest: tool,
+        };
+      }
+      updated = merged.text;
+      const note = `three-way merge onto ${stale.current_hash.slice(0, 8)} from base ${stale.base_hash.slice(0, 8)}`;
+      comment = String(comment || '').trim() ? `${String(comment).trim()} (${note})` : `${tool}: ${note}`;
+    }
+
+    const { created } = await dbWriteProjectDoc(acc.owner_id, acc.project_id, doc, updated);
+    let hash = null;
+    try { hash = await vcCommitProject(acc.owner_id, acc.project_id, { action: doc === DEFAULT_DOC_NAME ? tool : `${tool} ${doc}`, comment, modifiedBy: userId }); } catch {}
+    if (payload.mode === 'full') payload.bytes = Buffer.byteLength(updated, 'utf8');
+    else { payload.oldBytes = Buffer.byteLength(current, 'utf8'); payload.newBytes = Buffer.byteLength(updated, 'utf8'); }
+    if (doc !== DEFAULT_DOC_NAME) { payload.name = doc; payload.created = created; }
+    payload.hash = hash;
+    if (stale) payload.merged = { base_hash: stale.base_hash, current_hash: stale.current_hash };
+    return payload;
+  } catch (err) {
+    const msg = String(err?.message || err || 'write failed');
+    const code = /project_not_found/i.test(msg) || /project not found/i.test(msg) ? 'project_not_found' : (/patch/i.test(msg) ? 'patch_failed' : (/read_only_project/i.test(msg) ? 'read_only_project' : 'write_failed'));
+    const suggest = code === 'project_not_found' ? 'init_project' : (code === 'patch_failed' ? readTool : undefined);
+    const payload = { error: code, message: msg };
+    if (suggest) payload.suggest = suggest;
+    return payload;
+  }
+}
+
+// Rewrite the ADR index block in AGENTS.md (inject=true adds it when missing). Returns whether
+// AGENTS.md changed; the caller commits.
+async function syncAdrIndex(acc, { inject = false } = {}) {
+  const agent = await dbReadDoc(acc.owner_id, acc.project_id, 'agent');
+  if (!inject && !hasAdrIndex(agent)) return false;
+  const updated = injectAdrIndex(agent, renderAdrIndex(await dbListProjectAdrs(acc.owner_id, acc.project_id)));
+  if (updated === agent) return false;
+  await dbWriteDoc(acc.owner_id, acc.project_id, 'agent', updated);
+  return true;
+}
+
+function adrErrorCode(msg) {
+  if (/adr_not_found/.test(msg)) return 'adr_not_found';
+  if (/adr_superseded/.test(msg)) return 'adr_superseded';
+  if (/project not found/i.test(msg)) return 'project_not_found';
+  return 'adr_failed';
+}
+
 // Build a fresh MCP server instance for each request (stateless mode)
 function buildMcpServer(userId, userName) {
   const ops = userOps(userId, userName);
@@ -609,7 +1215,7 @@ function buildMcpServer(userId, userName) {
       },
       {
         name: 'progress_add',
-        description: 'Add one or more structured project-level tasks. Provide an array of task objects. Each requires 8-char task_id (lowercase a-z0-9), task_info; optional parent_id (root task_id), status (pending|in_progress|completed|archived), extra_note. Optionally include a commit message via comment.' + agentsReminder,
+        description: 'Add one or more structured project-level tasks. Provide an array of task objects. Each requires 8-char task_id (lowercase a-z0-9), task_info; optional parent_id (root task_id), status (pending|in_progress|completed|archived), extra_note, depends_on (task_ids that must be completed first; unknown ids and cycles are rejected), priority (p0 highest .. p3), due_date (YYYY-MM-DD), assignee (user id with access to the project), labels. Optionally include a commit message via comment.' + agentsReminder,
         inputSchema: {
           type: 'object',
           properties: {
@@ -622,7 +1228,9 @@ function buildMcpServer(userId, userName) {
                   task_info: { type: 'string' },
                   parent_id: { type: 'string', minLength: 8, maxLength: 8, description: 'Root task_id this task belongs under; enables arbitrary-depth nesting.' },
                   status: { type: 'string', enum: ['pending','in_progress','completed','archived'] },
-                  extra_note: { type: 'string' }
+                  extra_note: { type: 'string' },
+                  depends_on: { type: 'array', items: { type: 'string', minLength: 8, maxLength: 8 }, description: 'task_ids in this project that must be completed before this task can start.' },
+                  ...TASK_META_PROPERTIES
                 },
                 required: ['task_id','task_info']
               }
@@ -634,7 +1242,7 @@ function buildMcpServer(userId, userName) {
       },
       {
         name: 'progress_set_new_state',
-        description: 'Update project-level tasks by task_id (8-char) or by matching task_info substring. Provide an array of match terms (ids or substrings). Can set state (pending|in_progress|completed|archived) and/or update fields task_info, parent_id, extra_note. Archiving or completing cascades to all children recursively. Lock rules: when a task or any ancestor is completed/archived, no edits are allowed except unlocking the task itself to pending/in_progress, and only if no ancestor is locked. Optionally include a commit message via comment.' + agentsReminder,
+        description: 'Update project-level tasks by task_id (8-char) or by matching task_info substring. Provide an array of match terms (ids or substrings). Can set state (pending|in_progress|completed|archived) and/or update fields task_info, parent_id, extra_note, depends_on, priority, due_date, assignee, labels (null clears priority/due_date/assignee). Archiving or completing cascades to all children recursively. Lock rules: when a task or any ancestor is completed/archived, no edits are allowed except unlocking the task itself to pending/in_progress, and only if no ancestor is locked. Dependency rules: a task whose depends_on tasks are not all completed is blocked and cannot move to in_progress/completed (error task_blocked); depends_on that would form a cycle is refused (error dependency_cycle). A parent_id that is the task itself or one of its descendants is refused (error parent_cycle); a reparented task goes to the end of its new siblings (use progress_move to place it). Optionally include a commit message via comment.' + agentsReminder,
         inputSchema: {
           type: 'object',
           properties: {
@@ -644,11 +1252,123 @@ function buildMcpServer(userId, userName) {
             task_info: { type: 'string' },
             parent_id: { type: 'string', minLength: 8, maxLength: 8 },
             extra_note: { type: 'string' },
+            depends_on: { type: 'array', items: { type: 'string', minLength: 8, maxLength: 8 }, description: 'Replace the dependency list; pass [] to clear.' },
+            ...TASK_META_PROPERTIES,
             comment: { type: 'string' }
           },
           required: ['project_id', 'match']
         }
       },
+      {
+        name: 'progress_move',
+        description: 'Move a task, with its whole subtree, under a new parent and/or to a new place among its siblings. Tasks keep an explicit order per parent (position) that read_progress returns by default and the markdown outline follows. parent_id: new parent task_id, or null for top level; omit to keep the current parent. Choose the slot with index (0-based among the new siblings), before_id or after_id (a sibling to sit next to; its parent is used when parent_id is omitted); default is the end. Moving a task under itself or its descendants is refused (error move_cycle). Reparenting a completed/archived task, or one under a locked task, is refused (error task_locked); reordering in place is always allowed. Creates a commit; returns task_id, parent_id, index, siblings (new order) and hash.' + agentsReminder,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            task_id: { type: 'string', minLength: 8, maxLength: 8 },
+            parent_id: { type: ['string', 'null'], description: 'New parent task_id; null for top level; omit to keep the current parent' },
+            index: { type: 'integer', minimum: 0, description: '0-based slot among the new siblings' },
+            before_id: { type: 'string', minLength: 8, maxLength: 8, description: 'Place right before this sibling' },
+            after_id: { type: 'string', minLength: 8, maxLength: 8, description: 'Place right after this sibling' },
+            comment: { type: 'string' }
+          },
+          required: ['project_id', 'task_id']
+        }
+      },
+      {
+        name: 'progress_delete',
+        description: 'Permanently delete a task created by mistake, instead of archiving it. children decides what happens to its subtasks: refuse (default) fails with error has_children when it has any, cascade deletes the whole subtree, reparent_to_parent moves its direct children into its place under its parent. Completed/archived tasks, and tasks under one, are locked (error task_locked). Other tasks drop the deleted ids from depends_on. Creates a commit, so revert_project can bring the task back; returns deleted, reparented, dropped_depends_on and hash.' + agentsReminder,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            task_id: { type: 'string', minLength: 8, maxLength: 8 },
+            children: { type: 'string', enum: TASK_DELETE_CHILDREN, description: 'What to do with subtasks (default refuse)' },
+            comment: { type: 'string' }
+          },
+          required: ['project_id', 'task_id']
+        }
+      },
+      {
+        name: 'progress_apply_template',
+        description: 'Add a saved task template (e.g. a release checklist) to a project. template is the template name or id; your own templates win over server-wide ones with the same name (manage them via the /templates REST API or the dashboard). {{placeholders}} in task text, notes and labels are filled from variables, falling back to the template defaults; missing values fail with error missing_variables. Every task gets a fresh id, the tree keeps its shape, due_in_days becomes a due_date counted from today, and parent_id hangs the whole tree under an existing task. All tasks are added in one commit; an unknown template fails with template_not_found and lists the available ones. Returns added ({task_id, task_info, parent_id}) and hash.' + agentsReminder,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            template: { type: 'string', description: 'Template name or id' },
+            variables: { type: 'object', additionalProperties: { type: 'string' }, description: 'Placeholder values, e.g. { "version": "1.4.0" }' },
+            parent_id: { type: 'string', minLength: 8, maxLength: 8, description: 'Optional existing task to nest the template under' },
+            comment: { type: 'string' }
+          },
+          required: ['project_id', 'template']
+        }
+      },
+      {
+        name: 'progress_batch',
+        description: `Apply several task operations atomically with one commit, e.g. complete some tasks, archive others and add new ones in one call. operations run in order (later ones see earlier ones): {op:"add", task_id, task_info, parent_id?, status?, extra_note?, depends_on?, ...metadata}, {op:"update", task_id, state?, task_info?, parent_id?, extra_note?, depends_on?, ...metadata}, {op:"delete", task_id, children?} (children policy as in progress_delete, default refuse), {op:"move", task_id, parent_id?, index?, before_id?, after_id?}. The same rules as progress_add, progress_set_new_state and progress_move apply (lock rules, dependencies, parent existence, cycles); a locked task cannot be deleted. If any operation fails nothing is applied and errors lists each failure as {index, op, task_id, error, message}. Max ${TASK_BATCH_MAX_OPERATIONS} operations. Returns results per operation and hash.` + agentsReminder,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            operations: {
+              type: 'array',
+              maxItems: TASK_BATCH_MAX_OPERATIONS,
+              items: {
+                type: 'object',
+                properties: {
+                  op: { type: 'string', enum: ['add', 'update', 'delete', 'move'] },
+                  task_id: { type: 'string', minLength: 8, maxLength: 8 },
+                  task_info: { type: 'string' },
+                  parent_id: { type: ['string', 'null'] },
+                  status: { type: 'string', enum: ['pending', 'in_progress', 'completed', 'archived'], description: 'Initial status for add' },
+                  state: { type: 'string', enum: ['pending', 'in_progress', 'completed', 'archived'], description: 'New status for update' },
+                  extra_note: { type: ['string', 'null'] },
+                  depends_on: { type: 'array', items: { type: 'string', minLength: 8, maxLength: 8 } },
+                  ...TASK_META_PROPERTIES,
+                  children: { type: 'string', enum: TASK_DELETE_CHILDREN, description: 'Subtask policy for delete (default refuse)' },
+                  index: { type: 'integer', minimum: 0 },
+                  before_id: { type: 'string', minLength: 8, maxLength: 8 },
+                  after_id: { type: 'string', minLength: 8, maxLength: 8 }
+                },
+                required: ['op', 'task_id']
+              }
+            },
+            comment: { type: 'string' }
+          },
+          required: ['project_id', 'operations']
+        }
+      },
+      {
+        name: 'progress_add_comment',
+        description: 'Append a comment to a task\'s activity log instead of overwriting extra_note. Comments are append-only (no edit/delete), record the author and time, and can link a subagent run_id or a commit hash/tag. Status changes made via progress_set_new_state are logged automatically. Creates a commit; returns the comment and hash.' + agentsReminder,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            task_id: { type: 'string', minLength: 8, maxLength: 8 },
+            text: { type: 'string', description: `Comment text (max ${TASK_COMMENT_MAX_LENGTH} chars)` },
+            run_id: { type: 'string', description: 'Optional subagent run_id this comment refers to' },
+            commit_hash: { type: 'string', description: 'Optional commit hash or tag this comment refers to' }
+          },
+          required: ['project_id', 'task_id', 'text']
+        }
+      },
+      {
+        name: 'progress_list_comments',
+        description: 'List a task\'s comment/activity log oldest first (or every task\'s when task_id is omitted). Entries have comment_id, task_id, author, kind (comment|status), text, run_id, commit_hash and created_at. limit keeps the newest entries; total counts all. read_progress reports comment_count per task.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            task_id: { type: 'string', minLength: 8, maxLength: 8 },
+            kind: { type: 'string', enum: ['comment', 'status'] },
+            limit: { type: 'integer', minimum: 1, maximum: 500 }
+          },
+          required: ['project_id']
+        }
+      },
       
       {
         name: 'init_project',
@@ -665,7 +1385,9 @@ function buildMcpServer(userId, userName) {
                 task_info: { type: 'string' },
                 parent_id: { type: 'string', minLength: 8, maxLength: 8, description: 'Root task_id for this task; enables nested subtasks' },
                 status: { type: 'string', enum: ['pending','in_progress','completed'] },
-                extra_note: { type: 'string' }
+                extra_note: { type: 'string' },
+                depends_on: { type: 'array', items: { type: 'string', minLength: 8, maxLength: 8 }, description: 'task_ids that must be completed before this task can start' },
+                ...TASK_META_PROPERTIES
               },
               required: ['task_id','task_info']
             } }
@@ -697,131 +1419,438 @@ function buildMcpServer(userId, userName) {
       },
       {
         name: 'read_agent',
-        description: 'Read AGENTS.md for a project. Optional: prepend line numbers with N|. ' + agentsReminder,
+        description: 'Read AGENTS.md for a project. Optional: prepend line numbers with N|, return only the heading outline (JSON with each heading\'s path and line range) to pick a section for edit_agent_section, or read a past version with at_hash. A second content item carries { hash } (the current project hash) to pass as base_hash on writes. ' + agentsReminder,
         inputSchema: {
           type: 'object',
           properties: {
             project_id: { type: 'string' },
-            lineNumbers: { type: 'boolean', description: 'If true, prepend line numbers as N|line' }
+            lineNumbers: { type: 'boolean', description: 'If true, prepend line numbers as N|line' },
+            outline: { type: 'boolean', description: 'If true, return { outline: [{ level, title, path, start_line, end_line }] } instead of the content' },
+            at_hash: { type: 'string', description: 'Read AGENTS.md as of this commit hash or tag (see list_project_logs / list_tags) instead of the current version' }
           },
           required: ['project_id']
         }
       },
       {
         name: 'write_agent',
-        description: 'Write AGENTS.md (mode=full|patch|diff). For patch/diff, provide a unified diff string: use hunk headers like @@ -l,c +l,c @@ and lines prefixed with space (context), + (add), - (delete). If deleting a markdown list item that starts with "- ", the diff line must start with "-- " (delete marker + literal dash). Lines must preserve leading spaces in context. Optionally include a commit message via comment.' + agentsReminder,
+        description: 'Write AGENTS.md (mode=full|patch|diff|replace). For patch/diff, provide a unified diff string: use hunk headers like @@ -l,c +l,c @@ and lines prefixed with space (context), + (add), - (delete). If deleting a markdown list item that starts with "- ", the diff line must start with "-- " (delete marker + literal dash). Lines must preserve leading spaces in context. Set fuzzy=true to let hunks whose exact context is not found anchor where enough lines match ignoring whitespace (fuzz_threshold, default 0.8); the response lists fuzz-applied hunks. For replace, provide edits: [{ old_text, new_text, occurrence? }] applied in order; old_text must match exactly once unless occurrence (1-based number or "all") is given; if any edit is missing or ambiguous nothing is written and per-edit results are returned. With a base_hash older than the current hash, the edit is applied to that version and three-way merged with the current AGENTS.md; overlapping edits return merge_conflict with conflict markers and nothing is written. Optionally include a commit message via comment.' + agentsReminder,
         inputSchema: {
           type: 'object',
           properties: {
             project_id: { type: 'string' },
             content: { type: 'string', description: 'Full file contents when mode=full (default)' },
             patch: { type: 'string', description: 'Unified diff (git-style) when mode=patch/diff' },
-            mode: { type: 'string', enum: ['full', 'patch', 'diff'], description: 'Edit mode; defaults to full' },
+            edits: {
+              type: 'array',
+              description: 'Search-and-replace edits when mode=replace',
+              items: {
+                type: 'object',
+                properties: {
+                  old_text: { type: 'string' },
+                  new_text: { type: 'string' },
+                  occurrence: { oneOf: [ { type: 'number', minimum: 1 }, { type: 'string', enum: ['all'] } ] }
+                },
+                required: ['old_text', 'new_text']
+              }
+            },
+            fuzzy: { type: 'boolean', description: 'patch/diff only: whitespace-insensitive fallback when exact context is not found' },
+            fuzz_threshold: { type: 'number', minimum: 0.5, maximum: 1, description: 'Minimum fraction of context/delete lines that must match for a fuzzy anchor (default 0.8)' },
+            mode: { type: 'string', enum: ['full', 'patch', 'diff', 'replace'], description: 'Edit mode; defaults to full (patch when patch is given, replace when edits are given)' },
+            base_hash: { type: 'string', description: 'Hash the edit is based on (from read_agent). If the project has moved on, the edit is three-way merged with the current AGENTS.md' },
             comment: { type: 'string' }
           },
           required: ['project_id']
         }
       },
       {
-        name: 'list_project_logs',
-        description: 'List commit logs (hash, message, created_at) for a project. Requires project_id.',
-        inputSchema: { type: 'object', properties: { project_id: { type: 'string' } }, required: ['project_id'] }
-      },
-      {
-        name: 'revert_project',
-        description: 'Revert a project to a previous version by hash. Removes newer hashes from history (no branches). Requires project_id and hash.',
-        inputSchema: { type: 'object', properties: { project_id: { type: 'string' }, hash: { type: 'string' } }, required: ['project_id', 'hash'] }
-      },
-      {
-        name: 'read_progress',
-        description: 'Read structured project-level tasks as JSON. Optionally filter by status (pending, in_progress, completed) or synonyms. ' + agentsReminder,
+        name: 'edit_agent_section',
+        description: 'Edit one section of AGENTS.md addressed by its heading path instead of a diff. section is a path of headings joined by ">" (e.g. "## Conventions > ### Testing"); # levels are optional, titles are case-insensitive, and parent headings are only needed to disambiguate. operation: replace|append|prepend act on the section\'s own text under the heading (its subsections are kept); delete removes the heading with everything under it; insert_after adds content (usually a new heading + body) right after the section. Use read_agent with outline=true to list sections. Optionally include a commit message via comment.' + agentsReminder,
         inputSchema: {
           type: 'object',
           properties: {
             project_id: { type: 'string' },
-            only: {
-              oneOf: [
-                { type: 'string', enum: ['todo', 'to-do', 'pending', 'in_progress', 'in-progress', 'done', 'completed'] },
-                { type: 'array', items: { type: 'string' } }
-              ]
-            }
+            section: { type: 'string', description: 'Heading path, e.g. "## Conventions > ### Testing"' },
+            operation: { type: 'string', enum: SECTION_OPERATIONS },
+            content: { type: 'string', description: 'Markdown text; required for every operation except delete' },
+            comment: { type: 'string' }
           },
-          required: ['project_id']
+          required: ['project_id', 'section', 'operation']
         }
       },
       {
-        name: 'get_agents_md_best_practices_and_examples',
-        description: examplesToolDesc,
+        name: 'list_docs',
+        description: 'List the project\'s documents: AGENTS.md (the default document, always present) plus any other named documents such as ARCHITECTURE.md or DECISIONS.md, with byte/line counts and updated_at. Also returns the current project hash.',
+        inputSchema: { type: 'object', properties: { project_id: { type: 'string' } }, required: ['project_id'] }
+      },
+      {
+        name: 'read_doc',
+        description: 'Read a named project document (name "AGENTS.md" reads the default document, same as read_agent). Same options as read_agent: lineNumbers, outline and at_hash. A second content item carries { name, hash } to pass as base_hash on writes.',
         inputSchema: {
           type: 'object',
           properties: {
-            include: { oneOf: [ { type: 'string' }, { type: 'array', items: { type: 'string' } } ] }
-          }
+            project_id: { type: 'string' },
+            name: { type: 'string', description: 'Document name, e.g. ARCHITECTURE.md (letters, digits, ".", "_", "-")' },
+            lineNumbers: { type: 'boolean', description: 'If true, prepend line numbers as N|line' },
+            outline: { type: 'boolean', description: 'If true, return { outline: [...] } instead of the content' },
+            at_hash: { type: 'string', description: 'Read the document as of this commit hash or tag instead of the current version' }
+          },
+          required: ['project_id', 'name']
         }
       },
       {
-        name: 'scratchpad_initialize',
-        description: 'Start a temporary scratchpad for a one-off task that doesn\'t require documentation in agents.md/progress.md or won\'t need future reference by other agents—like side quests, experiments, or quick calculations outside the main project scope and shouldn\'t belong in the main project tracking. Use this to split the immediate task into manageable (up to 6) small steps (status: open|complete) and keep lightweight notes. The server generates and returns a unique scratchpad_id; use (project name, scratchpad_id) with review/update/append tools. Returns the full scratchpad (tasks + common_memory). If you want to store something non-volatile and is project-level, please edit agents.md or write into the extra_node entry of a task in progress.md.',
+        name: 'write_doc',
+        description: 'Write a named project document, creating it if it does not exist. Same modes and options as write_agent (full|patch|diff|replace, fuzzy, base_hash three-way merge, comment). Documents are part of the project snapshot, so they are versioned, diffed, branched and reverted together with AGENTS.md and tasks.',
         inputSchema: {
           type: 'object',
           properties: {
-            project_id: { type: 'string', description: 'Project id' },
-            tasks: {
+            project_id: { type: 'string' },
+            name: { type: 'string', description: 'Document name, e.g. ARCHITECTURE.md (letters, digits, ".", "_", "-")' },
+            content: { type: 'string', description: 'Full file contents when mode=full (default)' },
+            patch: { type: 'string', description: 'Unified diff (git-style) when mode=patch/diff' },
+            edits: {
               type: 'array',
-              maxItems: 6,
+              description: 'Search-and-replace edits when mode=replace',
               items: {
                 type: 'object',
                 properties: {
-                  task_id: { type: 'string' },
-                  status: { type: 'string', enum: ['open','complete'] },
-                  task_info: { type: 'string' },
-                  scratchpad: { type: 'string' },
-                  comments: { type: 'string' }
+                  old_text: { type: 'string' },
+                  new_text: { type: 'string' },
+                  occurrence: { oneOf: [ { type: 'number', minimum: 1 }, { type: 'string', enum: ['all'] } ] }
                 },
-                required: ['task_id','task_info']
+                required: ['old_text', 'new_text']
               }
-            }
+            },
+            fuzzy: { type: 'boolean', description: 'patch/diff only: whitespace-insensitive fallback when exact context is not found' },
+            fuzz_threshold: { type: 'number', minimum: 0.5, maximum: 1, description: 'Minimum fraction of context/delete lines that must match for a fuzzy anchor (default 0.8)' },
+            mode: { type: 'string', enum: ['full', 'patch', 'diff', 'replace'], description: 'Edit mode; defaults to full (patch when patch is given, replace when edits are given)' },
+            base_hash: { type: 'string', description: 'Hash the edit is based on (from read_doc). If the project has moved on, the edit is three-way merged with the current document' },
+            comment: { type: 'string' }
           },
-          required: ['project_id','tasks']
+          required: ['project_id', 'name']
         }
       },
       {
-        name: 'review_scratchpad',
-        description: 'Read‑only view of a scratchpad for a one‑off task. Provide (project_id, scratchpad_id). By default returns tasks (max 6) and common_memory. Optionally control output with IncludeCM (boolean) and IncludeTk (array of task_id or task_info needles). If neither is provided, outputs everything; otherwise includes only requested fields and filters tasks.',
+        name: 'delete_doc',
+        description: 'Delete a named project document. AGENTS.md is the default document and cannot be deleted. The deletion is committed, so the document can be recovered with revert_project or read_doc at_hash.',
         inputSchema: {
           type: 'object',
           properties: {
             project_id: { type: 'string' },
-            scratchpad_id: { type: 'string' },
-            IncludeCM: { type: 'boolean', description: 'When true, include common_memory in the response. If omitted and IncludeTk is set, common_memory is omitted.' },
-            IncludeTk: {
-              type: 'array',
-              items: { type: 'string' },
-              description: 'Array of task_id values or task_info needles to include. Matches task_id (case-insensitive) or task_info substring (case-insensitive). If omitted, no tasks are returned unless IncludeCM and IncludeTk are both omitted.'
-            }
+            name: { type: 'string' },
+            comment: { type: 'string' }
           },
-          required: ['project_id','scratchpad_id']
+          required: ['project_id', 'name']
         }
       },
       {
-        name: 'scratchpad_update_task',
-        description: 'Update existing scratchpad tasks by task_id to reflect progress on a temporary problem. You can change status (open|complete), task_info, scratchpad (quick notes), and comments. If you need a different set of tasks, create a new scratchpad and use its scratchpad_id. Returns the updated scratchpad.',
+        name: 'adr_create',
+        description: 'Record an architecture decision (ADR) so the "why" behind a choice is not lost. Records are numbered per project (ADR-0001, ADR-0002, ...), never deleted, and versioned with the project. status defaults to proposed. If AGENTS.md carries the ADR index (see adr_index), it is refreshed in the same commit.',
         inputSchema: {
           type: 'object',
           properties: {
             project_id: { type: 'string' },
-            scratchpad_id: { type: 'string' },
-            updates: {
-              type: 'array',
-              minItems: 1,
-              items: {
-                type: 'object',
-                properties: {
-                  task_id: { type: 'string' },
-                  status: { type: 'string', enum: ['open','complete'] },
-                  task_info: { type: 'string' },
-                  scratchpad: { type: 'string' },
-                  comments: { type: 'string' }
+            title: { type: 'string' },
+            context: { type: 'string', description: 'The forces and constraints that led to the decision' },
+            decision: { type: 'string', description: 'What was decided' },
+            consequences: { type: 'string', description: 'What becomes easier or harder because of it' },
+            status: { type: 'string', enum: ADR_SETTABLE_STATUSES, description: 'Default: proposed' },
+            date: { type: 'string', description: 'YYYY-MM-DD (default: today)' },
+            comment: { type: 'string' }
+          },
+          required: ['project_id', 'title', 'context', 'decision']
+        }
+      },
+      {
+        name: 'adr_list',
+        description: 'List the project\'s ADRs (number, label, title, status, date, supersedes, superseded_by), oldest first. Optional status filter.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            status: { oneOf: [ { type: 'string', enum: ADR_STATUSES }, { type: 'array', items: { type: 'string', enum: ADR_STATUSES } } ] }
+          },
+          required: ['project_id']
+        }
+      },
+      {
+        name: 'adr_read',
+        description: 'Read one ADR by number (3 or "ADR-0003") as JSON plus rendered markdown. at_hash reads it as of an earlier commit or tag.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            number: { oneOf: [ { type: 'integer', minimum: 1 }, { type: 'string' } ] },
+            at_hash: { type: 'string' }
+          },
+          required: ['project_id', 'number']
+        }
+      },
+      {
+        name: 'adr_supersede',
+        description: 'Replace a decision: creates a new ADR that supersedes ADR `number` and marks the old one superseded, in one commit. Takes the same fields as adr_create; status defaults to accepted.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            number: { oneOf: [ { type: 'integer', minimum: 1 }, { type: 'string' } ], description: 'The ADR being superseded' },
+            title: { type: 'string' },
+            context: { type: 'string' },
+            decision: { type: 'string' },
+            consequences: { type: 'string' },
+            status: { type: 'string', enum: ADR_SETTABLE_STATUSES, description: 'Status of the new ADR (default: accepted)' },
+            date: { type: 'string', description: 'YYYY-MM-DD (default: today)' },
+            comment: { type: 'string' }
+          },
+          required: ['project_id', 'number', 'title', 'context', 'decision']
+        }
+      },
+      {
+        name: 'adr_set_status',
+        description: 'Change an ADR\'s status to proposed, accepted or deprecated (use adr_supersede to supersede one). Superseded ADRs are final.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            number: { oneOf: [ { type: 'integer', minimum: 1 }, { type: 'string' } ] },
+            status: { type: 'string', enum: ADR_SETTABLE_STATUSES },
+            comment: { type: 'string' }
+          },
+          required: ['project_id', 'number', 'status']
+        }
+      },
+      {
+        name: 'adr_index',
+        description: 'Render the ADR index as a markdown table (newest first). With inject=true it is written into AGENTS.md between <!-- adr-index:start --> and <!-- adr-index:end --> markers (appended under "## Architecture Decisions" the first time) and committed; from then on every ADR change keeps it up to date.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            inject: { type: 'boolean', description: 'Write the index into AGENTS.md' },
+            comment: { type: 'string' }
+          },
+          required: ['project_id']
+        }
+      },
+      {
+        name: 'list_project_logs',
+        description: 'List commit logs (hash, message, created_at) for a project. Shows the active branch unless branch is given. Requires project_id.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            branch: { type: 'string', description: 'Branch to list (default: the active branch)' }
+          },
+          required: ['project_id']
+        }
+      },
+      {
+        name: 'list_branches',
+        description: 'List the project\'s history branches with head hash, commit count and which one is active. New commits always land on the active branch.',
+        inputSchema: { type: 'object', properties: { project_id: { type: 'string' } }, required: ['project_id'] }
+      },
+      {
+        name: 'create_branch',
+        description: 'Create a named branch starting at from_hash (default: current head). Set switch=true to make it the active branch right away. The active branch is project-wide: switching changes AGENTS.md and tasks for every collaborator.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            name: { type: 'string', description: 'Letters, digits, ".", "_", "-" or "/" (max 64)' },
+            from_hash: { type: 'string', description: 'Commit hash or tag (default: current head)' },
+            switch: { type: 'boolean' }
+          },
+          required: ['project_id', 'name']
+        }
+      },
+      {
+        name: 'switch_branch',
+        description: 'Make another branch active: AGENTS.md and tasks are restored to that branch\'s head and later commits land on it.',
+        inputSchema: { type: 'object', properties: { project_id: { type: 'string' }, name: { type: 'string' } }, required: ['project_id', 'name'] }
+      },
+      {
+        name: 'merge_branch',
+        description: 'Merge branch source into the active branch: three-way line merge for AGENTS.md and per-task merge for tasks, committed as a new commit (or a fast-forward). on_conflict: abort (default; nothing written, conflicts returned), markers (git-style markers in AGENTS.md, tasks keep ours), ours, theirs.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            source: { type: 'string', description: 'Branch to merge into the active branch' },
+            on_conflict: { type: 'string', enum: MERGE_ON_CONFLICT },
+            comment: { type: 'string' }
+          },
+          required: ['project_id', 'source']
+        }
+      },
+      {
+        name: 'list_tags',
+        description: 'List tags (human-readable names for commit hashes) with the hash they point to. Tags work anywhere a hash is accepted: revert_project, diff_project_versions, read_agent/read_progress at_hash, create_branch from_hash.',
+        inputSchema: { type: 'object', properties: { project_id: { type: 'string' } }, required: ['project_id'] }
+      },
+      {
+        name: 'tag_commit',
+        description: 'Tag a commit with a name such as "v1-release" or "before-refactor" (default: the current head). Tags are kept when a reset drops the commit from history.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            name: { type: 'string', description: 'Letters, digits, ".", "_", "-" or "/" (max 64); must not look like a hex hash' },
+            hash: { type: 'string', description: 'Commit hash or existing tag (default: current head)' }
+          },
+          required: ['project_id', 'name']
+        }
+      },
+      {
+        name: 'delete_tag',
+        description: 'Delete a tag. The commit itself is not affected.',
+        inputSchema: { type: 'object', properties: { project_id: { type: 'string' }, name: { type: 'string' } }, required: ['project_id', 'name'] }
+      },
+      {
+        name: 'diff_project_versions',
+        description: 'Compare two commits from list_project_logs (or one commit vs. the current state when to_hash is omitted). Returns a unified diff of AGENTS.md, docs (other documents added, removed, or changed with a unified diff each) and a task diff: added, removed, status_changed (from/to) and field_changed (per-field from/to). Use before revert_project to see what would change.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            from_hash: { type: 'string', description: 'Older commit hash or tag (the diff base)' },
+            to_hash: { type: 'string', description: 'Newer commit hash or tag; omit to compare against the current project state' }
+          },
+          required: ['project_id', 'from_hash']
+        }
+      },
+      {
+        name: 'revert_project',
+        description: 'Revert a project to a previous version by hash (on the active branch). mode=reset (default) removes newer hashes from history; shared participants may only reset to their own most recent consecutive commits. mode=new_commit restores that version as a new commit and keeps history intact (any rw participant, any hash). Selective restore (always a new commit): scope=agent restores only AGENTS.md, scope=tasks only the task list, and task_ids restores just those tasks, merged into the current state. Requires project_id and hash.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            hash: { type: 'string', description: 'Commit hash or tag name' },
+            mode: { type: 'string', enum: REVERT_MODES, description: 'reset (default for a full revert) or new_commit (default for selective restores)' },
+            scope: { type: 'string', enum: RESTORE_SCOPES, description: 'What to restore: all (default), agent (AGENTS.md and the other documents), or tasks' },
+            task_ids: { type: 'array', items: { type: 'string' }, description: 'Restore only these tasks from the snapshot (implies scope=tasks)' },
+            comment: { type: 'string', description: 'Commit message note for mode=new_commit; the message always ends with the restored hash, e.g. "<comment> (revert to <hash>)"' }
+          },
+          required: ['project_id', 'hash']
+        }
+      },
+      {
+        name: 'read_progress',
+        description: 'Read structured project-level tasks as JSON. Optionally filter by status (pending, in_progress, completed) or synonyms. Each task includes depends_on plus computed blocked/blocked_by (dependencies not yet completed). Filter by priority, assignee, labels (tasks must carry all given labels), due_before, root_id (one subtree), max_depth, text (substring, or /regex/flags, on task_info and extra_note) and updated_since. Sort by created_at (default), updated_at, priority, due_date or task_info; prefix with - for descending (unset values last). On large projects page with limit and pass next_cursor back as cursor, and use format json or markdown to skip the other rendering; total counts all matching tasks. Pass at_hash to read the task board as of a past commit. The response includes the current project hash for use as base_hash. ' + agentsReminder,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            only: {
+              oneOf: [
+                { type: 'string', enum: ['todo', 'to-do', 'pending', 'in_progress', 'in-progress', 'done', 'completed'] },
+                { type: 'array', items: { type: 'string' } }
+              ]
+            },
+            at_hash: { type: 'string', description: 'Read tasks as of this commit hash or tag (see list_project_logs / list_tags) instead of the current state' },
+            priority: { oneOf: [{ type: 'string', enum: TASK_PRIORITIES }, { type: 'array', items: { type: 'string', enum: TASK_PRIORITIES } }] },
+            assignee: { type: 'string', description: 'Only tasks assigned to this user id' },
+            labels: { type: 'array', items: { type: 'string' }, description: 'Only tasks carrying all of these labels' },
+            due_before: { type: 'string', description: 'Only tasks due on or before this date (YYYY-MM-DD)' },
+            root_id: { type: 'string', minLength: 8, maxLength: 8, description: 'Only this task and its descendants' },
+            max_depth: { type: 'integer', minimum: 0, description: 'Levels below root_id (or below top-level tasks) to include; 0 returns just the roots' },
+            text: { type: 'string', description: 'Case-insensitive substring of task_info or extra_note; /pattern/flags for a regex (flags i, m, s, u; at most 200 characters, no backreferences or nested quantifiers)' },
+            updated_since: { type: 'string', description: 'Only tasks created or updated at or after this ISO timestamp' },
+            sort: { type: 'string', enum: TASK_SORT_KEYS.flatMap(k => [k, `-${k}`]) },
+            limit: { type: 'integer', minimum: 1, maximum: TASK_QUERY_MAX_LIMIT, description: 'Page size; omit to return every matching task' },
+            cursor: { type: 'string', description: 'next_cursor from the previous page' },
+            format: { type: 'string', enum: ['json', 'markdown', 'both'], default: 'both', description: 'json returns only tasks, markdown only the outline' }
+          },
+          required: ['project_id']
+        }
+      },
+      {
+        name: 'search_project',
+        description: 'Full-text search across a project instead of reading each source: AGENTS.md and the other project documents, task task_info/extra_note, your scratchpads (common_memory and task notes), and uploaded file text (parsed PDF text or OCR pages, markdown/text). Returns ranked hits with source_type (agent|task|scratchpad|file), source_id (document name, task_id, scratchpad_id or file_id), sub_id (scratchpad task_id), location (line, page, offset or field) and a snippet with matches wrapped in **. All words must match; quote "exact phrases"; end a word with * for prefix matching.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            query: { type: 'string' },
+            types: { type: 'array', items: { type: 'string', enum: ['agent', 'task', 'scratchpad', 'file'] }, description: 'Optional: restrict to these source types.' },
+            limit: { type: 'number', minimum: 1, maximum: 100, default: 20 }
+          },
+          required: ['project_id', 'query']
+        }
+      },
+      {
+        name: 'get_agents_md_best_practices_and_examples',
+        description: examplesToolDesc,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            include: { oneOf: [ { type: 'string' }, { type: 'array', items: { type: 'string' } } ] }
+          }
+        }
+      },
+      {
+        name: 'scratchpad_initialize',
+        description: 'Start a temporary scratchpad for a one-off task that doesn\'t require documentation in agents.md/progress.md or won\'t need future reference by other agents—like side quests, experiments, or quick calculations outside the main project scope and shouldn\'t belong in the main project tracking. Use this to split the immediate task into manageable small steps (status: open|complete) and keep lightweight notes. Scratchpads hold a limited number of tasks (6 unless the server or project sets another cap); extra tasks are not stored and come back in dropped together with max_tasks. To break one task down further, start a sub-scratchpad with parent_scratchpad_id and parent_task_id. The server generates and returns a unique scratchpad_id; use (project name, scratchpad_id) with review/update/append/add tools. Returns the full scratchpad (tasks + common_memory). If you want to store something non-volatile and is project-level, use scratchpad_promote to copy task notes into progress.md tasks (extra_note) and common_memory into an agents.md section.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string', description: 'Project id' },
+            parent_scratchpad_id: { type: 'string', description: 'Optional. Open scratchpad this one breaks down (requires parent_task_id)' },
+            parent_task_id: { type: 'string', description: 'Task of parent_scratchpad_id that this scratchpad decomposes' },
+            tasks: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  task_id: { type: 'string' },
+                  status: { type: 'string', enum: ['open','complete'] },
+                  task_info: { type: 'string' },
+                  scratchpad: { type: 'string' },
+                  comments: { type: 'string' }
+                },
+                required: ['task_id','task_info']
+              }
+            }
+          },
+          required: ['project_id','tasks']
+        }
+      },
+      {
+        name: 'review_scratchpad',
+        description: 'Read‑only view of a scratchpad for a one‑off task. Provide (project_id, scratchpad_id). By default returns tasks and common_memory, plus parent and sub_scratchpads when the scratchpad is nested. Optionally control output with IncludeCM (boolean) and IncludeTk (array of task_id or task_info needles). If neither is provided, outputs everything; otherwise includes only requested fields and filters tasks.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            scratchpad_id: { type: 'string' },
+            IncludeCM: { type: 'boolean', description: 'When true, include common_memory in the response. If omitted and IncludeTk is set, common_memory is omitted.' },
+            IncludeTk: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Array of task_id values or task_info needles to include. Matches task_id (case-insensitive) or task_info substring (case-insensitive). If omitted, no tasks are returned unless IncludeCM and IncludeTk are both omitted.'
+            }
+          },
+          required: ['project_id','scratchpad_id']
+        }
+      },
+      {
+        name: 'scratchpad_update_task',
+        description: 'Update existing scratchpad tasks by task_id to reflect progress on a temporary problem. You can change status (open|complete), task_info, scratchpad (quick notes), and comments. If you need a different set of tasks, create a new scratchpad and use its scratchpad_id. Returns the updated scratchpad.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            scratchpad_id: { type: 'string' },
+            updates: {
+              type: 'array',
+              minItems: 1,
+              items: {
+                type: 'object',
+                properties: {
+                  task_id: { type: 'string' },
+                  status: { type: 'string', enum: ['open','complete'] },
+                  task_info: { type: 'string' },
+                  scratchpad: { type: 'string' },
+                  comments: { type: 'string' }
                 },
                 required: ['task_id']
               }
@@ -830,9 +1859,36 @@ function buildMcpServer(userId, userName) {
           required: ['project_id','scratchpad_id','updates']
         }
       },
+      {
+        name: 'scratchpad_add_tasks',
+        description: 'Add new tasks to an existing open scratchpad (scratchpad_update_task only changes existing ones). task_ids already in the scratchpad are reported in exists; tasks beyond the scratchpad task cap are not stored and are reported in dropped. Returns { added, exists, dropped, invalid, max_tasks, scratchpad }.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            scratchpad_id: { type: 'string' },
+            tasks: {
+              type: 'array',
+              minItems: 1,
+              items: {
+                type: 'object',
+                properties: {
+                  task_id: { type: 'string' },
+                  status: { type: 'string', enum: ['open','complete'] },
+                  task_info: { type: 'string' },
+                  scratchpad: { type: 'string' },
+                  comments: { type: 'string' }
+                },
+                required: ['task_id','task_info']
+              }
+            }
+          },
+          required: ['project_id','scratchpad_id','tasks']
+        }
+      },
       {
         name: 'scratchpad_append_common_memory',
-        description: 'Append notes to the scratchpad\'s shared common_memory (append‑only). Use this to log core thinking steps, findings, and conclusions for a one‑off task without editing progress.md. Accepts a string or array of strings and returns the updated scratchpad. If you want to store something non-volatile, please edit agents.md or write into the extra_node entry of a task in progress.md. ',
+        description: 'Append notes to the scratchpad\'s shared common_memory (append‑only). Use this to log core thinking steps, findings, and conclusions for a one‑off task without editing progress.md. Accepts a string or array of strings and returns the updated scratchpad. If you want to store something non-volatile, promote it with scratchpad_promote.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -843,6 +1899,60 @@ function buildMcpServer(userId, userName) {
           required: ['project_id','scratchpad_id','append']
         }
       },
+      {
+        name: 'list_scratchpads',
+        description: 'List your scratchpads in a project, most recently updated first, with created/updated time, status (open|archived) and task counts (tasks_open / tasks_complete). Optional status filter. Scratchpads expire after a period without updates (archived ones sooner); expired ones are deleted with their subagent runs.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            status: { type: 'string', enum: ['open','archived'], description: 'Only list scratchpads with this status' }
+          },
+          required: ['project_id']
+        }
+      },
+      {
+        name: 'scratchpad_close',
+        description: 'Close a scratchpad once its one-off task is done. It becomes archived: still readable with review_scratchpad, but further updates are refused, and it expires sooner than open scratchpads.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            scratchpad_id: { type: 'string' }
+          },
+          required: ['project_id','scratchpad_id']
+        }
+      },
+      {
+        name: 'scratchpad_delete',
+        description: 'Permanently delete a scratchpad together with its subagent runs.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            scratchpad_id: { type: 'string' }
+          },
+          required: ['project_id','scratchpad_id']
+        }
+      },
+      {
+        name: 'scratchpad_promote',
+        description: 'Keep the durable results of a scratchpad in the project, as one commit. task_ids: scratchpad tasks to turn into project tasks; each becomes a new task (same task_info, open→pending, complete→completed) with the scratchpad notes and comments in extra_note, or, when targets maps it to an existing project task_id, appends those notes to that task\'s extra_note. section: AGENTS.md section (as in edit_agent_section) to append a quoted block with common_memory to; pass summary to append your own condensed text instead (required when common_memory is over 4000 characters). Works on open and closed scratchpads.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            project_id: { type: 'string' },
+            scratchpad_id: { type: 'string' },
+            task_ids: { type: 'array', items: { type: 'string' }, description: 'Scratchpad task_ids to promote into project tasks' },
+            targets: { type: 'object', additionalProperties: { type: 'string' }, description: 'Optional { scratchpad task_id: project task_id } to update existing project tasks instead of creating new ones' },
+            parent_id: { type: 'string', description: 'Optional parent (8-char task_id) for newly created tasks' },
+            section: { type: 'string', description: 'AGENTS.md section path (e.g. "Notes" or "Setup > Tools") to append the common_memory block to' },
+            summary: { type: 'string', description: 'Text to append instead of the full common_memory' },
+            comment: { type: 'string', description: 'Commit message note; the message always names the scratchpad, e.g. "<comment> (promote scratchpad <scratchpad_id>)"' }
+          },
+          required: ['project_id','scratchpad_id']
+        }
+      },
       {
         name: 'scratchpad_subagent_status',
         description: 'Check subagent run status by run_id for a project. If status is success or failure, return immediately. If pending/in_progress, poll up to 5 times at 5s intervals until it changes; otherwise return the latest status.',
@@ -863,6 +1973,9 @@ function buildMcpServer(userId, userName) {
       result.tools = result.tools.filter(t => t.name !== 'scratchpad_subagent' && t.name !== 'scratchpad_subagent_status');
       result.tools.push(readProjectFileTool);
     }
+    for (const t of result.tools) {
+      if (BASE_HASH_TOOLS.has(t.name) && !t.inputSchema.properties.base_hash) t.inputSchema.properties.base_hash = BASE_HASH_PROPERTY;
+    }
     return result;
   });
 
@@ -874,6 +1987,18 @@ function buildMcpServer(userId, userName) {
       return { content: [{ type: 'text', text }] };
     }
 
+    // Optimistic concurrency: reject a mutation made against a stale view of the project
+    // (write_agent/write_doc handle their own base_hash with a three-way merge)
+    if (BASE_HASH_TOOLS.has(name) && name !== 'write_agent' && name !== 'write_doc' && args?.base_hash) {
+      try {
+        const acc = await dbResolveProjectAccess(userId, String(args.project_id || ''));
+        const conflict = acc ? await vcCheckBaseHash(acc.owner_id, acc.project_id, String(args.base_hash)) : null;
+        if (conflict) return okText(JSON.stringify({ error: 'conflict', ...conflict }));
+      } catch (err) {
+        return okText(JSON.stringify({ error: 'conflict_check_failed', message: String(err?.message || err) }));
+      }
+    }
+
     switch (name) {
       case 'list_projects': {
         const rows = await ops.listProjects();
@@ -1096,97 +2221,266 @@ function buildMcpServer(userId, userName) {
           const finalResult = { status: 'ok', note: 'Tasks use exactly 8 lowercase a-z0-9 IDs (e.g., abcd1234).', ...result };
           return okText(JSON.stringify(finalResult));
         } catch (err) {
-          const msg = String(err?.message || err || 'init failed');
-          const code = /user not authenticated/i.test(msg) ? 'unauthorized' : (/project name required/i.test(msg) ? 'invalid_request' : 'init_failed');
+          const msg = String(err?.message || err || 'init failed');
+          const code = /user not authenticated/i.test(msg) ? 'unauthorized' : (/project name required/i.test(msg) ? 'invalid_request' : 'init_failed');
+          return okText(JSON.stringify({ error: code, message: msg }));
+        }
+      }
+      case 'delete_project': {
+        const { project_id } = args || {};
+        try {
+          const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
+          if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
+          if (acc.permission !== 'owner') return okText(JSON.stringify({ error: 'forbidden', message: 'Only the project owner can delete the project' }));
+          await ops.removeProject(String(project_id || ''));
+          return okText('deleted');
+        } catch (err) {
+          const msg = String(err?.message || err || 'delete failed');
+          const code = /project not found/i.test(msg) ? 'project_not_found' : 'delete_failed';
+          return okText(JSON.stringify({ error: code, message: msg }));
+        }
+      }
+      case 'rename_project': {
+        const { project_id, newName, comment } = args || {};
+        try {
+          const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
+          if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
+          if (acc.permission !== 'owner') return okText(JSON.stringify({ error: 'forbidden', message: 'Only the project owner can rename the project' }));
+          const result = await ops.renameProject(String(project_id || ''), String(newName || ''));
+          try {
+            const hash = await vcCommitProject(acc.owner_id, acc.project_id, { action: 'rename_project', comment, modifiedBy: userId });
+            return okText(JSON.stringify({ ...result, hash }));
+          } catch {
+            return okText(JSON.stringify(result));
+          }
+        } catch (err) {
+          const msg = String(err?.message || err || 'rename failed');
+          const code = /project not found/i.test(msg) ? 'project_not_found' : 'rename_failed';
+          return okText(JSON.stringify({ error: code, message: msg }));
+        }
+      }
+      case 'read_agent': {
+        const { project_id } = args || {};
+        try {
+          const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
+          if (!acc) throw new Error('project not found');
+          const read = await readDocument(acc, DEFAULT_DOC_NAME, args || {});
+          if (read.outline) return okText(JSON.stringify(read));
+          return { content: [{ type: 'text', text: read.text }, { type: 'text', text: JSON.stringify({ hash: read.hash }) }] };
+        } catch (err) {
+          const msg = String(err?.message || err);
+          let code = 'read_failed';
+          if (/project not found/i.test(msg)) code = 'project_not_found';
+          else if (/hash_not_found/i.test(msg)) code = 'hash_not_found';
+          return okText(JSON.stringify({ error: code, message: msg }));
+        }
+      }
+      case 'write_agent': {
+        const acc = await dbResolveProjectAccess(userId, String(args?.project_id || ''));
+        return okText(JSON.stringify(await writeDocument(acc, DEFAULT_DOC_NAME, args || {}, { userId, tool: 'write_agent', readTool: 'read_agent' })));
+      }
+      case 'edit_agent_section': {
+        const { project_id, section, operation, content, comment } = args || {};
+        try {
+          const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
+          if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
+          if (acc.permission === 'ro') return okText(JSON.stringify({ error: 'read_only_project', message: 'You have read-only access to this project.' }));
+          const current = await dbReadDoc(acc.owner_id, acc.project_id, 'agent');
+          let edited;
+          try {
+            edited = editMarkdownSection(current, section, operation, content);
+          } catch (e) {
+            if (e.code === 'section_not_found' || e.code === 'ambiguous_section') {
+              const payload = { error: e.code, message: e.message, suggest: 'read_agent' };
+              if (e.matches) payload.matches = e.matches;
+              else payload.sections = parseMarkdownOutline(current).map(h => h.path);
+              return okText(JSON.stringify(payload));
+            }
+            return okText(JSON.stringify({ error: 'invalid_request', message: String(e?.message || e) }));
+          }
+          await dbWriteDoc(acc.owner_id, acc.project_id, 'agent', edited.text);
+          let hash = null;
+          try { hash = await vcCommitProject(acc.owner_id, acc.project_id, { action: 'edit_agent_section', comment, modifiedBy: userId }); } catch {}
+          return okText(JSON.stringify({ status: 'ok', operation: String(operation).toLowerCase(), section: edited.section, oldBytes: Buffer.byteLength(current, 'utf8'), newBytes: Buffer.byteLength(edited.text, 'utf8'), hash }));
+        } catch (err) {
+          const msg = String(err?.message || err || 'edit failed');
+          const code = /project not found/i.test(msg) ? 'project_not_found' : 'write_failed';
+          return okText(JSON.stringify({ error: code, message: msg }));
+        }
+      }
+      case 'list_docs': {
+        const { project_id } = args || {};
+        try {
+          const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
+          if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
+          const docs = await dbListProjectDocs(acc.owner_id, acc.project_id);
+          const hash = await vcCurrentHash(acc.owner_id, acc.project_id);
+          return okText(JSON.stringify({ docs, hash }));
+        } catch (err) {
+          return okText(JSON.stringify({ error: 'list_failed', message: String(err?.message || err) }));
+        }
+      }
+      case 'read_doc': {
+        const { project_id, name: docName } = args || {};
+        const invalid = docNameError(docName);
+        if (invalid) return okText(JSON.stringify(invalid));
+        try {
+          const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
+          if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
+          const read = await readDocument(acc, docName, args || {});
+          if (read.content === null) {
+            return okText(JSON.stringify({ error: 'doc_not_found', message: `document ${docName} not found${args.at_hash ? ' at that hash' : ''}`, suggest: 'list_docs' }));
+          }
+          if (read.outline) return okText(JSON.stringify(read));
+          return { content: [{ type: 'text', text: read.text }, { type: 'text', text: JSON.stringify({ name: docName, hash: read.hash }) }] };
+        } catch (err) {
+          const msg = String(err?.message || err);
+          const code = /hash_not_found/i.test(msg) ? 'hash_not_found' : 'read_failed';
+          return okText(JSON.stringify({ error: code, message: msg }));
+        }
+      }
+      case 'write_doc': {
+        const invalid = docNameError(args?.name);
+        if (invalid) return okText(JSON.stringify(invalid));
+        const acc = await dbResolveProjectAccess(userId, String(args?.project_id || ''));
+        return okText(JSON.stringify(await writeDocument(acc, args.name, args, { userId, tool: 'write_doc', readTool: 'read_doc' })));
+      }
+      case 'delete_doc': {
+        const { project_id, name: docName, comment } = args || {};
+        const invalid = docNameError(docName);
+        if (invalid) return okText(JSON.stringify(invalid));
+        try {
+          const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
+          if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
+          if (acc.permission === 'ro') return okText(JSON.stringify({ error: 'read_only_project', message: 'You have read-only access to this project.' }));
+          await dbDeleteProjectDoc(acc.owner_id, acc.project_id, docName);
+          let hash = null;
+          try { hash = await vcCommitProject(acc.owner_id, acc.project_id, { action: 'delete_doc', comment: String(comment || '').trim() || `delete ${docName}`, modifiedBy: userId }); } catch {}
+          return okText(JSON.stringify({ status: 'ok', deleted: docName, hash }));
+        } catch (err) {
+          const msg = String(err?.message || err);
+          let code = 'delete_failed';
+          if (/doc_not_found/.test(msg)) code = 'doc_not_found';
+          else if (/default_doc/.test(msg)) code = 'default_doc';
           return okText(JSON.stringify({ error: code, message: msg }));
         }
       }
-      case 'delete_project': {
-        const { project_id } = args || {};
+      case 'adr_create':
+      case 'adr_supersede': {
+        const { project_id, comment } = args || {};
+        const supersede = name === 'adr_supersede';
+        const parsed = normalizeAdrInput({ ...(args || {}), status: args?.status ?? (supersede ? 'accepted' : undefined) });
+        if (parsed.error) return okText(JSON.stringify(parsed));
+        const supersedes = supersede ? parseAdrNumber(args?.number) : null;
+        if (supersede && supersedes === null) return okText(JSON.stringify({ error: 'invalid_request', message: 'number must be an ADR number, e.g. 3 or "ADR-0003"' }));
         try {
           const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
           if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
-          if (acc.permission !== 'owner') return okText(JSON.stringify({ error: 'forbidden', message: 'Only the project owner can delete the project' }));
-          await ops.removeProject(String(project_id || ''));
-          return okText('deleted');
+          if (acc.permission === 'ro') return okText(JSON.stringify({ error: 'read_only_project', message: 'You have read-only access to this project.' }));
+          const adr = await dbCreateProjectAdr(acc.owner_id, acc.project_id, { ...parsed.fields, supersedes });
+          const indexUpdated = await syncAdrIndex(acc);
+          const defaultComment = supersede
+            ? `${adrLabel(adr.number)} supersedes ${adrLabel(supersedes)}: ${adr.title}`
+            : `add ${adrLabel(adr.number)}: ${adr.title}`;
+          let hash = null;
+          try { hash = await vcCommitProject(acc.owner_id, acc.project_id, { action: name, comment: String(comment || '').trim() || defaultComment, modifiedBy: userId }); } catch {}
+          return okText(JSON.stringify({ adr: { ...adr, label: adrLabel(adr.number), superseded_by: null }, index_updated: indexUpdated, hash }));
         } catch (err) {
-          const msg = String(err?.message || err || 'delete failed');
-          const code = /project not found/i.test(msg) ? 'project_not_found' : 'delete_failed';
-          return okText(JSON.stringify({ error: code, message: msg }));
+          const msg = String(err?.message || err);
+          return okText(JSON.stringify({ error: adrErrorCode(msg), message: msg }));
         }
       }
-      case 'rename_project': {
-        const { project_id, newName, comment } = args || {};
+      case 'adr_list': {
+        const { project_id, status } = args || {};
+        const wanted = (Array.isArray(status) ? status : (status == null ? [] : [status])).map(s => String(s).trim().toLowerCase());
+        const unknown = wanted.filter(s => !ADR_STATUSES.includes(s));
+        if (unknown.length) return okText(JSON.stringify({ error: 'invalid_status', message: `unknown status: ${unknown.join(', ')} (allowed: ${ADR_STATUSES.join(', ')})` }));
         try {
           const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
           if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
-          if (acc.permission !== 'owner') return okText(JSON.stringify({ error: 'forbidden', message: 'Only the project owner can rename the project' }));
-          const result = await ops.renameProject(String(project_id || ''), String(newName || ''));
-          try {
-            const hash = await vcCommitProject(acc.owner_id, acc.project_id, { action: 'rename_project', comment, modifiedBy: userId });
-            return okText(JSON.stringify({ ...result, hash }));
-          } catch {
-            return okText(JSON.stringify(result));
-          }
+          const all = withSupersededBy(await dbListProjectAdrs(acc.owner_id, acc.project_id));
+          const adrs = all
+            .filter(a => !wanted.length || wanted.includes(a.status))
+            .map(a => ({ number: a.number, label: adrLabel(a.number), title: a.title, status: a.status, date: a.date, supersedes: a.supersedes, superseded_by: a.superseded_by }));
+          const hash = await vcCurrentHash(acc.owner_id, acc.project_id);
+          return okText(JSON.stringify({ adrs, total: all.length, hash }));
         } catch (err) {
-          const msg = String(err?.message || err || 'rename failed');
-          const code = /project not found/i.test(msg) ? 'project_not_found' : 'rename_failed';
-          return okText(JSON.stringify({ error: code, message: msg }));
+          return okText(JSON.stringify({ error: 'list_failed', message: String(err?.message || err) }));
         }
       }
-      case 'read_agent': {
-        const { project_id, lineNumbers } = args || {};
+      case 'adr_read': {
+        const { project_id, at_hash } = args || {};
+        const number = parseAdrNumber(args?.number);
+        if (number === null) return okText(JSON.stringify({ error: 'invalid_request', message: 'number must be an ADR number, e.g. 3 or "ADR-0003"' }));
         try {
-          const content = await ops.readDoc(String(project_id || ''), 'agent');
-          if (lineNumbers) {
-            const lines = String(content ?? '').split('\n');
-            const numbered = lines.map((l, idx) => `${idx + 1}|${l.replace(/\r$/, '')}`).join('\n');
-            return okText(numbered);
+          const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
+          if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
+          let adrs;
+          let atHash = null;
+          if (at_hash) {
+            const version = await vcReadVersion(acc.owner_id, acc.project_id, String(at_hash));
+            adrs = Array.isArray(version.snapshot.adrs) ? version.snapshot.adrs : [];
+            atHash = version.hash;
+          } else {
+            adrs = await dbListProjectAdrs(acc.owner_id, acc.project_id);
           }
-          return okText(content);
+          const adr = withSupersededBy(adrs).find(a => a.number === number);
+          if (!adr) return okText(JSON.stringify({ error: 'adr_not_found', message: `${adrLabel(number)} not found${at_hash ? ' at that hash' : ''}`, suggest: 'adr_list' }));
+          const hash = await vcCurrentHash(acc.owner_id, acc.project_id);
+          return okText(JSON.stringify({ adr: { ...adr, label: adrLabel(adr.number) }, markdown: renderAdrMarkdown(adr), ...(atHash ? { at_hash: atHash } : {}), hash }));
         } catch (err) {
           const msg = String(err?.message || err);
-          const code = /project not found/i.test(msg) ? 'project_not_found' : 'read_failed';
+          const code = /hash_not_found/i.test(msg) ? 'hash_not_found' : 'read_failed';
           return okText(JSON.stringify({ error: code, message: msg }));
         }
       }
-      case 'write_agent': {
-        const { project_id } = args || {};
-        let { content, patch, mode, comment } = args || {};
-        const editMode = String(mode || (patch ? 'patch' : 'full')).toLowerCase();
+      case 'adr_set_status': {
+        const { project_id, comment } = args || {};
+        const number = parseAdrNumber(args?.number);
+        const status = String(args?.status || '').trim().toLowerCase();
+        if (number === null) return okText(JSON.stringify({ error: 'invalid_request', message: 'number must be an ADR number, e.g. 3 or "ADR-0003"' }));
+        if (!ADR_SETTABLE_STATUSES.includes(status)) {
+          const hint = status === 'superseded' ? ' (use adr_supersede)' : '';
+          return okText(JSON.stringify({ error: 'invalid_status', message: `status must be one of ${ADR_SETTABLE_STATUSES.join(', ')}${hint}` }));
+        }
         try {
           const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
           if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
           if (acc.permission === 'ro') return okText(JSON.stringify({ error: 'read_only_project', message: 'You have read-only access to this project.' }));
-
-          if (editMode === 'full') {
-            if (typeof content !== 'string') throw new Error('content (string) required for full mode');
-            await dbWriteDoc(acc.owner_id, acc.project_id, 'agent', content);
-            let hash = null;
-            try { hash = await vcCommitProject(acc.owner_id, acc.project_id, { action: 'write_agent', comment, modifiedBy: userId }); } catch {}
-            return okText(JSON.stringify({ mode: 'full', status: 'ok', bytes: Buffer.byteLength(content, 'utf8'), hash }));
-          }
-          if (editMode === 'patch' || editMode === 'diff') {
-            if (typeof patch !== 'string') throw new Error('patch (unified diff string) required for patch/diff mode');
-            const current = await dbReadDoc(acc.owner_id, acc.project_id, 'agent');
-            const updated = applyUnifiedDiff(current, patch);
-            await dbWriteDoc(acc.owner_id, acc.project_id, 'agent', updated);
-            let hash = null;
-            try { hash = await vcCommitProject(acc.owner_id, acc.project_id, { action: 'write_agent', comment, modifiedBy: userId }); } catch {}
-            return okText(JSON.stringify({ mode: 'patch', status: 'ok', oldBytes: Buffer.byteLength(current, 'utf8'), newBytes: Buffer.byteLength(updated, 'utf8'), hash }));
+          const res = await dbSetProjectAdrStatus(acc.owner_id, acc.project_id, number, status);
+          const payload = { adr: { ...res.adr, label: adrLabel(number) } };
+          if (res.unchanged) return okText(JSON.stringify({ ...payload, unchanged: true, hash: await vcCurrentHash(acc.owner_id, acc.project_id) }));
+          const indexUpdated = await syncAdrIndex(acc);
+          let hash = null;
+          try { hash = await vcCommitProject(acc.owner_id, acc.project_id, { action: 'adr_set_status', comment: String(comment || '').trim() || `${adrLabel(number)} ${status}`, modifiedBy: userId }); } catch {}
+          return okText(JSON.stringify({ ...payload, index_updated: indexUpdated, hash }));
+        } catch (err) {
+          const msg = String(err?.message || err);
+          return okText(JSON.stringify({ error: adrErrorCode(msg), message: msg }));
+        }
+      }
+      case 'adr_index': {
+        const { project_id, inject, comment } = args || {};
+        try {
+          const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
+          if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
+          const markdown = renderAdrIndex(await dbListProjectAdrs(acc.owner_id, acc.project_id));
+          if (!inject) return okText(JSON.stringify({ markdown, hash: await vcCurrentHash(acc.owner_id, acc.project_id) }));
+          if (acc.permission === 'ro') return okText(JSON.stringify({ error: 'read_only_project', message: 'You have read-only access to this project.' }));
+          const changed = await syncAdrIndex(acc, { inject: true });
+          let hash = null;
+          if (changed) {
+            try { hash = await vcCommitProject(acc.owner_id, acc.project_id, { action: 'adr_index', comment: String(comment || '').trim() || 'update ADR index in AGENTS.md', modifiedBy: userId }); } catch {}
+          } else {
+            hash = await vcCurrentHash(acc.owner_id, acc.project_id);
           }
-          throw new Error(`Unknown mode: ${mode}`);
+          return okText(JSON.stringify({ markdown, injected: true, changed, hash }));
         } catch (err) {
-          const msg = String(err?.message || err || 'write failed');
-          const code = /project_not_found/i.test(msg) || /project not found/i.test(msg) ? 'project_not_found' : (/patch/i.test(msg) ? 'patch_failed' : (/read_only_project/i.test(msg) ? 'read_only_project' : 'write_failed'));
-          const suggest = code === 'project_not_found' ? 'init_project' : (code === 'patch_failed' ? 'read_agent' : undefined);
-          const payload = { error: code, message: msg };
-          if (suggest) payload.suggest = suggest;
-          return okText(JSON.stringify(payload));
+          return okText(JSON.stringify({ error: 'index_failed', message: String(err?.message || err) }));
         }
       }
       case 'read_progress': {
-        const { project_id, only } = args || {};
+        const { project_id, only, at_hash } = args || {};
         const list = Array.isArray(only) ? only : (typeof only === 'undefined' ? [] : [only]);
         let wanted = list.map(normalizeStateFilter).filter(Boolean);
         // Default excludes archived at DB layer when wanted is empty.
@@ -1199,16 +2493,49 @@ function buildMcpServer(userId, userName) {
           if (filterProvided && wanted.length === 0) {
             return okText(JSON.stringify({ tasks: [], markdown: '' }));
           }
-          const rows = await dbListTasks(acc.owner_id, acc.project_id, { only: wanted });
-          const markdown = renderTasksMarkdown(rows);
-          return okText(JSON.stringify({ tasks: rows, markdown }));
+          const query = parseTaskQueryArgs(args || {});
+          if (query.error) return okText(JSON.stringify({ error: query.error, message: query.message }));
+          const { format, ...options } = query;
+          let listed;
+          let atHash = null;
+          if (at_hash) {
+            const version = await vcReadVersion(acc.owner_id, acc.project_id, String(at_hash));
+            atHash = version.hash;
+            listed = await listSnapshotTasks(version.snapshot, { only: wanted, ...options });
+          } else {
+            listed = await dbListTasks(acc.owner_id, acc.project_id, { only: wanted, ...options });
+          }
+          const hash = await vcCurrentHash(acc.owner_id, acc.project_id);
+          const end = options.offset + listed.tasks.length;
+          const payload = {
+            ...(atHash ? { at_hash: atHash } : {}),
+            ...(format !== 'markdown' ? { tasks: listed.tasks } : {}),
+            ...(format !== 'json' ? { markdown: renderTasksMarkdown(listed.tasks) } : {}),
+            total: listed.total,
+            next_cursor: Number.isInteger(options.limit) && end < listed.total ? encodeTaskCursor(end) : null,
+            hash,
+          };
+          return okText(JSON.stringify(payload));
         } catch (err) {
           const msg = String(err?.message || err);
-          const code = /project not found/i.test(msg) ? 'project_not_found' : 'read_failed';
+          let code = 'read_failed';
+          if (/project not found/i.test(msg)) code = 'project_not_found';
+          else if (/hash_not_found/i.test(msg)) code = 'hash_not_found';
           return okText(JSON.stringify({ error: code, message: msg }));
         }
       }
       
+      case 'search_project': {
+        const { project_id, query, types, limit } = args || {};
+        try {
+          const result = await searchProject(userId, String(project_id || ''), query, { types, limit });
+          return okText(JSON.stringify(result));
+        } catch (err) {
+          const msg = String(err?.message || err || 'search failed');
+          const code = /project not found/i.test(msg) ? 'project_not_found' : (/query required|invalid_types/i.test(msg) ? 'invalid_request' : 'search_failed');
+          return okText(JSON.stringify({ error: code, message: msg }));
+        }
+      }
       case 'get_agents_md_best_practices_and_examples': {
         const { include } = args || {};
         const { theArt, examples, rawParsed } = await loadAgentExamplesJson();
@@ -1229,16 +2556,21 @@ function buildMcpServer(userId, userName) {
         return okText(JSON.stringify(result));
       }
       case 'scratchpad_initialize': {
-        const { project_id, tasks } = args || {};
+        const { project_id, tasks, parent_scratchpad_id, parent_task_id } = args || {};
         try {
+          if (Boolean(parent_scratchpad_id) !== Boolean(parent_task_id)) {
+            return okText(JSON.stringify({ error: 'invalid_request', message: 'parent_scratchpad_id and parent_task_id go together' }));
+          }
+          const limits = await scratchpadLimits(userId, String(project_id || ''));
+          const parent = parent_scratchpad_id ? { scratchpad_id: String(parent_scratchpad_id), task_id: String(parent_task_id) } : null;
           // Server generates scratchpad_id
-          const sp = await dbInitScratchpad(userId, String(project_id || ''), '', Array.isArray(tasks) ? tasks : []);
+          const sp = await dbInitScratchpad(userId, String(project_id || ''), '', Array.isArray(tasks) ? tasks : [], { maxTasks: limits.max_tasks, parent, maxDepth: limits.max_depth });
           return okText(JSON.stringify(sp));
         } catch (err) {
           const msg = String(err?.message || err || 'init failed');
-          const code = /project not found/i.test(msg)
-            ? 'project_not_found'
-            : (/failed_to_generate_scratchpad_id/i.test(msg) ? 'init_failed' : 'init_failed');
+          let code = 'init_failed';
+          if (/project not found/i.test(msg)) code = 'project_not_found';
+          else if (/^(parent_not_found|max_depth_exceeded|scratchpad_archived)/.test(msg)) code = msg.split(':')[0];
           return okText(JSON.stringify({ error: code, message: msg }));
         }
       }
@@ -1250,7 +2582,8 @@ function buildMcpServer(userId, userName) {
           // If neither IncludeCM nor IncludeTk is provided, return full content (backwards-compatible default)
           const includeAllByDefault = (typeof IncludeCM === 'undefined' && typeof IncludeTk === 'undefined');
           if (includeAllByDefault) {
-            return okText(JSON.stringify({ tasks: sp.tasks || [], common_memory: sp.common_memory || '' }));
+            const nesting = { ...(sp.parent ? { parent: sp.parent } : {}), ...(sp.sub_scratchpads ? { sub_scratchpads: sp.sub_scratchpads } : {}) };
+            return okText(JSON.stringify({ tasks: sp.tasks || [], common_memory: sp.common_memory || '', ...nesting }));
           }
 
           const result = {};
@@ -1292,7 +2625,20 @@ function buildMcpServer(userId, userName) {
           return okText(JSON.stringify(res));
         } catch (err) {
           const msg = String(err?.message || err || 'update failed');
-          const code = /project not found/i.test(msg) ? 'project_not_found' : (/scratchpad not found/i.test(msg) ? 'scratchpad_not_found' : 'update_failed');
+          const code = /project not found/i.test(msg) ? 'project_not_found' : (/scratchpad not found/i.test(msg) ? 'scratchpad_not_found' : (/scratchpad_archived/.test(msg) ? 'scratchpad_archived' : 'update_failed'));
+          return okText(JSON.stringify({ error: code, message: msg }));
+        }
+      }
+      case 'scratchpad_add_tasks': {
+        const { project_id, scratchpad_id, tasks } = args || {};
+        try {
+          if (!Array.isArray(tasks) || !tasks.length) return okText(JSON.stringify({ error: 'invalid_request', message: 'tasks must be a non-empty array' }));
+          const limits = await scratchpadLimits(userId, String(project_id || ''));
+          const res = await dbAddScratchpadTasks(userId, String(project_id || ''), String(scratchpad_id || ''), tasks, { maxTasks: limits.max_tasks });
+          return okText(JSON.stringify({ ...res, max_tasks: limits.max_tasks }));
+        } catch (err) {
+          const msg = String(err?.message || err || 'add failed');
+          const code = /project not found/i.test(msg) ? 'project_not_found' : (/scratchpad not found/i.test(msg) ? 'scratchpad_not_found' : (/scratchpad_archived/.test(msg) ? 'scratchpad_archived' : 'add_failed'));
           return okText(JSON.stringify({ error: code, message: msg }));
         }
       }
@@ -1303,7 +2649,135 @@ function buildMcpServer(userId, userName) {
           return okText(JSON.stringify(sp));
         } catch (err) {
           const msg = String(err?.message || err || 'append failed');
-          const code = /project not found/i.test(msg) ? 'project_not_found' : (/scratchpad not found/i.test(msg) ? 'scratchpad_not_found' : 'append_failed');
+          const code = /project not found/i.test(msg) ? 'project_not_found' : (/scratchpad not found/i.test(msg) ? 'scratchpad_not_found' : (/scratchpad_archived/.test(msg) ? 'scratchpad_archived' : 'append_failed'));
+          return okText(JSON.stringify({ error: code, message: msg }));
+        }
+      }
+      case 'list_scratchpads': {
+        const { project_id, status } = args || {};
+        try {
+          if (status != null && !['open', 'archived'].includes(status)) {
+            return okText(JSON.stringify({ error: 'invalid_status', message: 'status must be open or archived' }));
+          }
+          const scratchpads = await dbListScratchpads(userId, String(project_id || ''), { status: status || undefined });
+          return okText(JSON.stringify({ project_id: String(project_id || ''), scratchpads }));
+        } catch (err) {
+          const msg = String(err?.message || err || 'list failed');
+          const code = /project not found/i.test(msg) ? 'project_not_found' : 'list_failed';
+          return okText(JSON.stringify({ error: code, message: msg }));
+        }
+      }
+      case 'scratchpad_close': {
+        const { project_id, scratchpad_id } = args || {};
+        try {
+          const { scratchpad, unchanged } = await dbCloseScratchpad(userId, String(project_id || ''), String(scratchpad_id || ''));
+          return okText(JSON.stringify({ ...scratchpad, ...(unchanged ? { unchanged: true } : {}) }));
+        } catch (err) {
+          const msg = String(err?.message || err || 'close failed');
+          const code = /project not found/i.test(msg) ? 'project_not_found' : (/scratchpad not found/i.test(msg) ? 'scratchpad_not_found' : 'close_failed');
+          return okText(JSON.stringify({ error: code, message: msg }));
+        }
+      }
+      case 'scratchpad_delete': {
+        const { project_id, scratchpad_id } = args || {};
+        try {
+          const res = await dbDeleteScratchpad(userId, String(project_id || ''), String(scratchpad_id || ''));
+          return okText(JSON.stringify({ deleted: true, ...res }));
+        } catch (err) {
+          const msg = String(err?.message || err || 'delete failed');
+          const code = /project not found/i.test(msg) ? 'project_not_found' : (/scratchpad not found/i.test(msg) ? 'scratchpad_not_found' : 'delete_failed');
+          return okText(JSON.stringify({ error: code, message: msg }));
+        }
+      }
+      case 'scratchpad_promote': {
+        const { project_id, scratchpad_id, task_ids, targets, parent_id, section, summary, comment } = args || {};
+        try {
+          const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
+          if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
+          if (acc.permission === 'ro') return okText(JSON.stringify({ error: 'read_only_project', message: 'You have read-only access to this project.' }));
+          if (task_ids != null && (!Array.isArray(task_ids) || task_ids.some(t => typeof t !== 'string'))) {
+            return okText(JSON.stringify({ error: 'invalid_request', message: 'task_ids must be an array of scratchpad task_ids' }));
+          }
+          if (targets != null && (typeof targets !== 'object' || Array.isArray(targets))) {
+            return okText(JSON.stringify({ error: 'invalid_request', message: 'targets must be an object of { scratchpad task_id: project task_id }' }));
+          }
+          const wanted = Array.from(new Set(task_ids || []));
+          const sectionPath = typeof section === 'string' ? section.trim() : '';
+          if (!wanted.length && !sectionPath) return okText(JSON.stringify({ error: 'invalid_request', message: 'Provide task_ids and/or section' }));
+          if (parent_id && !validateTaskId(String(parent_id))) return okText(JSON.stringify({ error: 'invalid_request', message: 'parent_id must be an 8-char task id' }));
+          const sp = await dbGetScratchpad(userId, acc.project_id, String(scratchpad_id || ''));
+          const sid = sp.scratchpad_id;
+
+          // Project task operations (validated before anything is written)
+          const byId = new Map((sp.tasks || []).map(t => [t.task_id, t]));
+          const missing = wanted.filter(id => !byId.has(id));
+          if (missing.length) return okText(JSON.stringify({ error: 'task_not_found', message: `Unknown scratchpad task_ids: ${missing.join(', ')}`, missing }));
+          const targetOf = (id) => (targets && targets[id] != null ? String(targets[id]).trim() : null);
+          const badTarget = wanted.find(id => targetOf(id) && !validateTaskId(targetOf(id)));
+          if (badTarget) return okText(JSON.stringify({ error: 'invalid_request', message: `targets.${badTarget} must be an 8-char task id` }));
+          const projectTasks = wanted.some(targetOf) ? (await dbListTasks(acc.owner_id, acc.project_id)).tasks : [];
+          const newIds = generateTaskIds(new Set((await dbListUserTaskIds(acc.owner_id)).map(String)), wanted.filter(id => !targetOf(id)).length);
+          const rawOps = [];
+          const promoted = [];
+          for (const id of wanted) {
+            const t = byId.get(id);
+            const target = targetOf(id);
+            if (target) {
+              const existing = projectTasks.find(p => p.task_id === target);
+              if (!existing) return okText(JSON.stringify({ error: 'task_not_found', message: `Project task ${target} not found`, missing: [target] }));
+              const note = promotedTaskNote(sid, t, { fallbackToInfo: true });
+              rawOps.push({ op: 'update', task_id: target, extra_note: existing.extra_note ? `${existing.extra_note}\n\n${note}` : note });
+              promoted.push({ scratchpad_task_id: id, task_id: target, action: 'updated' });
+            } else {
+              const note = promotedTaskNote(sid, t);
+              const task = { op: 'add', task_id: newIds.shift(), task_info: t.task_info, status: normalizeStatus(t.status), parent_id: parent_id || null };
+              if (note) task.extra_note = note;
+              rawOps.push(task);
+              promoted.push({ scratchpad_task_id: id, task_id: task.task_id, action: 'created' });
+            }
+          }
+          const { operations: ops, errors } = normalizeBatchOperations(rawOps);
+          if (errors.length) return okText(JSON.stringify({ error: 'invalid_task', message: 'Some promoted tasks are invalid', errors }));
+
+          // AGENTS.md block
+          let edited = null;
+          let current = null;
+          if (sectionPath) {
+            const text = typeof summary === 'string' && summary.trim() ? summary : sp.common_memory;
+            if (!String(text || '').trim()) return okText(JSON.stringify({ error: 'invalid_request', message: 'common_memory is empty; pass summary to append' }));
+            if (!(typeof summary === 'string' && summary.trim()) && text.length > PROMOTE_MEMORY_MAX) {
+              return okText(JSON.stringify({ error: 'summary_required', message: `common_memory is ${text.length} characters (max ${PROMOTE_MEMORY_MAX}); pass a condensed summary` }));
+            }
+            current = await dbReadDoc(acc.owner_id, acc.project_id, 'agent');
+            try {
+              edited = editMarkdownSection(current, sectionPath, 'append', promotedMemoryBlock(sid, text));
+            } catch (e) {
+              if (e.code === 'section_not_found' || e.code === 'ambiguous_section') {
+                const payload = { error: e.code, message: e.message, suggest: 'read_agent' };
+                if (e.matches) payload.matches = e.matches;
+                else payload.sections = parseMarkdownOutline(current).map(h => h.path);
+                return okText(JSON.stringify(payload));
+              }
+              return okText(JSON.stringify({ error: 'invalid_request', message: String(e?.message || e) }));
+            }
+          }
+
+          if (ops.length) {
+            const res = await dbApplyTaskBatch(acc.owner_id, acc.project_id, ops, { actorId: userId });
+            if (res.errors) return okText(JSON.stringify({ error: res.errors[0].error, message: res.errors[0].message, errors: res.errors }));
+          }
+          if (edited) await dbWriteDoc(acc.owner_id, acc.project_id, 'agent', edited.text);
+          let hash = null;
+          try { hash = await vcCommitProject(acc.owner_id, acc.project_id, { action: 'scratchpad_promote', comment: String(comment || '').trim() ? `${String(comment).trim()} (promote scratchpad ${sid})` : `promote scratchpad ${sid}`, modifiedBy: userId }); } catch {}
+          return okText(JSON.stringify({
+            scratchpad_id: sid,
+            tasks: promoted,
+            ...(edited ? { section: edited.section, oldBytes: Buffer.byteLength(current, 'utf8'), newBytes: Buffer.byteLength(edited.text, 'utf8') } : {}),
+            hash,
+          }));
+        } catch (err) {
+          const msg = String(err?.message || err || 'promote failed');
+          const code = /project not found/i.test(msg) ? 'project_not_found' : (/scratchpad not found/i.test(msg) ? 'scratchpad_not_found' : 'promote_failed');
           return okText(JSON.stringify({ error: code, message: msg }));
         }
       }
@@ -1379,16 +2853,19 @@ function buildMcpServer(userId, userName) {
             return okText(JSON.stringify({ error: 'invalid_request', message: 'item must be an array of task objects' }));
           }
 
-          const { tasks, invalid } = validateAndNormalizeTasks(incoming);
+          const normalized = validateAndNormalizeTasks(incoming);
+          const { tasks, invalid: unassignable } = await checkTaskAssignees(normalized.tasks, acc.project_id);
+          const invalid = [...normalized.invalid, ...unassignable];
           if (!tasks.length && invalid.length) {
             return okText(JSON.stringify({ added: [], exists: [], invalid, notice: 'No valid tasks to add' }));
           }
           const res = await dbAddTasks(acc.owner_id, acc.project_id, tasks);
+          const allInvalid = [...invalid, ...(res.invalid || [])];
           let hash = null;
           if ((res.added?.length || 0) > 0) {
             try { hash = await vcCommitProject(acc.owner_id, acc.project_id, { action: 'progress_add', comment, modifiedBy: userId }); } catch {}
           }
-          return okText(JSON.stringify({ added: res.added, skipped: res.exists, invalid, hash }));
+          return okText(JSON.stringify({ added: res.added, skipped: res.exists, invalid: allInvalid, hash }));
         } catch (err) {
           const msg = String(err?.message || err || 'add failed');
           const code = /project not found/i.test(msg) ? 'project_not_found' : 'add_failed';
@@ -1396,7 +2873,7 @@ function buildMcpServer(userId, userName) {
         }
       }
       case 'progress_set_new_state': {
-        const { project_id, match, state, task_info, parent_id, extra_note, comment } = args || {};
+        const { project_id, match, state, task_info, parent_id, extra_note, depends_on, priority, due_date, assignee, labels, comment } = args || {};
         try {
           const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
           if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
@@ -1422,8 +2899,27 @@ function buildMcpServer(userId, userName) {
           if (!matchList.length) throw new Error('match required');
           const ids = matchList.filter(validateTaskId);
           const terms = matchList.filter(s => !validateTaskId(s));
-          const res = await dbSetTasksState(acc.owner_id, acc.project_id, { matchIds: ids, matchText: terms, state: normalizedState, task_info, parent_id, extra_note });
+          let dependsOn;
+          if (typeof depends_on !== 'undefined') {
+            dependsOn = normalizeDependsOn(depends_on);
+            if (!dependsOn) return okText(JSON.stringify({ error: 'invalid_request', message: 'depends_on must be an array of 8-char task_ids' }));
+          }
+          const meta = normalizeTaskMeta({ priority, due_date, assignee, labels });
+          if (meta.error) return okText(JSON.stringify({ error: meta.error, message: meta.hint }));
+          if (!(await assigneeHasAccess(meta.fields.assignee, acc.project_id))) {
+            return okText(JSON.stringify({ error: 'invalid_assignee', message: 'assignee must be a user with access to this project' }));
+          }
+          const res = await dbSetTasksState(acc.owner_id, acc.project_id, { matchIds: ids, matchText: terms, state: normalizedState, task_info, parent_id, extra_note, depends_on: dependsOn, ...meta.fields, actorId: userId });
           if (res.changedIds.length === 0) {
+            if ((res.cyclic?.length || 0) > 0) {
+              return okText(JSON.stringify({ error: 'dependency_cycle', message: 'depends_on would create a dependency cycle', cyclic: res.cyclic }));
+            }
+            if ((res.parentCycles?.length || 0) > 0) {
+              return okText(JSON.stringify({ error: 'parent_cycle', message: 'parent_id would make a task its own ancestor', parent_cycles: res.parentCycles }));
+            }
+            if ((res.blocked?.length || 0) > 0) {
+              return okText(JSON.stringify({ error: 'task_blocked', message: 'Task is blocked by incomplete dependencies', blocked: res.blocked }));
+            }
             if ((res.notMatched?.length || 0) > 0 && (res.forbidden?.length || 0) === 0) {
               return okText(JSON.stringify({ error: 'task_not_found', message: 'No matching tasks found for provided match terms', notMatched: res.notMatched }));
             }
@@ -1431,10 +2927,178 @@ function buildMcpServer(userId, userName) {
           }
           let hash = null;
           try { hash = await vcCommitProject(acc.owner_id, acc.project_id, { action: 'progress_set_new_state', comment, modifiedBy: userId }); } catch {}
-          return okText(JSON.stringify({ changed: res.changedIds, state: normalizedState, notMatched: res.notMatched, forbidden: res.forbidden, hash }));
+          return okText(JSON.stringify({ changed: res.changedIds, state: normalizedState, notMatched: res.notMatched, forbidden: res.forbidden, blocked: res.blocked, cyclic: res.cyclic, parent_cycles: res.parentCycles, hash }));
         } catch (err) {
           const msg = String(err?.message || err || 'set_state failed');
-          const code = /project not found/i.test(msg) ? 'project_not_found' : 'update_failed';
+          const code = /project not found/i.test(msg) ? 'project_not_found' : (/dependency_not_found/i.test(msg) ? 'invalid_dependency' : 'update_failed');
+          return okText(JSON.stringify({ error: code, message: msg }));
+        }
+      }
+      case 'progress_move': {
+        const { project_id, task_id, parent_id, index, before_id, after_id, comment } = args || {};
+        try {
+          const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
+          if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
+          if (acc.permission === 'ro') return okText(JSON.stringify({ error: 'read_only_project', message: 'You have read-only access to this project.' }));
+          const ids = { task_id, before_id, after_id, ...(parent_id ? { parent_id } : {}) };
+          for (const [key, value] of Object.entries(ids)) {
+            if (typeof value !== 'undefined' && !validateTaskId(String(value))) return okText(JSON.stringify({ error: 'invalid_request', message: `${key} must be an 8-char task id` }));
+          }
+          if (!task_id) return okText(JSON.stringify({ error: 'invalid_request', message: 'task_id required' }));
+          if ([index, before_id, after_id].filter(v => typeof v !== 'undefined').length > 1) {
+            return okText(JSON.stringify({ error: 'invalid_request', message: 'Provide at most one of index, before_id, after_id' }));
+          }
+          if (typeof index !== 'undefined' && (!Number.isInteger(index) || index < 0)) {
+            return okText(JSON.stringify({ error: 'invalid_request', message: 'index must be a non-negative integer' }));
+          }
+          const res = await dbMoveTask(acc.owner_id, acc.project_id, String(task_id), { parentId: typeof parent_id === 'undefined' ? undefined : (parent_id || null), index, beforeId: before_id, afterId: after_id });
+          if (res.unchanged) return okText(JSON.stringify({ ...res, notice: 'Task is already at that place', hash: await vcCurrentHash(acc.owner_id, acc.project_id) }));
+          let hash = null;
+          try { hash = await vcCommitProject(acc.owner_id, acc.project_id, { action: 'progress_move', comment, modifiedBy: userId }); } catch {}
+          return okText(JSON.stringify({ ...res, hash }));
+        } catch (err) {
+          const msg = String(err?.message || err || 'move failed');
+          let code = 'move_failed';
+          if (/project not found/i.test(msg)) code = 'project_not_found';
+          else if (/^(task_not_found|parent_not_found|move_cycle|task_locked|invalid_move)/.test(msg)) code = msg.split(':')[0];
+          return okText(JSON.stringify({ error: code, message: msg, ...(err?.cycle ? { cycle: err.cycle } : {}) }));
+        }
+      }
+      case 'progress_delete': {
+        const { project_id, task_id, children, comment } = args || {};
+        try {
+          const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
+          if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
+          if (acc.permission === 'ro') return okText(JSON.stringify({ error: 'read_only_project', message: 'You have read-only access to this project.' }));
+          if (!validateTaskId(String(task_id || ''))) return okText(JSON.stringify({ error: 'invalid_request', message: 'task_id must be an 8-char task id' }));
+          if (children != null && !TASK_DELETE_CHILDREN.includes(children)) {
+            return okText(JSON.stringify({ error: 'invalid_request', message: `children must be one of ${TASK_DELETE_CHILDREN.join(', ')}` }));
+          }
+          const res = await dbDeleteTask(acc.owner_id, acc.project_id, String(task_id), { children: children || 'refuse' });
+          let hash = null;
+          try { hash = await vcCommitProject(acc.owner_id, acc.project_id, { action: 'progress_delete', comment: comment || `delete ${task_id}`, modifiedBy: userId }); } catch {}
+          return okText(JSON.stringify({ ...res, hash }));
+        } catch (err) {
+          const msg = String(err?.message || err || 'delete failed');
+          let code = 'delete_failed';
+          if (/project not found/i.test(msg)) code = 'project_not_found';
+          else if (/^(task_not_found|task_locked|has_children)/.test(msg)) code = msg.split(':')[0];
+          return okText(JSON.stringify({ error: code, message: msg, ...(err?.children ? { children: err.children } : {}) }));
+        }
+      }
+      case 'progress_apply_template': {
+        const { project_id, template, variables, parent_id, comment } = args || {};
+        try {
+          const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
+          if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
+          if (acc.permission === 'ro') return okText(JSON.stringify({ error: 'read_only_project', message: 'You have read-only access to this project.' }));
+          if (!template || typeof template !== 'string') return okText(JSON.stringify({ error: 'invalid_request', message: 'template (name or id) required' }));
+          if (variables != null && (typeof variables !== 'object' || Array.isArray(variables))) {
+            return okText(JSON.stringify({ error: 'invalid_request', message: 'variables must be an object of placeholder values' }));
+          }
+          if (parent_id && !validateTaskId(String(parent_id))) return okText(JSON.stringify({ error: 'invalid_request', message: 'parent_id must be an 8-char task id' }));
+          // Templates belong to the caller, not the project owner
+          const tpl = await dbGetTaskTemplate(userId, template.trim());
+          if (!tpl) {
+            const available = (await dbListTaskTemplates(userId)).map(t => t.name);
+            return okText(JSON.stringify({ error: 'template_not_found', message: `No template named ${template}`, available }));
+          }
+          const count = countTemplateTasks(tpl.tasks);
+          const ids = generateTaskIds(new Set((await dbListUserTaskIds(acc.owner_id)).map(String)), count);
+          if (ids.length < count) return okText(JSON.stringify({ error: 'generation_exhausted', message: 'Unable to generate enough unique IDs' }));
+          const inst = instantiateTemplate(tpl, { variables, newId: () => ids.shift(), parentId: parent_id || null });
+          if (inst.error) return okText(JSON.stringify({ error: inst.error, message: `Provide values for: ${inst.missing.join(', ')}`, missing: inst.missing }));
+          // Substituted text can still break task rules (e.g. a label over 40 chars)
+          const normalized = validateAndNormalizeTasks(inst.tasks);
+          if (normalized.invalid.length) return okText(JSON.stringify({ error: 'invalid_template_output', message: 'Some instantiated tasks are invalid', invalid: normalized.invalid }));
+          const res = await dbApplyTaskBatch(acc.owner_id, acc.project_id, normalized.tasks.map(task => ({ op: 'add', task })), { actorId: userId });
+          if (res.errors) return okText(JSON.stringify({ error: res.errors[0].error, message: res.errors[0].message, errors: res.errors }));
+          let hash = null;
+          try { hash = await vcCommitProject(acc.owner_id, acc.project_id, { action: 'progress_apply_template', comment: comment || `apply template ${tpl.name}`, modifiedBy: userId }); } catch {}
+          return okText(JSON.stringify({
+            template: { id: tpl.id, name: tpl.name, scope: tpl.scope },
+            added: normalized.tasks.map(t => ({ task_id: t.task_id, task_info: t.task_info, parent_id: t.parent_id })),
+            hash,
+          }));
+        } catch (err) {
+          const msg = String(err?.message || err || 'apply failed');
+          const code = /project not found/i.test(msg) ? 'project_not_found' : 'apply_failed';
+          return okText(JSON.stringify({ error: code, message: msg }));
+        }
+      }
+      case 'progress_batch': {
+        const { project_id, operations, comment } = args || {};
+        try {
+          const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
+          if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
+          if (acc.permission === 'ro') return okText(JSON.stringify({ error: 'read_only_project', message: 'You have read-only access to this project.' }));
+          let list = operations;
+          if (typeof list === 'string') {
+            try { list = JSON.parse(list.trim()); } catch { list = null; }
+          }
+          if (!Array.isArray(list) || !list.length) return okText(JSON.stringify({ error: 'invalid_request', message: 'operations must be a non-empty array' }));
+          if (list.length > TASK_BATCH_MAX_OPERATIONS) return okText(JSON.stringify({ error: 'invalid_request', message: `At most ${TASK_BATCH_MAX_OPERATIONS} operations per batch` }));
+          const { operations: ops, errors } = normalizeBatchOperations(list);
+          for (const [index, op] of list.entries()) {
+            const assignee = op?.assignee;
+            if (assignee && typeof assignee === 'string' && !(await assigneeHasAccess(assignee.trim(), acc.project_id))) {
+              errors.push({ index, op: op.op, task_id: op.task_id ?? null, error: 'invalid_assignee', message: 'assignee must be a user with access to this project' });
+            }
+          }
+          if (errors.length) {
+            errors.sort((a, b) => a.index - b.index);
+            return okText(JSON.stringify({ error: 'batch_invalid', message: 'No operations were applied', errors }));
+          }
+          const res = await dbApplyTaskBatch(acc.owner_id, acc.project_id, ops, { actorId: userId });
+          if (res.errors) return okText(JSON.stringify({ error: 'batch_failed', message: 'No operations were applied', errors: res.errors }));
+          let hash = null;
+          try { hash = await vcCommitProject(acc.owner_id, acc.project_id, { action: 'progress_batch', comment, modifiedBy: userId }); } catch {}
+          return okText(JSON.stringify({ applied: res.results.length, results: res.results, hash }));
+        } catch (err) {
+          const msg = String(err?.message || err || 'batch failed');
+          const code = /project not found/i.test(msg) ? 'project_not_found' : 'batch_failed';
+          return okText(JSON.stringify({ error: code, message: msg }));
+        }
+      }
+      case 'progress_add_comment': {
+        const { project_id, task_id, text, run_id, commit_hash } = args || {};
+        try {
+          const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
+          if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
+          if (acc.permission === 'ro') return okText(JSON.stringify({ error: 'read_only_project', message: 'You have read-only access to this project.' }));
+          if (!validateTaskId(String(task_id || ''))) return okText(JSON.stringify({ error: 'invalid_request', message: 'task_id must be an 8-char task id' }));
+          const body = typeof text === 'string' ? text.trim() : '';
+          if (!body) return okText(JSON.stringify({ error: 'invalid_request', message: 'text required' }));
+          if (body.length > TASK_COMMENT_MAX_LENGTH) return okText(JSON.stringify({ error: 'invalid_request', message: `text must be at most ${TASK_COMMENT_MAX_LENGTH} characters` }));
+          // Links are stored resolved so a later tag move does not change what the comment points at
+          let commitHash = null;
+          if (commit_hash) commitHash = (await vcReadVersion(acc.owner_id, acc.project_id, String(commit_hash))).hash;
+          const added = await dbAddTaskComment(acc.owner_id, acc.project_id, String(task_id), { authorId: userId, text: body, runId: run_id ? String(run_id).trim() : null, commitHash });
+          let hash = null;
+          try { hash = await vcCommitProject(acc.owner_id, acc.project_id, { action: 'progress_add_comment', comment: `comment on ${task_id}`, modifiedBy: userId }); } catch {}
+          return okText(JSON.stringify({ comment: added, hash }));
+        } catch (err) {
+          const msg = String(err?.message || err || 'comment failed');
+          let code = 'comment_failed';
+          if (/project not found/i.test(msg)) code = 'project_not_found';
+          else if (/task_not_found/i.test(msg)) code = 'task_not_found';
+          else if (/hash_not_found/i.test(msg)) code = 'hash_not_found';
+          return okText(JSON.stringify({ error: code, message: msg }));
+        }
+      }
+      case 'progress_list_comments': {
+        const { project_id, task_id, kind, limit } = args || {};
+        try {
+          const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
+          if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
+          if (task_id && !validateTaskId(String(task_id))) return okText(JSON.stringify({ error: 'invalid_request', message: 'task_id must be an 8-char task id' }));
+          if (kind && !['comment', 'status'].includes(kind)) return okText(JSON.stringify({ error: 'invalid_request', message: 'kind must be comment or status' }));
+          const n = Number.isFinite(limit) ? Math.min(500, Math.max(1, Math.floor(limit))) : undefined;
+          const res = await dbListTaskComments(acc.owner_id, acc.project_id, { taskId: task_id ? String(task_id) : undefined, kind, limit: n });
+          return okText(JSON.stringify(res));
+        } catch (err) {
+          const msg = String(err?.message || err || 'list failed');
+          const code = /project not found/i.test(msg) ? 'project_not_found' : 'read_failed';
           return okText(JSON.stringify({ error: code, message: msg }));
         }
       }
@@ -1442,53 +3106,155 @@ function buildMcpServer(userId, userName) {
         const { count } = args || {};
         const n = Math.min(200, Math.max(1, Number.isFinite(count) ? Math.floor(count) : 5));
         const existing = new Set((await dbListUserTaskIds(userId)).map(String));
-        const alphabet = 'abcdefghijklmnopqrstuvwxyz0123456789';
-        function rand8() {
-          let s = '';
-          for (let i = 0; i < 8; i++) s += alphabet[Math.floor(Math.random() * alphabet.length)];
-          return s;
+        const ids = generateTaskIds(existing, n);
+        if (ids.length < n) {
+          return okText(JSON.stringify({ error: 'generation_exhausted', message: 'Unable to generate enough unique IDs', generated: ids }));
+        }
+        return okText(JSON.stringify({ ids }));
+      }
+      case 'list_project_logs': {
+        const { project_id, branch } = args || {};
+        try {
+          const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
+          if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
+          const logs = await vcListLogs(acc.owner_id, acc.project_id, { branch: branch ? String(branch) : undefined });
+          return okText(JSON.stringify(branch ? { branch: String(branch), logs } : { logs }));
+        } catch (err) {
+          const msg = String(err?.message || err || 'list logs failed');
+          let code = 'list_failed';
+          if (/project not found/i.test(msg)) code = 'project_not_found';
+          else if (/branch_not_found/i.test(msg)) code = 'branch_not_found';
+          return okText(JSON.stringify({ error: code, message: msg }));
         }
-        const ids = new Set();
-        let attempts = 0;
-        const maxAttempts = n * 1000;
-        while (ids.size < n && attempts < maxAttempts) {
-          attempts++;
-          const id = rand8();
-          if (!existing.has(id) && !ids.has(id)) ids.add(id);
+      }
+      case 'list_branches': {
+        const { project_id } = args || {};
+        try {
+          const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
+          if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
+          const res = await vcListBranches(acc.owner_id, acc.project_id);
+          return okText(JSON.stringify({ project_id: acc.project_id, ...res }));
+        } catch (err) {
+          const msg = String(err?.message || err || 'list branches failed');
+          const code = /project not found/i.test(msg) ? 'project_not_found' : 'list_failed';
+          return okText(JSON.stringify({ error: code, message: msg }));
         }
-        if (ids.size < n) {
-          return okText(JSON.stringify({ error: 'generation_exhausted', message: 'Unable to generate enough unique IDs', generated: Array.from(ids.values()) }));
+      }
+      case 'create_branch':
+      case 'switch_branch':
+      case 'merge_branch': {
+        const { project_id } = args || {};
+        try {
+          const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
+          if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
+          if (acc.permission === 'ro') return okText(JSON.stringify({ error: 'read_only_project', message: 'You have read-only access to this project.' }));
+          let res;
+          if (name === 'create_branch') {
+            res = await vcCreateBranch(acc.owner_id, acc.project_id, String(args?.name || ''), {
+              fromHash: args?.from_hash ? String(args.from_hash) : null,
+              switchTo: !!args?.switch,
+              createdBy: userId,
+            });
+          } else if (name === 'switch_branch') {
+            res = await vcSwitchBranch(acc.owner_id, acc.project_id, String(args?.name || ''));
+          } else {
+            res = await vcMergeBranch(acc.owner_id, acc.project_id, String(args?.source || ''), {
+              onConflict: String(args?.on_conflict || 'abort').toLowerCase(),
+              comment: args?.comment,
+              modifiedBy: userId,
+            });
+          }
+          return okText(JSON.stringify({ project_id: acc.project_id, ...res }));
+        } catch (err) {
+          const msg = String(err?.message || err || `${name} failed`);
+          if (err?.code === 'merge_conflict') {
+            return okText(JSON.stringify({ error: 'merge_conflict', message: msg, base: err.base, conflicts: err.conflicts, suggest: 'Resolve on either branch and merge again, or retry with on_conflict=markers|ours|theirs.' }));
+          }
+          let code = `${name.split('_')[0]}_failed`;
+          for (const c of ['project_not_found', 'branch_not_found', 'branch_exists', 'branch_empty', 'invalid_branch_name', 'hash_not_found', 'invalid_on_conflict', 'invalid_arguments']) {
+            if (msg.startsWith(c)) { code = c; break; }
+          }
+          if (/project not found/i.test(msg)) code = 'project_not_found';
+          return okText(JSON.stringify({ error: code, message: msg }));
         }
-        return okText(JSON.stringify({ ids: Array.from(ids.values()) }));
       }
-      case 'list_project_logs': {
+      case 'list_tags': {
         const { project_id } = args || {};
         try {
           const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
           if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
-          const logs = await vcListLogs(acc.owner_id, acc.project_id);
-          return okText(JSON.stringify({ logs }));
+          const tags = await vcListTags(acc.owner_id, acc.project_id);
+          return okText(JSON.stringify({ project_id: acc.project_id, tags }));
         } catch (err) {
-          const msg = String(err?.message || err || 'list logs failed');
+          const msg = String(err?.message || err || 'list tags failed');
           const code = /project not found/i.test(msg) ? 'project_not_found' : 'list_failed';
           return okText(JSON.stringify({ error: code, message: msg }));
         }
       }
+      case 'tag_commit':
+      case 'delete_tag': {
+        const { project_id } = args || {};
+        try {
+          const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
+          if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
+          if (acc.permission === 'ro') return okText(JSON.stringify({ error: 'read_only_project', message: 'You have read-only access to this project.' }));
+          if (name === 'tag_commit') {
+            const tag = await vcCreateTag(acc.owner_id, acc.project_id, String(args?.name || ''), args?.hash ? String(args.hash) : null, userId);
+            return okText(JSON.stringify({ project_id: acc.project_id, tag }));
+          }
+          const removed = await vcDeleteTag(acc.owner_id, acc.project_id, String(args?.name || ''));
+          return okText(JSON.stringify({ project_id: acc.project_id, deleted: removed.name, hash: removed.hash }));
+        } catch (err) {
+          const msg = String(err?.message || err || `${name} failed`);
+          let code = name === 'tag_commit' ? 'tag_failed' : 'delete_failed';
+          for (const c of ['invalid_tag_name', 'tag_exists', 'tag_not_found', 'hash_not_found']) {
+            if (msg.startsWith(c)) { code = c; break; }
+          }
+          if (/project not found/i.test(msg)) code = 'project_not_found';
+          return okText(JSON.stringify({ error: code, message: msg }));
+        }
+      }
+      case 'diff_project_versions': {
+        const { project_id, from_hash, to_hash } = args || {};
+        try {
+          const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
+          if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
+          const diff = await vcDiffVersions(acc.owner_id, acc.project_id, String(from_hash || ''), to_hash ? String(to_hash) : null);
+          return okText(JSON.stringify({ project_id: acc.project_id, ...diff }));
+        } catch (err) {
+          const msg = String(err?.message || err || 'diff failed');
+          let code = 'diff_failed';
+          if (/project not found/i.test(msg)) code = 'project_not_found';
+          else if (/hash_not_found/i.test(msg)) code = 'hash_not_found';
+          else if (/from_hash required/i.test(msg)) code = 'invalid_arguments';
+          return okText(JSON.stringify({ error: code, message: msg }));
+        }
+      }
       case 'revert_project': {
-        const { project_id, hash } = args || {};
+        const { project_id, hash, comment, task_ids } = args || {};
+        const mode = args?.mode ? String(args.mode).toLowerCase() : undefined;
+        const scope = String(args?.scope || 'all').toLowerCase();
         try {
           const acc = await dbResolveProjectAccess(userId, String(project_id || ''));
           if (!acc) return okText(JSON.stringify({ error: 'project_not_found', message: 'project not found' }));
           if (acc.permission === 'ro') return okText(JSON.stringify({ error: 'read_only_project', message: 'You have read-only access to this project.' }));
-          const res = await vcRevertProject(acc.owner_id, acc.project_id, String(hash || ''), userId);
-          return okText(JSON.stringify({ project_id: acc.project_id, hash: res.hash }));
+          if (task_ids != null && !Array.isArray(task_ids)) return okText(JSON.stringify({ error: 'invalid_arguments', message: 'task_ids must be an array of task ids' }));
+          const res = await vcRevertProject(acc.owner_id, acc.project_id, String(hash || ''), userId, { mode, comment, scope, taskIds: task_ids ?? null });
+          return okText(JSON.stringify({ project_id: acc.project_id, ...res }));
         } catch (err) {
           const msg = String(err?.message || err || 'revert failed');
           let code = 'revert_failed';
           if (/project not found/i.test(msg)) code = 'project_not_found';
           else if (/read_only_project/i.test(msg)) code = 'read_only_project';
           else if (/hash_not_found/i.test(msg)) code = 'hash_not_found';
-          return okText(JSON.stringify({ error: code, message: msg }));
+          else if (/invalid_mode/i.test(msg)) code = 'invalid_mode';
+          else if (/invalid_scope/i.test(msg)) code = 'invalid_scope';
+          else if (/invalid_arguments/i.test(msg)) code = 'invalid_arguments';
+          else if (/task_not_found/i.test(msg)) code = 'task_not_found';
+          else if (/most recent consecutive/i.test(msg)) {
+            return okText(JSON.stringify({ error: 'revert_not_allowed', message: msg, suggest: 'Use mode=new_commit to restore this version without discarding history.' }));
+          }
+          return okText(JSON.stringify({ error: code, message: msg, ...(err?.missing ? { missing: err.missing } : {}) }));
         }
       }
       default:
@@ -1561,9 +3327,31 @@ app.get('/env/public', (req, res) => {
 app.use('/auth', buildAuthRouter());
 
 // Projects REST API (admin + user apiKey)
-// Mount under /project: exposes /project/list, /project/share, /project/status, /project/files
+// Mount under /project: exposes /project/list, /project/share, /project/status, /project/files, /project/search
 app.use('/project', buildProjectsRouter());
 app.use('/project', buildProjectFilesRouter());
+app.use('/project', buildProjectSearchRouter());
+app.use('/project', buildProjectHistoryRouter());
+app.use('/project', buildScratchpadsRouter());
+
+// Task templates REST API (user apiKey: own templates; MAIN_API_KEY: server-wide templates)
+app.use('/templates', buildTemplatesRouter());
+
+// Node timers overflow past 2^31-1 ms (~24.8 days) and then fire immediately, so periodic jobs
+// chain timeouts and wait out longer periods in capped steps
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+function runEvery(ms, task) {
+  const wait = (remaining) => {
+    const timer = setTimeout(() => {
+      if (remaining > MAX_TIMER_MS) return wait(remaining - MAX_TIMER_MS);
+      task();
+      wait(ms);
+    }, Math.min(remaining, MAX_TIMER_MS));
+    timer.unref();
+  };
+  wait(ms);
+}
 
 // Start server (with Next.js UI mounted at /ui)
 async function start() {
@@ -1584,6 +3372,30 @@ async function start() {
     console.log(`Admin auth endpoint: http://${HOST}:${PORT}/auth (Bearer MAIN_API_KEY)`);
     console.log(`UI available at: http://${HOST}:${PORT}/ui`);
   });
+
+  // Periodic history compaction (HISTORY_COMPACT_INTERVAL_HOURS; unset or 0 disables it)
+  const compactHours = Number(process.env.HISTORY_COMPACT_INTERVAL_HOURS || 0);
+  if (Number.isFinite(compactHours) && compactHours > 0) {
+    runEvery(compactHours * 60 * 60 * 1000, () => {
+      vcCompactAllProjects(vcRetentionPolicy())
+        .then(r => console.log(`History compaction reclaimed ${r.total_reclaimed_bytes} bytes across ${r.projects.length} project(s)`))
+        .catch(err => console.error('History compaction failed:', err));
+    });
+  } else if (process.env.HISTORY_COMPACT_INTERVAL_HOURS && compactHours !== 0) {
+    console.warn(`Ignoring HISTORY_COMPACT_INTERVAL_HOURS=${process.env.HISTORY_COMPACT_INTERVAL_HOURS}: expected a positive number of hours`);
+  }
+
+  // Scratchpad expiry sweep (SCRATCHPAD_SWEEP_INTERVAL_MINUTES, default 60; 0 disables it)
+  const sweepMinutes = Number(process.env.SCRATCHPAD_SWEEP_INTERVAL_MINUTES ?? 60);
+  if (Number.isFinite(sweepMinutes) && sweepMinutes > 0) {
+    runEvery(sweepMinutes * 60 * 1000, () => {
+      sweepExpiredScratchpads()
+        .then(r => { if (r.deleted_scratchpads || r.deleted_runs) console.log(`Scratchpad sweep removed ${r.deleted_scratchpads} scratchpad(s) and ${r.deleted_runs} subagent run(s)`); })
+        .catch(err => console.error('Scratchpad sweep failed:', err));
+    });
+  } else if (sweepMinutes !== 0) {
+    console.warn(`Ignoring SCRATCHPAD_SWEEP_INTERVAL_MINUTES=${process.env.SCRATCHPAD_SWEEP_INTERVAL_MINUTES}: expected a positive number of minutes`);
+  }
 }
 
 start().catch(err => {
@@ -0,0 +1,102 @@
+// Architecture decision records: numbered, per-project records of why a choice was made. Records
+// are never deleted; a decision that no longer holds is deprecated or superseded by a newer record.
+// The rendered index can be injected into AGENTS.md between ADR_INDEX_START / ADR_INDEX_END and is
+// refreshed on every ADR change once it is there.
+
+export const ADR_STATUSES = ['proposed', 'accepted', 'superseded', 'deprecated'];
+// Statuses that can be set directly; 'superseded' is only reached through adr_supersede
+export const ADR_SETTABLE_STATUSES = ['proposed', 'accepted', 'deprecated'];
+
+export const ADR_INDEX_START = '<!-- adr-index:start -->';
+export const ADR_INDEX_END = '<!-- adr-index:end -->';
+
+const ADR_TEXT_FIELDS = ['context', 'decision', 'consequences'];
+const ADR_TITLE_MAX = 200;
+
+export function adrLabel(number) {
+  return `ADR-${String(number).padStart(4, '0')}`;
+}
+
+function isValidDate(s) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return false;
+  const d = new Date(`${s}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === s;
+}
+
+// Validates the fields of a new record. Returns { fields } or { error, message }.
+export function normalizeAdrInput(input) {
+  const title = typeof input.title === 'string' ? input.title.trim() : '';
+  if (!title || title.length > ADR_TITLE_MAX) return { error: 'invalid_adr', message: `title must be 1-${ADR_TITLE_MAX} characters` };
+  const fields = { title };
+  for (const f of ADR_TEXT_FIELDS) {
+    if (input[f] != null && typeof input[f] !== 'string') return { error: 'invalid_adr', message: `${f} must be a string` };
+    fields[f] = String(input[f] ?? '').trim();
+  }
+  if (!fields.context || !fields.decision) return { error: 'invalid_adr', message: 'context and decision are required' };
+  const status = input.status == null ? 'proposed' : String(input.status).trim().toLowerCase();
+  if (!ADR_SETTABLE_STATUSES.includes(status)) return { error: 'invalid_status', message: `status must be one of ${ADR_SETTABLE_STATUSES.join(', ')}` };
+  fields.status = status;
+  if (input.date != null) {
+    const date = String(input.date).trim();
+    if (!isValidDate(date)) return { error: 'invalid_adr', message: 'date must be YYYY-MM-DD' };
+    fields.date = date;
+  } else {
+    fields.date = new Date().toISOString().slice(0, 10);
+  }
+  return { fields };
+}
+
+// Adds superseded_by (the number of the record that supersedes this one, or null)
+export function withSupersededBy(adrs) {
+  const by = new Map();
+  for (const a of adrs) if (a.supersedes != null) by.set(a.supersedes, a.number);
+  return adrs.map(a => ({ ...a, superseded_by: by.get(a.number) ?? null }));
+}
+
+export function renderAdrMarkdown(adr) {
+  const lines = [`# ${adrLabel(adr.number)}: ${adr.title}`, '', `- Status: ${adr.status}`, `- Date: ${adr.date}`];
+  if (adr.supersedes != null) lines.push(`- Supersedes: ${adrLabel(adr.supersedes)}`);
+  if (adr.superseded_by != null) lines.push(`- Superseded by: ${adrLabel(adr.superseded_by)}`);
+  lines.push('', '## Context', '', adr.context, '', '## Decision', '', adr.decision);
+  if (adr.consequences) lines.push('', '## Consequences', '', adr.consequences);
+  return lines.join('\n') + '\n';
+}
+
+// Markdown table of every record, newest first
+export function renderAdrIndex(adrs) {
+  const list = withSupersededBy(adrs).sort((a, b) => b.number - a.number);
+  if (!list.length) return '_No architecture decisions recorded yet._\n';
+  const cell = (s) => String(s).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  const rows = list.map(a => {
+    const note = a.superseded_by != null ? ` (by ${adrLabel(a.superseded_by)})` : '';
+    return `| ${adrLabel(a.number)} | ${cell(a.title)} | ${a.status}${note} | ${a.date} |`;
+  });
+  return ['| ADR | Title | Status | Date |', '| --- | --- | --- | --- |', ...rows].join('\n') + '\n';
+}
+
+export function hasAdrIndex(content) {
+  const text = String(content ?? '');
+  const start = text.indexOf(ADR_INDEX_START);
+  return start !== -1 && text.indexOf(ADR_INDEX_END, start) !== -1;
+}
+
+// Replace the marked block in AGENTS.md, or append it under an "## Architecture Decisions" heading
+export function injectAdrIndex(content, indexMarkdown) {
+  const text = String(content ?? '');
+  const block = `${ADR_INDEX_START}\n${indexMarkdown}${ADR_INDEX_END}`;
+  if (hasAdrIndex(text)) {
+    const start = text.indexOf(ADR_INDEX_START);
+    const end = text.indexOf(ADR_INDEX_END, start) + ADR_INDEX_END.length;
+    return text.slice(0, start) + block + text.slice(end);
+  }
+  const sep = !text ? '' : (text.endsWith('\n\n') ? '' : (text.endsWith('\n') ? '\n' : '\n\n'));
+  return `${text}${sep}## Architecture Decisions\n\n${block}\n`;
+}
+
+// Accepts 3, "3" or "ADR-0003"; returns a positive integer or null
+export function parseAdrNumber(value) {
+  if (Number.isInteger(value) && value > 0) return value;
+  const m = /^(?:ADR-?)?0*(\d+)$/i.exec(String(value ?? '').trim());
+  const n = m ? Number(m[1]) : NaN;
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
@@ -3,6 +3,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
 import initSqlJs from 'sql.js';
+import { textDelta, applyTextDelta, findParentCycle as findParentCycleIn } from './diff.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,6 +18,58 @@ async function ensureDataDir() {
   await fs.mkdir(DATA_DIR, { recursive: true });
 }
 
+export const TASK_REGEX_MAX_LENGTH = 200;
+
+// JS regexes backtrack, so task text filters refuse the shapes that can take exponential time:
+// backreferences and nested quantifiers (a quantified group that contains a quantifier, e.g.
+// (a+)+ or (\w*\s?)*). Returns why a pattern is refused, or null when it is allowed.
+export function unsafeRegexReason(source) {
+  const src = String(source ?? '');
+  if (src.length > TASK_REGEX_MAX_LENGTH) return `pattern longer than ${TASK_REGEX_MAX_LENGTH} characters`;
+  const isQuantifier = (j) => '*+?'.includes(src[j] || '_') || (src[j] === '{' && /^\{\d+(,\d*)?\}/.test(src.slice(j)));
+  const groups = [];
+  let inClass = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (c === '\\') {
+      if (!inClass && /[1-9k]/.test(src[i + 1] || '')) return 'backreferences are not supported';
+      i++;
+    } else if (inClass) {
+      if (c === ']') inClass = false;
+    } else if (c === '[') {
+      inClass = true;
+    } else if (c === '(') {
+      groups.push({ quantified: false });
+      if (src[i + 1] === '?') i++;
+    } else if (c === ')') {
+      const inner = groups.pop();
+      if (inner?.quantified && isQuantifier(i + 1)) return 'nested quantifiers are not supported';
+      if (inner?.quantified && groups.length) groups[groups.length - 1].quantified = true;
+    } else if (groups.length && isQuantifier(i)) {
+      groups[groups.length - 1].quantified = true;
+    }
+  }
+  return null;
+}
+
+// Scalar functions missing from SQLite that task queries rely on; they live on the connection, not in the file
+function registerSqlFunctions(db) {
+  const cache = new Map();
+  db.create_function('regexp_match', (value, source, flags) => {
+    if (value == null) return 0;
+    if (unsafeRegexReason(source)) return 0;
+    const key = `${flags}/${source}`;
+    let re = cache.get(key);
+    if (!re) {
+      if (cache.size > 50) cache.clear();
+      re = new RegExp(String(source), String(flags || ''));
+      cache.set(key, re);
+    }
+    re.lastIndex = 0;
+    return re.test(String(value)) ? 1 : 0;
+  });
+}
+
 async function openDb() {
   if (dbInstance) return dbInstance;
   await ensureDataDir();
@@ -31,6 +84,7 @@ async function openDb() {
   } catch {
     db = new sqlModule.Database();
   }
+  registerSqlFunctions(db);
   // Schema
   db.exec(`
     CREATE TABLE IF NOT EXISTS users (
@@ -48,8 +102,10 @@ async function openDb() {
       progress_json TEXT NOT NULL,
       hash TEXT,
       hash_history TEXT,
+      branches_json TEXT, -- {"active": name, "branches": {name: {history, from_hash, ...}}}; active history lives in hash_history
       ro_users_json TEXT, -- JSON array of user IDs with read-only access
       rw_users_json TEXT, -- JSON array of user IDs with read-write access
+      scratchpad_max_tasks INTEGER, -- per-project scratchpad task cap; NULL uses the server default
       created_at TEXT NOT NULL,
       updated_at TEXT,
       UNIQUE(user_id, name),
@@ -65,22 +121,47 @@ async function openDb() {
       parent_id TEXT, -- references task_id within same project (not FK-enforced)
       status TEXT NOT NULL, -- 'pending' | 'in_progress' | 'completed'
       extra_note TEXT,
+      depends_on TEXT, -- JSON array of task_ids (same project) that must be completed first
+      priority TEXT, -- 'p0' (highest) .. 'p3'
+      due_date TEXT, -- YYYY-MM-DD
+      assignee TEXT, -- user id with access to the project
+      labels TEXT, -- JSON array of label strings
+      position INTEGER, -- order among siblings (same parent_id), ascending
       created_at TEXT NOT NULL,
       updated_at TEXT,
       UNIQUE(user_id, project_id, task_id),
       FOREIGN KEY (project_id) REFERENCES user_projects(id) ON DELETE CASCADE
     );
     CREATE INDEX IF NOT EXISTS idx_tasks_user_project ON project_tasks(user_id, project_id);
-    -- Scratchpads: ephemeral per-session task sets (max 6 tasks per scratchpad)
+    -- Append-only comment / activity log per task; travels with the task in version snapshots
+    CREATE TABLE IF NOT EXISTS task_comments (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL, -- project owner
+      project_id TEXT NOT NULL,
+      task_id TEXT NOT NULL,
+      author_id TEXT, -- user who wrote the comment or made the change
+      kind TEXT NOT NULL, -- 'comment' | 'status'
+      text TEXT NOT NULL,
+      run_id TEXT, -- optional subagent run this comment refers to
+      commit_hash TEXT, -- optional commit this comment refers to
+      created_at TEXT NOT NULL,
+      FOREIGN KEY (project_id) REFERENCES user_projects(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_task_comments_task ON task_comments(project_id, task_id, created_at);
+    -- Scratchpads: ephemeral per-session task sets (task cap: SCRATCHPAD_MAX_TASKS or the project's scratchpad_max_tasks)
     CREATE TABLE IF NOT EXISTS scratchpads (
       id TEXT PRIMARY KEY,
       user_id TEXT NOT NULL,
       project_id TEXT NOT NULL,
       scratchpad_id TEXT NOT NULL,
-      tasks_json TEXT NOT NULL, -- JSON array of up to 6 task objects
+      tasks_json TEXT NOT NULL, -- JSON array of task objects
       common_memory TEXT NOT NULL DEFAULT '',
+      status TEXT NOT NULL DEFAULT 'open', -- open | archived (scratchpad_close)
+      parent_scratchpad_id TEXT, -- sub-scratchpad: the scratchpad and task it breaks down
+      parent_task_id TEXT,
       created_at TEXT NOT NULL,
       updated_at TEXT,
+      closed_at TEXT,
       UNIQUE(user_id, project_id, scratchpad_id),
       FOREIGN KEY (project_id) REFERENCES user_projects(id) ON DELETE CASCADE
     );
@@ -95,16 +176,68 @@ async function openDb() {
       snapshot_json TEXT NOT NULL,
       modified_by TEXT, -- user_id of the person who made this change
       created_at TEXT NOT NULL,
+      delta_of TEXT, -- when set, snapshot_json is a delta against this hash's snapshot
+      delta_depth INTEGER NOT NULL DEFAULT 0, -- length of the delta chain down to a full snapshot
       UNIQUE(user_id, project_id, hash),
       FOREIGN KEY (project_id) REFERENCES user_projects(id) ON DELETE CASCADE
     );
     CREATE INDEX IF NOT EXISTS idx_backups_user_project ON backups(user_id, project_id);
+    -- Human-readable names for commit hashes; usable wherever a hash is accepted
+    CREATE TABLE IF NOT EXISTS project_tags (
+      project_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      hash TEXT NOT NULL,
+      created_by TEXT,
+      created_at TEXT NOT NULL,
+      PRIMARY KEY (project_id, name),
+      FOREIGN KEY (project_id) REFERENCES user_projects(id) ON DELETE CASCADE
+    );
+    -- Named documents besides AGENTS.md (which stays in user_projects.agent_json as the default doc)
+    CREATE TABLE IF NOT EXISTS project_docs (
+      project_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      content TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT,
+      PRIMARY KEY (project_id, name),
+      FOREIGN KEY (project_id) REFERENCES user_projects(id) ON DELETE CASCADE
+    );
+    -- Architecture decision records, numbered per project; supersedes points at an older number
+    CREATE TABLE IF NOT EXISTS project_adrs (
+      project_id TEXT NOT NULL,
+      number INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      status TEXT NOT NULL,
+      context TEXT NOT NULL,
+      decision TEXT NOT NULL,
+      consequences TEXT NOT NULL DEFAULT '',
+      supersedes INTEGER,
+      date TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT,
+      PRIMARY KEY (project_id, number),
+      FOREIGN KEY (project_id) REFERENCES user_projects(id) ON DELETE CASCADE
+    );
+    -- Reusable task trees; owner_id NULL marks a server-wide template managed with MAIN_API_KEY
+    CREATE TABLE IF NOT EXISTS task_templates (
+      id TEXT PRIMARY KEY,
+      owner_id TEXT,
+      name TEXT NOT NULL,
+      description TEXT,
+      tasks_json TEXT NOT NULL, -- JSON array of { task_info, extra_note?, priority?, labels?, due_in_days?, children? }
+      variables_json TEXT, -- JSON object of placeholder defaults
+      created_at TEXT NOT NULL,
+      updated_at TEXT,
+      FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_task_templates_owner ON task_templates(owner_id, name);
     -- Subagent run statuses
     CREATE TABLE IF NOT EXISTS subagent_runs (
       id TEXT PRIMARY KEY,
       user_id TEXT NOT NULL,
       project_id TEXT NOT NULL,
       run_id TEXT NOT NULL,
+      scratchpad_id TEXT, -- scratchpad the run worked on; runs go when it is deleted or expires
       status TEXT NOT NULL, -- pending | in_progress | success | failure
       created_at TEXT NOT NULL,
       updated_at TEXT,
@@ -127,6 +260,23 @@ async function openDb() {
       UNIQUE(project_id, original_name)
     );
     CREATE INDEX IF NOT EXISTS idx_files_project ON project_files(project_id);
+    -- Full-text search over AGENTS.md blocks, tasks, scratchpads and extracted file text
+    CREATE VIRTUAL TABLE IF NOT EXISTS search_fts USING fts4(
+      content,
+      project_id, owner_user, source_type, source_id, sub_id, location,
+      notindexed=project_id, notindexed=owner_user, notindexed=source_type,
+      notindexed=source_id, notindexed=sub_id, notindexed=location,
+      tokenize=unicode61
+    );
+    -- What has been indexed per project; signature lets lazily indexed sources (files) detect staleness
+    CREATE TABLE IF NOT EXISTS search_sources (
+      project_id TEXT NOT NULL,
+      source_type TEXT NOT NULL, -- project | agent | task | file
+      source_id TEXT NOT NULL,
+      signature TEXT,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (project_id, source_type, source_id)
+    );
   `);
   // Enable foreign key constraints in SQLite (helps catch bad user_id early)
   try { db.exec('PRAGMA foreign_keys = ON;'); } catch {}
@@ -175,6 +325,20 @@ async function openDb() {
         console.error("Failed to add 'rw_users_json' column to user_projects:", err);
       }
     }
+    if (!cols.has('branches_json')) {
+      try {
+        db.exec("ALTER TABLE user_projects ADD COLUMN branches_json TEXT");
+      } catch (err) {
+        console.error("Failed to add 'branches_json' column to user_projects:", err);
+      }
+    }
+    if (!cols.has('scratchpad_max_tasks')) {
+      try {
+        db.exec("ALTER TABLE user_projects ADD COLUMN scratchpad_max_tasks INTEGER");
+      } catch (err) {
+        console.error("Failed to add 'scratchpad_max_tasks' column to user_projects:", err);
+      }
+    }
   } catch {}
   // Add modified_by column to backups table if missing
   try {
@@ -187,6 +351,39 @@ async function openDb() {
         console.error("Failed to add 'modified_by' column to backups:", err);
       }
     }
+    if (!backupsCols.has('delta_of')) {
+      try {
+        db.exec("ALTER TABLE backups ADD COLUMN delta_of TEXT");
+        db.exec("ALTER TABLE backups ADD COLUMN delta_depth INTEGER NOT NULL DEFAULT 0");
+      } catch (err) {
+        console.error("Failed to add delta columns to backups:", err);
+      }
+    }
+    const tasksRs = db.exec("PRAGMA table_info('project_tasks')");
+    const tasksCols = new Set((tasksRs && tasksRs[0] && tasksRs[0].values ? tasksRs[0].values : []).map(r => String(r[1])));
+    if (!tasksCols.has('depends_on')) {
+      try {
+        db.exec("ALTER TABLE project_tasks ADD COLUMN depends_on TEXT");
+      } catch (err) {
+        console.error("Failed to add 'depends_on' column to project_tasks:", err);
+      }
+    }
+    for (const col of ['priority', 'due_date', 'assignee', 'labels']) {
+      if (tasksCols.has(col)) continue;
+      try {
+        db.exec(`ALTER TABLE project_tasks ADD COLUMN ${col} TEXT`);
+      } catch (err) {
+        console.error(`Failed to add '${col}' column to project_tasks:`, err);
+      }
+    }
+    if (!tasksCols.has('position')) {
+      try {
+        db.exec("ALTER TABLE project_tasks ADD COLUMN position INTEGER");
+        backfillTaskPositions(db);
+      } catch (err) {
+        console.error("Failed to add 'position' column to project_tasks:", err);
+      }
+    }
     const filesRs = db.exec("PRAGMA table_info('project_files')");
     const filesCols = new Set((filesRs && filesRs[0] && filesRs[0].values ? filesRs[0].values : []).map(r => String(r[1])));
     if (!filesCols.has('description')) {
@@ -196,6 +393,33 @@ async function openDb() {
         console.error("Failed to add 'description' column to project_files:", err);
       }
     }
+    const padsRs = db.exec("PRAGMA table_info('scratchpads')");
+    const padsCols = new Set((padsRs && padsRs[0] && padsRs[0].values ? padsRs[0].values : []).map(r => String(r[1])));
+    if (!padsCols.has('status')) {
+      try {
+        db.exec("ALTER TABLE scratchpads ADD COLUMN status TEXT NOT NULL DEFAULT 'open'");
+        db.exec("ALTER TABLE scratchpads ADD COLUMN closed_at TEXT");
+      } catch (err) {
+        console.error("Failed to add lifecycle columns to scratchpads:", err);
+      }
+    }
+    if (!padsCols.has('parent_scratchpad_id')) {
+      try {
+        db.exec("ALTER TABLE scratchpads ADD COLUMN parent_scratchpad_id TEXT");
+        db.exec("ALTER TABLE scratchpads ADD COLUMN parent_task_id TEXT");
+      } catch (err) {
+        console.error("Failed to add parent columns to scratchpads:", err);
+      }
+    }
+    const runsRs = db.exec("PRAGMA table_info('subagent_runs')");
+    const runsCols = new Set((runsRs && runsRs[0] && runsRs[0].values ? runsRs[0].values : []).map(r => String(r[1])));
+    if (!runsCols.has('scratchpad_id')) {
+      try {
+        db.exec("ALTER TABLE subagent_runs ADD COLUMN scratchpad_id TEXT");
+      } catch (err) {
+        console.error("Failed to add 'scratchpad_id' column to subagent_runs:", err);
+      }
+    }
   } catch {}
   dbInstance = db;
   return dbInstance;
@@ -204,6 +428,8 @@ async function openDb() {
 async function persistDb() {
   if (!dbInstance) return;
   const data = dbInstance.export();
+  // sql.js reopens the handle on export, dropping user-defined functions
+  registerSqlFunctions(dbInstance);
   await fs.writeFile(DB_PATH, Buffer.from(data));
 }
 
@@ -597,7 +823,7 @@ export async function updateProjectFileDescription(ownerId, projectId, fileId, d
 
 export async function getProjectFullById(ownerId, projectId) {
   const db = await openDb();
-  const stmt = db.prepare('SELECT id, name, user_id, agent_json, progress_json, hash, hash_history, created_at, updated_at FROM user_projects WHERE id = $pid AND user_id = $u');
+  const stmt = db.prepare('SELECT id, name, user_id, agent_json, progress_json, hash, hash_history, branches_json, created_at, updated_at FROM user_projects WHERE id = $pid AND user_id = $u');
   stmt.bind({ $pid: String(projectId), $u: ownerId });
   const ok = stmt.step();
   if (!ok) { stmt.free(); return null; }
@@ -611,6 +837,7 @@ export async function getProjectFullById(ownerId, projectId) {
     progress_json: r.progress_json || JSON.stringify({ content: '' }),
     hash: r.hash || null,
     hash_history: r.hash_history || null,
+    branches_json: r.branches_json || null,
     created_at: r.created_at,
     updated_at: r.updated_at || null,
   };
@@ -654,6 +881,9 @@ export async function initProject(userId, name, { agentJson, progressJson }) {
     pid = String(sel.getAsObject().id);
   }
   sel.free();
+  indexAgentForSearch(db, pid, safeParseJson(agentJson, {}).content);
+  indexTasksForSearch(db, { userId, projectId: pid });
+  markSearchSource(db, pid, 'project', '*', null);
   await persistDb();
   return { id: pid, name };
 }
@@ -664,6 +894,7 @@ export async function deleteProject(userId, projectId) {
   stmt.bind({ $u: userId, $pid: String(projectId) });
   stmt.step();
   stmt.free();
+  clearSearchIndex(db, String(projectId));
   await persistDb();
 }
 
@@ -712,11 +943,125 @@ export async function writeDoc(userId, projectId, which, content) {
   stmt.bind({ $val: json, $now: now, $u: userId, $pid: String(projectId) });
   stmt.step();
   stmt.free();
+  if (which === 'agent') indexAgentForSearch(db, String(projectId), content);
   await persistDb();
 }
 
 export const _internal = { openDb, persistDb };
 
+// ---------------- Project documents ----------------
+// AGENTS.md is the default document and keeps living in user_projects.agent_json; any other named
+// document (ARCHITECTURE.md, DECISIONS.md, ...) is a project_docs row. Names are case-sensitive.
+
+export const DEFAULT_DOC_NAME = 'AGENTS.md';
+
+function loadProjectDocs(db, projectId) {
+  const q = db.prepare('SELECT name, content FROM project_docs WHERE project_id = $p ORDER BY name');
+  q.bind({ $p: projectId });
+  const docs = {};
+  while (q.step()) {
+    const r = q.getAsObject();
+    docs[String(r.name)] = String(r.content ?? '');
+  }
+  q.free();
+  return docs;
+}
+
+// Replace every non-default document with docs ({ name: content }), e.g. when restoring a snapshot
+function replaceDocsState(db, { projectId, docs, now }) {
+  for (const name of Object.keys(loadProjectDocs(db, projectId))) {
+    if (!Object.prototype.hasOwnProperty.call(docs, name)) unindexDocForSearch(db, projectId, name);
+  }
+  const del = db.prepare('DELETE FROM project_docs WHERE project_id = $p');
+  del.bind({ $p: projectId });
+  del.step();
+  del.free();
+  const ins = db.prepare('INSERT INTO project_docs (project_id, name, content, created_at, updated_at) VALUES ($p, $n, $c, $now, $now)');
+  for (const [name, content] of Object.entries(docs)) {
+    ins.bind({ $p: projectId, $n: name, $c: String(content ?? ''), $now: now });
+    ins.step();
+    ins.reset();
+    indexDocForSearch(db, projectId, name, content);
+  }
+  ins.free();
+}
+
+// [{ name, default, bytes, lines, updated_at }], AGENTS.md first
+export async function listProjectDocs(userId, projectId) {
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  const describe = (name, content, updatedAt) => ({
+    name,
+    default: name === DEFAULT_DOC_NAME,
+    bytes: Buffer.byteLength(content, 'utf8'),
+    lines: content ? content.split('\n').length : 0,
+    updated_at: updatedAt || null,
+  });
+  const agent = String(safeParseJson(proj.agent_json || '{}', {}).content || '');
+  const out = [describe(DEFAULT_DOC_NAME, agent, proj.updated_at)];
+  const q = db.prepare('SELECT name, content, created_at, updated_at FROM project_docs WHERE project_id = $p ORDER BY name');
+  q.bind({ $p: proj.id });
+  while (q.step()) {
+    const r = q.getAsObject();
+    out.push(describe(String(r.name), String(r.content ?? ''), r.updated_at || r.created_at));
+  }
+  q.free();
+  return out;
+}
+
+export async function readProjectDoc(userId, projectId, name) {
+  if (name === DEFAULT_DOC_NAME) return readDoc(userId, projectId, 'agent');
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  const q = db.prepare('SELECT content FROM project_docs WHERE project_id = $p AND name = $n');
+  q.bind({ $p: proj.id, $n: name });
+  const found = q.step();
+  const content = found ? String(q.getAsObject().content ?? '') : null;
+  q.free();
+  if (!found) throw new Error(`doc_not_found: ${name}`);
+  return content;
+}
+
+// Creates the document when it does not exist yet; returns { created }
+export async function writeProjectDoc(userId, projectId, name, content) {
+  if (name === DEFAULT_DOC_NAME) {
+    await writeDoc(userId, projectId, 'agent', content);
+    return { created: false };
+  }
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  const now = new Date().toISOString();
+  const exists = db.prepare('SELECT 1 FROM project_docs WHERE project_id = $p AND name = $n');
+  exists.bind({ $p: proj.id, $n: name });
+  const created = !exists.step();
+  exists.free();
+  const stmt = db.prepare(`INSERT INTO project_docs (project_id, name, content, created_at, updated_at) VALUES ($p, $n, $c, $now, $now)
+    ON CONFLICT(project_id, name) DO UPDATE SET content = excluded.content, updated_at = excluded.updated_at`);
+  stmt.bind({ $p: proj.id, $n: name, $c: String(content ?? ''), $now: now });
+  stmt.step();
+  stmt.free();
+  indexDocForSearch(db, proj.id, name, String(content ?? ''));
+  await persistDb();
+  return { created };
+}
+
+export async function deleteProjectDoc(userId, projectId, name) {
+  if (name === DEFAULT_DOC_NAME) throw new Error('default_doc: AGENTS.md cannot be deleted');
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  const del = db.prepare('DELETE FROM project_docs WHERE project_id = $p AND name = $n');
+  del.bind({ $p: proj.id, $n: name });
+  del.step();
+  del.free();
+  if (!db.getRowsModified()) throw new Error(`doc_not_found: ${name}`);
+  unindexDocForSearch(db, proj.id, name);
+  await persistDb();
+}
+
 // ---------------- Versioning APIs ----------------
 
 function safeParseJson(s, fallback) {
@@ -747,28 +1092,43 @@ function computeHashForSnapshot(snapshotObj) {
 async function buildProjectSnapshot(db, { userId, projectRow }) {
   const projId = projectRow.id;
   const tasks = [];
-  const q = db.prepare('SELECT task_id, task_info, parent_id, status, extra_note, created_at, updated_at FROM project_tasks WHERE user_id = $u AND project_id = $p ORDER BY created_at ASC');
+  const q = db.prepare('SELECT task_id, task_info, parent_id, status, extra_note, depends_on, priority, due_date, assignee, labels, position, created_at, updated_at FROM project_tasks WHERE user_id = $u AND project_id = $p ORDER BY created_at ASC');
   q.bind({ $u: userId, $p: projId });
+  const comments = loadTaskComments(db, { projectId: projId });
   while (q.step()) {
     const r = q.getAsObject();
+    const taskComments = comments.get(String(r.task_id));
     tasks.push({
       task_id: String(r.task_id),
       task_info: String(r.task_info || ''),
       parent_id: r.parent_id || null,
       status: String(r.status || 'pending'),
       extra_note: r.extra_note || null,
+      depends_on: parseJsonArrayOfStrings(r.depends_on),
+      priority: r.priority || null,
+      due_date: r.due_date || null,
+      assignee: r.assignee || null,
+      labels: parseJsonArrayOfStrings(r.labels),
+      position: Number.isInteger(r.position) ? r.position : null,
       created_at: r.created_at,
       updated_at: r.updated_at || null,
+      // Only present when non-empty so tasks without comments keep their snapshot hash
+      ...(taskComments ? { comments: taskComments.map(({ task_id, ...c }) => c) } : {}),
     });
   }
   q.free();
   const agent = safeParseJson(projectRow.agent_json || '{}', {});
   const progress = safeParseJson(projectRow.progress_json || '{}', {});
+  const docs = loadProjectDocs(db, projId);
+  const adrs = loadProjectAdrs(db, projId);
   const snapshot = {
     user_id: userId,
     project_id: projId,
     name: projectRow.name,
     agent,
+    // Only present when the project has documents besides AGENTS.md, so older hashes stay stable
+    ...(Object.keys(docs).length ? { docs } : {}),
+    ...(adrs.length ? { adrs } : {}),
     progress,
     tasks,
     meta: {
@@ -779,6 +1139,110 @@ async function buildProjectSnapshot(db, { userId, projectRow }) {
   return snapshot;
 }
 
+// Backups store either a full snapshot or a delta against an earlier backup (delta_of). A delta keeps
+// changed top-level fields, AGENTS.md as a line delta and tasks as order + changed rows. Chains are
+// capped at SNAPSHOT_DELTA_MAX_DEPTH so reading one commit never walks far.
+const SNAPSHOT_DELTA_MAX_DEPTH = 20;
+
+function encodeSnapshotDelta(prev, next) {
+  const delta = { set: {}, unset: [] };
+  for (const k of Object.keys(next)) {
+    if (k === 'agent' || k === 'tasks') continue;
+    if (JSON.stringify(prev[k]) !== JSON.stringify(next[k])) delta.set[k] = next[k];
+  }
+  for (const k of Object.keys(prev)) if (!(k in next)) delta.unset.push(k);
+  const prevAgent = prev.agent || {};
+  const nextAgent = next.agent || {};
+  if (typeof prevAgent.content === 'string' && typeof nextAgent.content === 'string') {
+    const { content: prevContent, ...prevRest } = prevAgent;
+    const { content: nextContent, ...nextRest } = nextAgent;
+    if (JSON.stringify(prevRest) !== JSON.stringify(nextRest)) delta.agent_fields = nextRest;
+    if (prevContent !== nextContent) delta.agent_content = textDelta(prevContent, nextContent);
+  } else if (JSON.stringify(prevAgent) !== JSON.stringify(nextAgent)) {
+    delta.agent = nextAgent;
+  }
+  const prevTasks = new Map((Array.isArray(prev.tasks) ? prev.tasks : []).map(t => [String(t.task_id), JSON.stringify(t)]));
+  const nextTasks = Array.isArray(next.tasks) ? next.tasks : [];
+  delta.tasks = {
+    order: nextTasks.map(t => String(t.task_id)),
+    changed: nextTasks.filter(t => prevTasks.get(String(t.task_id)) !== JSON.stringify(t)),
+  };
+  return delta;
+}
+
+function applySnapshotDelta(prev, delta) {
+  const next = { ...prev, ...(delta.set || {}) };
+  for (const k of delta.unset || []) delete next[k];
+  if (delta.agent) {
+    next.agent = delta.agent;
+  } else if (delta.agent_fields || delta.agent_content) {
+    const { content, ...rest } = prev.agent || {};
+    next.agent = { ...(delta.agent_fields || rest), content: delta.agent_content ? applyTextDelta(content, delta.agent_content) : content };
+  }
+  const byId = new Map((Array.isArray(prev.tasks) ? prev.tasks : []).map(t => [String(t.task_id), t]));
+  for (const t of delta.tasks?.changed || []) byId.set(String(t.task_id), t);
+  next.tasks = (delta.tasks?.order || []).map(id => byId.get(id)).filter(Boolean);
+  return next;
+}
+
+// Full snapshot stored for a commit, following delta_of links. memo (hash -> snapshot) lets callers
+// that decode many commits reuse shared chain prefixes.
+function readBackupSnapshot(db, { userId, projectId, hash }, memo = null) {
+  const chain = [];
+  let snapshot = null;
+  let h = String(hash);
+  const sel = db.prepare('SELECT snapshot_json, delta_of FROM backups WHERE user_id = $u AND project_id = $p AND hash = $h');
+  try {
+    while (!snapshot) {
+      if (memo && memo.has(h)) { snapshot = memo.get(h); break; }
+      sel.bind({ $u: userId, $p: projectId, $h: h });
+      if (!sel.step()) throw new Error(`hash_not_found: ${h}`);
+      const row = sel.getAsObject();
+      sel.reset();
+      let parsed;
+      try { parsed = JSON.parse(row.snapshot_json || '{}'); } catch { throw new Error('invalid_snapshot'); }
+      if (!row.delta_of) {
+        snapshot = parsed;
+        if (memo) memo.set(h, snapshot);
+        break;
+      }
+      chain.push({ hash: h, delta: parsed });
+      h = String(row.delta_of);
+    }
+  } finally {
+    sel.free();
+  }
+  for (let i = chain.length - 1; i >= 0; i--) {
+    snapshot = applySnapshotDelta(snapshot, chain[i].delta);
+    if (memo) memo.set(chain[i].hash, snapshot);
+  }
+  return snapshot;
+}
+
+// Storage form for a snapshot given the backup it follows (prev: { hash, depth, snapshot } or null):
+// a delta when the chain is short enough and the delta is actually smaller.
+function encodeBackupSnapshot(snapshot, prev) {
+  const full = JSON.stringify(snapshot);
+  if (!prev || prev.depth + 1 > SNAPSHOT_DELTA_MAX_DEPTH) return { json: full, deltaOf: null, depth: 0 };
+  const json = JSON.stringify(encodeSnapshotDelta(prev.snapshot, snapshot));
+  if (json.length >= full.length) return { json: full, deltaOf: null, depth: 0 };
+  return { json, deltaOf: prev.hash, depth: prev.depth + 1 };
+}
+
+function loadDeltaBase(db, { userId, projectId, hash }) {
+  if (!hash) return null;
+  const sel = db.prepare('SELECT delta_depth FROM backups WHERE user_id = $u AND project_id = $p AND hash = $h');
+  sel.bind({ $u: userId, $p: projectId, $h: hash });
+  const row = sel.step() ? sel.getAsObject() : null;
+  sel.free();
+  if (!row) return null;
+  try {
+    return { hash, depth: Number(row.delta_depth || 0), snapshot: readBackupSnapshot(db, { userId, projectId, hash }) };
+  } catch {
+    return null;
+  }
+}
+
 export async function ensureProjectVersionInitialized(userId, projectId) {
   const db = await openDb();
   const proj = await getProjectFullById(userId, projectId);
@@ -810,8 +1274,9 @@ export async function createProjectBackup(userId, projectId, message, modifiedBy
   const now = new Date().toISOString();
   const snapshot = await buildProjectSnapshot(db, { userId, projectRow: proj });
   const hash = computeHashForSnapshot(snapshot);
-  const ins = db.prepare('INSERT INTO backups (id, user_id, project_id, hash, message, snapshot_json, modified_by, created_at) VALUES ($id, $u, $p, $h, $m, $s, $mb, $c)');
-  ins.bind({ $id: newUserId(), $u: userId, $p: proj.id, $h: hash, $m: (String(message || '').trim() || `${new Date().toISOString()} auto`), $s: JSON.stringify(snapshot), $mb: modifiedBy || userId, $c: now });
+  const stored = encodeBackupSnapshot(snapshot, loadDeltaBase(db, { userId, projectId: proj.id, hash: proj.hash }));
+  const ins = db.prepare('INSERT INTO backups (id, user_id, project_id, hash, message, snapshot_json, modified_by, created_at, delta_of, delta_depth) VALUES ($id, $u, $p, $h, $m, $s, $mb, $c, $do, $dd)');
+  ins.bind({ $id: newUserId(), $u: userId, $p: proj.id, $h: hash, $m: (String(message || '').trim() || `${new Date().toISOString()} auto`), $s: stored.json, $mb: modifiedBy || userId, $c: now, $do: stored.deltaOf, $dd: stored.depth });
   ins.step();
   ins.free();
   let history = [];
@@ -825,14 +1290,20 @@ export async function createProjectBackup(userId, projectId, message, modifiedBy
   return hash;
 }
 
-export async function listProjectLogs(userId, projectId) {
+export async function listProjectLogs(userId, projectId, { branch } = {}) {
   const db = await openDb();
   const proj = await getProjectFullById(userId, projectId);
   if (!proj) throw new Error('project not found');
   if (!proj.hash) await ensureProjectVersionInitialized(userId, projectId);
   const cur = await getProjectFullById(userId, projectId);
   let history = [];
-  try { history = JSON.parse(cur.hash_history || '[]'); if (!Array.isArray(history)) history = []; } catch { history = []; }
+  if (branch) {
+    const state = parseBranchState(cur);
+    if (!state.branches[branch]) throw new Error(`branch_not_found: ${branch}`);
+    history = branchHistory(cur, state, branch);
+  } else {
+    try { history = JSON.parse(cur.hash_history || '[]'); if (!Array.isArray(history)) history = []; } catch { history = []; }
+  }
   
   // Get all backups with their modified_by user IDs
   const all = new Map();
@@ -862,6 +1333,12 @@ export async function listProjectLogs(userId, projectId) {
     userSel.free();
   }
   
+  const tagsByHash = new Map();
+  for (const t of readProjectTags(db, cur.id)) {
+    if (!tagsByHash.has(t.hash)) tagsByHash.set(t.hash, []);
+    tagsByHash.get(t.hash).push(t.name);
+  }
+
   // Map the logs with usernames
   const logs = history.map(h => {
     const backup = all.get(String(h));
@@ -870,13 +1347,105 @@ export async function listProjectLogs(userId, projectId) {
       hash: backup.hash,
       message: backup.message,
       modified_by: backup.modified_by_id ? (userNames.get(backup.modified_by_id) || backup.modified_by_id) : null,
-      created_at: backup.created_at
+      created_at: backup.created_at,
+      tags: tagsByHash.get(backup.hash) || [],
     };
   }).filter(Boolean);
   
   return logs;
 }
 
+// Load the snapshot stored for a commit hash, or the live project state when hash is empty
+export async function getProjectSnapshot(userId, projectId, hash) {
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  const h = String(hash || '').trim();
+  if (!h) {
+    const snapshot = await buildProjectSnapshot(db, { userId, projectRow: proj });
+    return { hash: proj.hash || null, current: true, snapshot };
+  }
+  const sel = db.prepare('SELECT hash, message, modified_by, created_at FROM backups WHERE user_id = $u AND project_id = $p AND hash = $h');
+  sel.bind({ $u: userId, $p: proj.id, $h: h });
+  const ok = sel.step();
+  const row = ok ? sel.getAsObject() : null;
+  sel.free();
+  if (!row) throw new Error(`hash_not_found: ${h}`);
+  const snapshot = readBackupSnapshot(db, { userId, projectId: proj.id, hash: h });
+  let modifiedBy = row.modified_by || null;
+  if (modifiedBy) {
+    const u = db.prepare('SELECT name FROM users WHERE id = $id');
+    u.bind({ $id: modifiedBy });
+    if (u.step()) modifiedBy = u.getAsObject().name || modifiedBy;
+    u.free();
+  }
+  return {
+    hash: String(row.hash),
+    current: false,
+    message: String(row.message || ''),
+    modified_by: modifiedBy,
+    created_at: row.created_at,
+    snapshot,
+  };
+}
+
+function insertSnapshotTasks(db, { userId, projectId, tasks, now }) {
+  const ins = db.prepare('INSERT INTO project_tasks (id, user_id, project_id, task_id, task_info, parent_id, status, extra_note, depends_on, priority, due_date, assignee, labels, position, created_at, updated_at) VALUES ($id, $u, $p, $tid, $ti, $pid, $st, $en, $dep, $pri, $due, $asg, $lbl, $pos, $c, $uAt)');
+  for (const t of tasks) {
+    ins.bind({
+      $id: newUserId(),
+      $u: userId,
+      $p: projectId,
+      $tid: String(t.task_id),
+      $ti: String(t.task_info || ''),
+      $pid: t.parent_id || null,
+      $st: String(t.status || 'pending'),
+      $en: t.extra_note || null,
+      $dep: serializeDependsOn(t.depends_on),
+      $pri: t.priority || null,
+      $due: t.due_date || null,
+      $asg: t.assignee || null,
+      $lbl: serializeLabels(t.labels),
+      $pos: Number.isInteger(t.position) ? t.position : null,
+      $c: t.created_at || now,
+      $uAt: t.updated_at || null,
+    });
+    ins.step();
+    ins.reset();
+    if (Array.isArray(t.comments) && t.comments.length) insertTaskComments(db, { userId, projectId, taskId: String(t.task_id), comments: t.comments });
+  }
+  ins.free();
+  // Snapshots taken before tasks had a position
+  backfillTaskPositions(db, { projectId });
+}
+
+// AGENTS.md (with progress_json), every other named document and the ADRs
+function restoreAgentState(db, { projectId, snapshot, now }) {
+  const updProj = db.prepare('UPDATE user_projects SET agent_json = $a, progress_json = $p, updated_at = $now WHERE id = $pid');
+  updProj.bind({ $a: JSON.stringify(snapshot.agent || {}), $p: JSON.stringify(snapshot.progress || {}), $now: now, $pid: projectId });
+  updProj.step();
+  updProj.free();
+  indexAgentForSearch(db, projectId, snapshot.agent?.content);
+  replaceDocsState(db, { projectId, docs: snapshot.docs || {}, now });
+  replaceAdrsState(db, { projectId, adrs: Array.isArray(snapshot.adrs) ? snapshot.adrs : [] });
+}
+
+function replaceTasksState(db, { userId, projectId, tasks, now }) {
+  const del = db.prepare('DELETE FROM project_tasks WHERE user_id = $u AND project_id = $p');
+  del.bind({ $u: userId, $p: projectId });
+  del.step();
+  del.free();
+  deleteTaskComments(db, { projectId });
+  insertSnapshotTasks(db, { userId, projectId, tasks, now });
+  indexTasksForSearch(db, { userId, projectId });
+}
+
+// Overwrite agent/progress and replace all tasks with the snapshot's versions
+function restoreSnapshotState(db, { userId, projectId, snapshot, now }) {
+  restoreAgentState(db, { projectId, snapshot, now });
+  replaceTasksState(db, { userId, projectId, tasks: Array.isArray(snapshot.tasks) ? snapshot.tasks : [], now });
+}
+
 export async function revertProjectToHash(userId, projectId, targetHash, currentUserId) {
   const db = await openDb();
   const proj = await getProjectFullById(userId, projectId);
@@ -930,132 +1499,736 @@ export async function revertProjectToHash(userId, projectId, targetHash, current
     }
   }
   
-  // Get the snapshot for the target hash
-  const snapSel = db.prepare('SELECT snapshot_json FROM backups WHERE user_id = $u AND project_id = $p AND hash = $h');
-  snapSel.bind({ $u: userId, $p: proj.id, $h: targetHash });
-  const ok = snapSel.step();
-  if (!ok) { snapSel.free(); throw new Error('hash_not_found'); }
-  const row = snapSel.getAsObject();
-  snapSel.free();
-  let snapshot;
-  try { snapshot = JSON.parse(row.snapshot_json || '{}'); } catch { throw new Error('invalid_snapshot'); }
+  const snapshot = readBackupSnapshot(db, { userId, projectId: proj.id, hash: targetHash });
   const now = new Date().toISOString();
-  // Update project agent/progress to snapshot versions
-  const updProj = db.prepare('UPDATE user_projects SET agent_json = $a, progress_json = $p, hash = $h, updated_at = $now WHERE id = $pid');
-  updProj.bind({ $a: JSON.stringify(snapshot.agent || {}), $p: JSON.stringify(snapshot.progress || {}), $h: targetHash, $now: now, $pid: proj.id });
-  updProj.step();
-  updProj.free();
-  // Replace tasks with snapshot tasks
-  const del = db.prepare('DELETE FROM project_tasks WHERE user_id = $u AND project_id = $p');
-  del.bind({ $u: userId, $p: proj.id });
-  del.step();
-  del.free();
-  const ins = db.prepare('INSERT INTO project_tasks (id, user_id, project_id, task_id, task_info, parent_id, status, extra_note, created_at, updated_at) VALUES ($id, $u, $p, $tid, $ti, $pid, $st, $en, $c, $uAt)');
-  const tasks = Array.isArray(snapshot.tasks) ? snapshot.tasks : [];
-  for (const t of tasks) {
-    ins.bind({
-      $id: newUserId(),
-      $u: userId,
-      $p: proj.id,
-      $tid: String(t.task_id),
-      $ti: String(t.task_info || ''),
-      $pid: t.parent_id || null,
-      $st: String(t.status || 'pending'),
-      $en: t.extra_note || null,
-      $c: t.created_at || now,
-      $uAt: t.updated_at || null,
-    });
-    ins.step();
-    ins.reset();
-  }
-  ins.free();
+  restoreSnapshotState(db, { userId, projectId: proj.id, snapshot, now });
   // Trim hash_history to target
   let newHistory = [];
   try { newHistory = JSON.parse(proj.hash_history || '[]'); if (!Array.isArray(newHistory)) newHistory = []; } catch { newHistory = []; }
   const idx = newHistory.indexOf(targetHash);
   const newHist = idx >= 0 ? newHistory.slice(0, idx + 1) : [targetHash];
-  const updHist = db.prepare('UPDATE user_projects SET hash_history = $hh, updated_at = $now WHERE id = $pid');
-  updHist.bind({ $hh: JSON.stringify(newHist), $now: now, $pid: proj.id });
+  const updHist = db.prepare('UPDATE user_projects SET hash = $h, hash_history = $hh, updated_at = $now WHERE id = $pid');
+  updHist.bind({ $h: targetHash, $hh: JSON.stringify(newHist), $now: now, $pid: proj.id });
   updHist.step();
   updHist.free();
   await persistDb();
   return { hash: targetHash };
 }
 
-// ---------------- Structured Tasks APIs ----------------
-
-export async function listTasks(userId, projectId, { only } = {}) {
+// Restore a backup's content without touching hash/hash_history; the caller records a new commit.
+// Selective restores merge into the current state:
+// - agent: AGENTS.md (and legacy progress) only, tasks untouched
+// - tasks without taskIds: the whole task list, AGENTS.md untouched
+// - taskIds: upsert just those tasks from the snapshot; ids missing there are reported, not deleted
+export async function restoreProjectFromHash(userId, projectId, targetHash, { agent = true, tasks = true, taskIds = null } = {}) {
   const db = await openDb();
   const proj = await getProjectFullById(userId, projectId);
   if (!proj) throw new Error('project not found');
-  const rows = [];
-  let query = 'SELECT task_id, task_info, parent_id, status, extra_note, created_at, updated_at FROM project_tasks WHERE user_id = $u AND project_id = $p';
-  let bind = { $u: userId, $p: proj.id };
-  if (Array.isArray(only) && only.length) {
-    const placeholders = only.map((_, i) => `$s${i}`);
-    query += ` AND status IN (${placeholders.join(',')})`;
-    only.forEach((s, i) => { bind[`$s${i}`] = String(s); });
-  } else {
-    // Default exclude archived
-    query += ' AND status != $archived';
-    bind.$archived = 'archived';
+  const snapshot = readBackupSnapshot(db, { userId, projectId: proj.id, hash: targetHash });
+  const now = new Date().toISOString();
+  const snapTasks = Array.isArray(snapshot.tasks) ? snapshot.tasks : [];
+  const result = { hash: targetHash, agent: false, tasks: [], not_in_snapshot: [], dropped_depends_on: [] };
+  if (tasks && Array.isArray(taskIds)) {
+    const inSnapshot = new Set(snapTasks.map(t => String(t.task_id)));
+    const ids = [...new Set(taskIds.map(String))];
+    if (!ids.some(id => inSnapshot.has(id))) {
+      const err = new Error(`task_not_found: none of ${ids.join(', ')} exist in ${String(targetHash).slice(0, 8)}`);
+      err.missing = ids;
+      throw err;
+    }
   }
-  query += ' ORDER BY created_at ASC';
-  const stmt = db.prepare(query);
-  stmt.bind(bind);
-  while (stmt.step()) {
-    const r = stmt.getAsObject();
-    rows.push({
-      task_id: r.task_id,
-      task_info: r.task_info,
-      parent_id: r.parent_id || null,
-      status: r.status,
-      extra_note: r.extra_note || null,
-      created_at: r.created_at,
-      updated_at: r.updated_at || null,
-    });
+  if (agent) {
+    restoreAgentState(db, { projectId: proj.id, snapshot, now });
+    result.agent = true;
   }
-  stmt.free();
-  return rows;
+  if (tasks && !Array.isArray(taskIds)) {
+    replaceTasksState(db, { userId, projectId: proj.id, tasks: snapTasks, now });
+    result.tasks = snapTasks.map(t => String(t.task_id));
+  } else if (tasks) {
+    const byId = new Map(snapTasks.map(t => [String(t.task_id), t]));
+    const picked = [];
+    for (const id of new Set(taskIds.map(String))) {
+      if (byId.has(id)) picked.push(byId.get(id));
+      else result.not_in_snapshot.push(id);
+    }
+    if (picked.length) {
+      const del = db.prepare('DELETE FROM project_tasks WHERE user_id = $u AND project_id = $p AND task_id = $t');
+      for (const t of picked) {
+        del.bind({ $u: userId, $p: proj.id, $t: String(t.task_id) });
+        del.step();
+        del.reset();
+      }
+      del.free();
+      deleteTaskComments(db, { projectId: proj.id, taskIds: picked.map(t => String(t.task_id)) });
+      // Dependencies on tasks that no longer exist would leave the restored task blocked forever
+      const graph = loadTaskGraph(db, { userId, projectId: proj.id });
+      const present = new Set([...graph.keys(), ...picked.map(t => String(t.task_id))]);
+      const cleaned = picked.map(t => {
+        const deps = Array.isArray(t.depends_on) ? t.depends_on.map(String) : [];
+        const kept = deps.filter(d => present.has(d));
+        for (const d of deps) if (!present.has(d)) result.dropped_depends_on.push({ task_id: String(t.task_id), depends_on: d });
+        return { ...t, depends_on: kept };
+      });
+      insertSnapshotTasks(db, { userId, projectId: proj.id, tasks: cleaned, now });
+      const touch = db.prepare('UPDATE user_projects SET updated_at = $now WHERE id = $pid');
+      touch.bind({ $now: now, $pid: proj.id });
+      touch.step();
+      touch.free();
+      indexTasksForSearch(db, { userId, projectId: proj.id });
+      result.tasks = picked.map(t => String(t.task_id));
+    }
+  }
+  await persistDb();
+  return result;
 }
 
-export async function addTasks(userId, projectId, tasks) {
-  const db = await openDb();
-  const proj = await getProjectFullById(userId, projectId);
-  if (!proj) throw new Error('project not found');
-  const now = new Date().toISOString();
-  const added = [];
-  const exists = [];
+// ---------------- Branches ----------------
+// The active branch's commits stay in user_projects.hash_history so every existing commit/revert
+// path works unchanged; other branches keep their own history arrays in branches_json.
+
+export const DEFAULT_BRANCH = 'main';
+const BRANCH_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9._/-]{0,63}$/;
+
+function parseHashHistory(raw) {
+  try { const h = JSON.parse(raw || '[]'); return Array.isArray(h) ? h.map(String) : []; } catch { return []; }
+}
+
+function parseBranchState(proj) {
+  const state = safeParseJson(proj.branches_json || '', null);
+  if (state && typeof state === 'object' && state.branches && typeof state.branches === 'object' && state.active) return state;
+  return { active: DEFAULT_BRANCH, branches: { [DEFAULT_BRANCH]: { from_hash: null, created_at: proj.created_at, created_by: proj.owner_id } } };
+}
+
+function branchHistory(proj, state, name) {
+  if (name === state.active) return parseHashHistory(proj.hash_history);
+  return Array.isArray(state.branches[name]?.history) ? state.branches[name].history.map(String) : [];
+}
+
+function saveBranchState(db, projectId, state, { hash, history, now } = {}) {
+  const sets = ['branches_json = $b'];
+  const bind = { $b: JSON.stringify(state), $pid: projectId };
+  if (hash !== undefined) { sets.push('hash = $h'); bind.$h = hash; }
+  if (history !== undefined) { sets.push('hash_history = $hh'); bind.$hh = JSON.stringify(history); }
+  if (now) { sets.push('updated_at = $now'); bind.$now = now; }
+  const upd = db.prepare(`UPDATE user_projects SET ${sets.join(', ')} WHERE id = $pid`);
+  upd.bind(bind);
+  upd.step();
+  upd.free();
+}
+
+async function loadProjectForBranches(userId, projectId) {
+  const proj0 = await getProjectFullById(userId, projectId);
+  if (!proj0) throw new Error('project not found');
+  if (!proj0.hash) await ensureProjectVersionInitialized(userId, projectId);
+  const proj = await getProjectFullById(userId, projectId);
+  return { proj, state: parseBranchState(proj) };
+}
+
+export async function listProjectBranches(userId, projectId) {
+  const { proj, state } = await loadProjectForBranches(userId, projectId);
+  const branches = Object.keys(state.branches).map(name => {
+    const history = branchHistory(proj, state, name);
+    const b = state.branches[name] || {};
+    return {
+      name,
+      active: name === state.active,
+      head: name === state.active ? proj.hash : (history[history.length - 1] || null),
+      commits: history.length,
+      from_hash: b.from_hash || null,
+      created_at: b.created_at || null,
+    };
+  });
+  return { active: state.active, branches };
+}
+
+export async function getBranchHistory(userId, projectId, name) {
+  const { proj, state } = await loadProjectForBranches(userId, projectId);
+  const branch = String(name || state.active);
+  if (!state.branches[branch]) throw new Error(`branch_not_found: ${branch}`);
+  return { active: state.active, branch, history: branchHistory(proj, state, branch), meta: state.branches[branch] };
+}
+
+// New branch whose history is the prefix (of whichever branch contains it) ending at fromHash
+export async function createProjectBranch(userId, projectId, name, { fromHash, createdBy } = {}) {
+  const db = await openDb();
+  const { proj, state } = await loadProjectForBranches(userId, projectId);
+  const branch = String(name || '').trim();
+  if (!BRANCH_NAME_RE.test(branch)) throw new Error('invalid_branch_name: use 1-64 letters, digits, ".", "_", "-" or "/"');
+  if (state.branches[branch]) throw new Error(`branch_exists: ${branch}`);
+  const from = String(fromHash || proj.hash || '');
+  let history = null;
+  for (const candidate of [state.active, ...Object.keys(state.branches)]) {
+    const h = branchHistory(proj, state, candidate);
+    const idx = h.lastIndexOf(from);
+    if (idx >= 0) { history = h.slice(0, idx + 1); break; }
+  }
+  if (!history) throw new Error(`hash_not_found: ${from}`);
+  const now = new Date().toISOString();
+  state.branches[branch] = { history, from_hash: from, created_at: now, created_by: createdBy || userId };
+  saveBranchState(db, proj.id, state);
+  await persistDb();
+  return { name: branch, head: from, commits: history.length };
+}
+
+// Make `name` the active branch: park the current history, load the target's and restore its head
+export async function switchProjectBranch(userId, projectId, name) {
+  const db = await openDb();
+  const { proj, state } = await loadProjectForBranches(userId, projectId);
+  const branch = String(name || '').trim();
+  if (!state.branches[branch]) throw new Error(`branch_not_found: ${branch}`);
+  if (branch === state.active) return { active: branch, head: proj.hash, changed: false };
+  const targetHistory = branchHistory(proj, state, branch);
+  const head = targetHistory[targetHistory.length - 1];
+  if (!head) throw new Error(`branch_empty: ${branch}`);
+  const snapshot = readBackupSnapshot(db, { userId, projectId: proj.id, hash: head });
+  const now = new Date().toISOString();
+  restoreSnapshotState(db, { userId, projectId: proj.id, snapshot, now });
+  state.branches[state.active] = { ...state.branches[state.active], history: parseHashHistory(proj.hash_history) };
+  const { history: _parked, ...meta } = state.branches[branch];
+  state.branches[branch] = meta;
+  state.active = branch;
+  saveBranchState(db, proj.id, state, { hash: head, history: targetHistory, now });
+  await persistDb();
+  return { active: branch, head, changed: true };
+}
+
+// Replace the working state (AGENTS.md content, other documents, ADRs + tasks) without committing; used by merges
+export async function replaceProjectState(userId, projectId, { agentContent, docs, adrs, tasks }) {
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  const agent = { ...safeParseJson(proj.agent_json || '{}', {}), content: String(agentContent ?? '') };
+  const ids = new Set((tasks || []).map(t => String(t.task_id)));
+  const cleaned = (tasks || []).map(t => ({ ...t, depends_on: (Array.isArray(t.depends_on) ? t.depends_on : []).filter(d => ids.has(String(d))) }));
+  restoreSnapshotState(db, {
+    userId,
+    projectId: proj.id,
+    snapshot: { agent, docs, adrs, progress: safeParseJson(proj.progress_json || '{}', {}), tasks: cleaned },
+    now: new Date().toISOString(),
+  });
+  await persistDb();
+}
+
+// Bookkeeping after merging `source` into the active branch. A fast-forward replaces the active
+// history; either way the merged source head is remembered as the base for the next merge.
+export async function recordBranchMerge(userId, projectId, source, sourceHead, { fastForwardHistory } = {}) {
+  const db = await openDb();
+  const { proj, state } = await loadProjectForBranches(userId, projectId);
+  const active = state.branches[state.active] || {};
+  state.branches[state.active] = { ...active, merged: { ...(active.merged || {}), [source]: sourceHead } };
+  if (fastForwardHistory) {
+    const now = new Date().toISOString();
+    const snapshot = readBackupSnapshot(db, { userId, projectId: proj.id, hash: sourceHead });
+    restoreSnapshotState(db, { userId, projectId: proj.id, snapshot, now });
+    saveBranchState(db, proj.id, state, { hash: sourceHead, history: fastForwardHistory, now });
+  } else {
+    saveBranchState(db, proj.id, state);
+  }
+  await persistDb();
+}
+
+// ---------------- Tags ----------------
+// Tags point at backup rows, which are never removed by a reset, so tagged commits stay readable
+// and restorable even after they drop out of the active history.
+
+const TAG_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9._/-]{0,63}$/;
+const HASH_LIKE_RE = /^[0-9a-f]{7,40}$/;
+
+function backupExists(db, { userId, projectId, hash }) {
+  const sel = db.prepare('SELECT 1 FROM backups WHERE user_id = $u AND project_id = $p AND hash = $h');
+  sel.bind({ $u: userId, $p: projectId, $h: hash });
+  const ok = sel.step();
+  sel.free();
+  return ok;
+}
+
+function readProjectTags(db, projectId) {
+  const tags = [];
+  const sel = db.prepare('SELECT name, hash, created_by, created_at FROM project_tags WHERE project_id = $p ORDER BY created_at ASC, name ASC');
+  sel.bind({ $p: projectId });
+  while (sel.step()) {
+    const r = sel.getAsObject();
+    tags.push({ name: String(r.name), hash: String(r.hash), created_by: r.created_by || null, created_at: r.created_at });
+  }
+  sel.free();
+  return tags;
+}
+
+export async function listProjectTags(userId, projectId) {
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  const history = new Set(parseHashHistory(proj.hash_history));
+  return readProjectTags(db, proj.id).map(t => ({ ...t, in_active_history: history.has(t.hash) }));
+}
+
+export async function createProjectTag(userId, projectId, name, hash, createdBy) {
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  const tag = String(name || '').trim();
+  if (!TAG_NAME_RE.test(tag) || HASH_LIKE_RE.test(tag)) throw new Error('invalid_tag_name: use 1-64 letters, digits, ".", "_", "-" or "/" and not a hex hash');
+  const target = String(hash || proj.hash || '').trim();
+  if (!target || !backupExists(db, { userId, projectId: proj.id, hash: target })) throw new Error(`hash_not_found: ${target}`);
+  const existing = readProjectTags(db, proj.id).find(t => t.name === tag);
+  if (existing) throw new Error(`tag_exists: ${tag} -> ${existing.hash}`);
+  const now = new Date().toISOString();
+  const ins = db.prepare('INSERT INTO project_tags (project_id, name, hash, created_by, created_at) VALUES ($p, $n, $h, $by, $c)');
+  ins.bind({ $p: proj.id, $n: tag, $h: target, $by: createdBy || userId, $c: now });
+  ins.step();
+  ins.free();
+  await persistDb();
+  return { name: tag, hash: target, created_at: now };
+}
+
+export async function deleteProjectTag(userId, projectId, name) {
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  const tag = String(name || '').trim();
+  const existing = readProjectTags(db, proj.id).find(t => t.name === tag);
+  if (!existing) throw new Error(`tag_not_found: ${tag}`);
+  const del = db.prepare('DELETE FROM project_tags WHERE project_id = $p AND name = $n');
+  del.bind({ $p: proj.id, $n: tag });
+  del.step();
+  del.free();
+  await persistDb();
+  return existing;
+}
+
+// Map a tag name to its hash; anything else is returned unchanged (treated as a hash)
+export async function resolveCommitRef(userId, projectId, ref) {
+  const r = String(ref || '').trim();
+  if (!r) return r;
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  const sel = db.prepare('SELECT hash FROM project_tags WHERE project_id = $p AND name = $n');
+  sel.bind({ $p: proj.id, $n: r });
+  const hash = sel.step() ? String(sel.getAsObject().hash) : null;
+  sel.free();
+  return hash || r;
+}
+
+// ---------------- History retention ----------------
+
+// Inputs for a retention decision: every stored commit (oldest first), each branch's history, the
+// hashes compaction must never drop (head, branch heads, branch points, merge records) and tag targets.
+export async function getProjectRetentionInfo(userId, projectId) {
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  const commits = [];
+  const sel = db.prepare('SELECT hash, created_at FROM backups WHERE user_id = $u AND project_id = $p ORDER BY created_at ASC, rowid ASC');
+  sel.bind({ $u: userId, $p: proj.id });
+  while (sel.step()) {
+    const r = sel.getAsObject();
+    commits.push({ hash: String(r.hash), created_at: r.created_at });
+  }
+  sel.free();
+  const state = parseBranchState(proj);
+  const histories = {};
+  const pinned = new Set(proj.hash ? [proj.hash] : []);
+  for (const [name, meta] of Object.entries(state.branches)) {
+    const history = branchHistory(proj, state, name);
+    histories[name] = history;
+    if (history.length) pinned.add(history[history.length - 1]);
+    if (meta?.from_hash) pinned.add(String(meta.from_hash));
+    for (const h of Object.values(meta?.merged || {})) pinned.add(String(h));
+  }
+  return {
+    project_id: proj.id,
+    name: proj.name,
+    commits,
+    histories,
+    pinned: [...pinned],
+    tagged: [...new Set(readProjectTags(db, proj.id).map(t => t.hash))],
+  };
+}
+
+// Deleted rows only free pages inside the file; VACUUM rebuilds it so the persisted database
+// actually shrinks. Must run outside a transaction.
+export async function vacuumDb() {
+  const db = await openDb();
+  db.exec('VACUUM');
+  await persistDb();
+}
+
+// Drop every backup not in keepHashes (the head is always kept) and re-encode the survivors
+// oldest-first as deltas against the previous survivor. Branch histories forget dropped hashes.
+// dryRun computes the same numbers without writing; vacuum=false leaves the VACUUM to the caller
+// (compactAllProjects runs one after all projects).
+export async function compactProjectBackups(userId, projectId, keepHashes, { dryRun = false, vacuum = true } = {}) {
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  const keep = new Set((keepHashes || []).map(String));
+  if (proj.hash) keep.add(proj.hash);
+  const rows = [];
+  const sel = db.prepare('SELECT hash, snapshot_json, delta_of, delta_depth FROM backups WHERE user_id = $u AND project_id = $p ORDER BY created_at ASC, rowid ASC');
+  sel.bind({ $u: userId, $p: proj.id });
+  while (sel.step()) {
+    const r = sel.getAsObject();
+    rows.push({ hash: String(r.hash), bytes: Buffer.byteLength(String(r.snapshot_json || ''), 'utf8'), deltaOf: r.delta_of || null, depth: Number(r.delta_depth || 0) });
+  }
+  sel.free();
+  const memo = new Map();
+  const removed = rows.filter(r => !keep.has(r.hash)).map(r => r.hash);
+  // Tags on removed commits (possible with keep_tagged=false) go with them
+  const removedSet = new Set(removed);
+  const droppedTags = readProjectTags(db, proj.id).filter(t => removedSet.has(t.hash)).map(t => ({ name: t.name, hash: t.hash }));
+  const rewrites = [];
+  let prev = null;
+  for (const r of rows) {
+    if (!keep.has(r.hash)) continue;
+    const snapshot = readBackupSnapshot(db, { userId, projectId: proj.id, hash: r.hash }, memo);
+    const stored = encodeBackupSnapshot(snapshot, prev);
+    const bytes = Buffer.byteLength(stored.json, 'utf8');
+    rewrites.push({ hash: r.hash, ...stored, bytes, changed: stored.deltaOf !== r.deltaOf || stored.depth !== r.depth || bytes !== r.bytes });
+    prev = { hash: r.hash, depth: stored.depth, snapshot };
+  }
+  const bytesBefore = rows.reduce((n, r) => n + r.bytes, 0);
+  const bytesAfter = rewrites.reduce((n, r) => n + r.bytes, 0);
+  const rewritten = rewrites.filter(r => r.changed);
+  if (!dryRun && (removed.length || rewritten.length)) {
+    const upd = db.prepare('UPDATE backups SET snapshot_json = $s, delta_of = $do, delta_depth = $dd WHERE user_id = $u AND project_id = $p AND hash = $h');
+    for (const r of rewritten) {
+      upd.bind({ $s: r.json, $do: r.deltaOf, $dd: r.depth, $u: userId, $p: proj.id, $h: r.hash });
+      upd.step();
+      upd.reset();
+    }
+    upd.free();
+    const del = db.prepare('DELETE FROM backups WHERE user_id = $u AND project_id = $p AND hash = $h');
+    for (const h of removed) {
+      del.bind({ $u: userId, $p: proj.id, $h: h });
+      del.step();
+      del.reset();
+    }
+    del.free();
+    const delTag = db.prepare('DELETE FROM project_tags WHERE project_id = $p AND name = $n');
+    for (const t of droppedTags) {
+      delTag.bind({ $p: proj.id, $n: t.name });
+      delTag.step();
+      delTag.reset();
+    }
+    delTag.free();
+    if (removed.length) {
+      const state = parseBranchState(proj);
+      for (const meta of Object.values(state.branches)) {
+        if (Array.isArray(meta?.history)) meta.history = meta.history.filter(h => !removedSet.has(String(h)));
+      }
+      const history = parseHashHistory(proj.hash_history).filter(h => !removedSet.has(h));
+      saveBranchState(db, proj.id, state, { history });
+    }
+    if (removed.length && vacuum) db.exec('VACUUM');
+    await persistDb();
+  }
+  return {
+    commits_before: rows.length,
+    commits_after: rewrites.length,
+    removed,
+    dropped_tags: droppedTags,
+    bytes_before: bytesBefore,
+    bytes_after: bytesAfter,
+    reclaimed_bytes: bytesBefore - bytesAfter,
+  };
+}
+
+// ---------------- Structured Tasks APIs ----------------
+
+// Query options shared by listTasks and listSnapshotTasks (all optional):
+//   only: statuses (default: everything but archived)
+//   filters: { priority: ['p0',..], assignee, labels: [..] (all required), due_before: 'YYYY-MM-DD' (inclusive),
+//              root_id (that task and its subtree), max_depth (levels below root_id, or below top-level tasks),
+//              text: { pattern, regex, flags } (matches task_info or extra_note), updated_since (ISO timestamp) }
+//   sort: position (default: sibling order, see moveTask) | created_at | updated_at | priority | due_date | task_info,
+//         '-' prefix for descending;
+//         unset values sort last either way
+//   limit / offset: page the result; total counts every matching task
+// Returns { tasks, total }.
+export async function listTasks(userId, projectId, options = {}) {
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  return queryTasks(db, { userId, projectId: proj.id, ...options });
+}
+
+// Same shape, filtering and sorting as listTasks, computed from a backup snapshot's task list.
+// The snapshot is loaded into a throwaway in-memory database so both paths share one query.
+export async function listSnapshotTasks(snapshot, options = {}) {
+  await openDb();
+  const scratch = new sqlModule.Database();
+  try {
+    registerSqlFunctions(scratch);
+    scratch.exec(`CREATE TABLE project_tasks (
+      id TEXT PRIMARY KEY, user_id TEXT NOT NULL, project_id TEXT NOT NULL, task_id TEXT NOT NULL, task_info TEXT NOT NULL,
+      parent_id TEXT, status TEXT NOT NULL, extra_note TEXT, depends_on TEXT, priority TEXT, due_date TEXT, assignee TEXT,
+      labels TEXT, position INTEGER, created_at TEXT NOT NULL, updated_at TEXT
+    );
+    CREATE TABLE task_comments (
+      id TEXT PRIMARY KEY, user_id TEXT NOT NULL, project_id TEXT NOT NULL, task_id TEXT NOT NULL, author_id TEXT,
+      kind TEXT NOT NULL, text TEXT NOT NULL, run_id TEXT, commit_hash TEXT, created_at TEXT NOT NULL
+    )`);
+    const tasks = Array.isArray(snapshot?.tasks) ? snapshot.tasks : [];
+    insertSnapshotTasks(scratch, { userId: 'snapshot', projectId: 'snapshot', tasks, now: '' });
+    return queryTasks(scratch, { userId: 'snapshot', projectId: 'snapshot', ...options });
+  } finally {
+    scratch.close();
+  }
+}
+
+const TASK_SORT_SQL = {
+  position: { expr: 't.position', nullable: true },
+  created_at: { expr: 't.created_at' },
+  updated_at: { expr: 'COALESCE(t.updated_at, t.created_at)' },
+  priority: { expr: 't.priority', nullable: true },
+  due_date: { expr: 't.due_date', nullable: true },
+  task_info: { expr: 't.task_info COLLATE NOCASE' },
+};
+export const TASK_SORT_KEYS = Object.keys(TASK_SORT_SQL);
+
+// Guards the subtree walk against parent_id loops
+const TASK_TREE_MAX_DEPTH = 1000;
+
+function queryTasks(db, { userId, projectId, only, filters = {}, sort, limit, offset = 0 }) {
+  const bind = { $u: userId, $p: projectId };
+  const where = [];
+  let from = 'project_tasks t';
+  let prefix = '';
+  if (filters.root_id || Number.isInteger(filters.max_depth)) {
+    // Depth is counted from root_id, or from top-level tasks (no parent, or a parent that no longer exists)
+    const seed = filters.root_id
+      ? 'task_id = $root'
+      : '(parent_id IS NULL OR parent_id NOT IN (SELECT task_id FROM project_tasks WHERE user_id = $u AND project_id = $p))';
+    if (filters.root_id) bind.$root = String(filters.root_id);
+    bind.$maxd = Number.isInteger(filters.max_depth) ? filters.max_depth : TASK_TREE_MAX_DEPTH;
+    prefix = `WITH RECURSIVE tree(task_id, depth) AS (
+      SELECT task_id, 0 FROM project_tasks WHERE user_id = $u AND project_id = $p AND ${seed}
+      UNION ALL
+      SELECT c.task_id, tree.depth + 1 FROM project_tasks c JOIN tree ON c.parent_id = tree.task_id
+      WHERE c.user_id = $u AND c.project_id = $p AND tree.depth < $maxd
+    ) `;
+    from = 'project_tasks t JOIN (SELECT task_id, MIN(depth) AS depth FROM tree GROUP BY task_id) tr ON tr.task_id = t.task_id';
+  }
+  if (Array.isArray(only) && only.length) {
+    where.push(`t.status IN (${only.map((_, i) => `$s${i}`).join(',')})`);
+    only.forEach((s, i) => { bind[`$s${i}`] = String(s); });
+  } else {
+    // Default exclude archived
+    where.push('t.status != $archived');
+    bind.$archived = 'archived';
+  }
+  if (Array.isArray(filters.priority) && filters.priority.length) {
+    where.push(`t.priority IN (${filters.priority.map((_, i) => `$pr${i}`).join(',')})`);
+    filters.priority.forEach((v, i) => { bind[`$pr${i}`] = String(v); });
+  }
+  if (filters.assignee) { where.push('t.assignee = $asg'); bind.$asg = String(filters.assignee); }
+  if (Array.isArray(filters.labels)) {
+    filters.labels.forEach((l, i) => {
+      where.push(`EXISTS (SELECT 1 FROM json_each(COALESCE(t.labels, '[]')) WHERE value = $lb${i})`);
+      bind[`$lb${i}`] = String(l);
+    });
+  }
+  if (filters.due_before) { where.push('t.due_date IS NOT NULL AND t.due_date <= $due'); bind.$due = String(filters.due_before); }
+  if (filters.updated_since) { where.push('COALESCE(t.updated_at, t.created_at) >= $since'); bind.$since = String(filters.updated_since); }
+  if (filters.text?.pattern) {
+    bind.$txt = String(filters.text.pattern);
+    if (filters.text.regex) {
+      bind.$txf = String(filters.text.flags || '');
+      where.push('(regexp_match(t.task_info, $txt, $txf) OR regexp_match(t.extra_note, $txt, $txf))');
+    } else {
+      where.push("(instr(lower(t.task_info), lower($txt)) > 0 OR instr(lower(COALESCE(t.extra_note, '')), lower($txt)) > 0)");
+    }
+  }
+  const desc = typeof sort === 'string' && sort.startsWith('-');
+  const key = TASK_SORT_SQL[desc ? sort.slice(1) : sort] || TASK_SORT_SQL.position;
+  const order = [
+    ...(key.nullable ? [`${key.expr} IS NULL`] : []),
+    `${key.expr} ${desc ? 'DESC' : 'ASC'}`,
+    't.created_at ASC',
+    't.task_id ASC',
+  ];
+  let query = `${prefix}SELECT t.task_id, t.task_info, t.parent_id, t.status, t.extra_note, t.depends_on, t.priority, t.due_date, t.assignee, t.labels, t.position, t.created_at, t.updated_at, COUNT(*) OVER () AS total_rows,
+    (SELECT COUNT(*) FROM task_comments c WHERE c.project_id = t.project_id AND c.task_id = t.task_id AND c.kind = 'comment') AS comment_count
+    FROM ${from} WHERE t.user_id = $u AND t.project_id = $p AND ${where.join(' AND ')} ORDER BY ${order.join(', ')}`;
+  if (Number.isInteger(limit)) {
+    query += ' LIMIT $limit OFFSET $offset';
+    bind.$limit = limit;
+    bind.$offset = Math.max(0, offset | 0);
+  }
+  const stmt = db.prepare(query);
+  stmt.bind(bind);
+  // Blockers are resolved against the whole project, not just the filtered rows
+  const graph = loadTaskGraph(db, { userId, projectId });
+  const tasks = [];
+  let total = 0;
+  while (stmt.step()) {
+    const r = stmt.getAsObject();
+    total = Number(r.total_rows) || 0;
+    tasks.push(shapeTaskRow({ ...r, depends_on: parseJsonArrayOfStrings(r.depends_on), labels: parseJsonArrayOfStrings(r.labels) }, graph));
+  }
+  stmt.free();
+  // A page past the end returns no rows to read the window count from
+  if (!tasks.length && Number.isInteger(limit) && offset > 0) {
+    const countStmt = db.prepare(`${prefix}SELECT COUNT(*) AS n FROM ${from} WHERE t.user_id = $u AND t.project_id = $p AND ${where.join(' AND ')}`);
+    const { $limit, $offset, ...countBind } = bind;
+    countStmt.bind(countBind);
+    if (countStmt.step()) total = Number(countStmt.getAsObject().n) || 0;
+    countStmt.free();
+  }
+  return { tasks, total };
+}
+
+function shapeTaskRow(r, graph) {
+  const dependsOn = Array.isArray(r.depends_on) ? r.depends_on : [];
+  const blockedBy = DEPENDENCY_DONE_STATUSES.has(String(r.status)) ? [] : blockersFor(graph, dependsOn);
+  return {
+    task_id: r.task_id,
+    task_info: r.task_info,
+    parent_id: r.parent_id || null,
+    status: r.status,
+    extra_note: r.extra_note || null,
+    depends_on: dependsOn,
+    priority: r.priority || null,
+    due_date: r.due_date || null,
+    assignee: r.assignee || null,
+    labels: Array.isArray(r.labels) ? r.labels : [],
+    position: Number.isInteger(r.position) ? r.position : null,
+    comment_count: Number(r.comment_count) || 0,
+    blocked: blockedBy.length > 0,
+    blocked_by: blockedBy,
+    created_at: r.created_at,
+    updated_at: r.updated_at || null,
+  };
+}
+
+// ---- Task dependency helpers ----
+// depends_on holds task_ids of the same project; a dependency counts as done once completed (or archived).
+const DEPENDENCY_DONE_STATUSES = new Set(['completed', 'archived']);
+
+function serializeDependsOn(list) {
+  const arr = Array.isArray(list) ? Array.from(new Set(list.map(String))) : [];
+  return arr.length ? JSON.stringify(arr) : null;
+}
+
+function serializeLabels(list) {
+  const arr = Array.isArray(list) ? Array.from(new Set(list.map(String))) : [];
+  return arr.length ? JSON.stringify(arr) : null;
+}
+
+function loadTaskGraph(db, { userId, projectId }) {
+  const graph = new Map();
+  const q = db.prepare('SELECT task_id, status, depends_on FROM project_tasks WHERE user_id = $u AND project_id = $p');
+  q.bind({ $u: userId, $p: projectId });
+  while (q.step()) {
+    const r = q.getAsObject();
+    graph.set(String(r.task_id), { status: String(r.status || 'pending'), depends_on: parseJsonArrayOfStrings(r.depends_on) });
+  }
+  q.free();
+  return graph;
+}
+
+function blockersFor(graph, deps) {
+  return (deps || []).filter(d => {
+    const node = graph.get(d);
+    return node && !DEPENDENCY_DONE_STATUSES.has(node.status);
+  });
+}
+
+// Returns the cycle path (e.g. [a, b, a]) that giving taskId these deps would close, or null
+function findDependencyCycle(graph, taskId, deps) {
+  const stack = (deps || []).map(d => [d, [taskId, d]]);
+  const seen = new Set();
+  while (stack.length) {
+    const [current, trail] = stack.pop();
+    if (current === taskId) return trail;
+    if (seen.has(current)) continue;
+    seen.add(current);
+    const node = graph.get(current);
+    for (const next of (node?.depends_on || [])) stack.push([next, [...trail, next]]);
+  }
+  return null;
+}
+
+export async function addTasks(userId, projectId, tasks) {
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  const now = new Date().toISOString();
+  const added = [];
+  const exists = [];
+  const invalid = [];
+  const graph = loadTaskGraph(db, { userId, projectId: proj.id });
   const check = db.prepare('SELECT 1 FROM project_tasks WHERE user_id = $u AND project_id = $p AND task_id = $tid LIMIT 1');
+  // Tasks in the same batch may depend on each other, so validate the whole batch before inserting
+  const fresh = [];
+  const batchIds = new Set();
   for (const t of tasks) {
-    // pre-check for duplicates
+    // pre-check for duplicates (stored, or repeated within the batch)
     check.bind({ $u: userId, $p: proj.id, $tid: t.task_id });
     const already = check.step();
     check.reset();
-    if (already) { exists.push(t.task_id); continue; }
-    const rowId = newUserId();
-    const stmt = db.prepare(`
-      INSERT INTO project_tasks (id, user_id, project_id, task_id, task_info, parent_id, status, extra_note, created_at)
-      VALUES ($id, $u, $p, $tid, $info, $pid, $st, $note, $now)
-    `);
-    stmt.bind({
-      $id: rowId,
-      $u: userId,
-      $p: proj.id,
-      $tid: t.task_id,
-      $info: t.task_info,
-      $pid: t.parent_id || null,
-      $st: t.status,
-      $note: t.extra_note || null,
-      $now: now,
+    if (already || batchIds.has(t.task_id)) { exists.push(t.task_id); continue; }
+    batchIds.add(t.task_id);
+    const deps = Array.isArray(t.depends_on) ? t.depends_on : [];
+    fresh.push({ ...t, depends_on: deps });
+    graph.set(t.task_id, { status: t.status, depends_on: deps });
+  }
+  const reject = (t, entry) => { invalid.push({ item: t, ...entry }); graph.delete(t.task_id); };
+  let accepted = [];
+  for (const t of fresh) {
+    const unknown = t.depends_on.filter(d => !graph.has(d));
+    if (unknown.length) { reject(t, { reason: 'unknown_dependency', depends_on: unknown }); continue; }
+    const cycle = findDependencyCycle(graph, t.task_id, t.depends_on);
+    if (cycle) { reject(t, { reason: 'dependency_cycle', cycle }); continue; }
+    accepted.push(t);
+  }
+  // A rejection takes the task out of the graph, which can strand earlier tasks that depend on it
+  for (let changed = true; changed;) {
+    changed = false;
+    accepted = accepted.filter(t => {
+      const unknown = t.depends_on.filter(d => !graph.has(d));
+      if (!unknown.length) return true;
+      reject(t, { reason: 'unknown_dependency', depends_on: unknown });
+      changed = true;
+      return false;
     });
-    stmt.step();
-    stmt.free();
+  }
+  for (const t of accepted) {
+    insertTaskRow(db, { userId, projectId: proj.id, task: t, now });
     added.push(t.task_id);
   }
   check.free();
+  if (added.length) indexTasksForSearch(db, { userId, projectId: proj.id });
   await persistDb();
-  return { added, exists };
+  return { added, exists, invalid };
+}
+
+// New tasks go to the end of their sibling group
+function insertTaskRow(db, { userId, projectId, task: t, now }) {
+  const stmt = db.prepare(`
+    INSERT INTO project_tasks (id, user_id, project_id, task_id, task_info, parent_id, status, extra_note, depends_on, priority, due_date, assignee, labels, position, created_at)
+    VALUES ($id, $u, $p, $tid, $info, $pid, $st, $note, $dep, $pri, $due, $asg, $lbl, $pos, $now)
+  `);
+  stmt.bind({
+    $id: newUserId(),
+    $u: userId,
+    $p: projectId,
+    $tid: t.task_id,
+    $info: t.task_info,
+    $pid: t.parent_id || null,
+    $st: t.status,
+    $note: t.extra_note || null,
+    $dep: serializeDependsOn(t.depends_on),
+    $pri: t.priority || null,
+    $due: t.due_date || null,
+    $asg: t.assignee || null,
+    $lbl: serializeLabels(t.labels),
+    $pos: nextTaskPosition(db, { userId, projectId, parentId: t.parent_id || null }),
+    $now: now,
+  });
+  stmt.step();
+  stmt.free();
 }
 
 export async function replaceTasks(userId, projectId, tasks) {
@@ -1067,12 +2240,13 @@ export async function replaceTasks(userId, projectId, tasks) {
   del.bind({ $u: userId, $p: proj.id });
   del.step();
   del.free();
+  deleteTaskComments(db, { projectId: proj.id });
   await persistDb();
   // Add all new tasks
   return await addTasks(userId, projectId, tasks);
 }
 
-export async function setTasksState(userId, projectId, { matchIds = [], matchText = [], state, task_info, parent_id, extra_note }) {
+export async function setTasksState(userId, projectId, { matchIds = [], matchText = [], state, task_info, parent_id, extra_note, depends_on, priority, due_date, assignee, labels, actorId }) {
   const db = await openDb();
   const proj = await getProjectFullById(userId, projectId);
   if (!proj) throw new Error('project not found');
@@ -1080,6 +2254,27 @@ export async function setTasksState(userId, projectId, { matchIds = [], matchTex
   const changedIds = new Set();
   const notMatched = [];
   const forbidden = [];
+  const blocked = [];
+  const cyclic = [];
+  const parentCycles = [];
+
+  if (typeof depends_on !== 'undefined') {
+    const graph = loadTaskGraph(db, { userId, projectId: proj.id });
+    const unknown = (depends_on || []).filter(d => !graph.has(d));
+    if (unknown.length) throw new Error(`dependency_not_found: ${unknown.join(', ')}`);
+  }
+
+  function tryUpdate(tid) {
+    const res = updateTaskChecked(db, { userId, projectId: proj.id, tid, now, actorId, update: { state, task_info, parent_id, extra_note, depends_on, priority, due_date, assignee, labels } });
+    if (res.error === 'dependency_cycle') cyclic.push({ task_id: tid, cycle: res.cycle });
+    else if (res.error === 'task_blocked') {
+      if (res.blocked_by.length) blocked.push({ task_id: tid, blocked_by: res.blocked_by });
+      for (const d of res.descendants) blocked.push({ ...d, cascaded_from: tid });
+    }
+    else if (res.error === 'parent_cycle') parentCycles.push({ task_id: tid, cycle: res.cycle });
+    else if (res.error === 'task_locked') forbidden.push(tid);
+    else changedIds.add(tid);
+  }
 
   // Update by IDs
   const selById = db.prepare('SELECT status FROM project_tasks WHERE user_id = $u AND project_id = $p AND task_id = $tid');
@@ -1088,38 +2283,72 @@ export async function setTasksState(userId, projectId, { matchIds = [], matchTex
     const exists = selById.step();
     selById.reset();
     if (!exists) { notMatched.push(tid); continue; }
-    const ok = applyUpdateForId(db, { userId, projectId: proj.id, tid, now, state, task_info, parent_id, extra_note });
-    if (ok) changedIds.add(tid); else forbidden.push(tid);
+    tryUpdate(tid);
   }
+  selById.free();
 
   // Update by text contains
   for (const term of matchText) {
     const q = db.prepare('SELECT task_id, task_info FROM project_tasks WHERE user_id = $u AND project_id = $p');
     q.bind({ $u: userId, $p: proj.id });
-    let matchedAny = false;
+    const hits = [];
     while (q.step()) {
       const r = q.getAsObject();
-      if (String(r.task_info || '').toLowerCase().includes(String(term).toLowerCase())) {
-        const ok = applyUpdateForId(db, { userId, projectId: proj.id, tid: r.task_id, now, state, task_info, parent_id, extra_note });
-        if (ok) changedIds.add(r.task_id); else forbidden.push(r.task_id);
-        matchedAny = true;
-      }
+      if (String(r.task_info || '').toLowerCase().includes(String(term).toLowerCase())) hits.push(String(r.task_id));
     }
     q.free();
-    if (!matchedAny) notMatched.push(term);
+    for (const tid of hits) tryUpdate(tid);
+    if (!hits.length) notMatched.push(term);
   }
+  if (changedIds.size) indexTasksForSearch(db, { userId, projectId: proj.id });
   await persistDb();
-  return { changedIds: Array.from(changedIds.values()), notMatched, forbidden };
+  return { changedIds: Array.from(changedIds.values()), notMatched, forbidden, blocked, cyclic, parentCycles };
+}
+
+// Dependency, parent and lock checks for one task, then the update itself. Checks run against the
+// current rows, so earlier updates in the same call are visible. Returns { error, ... } without
+// writing anything, or { statusChanges } after logging a status entry for every task whose status
+// moved (including cascaded subtasks).
+function updateTaskChecked(db, { userId, projectId, tid, now, actorId, update }) {
+  const { state, depends_on, parent_id } = update;
+  const graph = loadTaskGraph(db, { userId, projectId });
+  const deps = typeof depends_on !== 'undefined' ? (depends_on || []) : (graph.get(tid)?.depends_on || []);
+  if (typeof depends_on !== 'undefined') {
+    const cycle = findDependencyCycle(graph, tid, deps);
+    if (cycle) return { error: 'dependency_cycle', cycle };
+  }
+  if (state === 'in_progress' || state === 'completed') {
+    const blockedBy = blockersFor(graph, deps);
+    // The status cascades to the whole subtree, so its tasks must be unblocked too; when
+    // completing, dependencies inside the subtree complete along with it
+    const subtree = descendantIds(db, { userId, projectId, tid });
+    const doneTogether = new Set(state === 'completed' ? [tid, ...subtree] : []);
+    const descendants = subtree
+      .map(id => ({ task_id: id, blocked_by: blockersFor(graph, graph.get(id)?.depends_on).filter(d => !doneTogether.has(d)) }))
+      .filter(d => d.blocked_by.length);
+    if (blockedBy.length || descendants.length) return { error: 'task_blocked', blocked_by: blockedBy, descendants };
+  }
+  if (parent_id) {
+    const cycle = findParentCycle(db, { userId, projectId, taskId: tid, parentId: parent_id });
+    if (cycle) return { error: 'parent_cycle', cycle };
+  }
+  const applied = applyUpdateForId(db, { userId, projectId, tid, now, ...update });
+  if (!applied) return { error: 'task_locked' };
+  for (const m of applied.statusChanges) {
+    const via = m.task_id === tid ? '' : ` (cascaded from ${tid})`;
+    insertTaskComments(db, { userId, projectId, taskId: m.task_id, comments: [{ author: actorId || userId, kind: 'status', text: `status: ${m.from} -> ${state}${via}`, created_at: now }] });
+  }
+  return applied;
 }
 
-function applyUpdateForId(db, { userId, projectId, tid, now, state, task_info, parent_id, extra_note }) {
+function applyUpdateForId(db, { userId, projectId, tid, now, state, task_info, parent_id, extra_note, depends_on, priority, due_date, assignee, labels }) {
   const { selfLocked, ancestorLocked, selfStatus } = getLockInfo(db, { userId, projectId, tid });
   const newState = state || null;
   const isUnlocking = (selfLocked && (newState === 'pending' || newState === 'in_progress'));
   // Forbid if any ancestor is locked (completed/archived)
   if (ancestorLocked) return false;
   // Forbid field updates when self is locked
-  const wantsFieldUpdate = (typeof task_info !== 'undefined') || (typeof parent_id !== 'undefined') || (typeof extra_note !== 'undefined');
+  const wantsFieldUpdate = [task_info, parent_id, extra_note, depends_on, priority, due_date, assignee, labels].some(v => typeof v !== 'undefined');
   if (wantsFieldUpdate && selfLocked) return false;
   // If self is locked and attempting a status change that is not unlocking, forbid
   if (selfLocked && newState && !isUnlocking) return false;
@@ -1128,8 +2357,21 @@ function applyUpdateForId(db, { userId, projectId, tid, now, state, task_info, p
   const bind = { $u: userId, $p: projectId, $tid: tid, $now: now };
   if (typeof state !== 'undefined' && state) { fields.push('status = $st'); bind.$st = state; }
   if (typeof task_info !== 'undefined') { fields.push('task_info = $ti'); bind.$ti = String(task_info || ''); }
-  if (typeof parent_id !== 'undefined') { fields.push('parent_id = $pid'); bind.$pid = parent_id || null; }
+  if (typeof parent_id !== 'undefined') {
+    fields.push('parent_id = $pid');
+    bind.$pid = parent_id || null;
+    // A task joining a new sibling group goes to its end
+    if (bind.$pid !== currentParentId(db, { userId, projectId, tid })) {
+      fields.push('position = $pos');
+      bind.$pos = nextTaskPosition(db, { userId, projectId, parentId: bind.$pid });
+    }
+  }
   if (typeof extra_note !== 'undefined') { fields.push('extra_note = $en'); bind.$en = extra_note || null; }
+  if (typeof depends_on !== 'undefined') { fields.push('depends_on = $dep'); bind.$dep = serializeDependsOn(depends_on); }
+  if (typeof priority !== 'undefined') { fields.push('priority = $pri'); bind.$pri = priority || null; }
+  if (typeof due_date !== 'undefined') { fields.push('due_date = $due'); bind.$due = due_date || null; }
+  if (typeof assignee !== 'undefined') { fields.push('assignee = $asg'); bind.$asg = assignee || null; }
+  if (typeof labels !== 'undefined') { fields.push('labels = $lbl'); bind.$lbl = serializeLabels(labels); }
   fields.push('updated_at = $now');
   const sql = `UPDATE project_tasks SET ${fields.join(', ')} WHERE user_id = $u AND project_id = $p AND task_id = $tid`;
   const upd = db.prepare(sql);
@@ -1137,13 +2379,38 @@ function applyUpdateForId(db, { userId, projectId, tid, now, state, task_info, p
   upd.step();
   upd.free();
   // Cascade status to children when a new status is provided (any status)
+  const statusChanges = [];
   if (bind.$st) {
-    cascadeSetStatus(db, { userId, projectId, rootId: tid, now, status: bind.$st });
+    if (selfStatus !== bind.$st) statusChanges.push({ task_id: tid, from: selfStatus });
+    statusChanges.push(...cascadeSetStatus(db, { userId, projectId, rootId: tid, now, status: bind.$st }));
   }
-  return true;
+  return { statusChanges };
 }
 
+// Every task below tid (breadth-first)
+function descendantIds(db, { userId, projectId, tid }) {
+  const out = [];
+  const seen = new Set([tid]);
+  const queue = [tid];
+  const q = db.prepare('SELECT task_id FROM project_tasks WHERE user_id = $u AND project_id = $p AND parent_id = $pid');
+  while (queue.length) {
+    q.bind({ $u: userId, $p: projectId, $pid: queue.shift() });
+    while (q.step()) {
+      const id = String(q.getAsObject().task_id);
+      if (seen.has(id)) continue;
+      seen.add(id);
+      out.push(id);
+      queue.push(id);
+    }
+    q.reset();
+  }
+  q.free();
+  return out;
+}
+
+// Returns [{ task_id, from }] for descendants whose status actually changed
 function cascadeSetStatus(db, { userId, projectId, rootId, now, status }) {
+  const changes = [];
   const seen = new Set();
   const queue = [rootId];
   while (queue.length) {
@@ -1151,12 +2418,13 @@ function cascadeSetStatus(db, { userId, projectId, rootId, now, status }) {
     if (seen.has(current)) continue;
     seen.add(current);
     // children are tasks whose parent_id equals current
-    const q = db.prepare('SELECT task_id FROM project_tasks WHERE user_id = $u AND project_id = $p AND parent_id = $pid');
+    const q = db.prepare('SELECT task_id, status FROM project_tasks WHERE user_id = $u AND project_id = $p AND parent_id = $pid');
     q.bind({ $u: userId, $p: projectId, $pid: current });
     const toArchive = [];
     while (q.step()) {
       const r = q.getAsObject();
       toArchive.push(r.task_id);
+      if (String(r.status) !== status && !seen.has(String(r.task_id))) changes.push({ task_id: String(r.task_id), from: String(r.status) });
     }
     q.free();
     for (const tid of toArchive) {
@@ -1167,6 +2435,7 @@ function cascadeSetStatus(db, { userId, projectId, rootId, now, status }) {
       queue.push(tid);
     }
   }
+  return changes;
 }
 
 function getLockInfo(db, { userId, projectId, tid }) {
@@ -1198,18 +2467,682 @@ function getLockInfo(db, { userId, projectId, tid }) {
     if (lockedStatuses.has(st)) return { selfLocked, ancestorLocked: true, selfStatus };
     parent = pr.parent_id || null;
   }
-  return { selfLocked, ancestorLocked: false, selfStatus };
+  return { selfLocked, ancestorLocked: false, selfStatus };
+}
+
+export async function deleteAllTasks(userId, projectId) {
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  const del = db.prepare('DELETE FROM project_tasks WHERE user_id = $u AND project_id = $p');
+  del.bind({ $u: userId, $p: proj.id });
+  del.step();
+  del.free();
+  deleteTaskComments(db, { projectId: proj.id });
+  indexTasksForSearch(db, { userId, projectId: proj.id });
+  await persistDb();
+}
+
+// ---------------- Task ordering ----------------
+// position orders tasks within one sibling group (same parent_id). Gaps are harmless; moveTask
+// renumbers the groups it touches to 0..n-1.
+
+function nextTaskPosition(db, { userId, projectId, parentId }) {
+  const q = db.prepare('SELECT COALESCE(MAX(position), -1) + 1 AS next FROM project_tasks WHERE user_id = $u AND project_id = $p AND parent_id IS $pid');
+  q.bind({ $u: userId, $p: projectId, $pid: parentId || null });
+  q.step();
+  const next = Number(q.getAsObject().next) || 0;
+  q.free();
+  return next;
+}
+
+function currentParentId(db, { userId, projectId, tid }) {
+  const q = db.prepare('SELECT parent_id FROM project_tasks WHERE user_id = $u AND project_id = $p AND task_id = $t');
+  q.bind({ $u: userId, $p: projectId, $t: tid });
+  const parent = q.step() ? (q.getAsObject().parent_id || null) : null;
+  q.free();
+  return parent;
+}
+
+// Tasks without a position (created before ordering existed, or restored from older snapshots)
+// go after their positioned siblings, oldest first. Without projectId every project is filled.
+function backfillTaskPositions(db, { projectId } = {}) {
+  const q = db.prepare(`SELECT id, project_id, parent_id, position FROM project_tasks${projectId ? ' WHERE project_id = $p' : ''}
+    ORDER BY project_id, parent_id, position IS NULL, position, created_at`);
+  if (projectId) q.bind({ $p: projectId });
+  const next = new Map();
+  const fills = [];
+  while (q.step()) {
+    const r = q.getAsObject();
+    const group = `${r.project_id}\u0000${r.parent_id || ''}`;
+    if (Number.isInteger(r.position)) { next.set(group, Math.max(next.get(group) ?? 0, r.position + 1)); continue; }
+    const pos = next.get(group) ?? 0;
+    next.set(group, pos + 1);
+    fills.push([r.id, pos]);
+  }
+  q.free();
+  if (!fills.length) return;
+  const upd = db.prepare('UPDATE project_tasks SET position = $pos WHERE id = $id');
+  for (const [id, pos] of fills) {
+    upd.bind({ $pos: pos, $id: id });
+    upd.step();
+    upd.reset();
+  }
+  upd.free();
+}
+
+// Returns the ancestor path (e.g. [task, parent, ..., task]) if parentId is taskId or one of its descendants
+function findParentCycle(db, { userId, projectId, taskId, parentId }) {
+  const q = db.prepare('SELECT parent_id FROM project_tasks WHERE user_id = $u AND project_id = $p AND task_id = $t');
+  try {
+    return findParentCycleIn(taskId, parentId, (id) => {
+      q.bind({ $u: userId, $p: projectId, $t: id });
+      const parent = q.step() ? (q.getAsObject().parent_id || null) : null;
+      q.reset();
+      return parent;
+    });
+  } finally {
+    q.free();
+  }
+}
+
+// Move a task (its subtree follows through parent_id) under parentId at a sibling index.
+// parentId undefined keeps the current parent, null makes it top-level. The slot is index, or
+// just before beforeId / after afterId (which also supply the parent when parentId is omitted);
+// default is the end. Reparenting follows the lock rules of field edits; reordering in place is
+// always allowed.
+export async function moveTask(userId, projectId, taskId, { parentId, index, beforeId, afterId } = {}) {
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  const result = placeTask(db, { userId, projectId: proj.id, taskId, parentId, index, beforeId, afterId, now: new Date().toISOString() });
+  if (!result.unchanged) await persistDb();
+  return result;
+}
+
+function placeTask(db, { userId, projectId, taskId, parentId, index, beforeId, afterId, now }) {
+  const tasks = new Map();
+  const q = db.prepare('SELECT task_id, parent_id, position, created_at FROM project_tasks WHERE user_id = $u AND project_id = $p');
+  q.bind({ $u: userId, $p: projectId });
+  while (q.step()) {
+    const r = q.getAsObject();
+    tasks.set(String(r.task_id), { task_id: String(r.task_id), parent_id: r.parent_id || null, position: r.position, created_at: r.created_at });
+  }
+  q.free();
+  const task = tasks.get(taskId);
+  if (!task) throw new Error(`task_not_found: ${taskId}`);
+  const anchorId = beforeId || afterId || null;
+  if (anchorId && !tasks.has(anchorId)) throw new Error(`task_not_found: ${anchorId}`);
+  if (anchorId === taskId) throw new Error('invalid_move: a task cannot be placed relative to itself');
+  let newParent = typeof parentId === 'undefined' ? (anchorId ? tasks.get(anchorId).parent_id : task.parent_id) : (parentId || null);
+  if (anchorId && tasks.get(anchorId).parent_id !== newParent) throw new Error(`invalid_move: ${anchorId} is not a child of ${newParent || 'the top level'}`);
+  if (newParent && !tasks.has(newParent)) throw new Error(`parent_not_found: ${newParent}`);
+  const cycle = findParentCycle(db, { userId, projectId: projectId, taskId, parentId: newParent });
+  if (cycle) {
+    const err = new Error(`move_cycle: ${cycle.join(' -> ')}`);
+    err.cycle = cycle;
+    throw err;
+  }
+  const oldParent = task.parent_id;
+  if (newParent !== oldParent) {
+    const { selfLocked, ancestorLocked } = getLockInfo(db, { userId, projectId: projectId, tid: taskId });
+    if (selfLocked || ancestorLocked) throw new Error(`task_locked: ${taskId} is completed/archived or under a locked task`);
+  }
+  const ordered = (parent, exclude = taskId) => Array.from(tasks.values())
+    .filter(t => t.parent_id === parent && t.task_id !== exclude)
+    .sort((a, b) => {
+      const pa = Number.isInteger(a.position), pb = Number.isInteger(b.position);
+      if (pa !== pb) return pa ? -1 : 1;
+      return (pa && a.position - b.position) || String(a.created_at).localeCompare(String(b.created_at));
+    })
+    .map(t => t.task_id);
+  const siblings = ordered(newParent);
+  let slot = siblings.length;
+  if (beforeId) slot = siblings.indexOf(beforeId);
+  else if (afterId) slot = siblings.indexOf(afterId) + 1;
+  else if (Number.isInteger(index)) slot = Math.min(Math.max(index, 0), siblings.length);
+  siblings.splice(slot, 0, taskId);
+  const result = { task_id: taskId, parent_id: newParent, from_parent_id: oldParent, index: slot, siblings };
+  if (newParent === oldParent && siblings.join() === ordered(oldParent, null).join()) return { ...result, unchanged: true };
+  const setPos = db.prepare('UPDATE project_tasks SET position = $pos WHERE user_id = $u AND project_id = $p AND task_id = $t');
+  const renumber = (ids) => ids.forEach((id, i) => {
+    if (id !== taskId && tasks.get(id).position === i) return;
+    setPos.bind({ $pos: i, $u: userId, $p: projectId, $t: id });
+    setPos.step();
+    setPos.reset();
+  });
+  renumber(siblings);
+  if (newParent !== oldParent) renumber(ordered(oldParent));
+  setPos.free();
+  const upd = db.prepare('UPDATE project_tasks SET parent_id = $pid, updated_at = $now WHERE user_id = $u AND project_id = $p AND task_id = $t');
+  upd.bind({ $pid: newParent, $now: now, $u: userId, $p: projectId, $t: taskId });
+  upd.step();
+  upd.free();
+  return result;
+}
+
+// Sibling group of parentId in display order (positioned first, then oldest first)
+function orderedSiblings(db, { userId, projectId, parentId }) {
+  const q = db.prepare(`SELECT task_id FROM project_tasks WHERE user_id = $u AND project_id = $p AND parent_id IS $pid
+    ORDER BY position IS NULL, position, created_at`);
+  q.bind({ $u: userId, $p: projectId, $pid: parentId || null });
+  const ids = [];
+  while (q.step()) ids.push(String(q.getAsObject().task_id));
+  q.free();
+  return ids;
+}
+
+// Delete one task. children decides what happens to its subtasks: 'refuse' fails with has_children,
+// 'cascade' deletes the whole subtree and 'reparent_to_parent' moves the direct children into the
+// deleted task's place under its parent. Follows the lock rules of field edits. Remaining tasks
+// drop their depends_on entries on deleted ids, reported as dropped_depends_on: [{ task_id, depends_on }].
+function deleteTaskChecked(db, { userId, projectId, tid, children = 'refuse', now }) {
+  const { selfLocked, ancestorLocked, selfStatus } = getLockInfo(db, { userId, projectId, tid });
+  if (!selfStatus) throw new Error(`task_not_found: ${tid}`);
+  if (selfLocked || ancestorLocked) throw new Error(`task_locked: ${tid} is completed/archived or under a locked task`);
+  const graph = loadTaskGraph(db, { userId, projectId });
+  const kids = orderedSiblings(db, { userId, projectId, parentId: tid });
+  if (kids.length && children === 'refuse') {
+    const err = new Error(`has_children: ${tid} has ${kids.length} subtask(s); pass children "cascade" or "reparent_to_parent"`);
+    err.children = kids;
+    throw err;
+  }
+  const deleted = [tid];
+  const reparented = [];
+  if (kids.length && children === 'reparent_to_parent') {
+    // Children take the deleted task's slot among its siblings, keeping their own order
+    const parentId = currentParentId(db, { userId, projectId, tid });
+    const group = orderedSiblings(db, { userId, projectId, parentId });
+    group.splice(group.indexOf(tid), 1, ...kids);
+    const setParent = db.prepare('UPDATE project_tasks SET parent_id = $pid, position = $pos, updated_at = CASE WHEN parent_id IS $pid THEN updated_at ELSE $now END WHERE user_id = $u AND project_id = $p AND task_id = $t');
+    group.forEach((id, i) => {
+      setParent.bind({ $pid: parentId, $pos: i, $now: now, $u: userId, $p: projectId, $t: id });
+      setParent.step();
+      setParent.reset();
+    });
+    setParent.free();
+    reparented.push(...kids);
+  } else if (kids.length) {
+    const q = db.prepare('SELECT task_id FROM project_tasks WHERE user_id = $u AND project_id = $p AND parent_id = $pid');
+    const queue = [...kids];
+    while (queue.length) {
+      const current = queue.shift();
+      if (deleted.includes(current)) continue;
+      deleted.push(current);
+      q.bind({ $u: userId, $p: projectId, $pid: current });
+      while (q.step()) queue.push(String(q.getAsObject().task_id));
+      q.reset();
+    }
+    q.free();
+  }
+  const del = db.prepare('DELETE FROM project_tasks WHERE user_id = $u AND project_id = $p AND task_id = $t');
+  for (const id of deleted) {
+    del.bind({ $u: userId, $p: projectId, $t: id });
+    del.step();
+    del.reset();
+  }
+  del.free();
+  deleteTaskComments(db, { projectId, taskIds: deleted });
+  const gone = new Set(deleted);
+  const droppedDependsOn = [];
+  const upd = db.prepare('UPDATE project_tasks SET depends_on = $dep WHERE user_id = $u AND project_id = $p AND task_id = $t');
+  for (const [id, node] of graph) {
+    if (gone.has(id)) continue;
+    const lost = node.depends_on.filter(d => gone.has(d));
+    if (!lost.length) continue;
+    for (const d of lost) droppedDependsOn.push({ task_id: id, depends_on: d });
+    upd.bind({ $dep: serializeDependsOn(node.depends_on.filter(d => !gone.has(d))), $u: userId, $p: projectId, $t: id });
+    upd.step();
+    upd.reset();
+  }
+  upd.free();
+  return { deleted, reparented, dropped_depends_on: droppedDependsOn };
+}
+
+export async function deleteTask(userId, projectId, taskId, { children } = {}) {
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  const res = deleteTaskChecked(db, { userId, projectId: proj.id, tid: taskId, children, now: new Date().toISOString() });
+  indexTasksForSearch(db, { userId, projectId: proj.id });
+  await persistDb();
+  return res;
+}
+
+// ---------------- Task batches ----------------
+// A batch runs add/update/delete/move operations in order inside one transaction, so later
+// operations see earlier ones. Each operation runs under its own savepoint; a failing one is
+// undone and recorded, the rest still run so every error is reported, and any error rolls back
+// the whole batch. Operations arrive validated for shape (ids, states, metadata) by the caller.
+
+const TASK_ERROR_CODES = ['task_not_found', 'parent_not_found', 'move_cycle', 'task_locked', 'invalid_move', 'has_children'];
+
+function runBatchOperation(db, { userId, projectId, op, now, actorId }) {
+  const exists = (tid) => {
+    const q = db.prepare('SELECT 1 FROM project_tasks WHERE user_id = $u AND project_id = $p AND task_id = $t');
+    q.bind({ $u: userId, $p: projectId, $t: tid });
+    const found = q.step();
+    q.free();
+    return found;
+  };
+  if (op.op === 'add') {
+    const t = op.task;
+    if (exists(t.task_id)) return { error: 'task_exists', message: `${t.task_id} already exists` };
+    if (t.parent_id && !exists(t.parent_id)) return { error: 'parent_not_found', message: `parent ${t.parent_id} does not exist` };
+    const graph = loadTaskGraph(db, { userId, projectId });
+    const unknown = t.depends_on.filter(d => !graph.has(d));
+    if (unknown.length) return { error: 'invalid_dependency', message: `unknown depends_on: ${unknown.join(', ')}`, depends_on: unknown };
+    insertTaskRow(db, { userId, projectId, task: t, now });
+    return { task_id: t.task_id };
+  }
+  if (!exists(op.task_id)) return { error: 'task_not_found', message: `${op.task_id} does not exist` };
+  if (op.op === 'update') {
+    const { update } = op;
+    if (update.parent_id && !exists(update.parent_id)) return { error: 'parent_not_found', message: `parent ${update.parent_id} does not exist` };
+    if (update.depends_on) {
+      const graph = loadTaskGraph(db, { userId, projectId });
+      const unknown = update.depends_on.filter(d => !graph.has(d));
+      if (unknown.length) return { error: 'invalid_dependency', message: `unknown depends_on: ${unknown.join(', ')}`, depends_on: unknown };
+    }
+    const res = updateTaskChecked(db, { userId, projectId, tid: op.task_id, now, actorId, update });
+    if (res.error === 'dependency_cycle') return { error: res.error, message: 'depends_on would create a dependency cycle', cycle: res.cycle };
+    if (res.error === 'task_blocked') {
+      const message = res.blocked_by.length ? 'Task is blocked by incomplete dependencies' : 'Subtasks that would cascade are blocked by incomplete dependencies';
+      return { error: res.error, message, blocked_by: res.blocked_by, ...(res.descendants.length ? { blocked_descendants: res.descendants } : {}) };
+    }
+    if (res.error === 'parent_cycle') return { error: res.error, message: 'parent_id would make a task its own ancestor', cycle: res.cycle };
+    if (res.error === 'task_locked') return { error: res.error, message: `${op.task_id} is completed/archived or under a locked task` };
+    const cascaded = res.statusChanges.map(m => m.task_id).filter(id => id !== op.task_id);
+    return { task_id: op.task_id, ...(cascaded.length ? { cascaded } : {}) };
+  }
+  try {
+    if (op.op === 'delete') return { task_id: op.task_id, ...deleteTaskChecked(db, { userId, projectId, tid: op.task_id, children: op.children, now }) };
+    const placed = placeTask(db, { userId, projectId, taskId: op.task_id, parentId: op.parent_id, index: op.index, beforeId: op.before_id, afterId: op.after_id, now });
+    return { task_id: op.task_id, parent_id: placed.parent_id, position: placed.index, ...(placed.unchanged ? { unchanged: true } : {}) };
+  } catch (err) {
+    const msg = String(err?.message || err);
+    const code = msg.split(':')[0];
+    if (!TASK_ERROR_CODES.includes(code)) throw err;
+    return { error: code, message: msg, ...(err?.cycle ? { cycle: err.cycle } : {}), ...(err?.children ? { children: err.children } : {}) };
+  }
+}
+
+// Returns { results } when every operation applied, or { errors: [{ index, op, task_id, error, message }] }
+// with nothing written.
+export async function applyTaskBatch(userId, projectId, operations, { actorId } = {}) {
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  const now = new Date().toISOString();
+  const results = [];
+  const errors = [];
+  db.exec('BEGIN');
+  try {
+    operations.forEach((op, index) => {
+      const taskId = op.op === 'add' ? op.task.task_id : op.task_id;
+      db.exec('SAVEPOINT batch_op');
+      let res;
+      try {
+        res = runBatchOperation(db, { userId, projectId: proj.id, op, now, actorId });
+      } catch (err) {
+        res = { error: 'operation_failed', message: String(err?.message || err) };
+      }
+      if (res.error) {
+        db.exec('ROLLBACK TO batch_op');
+        errors.push({ index, op: op.op, task_id: taskId, ...res });
+      } else {
+        results.push({ index, op: op.op, ...res });
+      }
+      db.exec('RELEASE batch_op');
+    });
+    if (errors.length) {
+      db.exec('ROLLBACK');
+      return { errors };
+    }
+    indexTasksForSearch(db, { userId, projectId: proj.id });
+    db.exec('COMMIT');
+  } catch (err) {
+    try { db.exec('ROLLBACK'); } catch {}
+    throw err;
+  }
+  await persistDb();
+  return { results };
+}
+
+// ---------------- Task comments ----------------
+// Comments are append-only: there is no edit or delete API. They are only removed together with
+// their task, and reverts restore each task's thread as it was in the target commit.
+
+const TASK_COMMENT_KINDS = new Set(['comment', 'status']);
+
+function shapeCommentRow(r) {
+  return {
+    comment_id: String(r.id),
+    task_id: String(r.task_id),
+    author: r.author_id || null,
+    kind: String(r.kind),
+    text: String(r.text || ''),
+    run_id: r.run_id || null,
+    commit_hash: r.commit_hash || null,
+    created_at: r.created_at,
+  };
+}
+
+// Map task_id -> comments (oldest first) for a project, or for one task when taskId is given
+function loadTaskComments(db, { projectId, taskId }) {
+  const byTask = new Map();
+  const q = db.prepare(`SELECT id, task_id, author_id, kind, text, run_id, commit_hash, created_at FROM task_comments
+    WHERE project_id = $p${taskId ? ' AND task_id = $t' : ''} ORDER BY created_at ASC, rowid ASC`);
+  q.bind(taskId ? { $p: projectId, $t: String(taskId) } : { $p: projectId });
+  while (q.step()) {
+    const c = shapeCommentRow(q.getAsObject());
+    if (!byTask.has(c.task_id)) byTask.set(c.task_id, []);
+    byTask.get(c.task_id).push(c);
+  }
+  q.free();
+  return byTask;
+}
+
+function insertTaskComments(db, { userId, projectId, taskId, comments }) {
+  const ins = db.prepare('INSERT OR IGNORE INTO task_comments (id, user_id, project_id, task_id, author_id, kind, text, run_id, commit_hash, created_at) VALUES ($id, $u, $p, $t, $a, $k, $txt, $run, $ch, $c)');
+  for (const c of comments) {
+    ins.bind({
+      $id: c.comment_id || newUserId(),
+      $u: userId,
+      $p: projectId,
+      $t: taskId,
+      $a: c.author || null,
+      $k: TASK_COMMENT_KINDS.has(c.kind) ? c.kind : 'comment',
+      $txt: String(c.text || ''),
+      $run: c.run_id || null,
+      $ch: c.commit_hash || null,
+      $c: c.created_at || new Date().toISOString(),
+    });
+    ins.step();
+    ins.reset();
+  }
+  ins.free();
+}
+
+function deleteTaskComments(db, { projectId, taskIds }) {
+  if (!Array.isArray(taskIds)) {
+    const del = db.prepare('DELETE FROM task_comments WHERE project_id = $p');
+    del.bind({ $p: projectId });
+    del.step();
+    del.free();
+    return;
+  }
+  const del = db.prepare('DELETE FROM task_comments WHERE project_id = $p AND task_id = $t');
+  for (const t of taskIds) {
+    del.bind({ $p: projectId, $t: String(t) });
+    del.step();
+    del.reset();
+  }
+  del.free();
+}
+
+export async function addTaskComment(userId, projectId, taskId, { authorId, text, runId, commitHash }) {
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  const check = db.prepare('SELECT 1 FROM project_tasks WHERE user_id = $u AND project_id = $p AND task_id = $t');
+  check.bind({ $u: userId, $p: proj.id, $t: String(taskId) });
+  const exists = check.step();
+  check.free();
+  if (!exists) throw new Error(`task_not_found: ${taskId}`);
+  const comment = { comment_id: newUserId(), author: authorId || null, kind: 'comment', text: String(text), run_id: runId || null, commit_hash: commitHash || null, created_at: new Date().toISOString() };
+  insertTaskComments(db, { userId, projectId: proj.id, taskId: String(taskId), comments: [comment] });
+  await persistDb();
+  return { ...comment, task_id: String(taskId) };
+}
+
+// Comments for one task, or the whole project (oldest first); limit keeps the newest entries
+export async function listTaskComments(userId, projectId, { taskId, kind, limit } = {}) {
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  let list = Array.from(loadTaskComments(db, { projectId: proj.id, taskId }).values()).flat();
+  if (!taskId) list.sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+  if (kind) list = list.filter(c => c.kind === kind);
+  const total = list.length;
+  if (Number.isInteger(limit) && limit > 0 && list.length > limit) list = list.slice(-limit);
+  return { comments: list, total };
+}
+
+// ---------------- Architecture decision records ----------------
+// Numbered per project (1, 2, ...) and never deleted. Creating a record with supersedes marks the
+// older record superseded in the same write.
+
+function shapeAdrRow(r) {
+  return {
+    number: Number(r.number),
+    title: String(r.title),
+    status: String(r.status),
+    context: String(r.context ?? ''),
+    decision: String(r.decision ?? ''),
+    consequences: String(r.consequences ?? ''),
+    supersedes: r.supersedes == null ? null : Number(r.supersedes),
+    date: String(r.date),
+    created_at: r.created_at,
+    updated_at: r.updated_at || null,
+  };
+}
+
+function loadProjectAdrs(db, projectId) {
+  const q = db.prepare('SELECT * FROM project_adrs WHERE project_id = $p ORDER BY number');
+  q.bind({ $p: projectId });
+  const out = [];
+  while (q.step()) out.push(shapeAdrRow(q.getAsObject()));
+  q.free();
+  return out;
+}
+
+function replaceAdrsState(db, { projectId, adrs }) {
+  const del = db.prepare('DELETE FROM project_adrs WHERE project_id = $p');
+  del.bind({ $p: projectId });
+  del.step();
+  del.free();
+  const ins = db.prepare(`INSERT INTO project_adrs (project_id, number, title, status, context, decision, consequences, supersedes, date, created_at, updated_at)
+    VALUES ($p, $n, $t, $s, $ctx, $d, $c, $sup, $date, $created, $updated)`);
+  for (const a of adrs) {
+    ins.bind({
+      $p: projectId,
+      $n: Number(a.number),
+      $t: String(a.title || ''),
+      $s: String(a.status || 'proposed'),
+      $ctx: String(a.context ?? ''),
+      $d: String(a.decision ?? ''),
+      $c: String(a.consequences ?? ''),
+      $sup: a.supersedes == null ? null : Number(a.supersedes),
+      $date: String(a.date || ''),
+      $created: a.created_at || new Date().toISOString(),
+      $updated: a.updated_at || null,
+    });
+    ins.step();
+    ins.reset();
+  }
+  ins.free();
+}
+
+function getAdrRow(db, projectId, number) {
+  const q = db.prepare('SELECT * FROM project_adrs WHERE project_id = $p AND number = $n');
+  q.bind({ $p: projectId, $n: Number(number) });
+  const row = q.step() ? shapeAdrRow(q.getAsObject()) : null;
+  q.free();
+  return row;
+}
+
+export async function listProjectAdrs(userId, projectId) {
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  return loadProjectAdrs(db, proj.id);
+}
+
+export async function getProjectAdr(userId, projectId, number) {
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  return getAdrRow(db, proj.id, number);
+}
+
+// fields: { title, status, context, decision, consequences, date, supersedes? }. Throws
+// adr_not_found / adr_superseded when the record to supersede is missing or already replaced.
+export async function createProjectAdr(userId, projectId, fields) {
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  const now = new Date().toISOString();
+  if (fields.supersedes != null) {
+    const old = getAdrRow(db, proj.id, fields.supersedes);
+    if (!old) throw new Error(`adr_not_found: ${fields.supersedes}`);
+    if (old.status === 'superseded') throw new Error(`adr_superseded: ${fields.supersedes} is already superseded`);
+  }
+  const q = db.prepare('SELECT COALESCE(MAX(number), 0) + 1 AS next FROM project_adrs WHERE project_id = $p');
+  q.bind({ $p: proj.id });
+  q.step();
+  const number = Number(q.getAsObject().next);
+  q.free();
+  const adr = {
+    number,
+    title: fields.title,
+    status: fields.status,
+    context: fields.context,
+    decision: fields.decision,
+    consequences: fields.consequences || '',
+    supersedes: fields.supersedes == null ? null : Number(fields.supersedes),
+    date: fields.date,
+    created_at: now,
+    updated_at: null,
+  };
+  const ins = db.prepare(`INSERT INTO project_adrs (project_id, number, title, status, context, decision, consequences, supersedes, date, created_at)
+    VALUES ($p, $n, $t, $s, $ctx, $d, $c, $sup, $date, $now)`);
+  ins.bind({ $p: proj.id, $n: number, $t: adr.title, $s: adr.status, $ctx: adr.context, $d: adr.decision, $c: adr.consequences, $sup: adr.supersedes, $date: adr.date, $now: now });
+  ins.step();
+  ins.free();
+  if (adr.supersedes != null) {
+    const upd = db.prepare("UPDATE project_adrs SET status = 'superseded', updated_at = $now WHERE project_id = $p AND number = $n");
+    upd.bind({ $p: proj.id, $n: adr.supersedes, $now: now });
+    upd.step();
+    upd.free();
+  }
+  await persistDb();
+  return adr;
 }
 
-export async function deleteAllTasks(userId, projectId) {
+// Returns the updated record ({ unchanged: true } when it already had that status)
+export async function setProjectAdrStatus(userId, projectId, number, status) {
   const db = await openDb();
   const proj = await getProjectFullById(userId, projectId);
   if (!proj) throw new Error('project not found');
-  const del = db.prepare('DELETE FROM project_tasks WHERE user_id = $u AND project_id = $p');
-  del.bind({ $u: userId, $p: proj.id });
+  const adr = getAdrRow(db, proj.id, number);
+  if (!adr) throw new Error(`adr_not_found: ${number}`);
+  if (adr.status === status) return { adr, unchanged: true };
+  if (adr.status === 'superseded') throw new Error(`adr_superseded: ${number} is superseded and cannot change status`);
+  const now = new Date().toISOString();
+  const upd = db.prepare('UPDATE project_adrs SET status = $s, updated_at = $now WHERE project_id = $p AND number = $n');
+  upd.bind({ $p: proj.id, $n: Number(number), $s: status, $now: now });
+  upd.step();
+  upd.free();
+  await persistDb();
+  return { adr: { ...adr, status, updated_at: now }, unchanged: false };
+}
+
+// ---------------- Task templates ----------------
+// Names are unique per owner, and separately among server-wide templates. A user sees their own
+// templates plus the server-wide ones; by name, their own wins.
+
+function shapeTemplateRow(r) {
+  return {
+    id: String(r.id),
+    name: String(r.name),
+    description: r.description || '',
+    scope: r.owner_id ? 'user' : 'server',
+    owner_id: r.owner_id || null,
+    tasks: safeParseJson(r.tasks_json, []),
+    variables: safeParseJson(r.variables_json || '{}', {}),
+    created_at: r.created_at,
+    updated_at: r.updated_at || null,
+  };
+}
+
+function templateNameTaken(db, { ownerId, name, exceptId }) {
+  const q = db.prepare('SELECT 1 FROM task_templates WHERE owner_id IS $o AND name = $n AND id IS NOT $x LIMIT 1');
+  q.bind({ $o: ownerId || null, $n: name, $x: exceptId || null });
+  const taken = q.step();
+  q.free();
+  return taken;
+}
+
+// ownerId null lists only server-wide templates (admin view)
+export async function listTaskTemplates(ownerId) {
+  const db = await openDb();
+  const q = db.prepare(`SELECT * FROM task_templates WHERE owner_id IS NULL${ownerId ? ' OR owner_id = $o' : ''}
+    ORDER BY owner_id IS NULL, name`);
+  if (ownerId) q.bind({ $o: ownerId });
+  const out = [];
+  while (q.step()) out.push(shapeTemplateRow(q.getAsObject()));
+  q.free();
+  return out;
+}
+
+// Look up by id or by name among the templates visible to ownerId
+export async function getTaskTemplate(ownerId, ref) {
+  const db = await openDb();
+  const q = db.prepare(`SELECT * FROM task_templates WHERE (id = $r OR name = $r) AND (owner_id IS NULL OR owner_id IS $o)
+    ORDER BY id = $r DESC, owner_id IS NULL LIMIT 1`);
+  q.bind({ $r: String(ref || ''), $o: ownerId || null });
+  const row = q.step() ? shapeTemplateRow(q.getAsObject()) : null;
+  q.free();
+  return row;
+}
+
+export async function createTaskTemplate(ownerId, { name, description, tasks, variables }) {
+  const db = await openDb();
+  if (templateNameTaken(db, { ownerId, name })) throw new Error(`template_exists: ${name}`);
+  const id = newUserId();
+  const stmt = db.prepare(`INSERT INTO task_templates (id, owner_id, name, description, tasks_json, variables_json, created_at)
+    VALUES ($id, $o, $n, $d, $t, $v, $now)`);
+  stmt.bind({ $id: id, $o: ownerId || null, $n: name, $d: description || null, $t: JSON.stringify(tasks), $v: JSON.stringify(variables || {}), $now: new Date().toISOString() });
+  stmt.step();
+  stmt.free();
+  await persistDb();
+  return getTaskTemplate(ownerId, id);
+}
+
+// Only the owner (or, for server-wide templates, the admin passing ownerId null) can change a template
+export async function updateTaskTemplate(ownerId, id, { name, description, tasks, variables }) {
+  const db = await openDb();
+  const q = db.prepare('SELECT * FROM task_templates WHERE id = $id AND owner_id IS $o');
+  q.bind({ $id: id, $o: ownerId || null });
+  const found = q.step() ? q.getAsObject() : null;
+  q.free();
+  if (!found) throw new Error('template_not_found');
+  if (typeof name !== 'undefined' && templateNameTaken(db, { ownerId, name, exceptId: id })) throw new Error(`template_exists: ${name}`);
+  const upd = db.prepare(`UPDATE task_templates SET name = $n, description = $d, tasks_json = $t, variables_json = $v, updated_at = $now WHERE id = $id`);
+  upd.bind({
+    $n: typeof name !== 'undefined' ? name : found.name,
+    $d: typeof description !== 'undefined' ? (description || null) : found.description,
+    $t: typeof tasks !== 'undefined' ? JSON.stringify(tasks) : found.tasks_json,
+    $v: typeof variables !== 'undefined' ? JSON.stringify(variables || {}) : found.variables_json,
+    $now: new Date().toISOString(),
+    $id: id,
+  });
+  upd.step();
+  upd.free();
+  await persistDb();
+  return getTaskTemplate(ownerId, id);
+}
+
+export async function deleteTaskTemplate(ownerId, id) {
+  const db = await openDb();
+  const del = db.prepare('DELETE FROM task_templates WHERE id = $id AND owner_id IS $o');
+  del.bind({ $id: id, $o: ownerId || null });
   del.step();
   del.free();
-  await persistDb();
+  const deleted = db.getRowsModified() > 0;
+  if (deleted) await persistDb();
+  return deleted;
 }
 
 // ---------------- Scratchpad APIs ----------------
@@ -1230,10 +3163,14 @@ function validateScratchpadId(id) {
   return s.length > 0 && s.length <= 100 && /^[A-Za-z0-9._\-]+$/.test(s);
 }
 
-function normalizeScratchpadTasks(incoming, projectId) {
-  const arr = Array.isArray(incoming) ? incoming.slice(0, 6) : [];
+// Valid tasks up to maxTasks (counting existingIds), the rest reported as invalid / exists / dropped
+function normalizeScratchpadTasks(incoming, projectId, { maxTasks, existingIds = [] } = {}) {
+  const arr = Array.isArray(incoming) ? incoming : [];
   const tasks = [];
   const invalid = [];
+  const exists = [];
+  const dropped = [];
+  const seen = new Set(existingIds.map(String));
   for (const t of arr) {
     if (!t || typeof t !== 'object') { invalid.push({ item: t, reason: 'not_an_object' }); continue; }
     const task_id = coerceString(t.task_id).trim();
@@ -1243,12 +3180,49 @@ function normalizeScratchpadTasks(incoming, projectId) {
     const status = normalizeScratchpadStatus(t.status || 'open');
     if (!task_id) { invalid.push({ item: t, reason: 'missing_task_id' }); continue; }
     if (!task_info) { invalid.push({ item: t, reason: 'missing_task_info' }); continue; }
+    if (seen.has(task_id)) { exists.push(task_id); continue; }
+    if (Number.isInteger(maxTasks) && seen.size >= maxTasks) { dropped.push({ task_id, reason: 'over_limit' }); continue; }
+    seen.add(task_id);
     tasks.push({ task_id, project_id: projectId, status, task_info, scratchpad, comments });
   }
-  return { tasks, invalid };
+  return { tasks, invalid, exists, dropped };
 }
 
-export async function initScratchpad(userId, projectId, scratchpadId, tasksInput) {
+function parseScratchpadTasks(json) {
+  try {
+    const parsed = JSON.parse(json || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+// Per-project scratchpad task cap (null: use the server default)
+export async function getProjectScratchpadMaxTasks(userId, projectId) {
+  const db = await openDb();
+  const sel = db.prepare('SELECT scratchpad_max_tasks FROM user_projects WHERE id = $p AND user_id = $u');
+  sel.bind({ $p: String(projectId), $u: userId });
+  const ok = sel.step();
+  const row = ok ? sel.getAsObject() : null;
+  sel.free();
+  if (!row) throw new Error('project not found');
+  return row.scratchpad_max_tasks == null ? null : Number(row.scratchpad_max_tasks);
+}
+
+export async function setProjectScratchpadMaxTasks(userId, projectId, maxTasks) {
+  const db = await openDb();
+  const upd = db.prepare('UPDATE user_projects SET scratchpad_max_tasks = $m WHERE id = $p AND user_id = $u');
+  upd.bind({ $m: maxTasks == null ? null : maxTasks, $p: String(projectId), $u: userId });
+  upd.step();
+  upd.free();
+  if (!db.getRowsModified()) throw new Error('project not found');
+  await persistDb();
+  return maxTasks == null ? null : maxTasks;
+}
+
+// options: maxTasks (tasks beyond it are returned as dropped), parent { scratchpad_id, task_id } and
+// maxDepth (nesting limit for sub-scratchpads, counting the new one)
+export async function initScratchpad(userId, projectId, scratchpadId, tasksInput, { maxTasks, parent, maxDepth } = {}) {
   const db = await openDb();
   const proj = await getProjectFullById(userId, projectId);
   if (!proj) throw new Error('project not found');
@@ -1271,9 +3245,26 @@ export async function initScratchpad(userId, projectId, scratchpadId, tasksInput
     if (!sid) throw new Error('failed_to_generate_scratchpad_id');
   }
   if (!validateScratchpadId(sid)) throw new Error('invalid scratchpad_id');
+  let parentRef = null;
+  if (parent) {
+    const pid = coerceString(parent.scratchpad_id).trim();
+    const ptask = coerceString(parent.task_id).trim();
+    const psel = db.prepare('SELECT tasks_json, status FROM scratchpads WHERE user_id = $u AND project_id = $p AND scratchpad_id = $sid');
+    psel.bind({ $u: userId, $p: proj.id, $sid: pid });
+    const prow = psel.step() ? psel.getAsObject() : null;
+    psel.free();
+    if (!prow) throw new Error('parent_not_found: parent scratchpad not found');
+    if (prow.status === 'archived') throw new Error('scratchpad_archived: cannot nest under a closed scratchpad');
+    if (!parseScratchpadTasks(prow.tasks_json).some(t => String(t.task_id) === ptask)) throw new Error(`parent_not_found: task ${ptask} not in scratchpad ${pid}`);
+    if (Number.isInteger(maxDepth) && scratchpadAncestors(db, { userId, projectId: proj.id, scratchpadId: pid }).length + 2 > maxDepth) {
+      throw new Error(`max_depth_exceeded: sub-scratchpads nest at most ${maxDepth} levels`);
+    }
+    parentRef = { scratchpad_id: pid, task_id: ptask };
+  }
   const now = new Date().toISOString();
-  const { tasks, invalid } = normalizeScratchpadTasks(tasksInput, proj.id);
-  if (tasks.length > 6) tasks.length = 6;
+  const { tasks, invalid, exists: duplicates, dropped } = normalizeScratchpadTasks(tasksInput, proj.id, { maxTasks });
+  // Nothing exists yet, so a repeated task_id is a duplicate within the input
+  for (const task_id of duplicates) invalid.push({ item: { task_id }, reason: 'duplicate_task_id' });
   // Upsert scratchpad row
   const sel = db.prepare('SELECT id FROM scratchpads WHERE user_id = $u AND project_id = $p AND scratchpad_id = $sid');
   sel.bind({ $u: userId, $p: proj.id, $sid: sid });
@@ -1281,21 +3272,56 @@ export async function initScratchpad(userId, projectId, scratchpadId, tasksInput
   sel.free();
   if (exists) throw new Error('scratchpad already exists');
   const ins = db.prepare(`
-    INSERT INTO scratchpads (id, user_id, project_id, scratchpad_id, tasks_json, common_memory, created_at)
-    VALUES ($id, $u, $p, $sid, $t, $cm, $now)
+    INSERT INTO scratchpads (id, user_id, project_id, scratchpad_id, tasks_json, common_memory, parent_scratchpad_id, parent_task_id, created_at)
+    VALUES ($id, $u, $p, $sid, $t, $cm, $ps, $pt, $now)
   `);
-  ins.bind({ $id: newUserId(), $u: userId, $p: proj.id, $sid: sid, $t: JSON.stringify(tasks), $cm: '', $now: now });
+  ins.bind({ $id: newUserId(), $u: userId, $p: proj.id, $sid: sid, $t: JSON.stringify(tasks), $cm: '', $ps: parentRef?.scratchpad_id ?? null, $pt: parentRef?.task_id ?? null, $now: now });
   ins.step();
   ins.free();
+  indexScratchpadForSearch(db, { userId, projectId: proj.id, scratchpadId: sid });
   await persistDb();
-  return await getScratchpad(userId, projectId, sid, { includeInvalid: invalid });
+  const out = await getScratchpad(userId, projectId, sid, { includeInvalid: invalid });
+  if (dropped.length) out.dropped = dropped;
+  if (Number.isInteger(maxTasks)) out.max_tasks = maxTasks;
+  return out;
+}
+
+// Ids of the scratchpad's ancestors, nearest first (sync)
+function scratchpadAncestors(db, { userId, projectId, scratchpadId }) {
+  const out = [];
+  const seen = new Set();
+  let current = scratchpadId;
+  while (current && !seen.has(current)) {
+    seen.add(current);
+    const sel = db.prepare('SELECT parent_scratchpad_id FROM scratchpads WHERE user_id = $u AND project_id = $p AND scratchpad_id = $sid');
+    sel.bind({ $u: userId, $p: projectId, $sid: current });
+    const parentId = sel.step() ? sel.getAsObject().parent_scratchpad_id : null;
+    sel.free();
+    if (!parentId) break;
+    out.push(parentId);
+    current = parentId;
+  }
+  return out;
+}
+
+// Direct sub-scratchpads of a scratchpad (sync)
+function scratchpadChildren(db, { userId, projectId, scratchpadId }) {
+  const sel = db.prepare('SELECT scratchpad_id, parent_task_id, status FROM scratchpads WHERE user_id = $u AND project_id = $p AND parent_scratchpad_id = $sid ORDER BY created_at, scratchpad_id');
+  sel.bind({ $u: userId, $p: projectId, $sid: scratchpadId });
+  const out = [];
+  while (sel.step()) {
+    const r = sel.getAsObject();
+    out.push({ scratchpad_id: r.scratchpad_id, task_id: r.parent_task_id, status: r.status || 'open' });
+  }
+  sel.free();
+  return out;
 }
 
 export async function getScratchpad(userId, projectId, scratchpadId, { includeInvalid } = {}) {
   const db = await openDb();
   const proj = await getProjectFullById(userId, projectId);
   if (!proj) throw new Error('project not found');
-  const sel = db.prepare('SELECT id, scratchpad_id, tasks_json, common_memory, created_at, updated_at FROM scratchpads WHERE user_id = $u AND project_id = $p AND scratchpad_id = $sid');
+  const sel = db.prepare('SELECT id, scratchpad_id, tasks_json, common_memory, status, parent_scratchpad_id, parent_task_id, created_at, updated_at, closed_at FROM scratchpads WHERE user_id = $u AND project_id = $p AND scratchpad_id = $sid');
   sel.bind({ $u: userId, $p: proj.id, $sid: scratchpadId });
   const ok = sel.step();
   if (!ok) { sel.free(); throw new Error('scratchpad not found'); }
@@ -1311,23 +3337,54 @@ export async function getScratchpad(userId, projectId, scratchpadId, { includeIn
     project_id: proj.id,
     tasks,
     common_memory: r.common_memory || '',
+    status: r.status || 'open',
     created_at: r.created_at,
     updated_at: r.updated_at || null,
+    closed_at: r.closed_at || null,
   };
+  if (r.parent_scratchpad_id) out.parent = { scratchpad_id: r.parent_scratchpad_id, task_id: r.parent_task_id };
+  const children = scratchpadChildren(db, { userId, projectId: proj.id, scratchpadId: r.scratchpad_id });
+  if (children.length) out.sub_scratchpads = children;
   if (includeInvalid && includeInvalid.length) out.invalid = includeInvalid;
   return out;
 }
 
+// Appends new tasks to an open scratchpad. Returns { added, exists, dropped, invalid, scratchpad }.
+export async function addScratchpadTasks(userId, projectId, scratchpadId, tasksInput, { maxTasks } = {}) {
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  const sel = db.prepare('SELECT id, tasks_json, status FROM scratchpads WHERE user_id = $u AND project_id = $p AND scratchpad_id = $sid');
+  sel.bind({ $u: userId, $p: proj.id, $sid: scratchpadId });
+  const ok = sel.step();
+  if (!ok) { sel.free(); throw new Error('scratchpad not found'); }
+  const row = sel.getAsObject();
+  sel.free();
+  if (row.status === 'archived') throw new Error('scratchpad_archived: closed scratchpads are read-only');
+  const current = parseScratchpadTasks(row.tasks_json);
+  const { tasks, invalid, exists, dropped } = normalizeScratchpadTasks(tasksInput, proj.id, { maxTasks, existingIds: current.map(t => t.task_id) });
+  if (tasks.length) {
+    const upd = db.prepare('UPDATE scratchpads SET tasks_json = $t, updated_at = $now WHERE id = $id');
+    upd.bind({ $t: JSON.stringify([...current, ...tasks]), $now: new Date().toISOString(), $id: row.id });
+    upd.step();
+    upd.free();
+    indexScratchpadForSearch(db, { userId, projectId: proj.id, scratchpadId });
+    await persistDb();
+  }
+  return { added: tasks.map(t => t.task_id), exists, dropped, invalid, scratchpad: await getScratchpad(userId, projectId, scratchpadId) };
+}
+
 export async function updateScratchpadTasks(userId, projectId, scratchpadId, updates) {
   const db = await openDb();
   const proj = await getProjectFullById(userId, projectId);
   if (!proj) throw new Error('project not found');
-  const sel = db.prepare('SELECT id, tasks_json FROM scratchpads WHERE user_id = $u AND project_id = $p AND scratchpad_id = $sid');
+  const sel = db.prepare('SELECT id, tasks_json, status FROM scratchpads WHERE user_id = $u AND project_id = $p AND scratchpad_id = $sid');
   sel.bind({ $u: userId, $p: proj.id, $sid: scratchpadId });
   const ok = sel.step();
   if (!ok) { sel.free(); throw new Error('scratchpad not found'); }
   const row = sel.getAsObject();
   sel.free();
+  if (row.status === 'archived') throw new Error('scratchpad_archived: closed scratchpads are read-only');
   let tasks = [];
   try {
     const parsed = JSON.parse(row.tasks_json || '[]');
@@ -1356,6 +3413,7 @@ export async function updateScratchpadTasks(userId, projectId, scratchpadId, upd
   upd.bind({ $t: JSON.stringify(tasks), $now: now, $id: row.id });
   upd.step();
   upd.free();
+  indexScratchpadForSearch(db, { userId, projectId: proj.id, scratchpadId });
   await persistDb();
   return { updated, notFound, scratchpad: await getScratchpad(userId, projectId, scratchpadId) };
 }
@@ -1364,12 +3422,13 @@ export async function appendScratchpadCommonMemory(userId, projectId, scratchpad
   const db = await openDb();
   const proj = await getProjectFullById(userId, projectId);
   if (!proj) throw new Error('project not found');
-  const sel = db.prepare('SELECT id, common_memory FROM scratchpads WHERE user_id = $u AND project_id = $p AND scratchpad_id = $sid');
+  const sel = db.prepare('SELECT id, common_memory, status FROM scratchpads WHERE user_id = $u AND project_id = $p AND scratchpad_id = $sid');
   sel.bind({ $u: userId, $p: proj.id, $sid: scratchpadId });
   const ok = sel.step();
   if (!ok) { sel.free(); throw new Error('scratchpad not found'); }
   const row = sel.getAsObject();
   sel.free();
+  if (row.status === 'archived') throw new Error('scratchpad_archived: closed scratchpads are read-only');
   const appendList = Array.isArray(toAppend) ? toAppend : [toAppend];
   const normalized = appendList
     .map(v => coerceString(v).trim())
@@ -1385,10 +3444,157 @@ export async function appendScratchpadCommonMemory(userId, projectId, scratchpad
   upd.bind({ $cm: updatedMemory, $now: now, $id: row.id });
   upd.step();
   upd.free();
+  indexScratchpadForSearch(db, { userId, projectId: proj.id, scratchpadId });
   await persistDb();
   return await getScratchpad(userId, projectId, scratchpadId);
 }
 
+// Summaries of the caller's scratchpads in a project, most recently touched first.
+// status: 'open' | 'archived' | undefined (both)
+export async function listScratchpads(userId, projectId, { status } = {}) {
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  let sql = 'SELECT scratchpad_id, tasks_json, common_memory, status, parent_scratchpad_id, parent_task_id, created_at, updated_at, closed_at FROM scratchpads WHERE user_id = $u AND project_id = $p';
+  const bind = { $u: userId, $p: proj.id };
+  if (status) { sql += ' AND status = $st'; bind.$st = status; }
+  sql += ' ORDER BY COALESCE(updated_at, created_at) DESC, scratchpad_id';
+  const sel = db.prepare(sql);
+  sel.bind(bind);
+  const out = [];
+  while (sel.step()) {
+    const r = sel.getAsObject();
+    let tasks = [];
+    try {
+      const parsed = JSON.parse(r.tasks_json || '[]');
+      if (Array.isArray(parsed)) tasks = parsed;
+    } catch {}
+    const complete = tasks.filter(t => t && t.status === 'complete').length;
+    out.push({
+      scratchpad_id: r.scratchpad_id,
+      status: r.status || 'open',
+      created_at: r.created_at,
+      updated_at: r.updated_at || null,
+      closed_at: r.closed_at || null,
+      task_count: tasks.length,
+      tasks_open: tasks.length - complete,
+      tasks_complete: complete,
+      common_memory_chars: String(r.common_memory || '').length,
+      parent_scratchpad_id: r.parent_scratchpad_id || null,
+      parent_task_id: r.parent_task_id || null,
+    });
+  }
+  sel.free();
+  return out;
+}
+
+// Marks a scratchpad archived (read-only). Returns { scratchpad, unchanged }.
+export async function closeScratchpad(userId, projectId, scratchpadId) {
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  const current = await getScratchpad(userId, projectId, scratchpadId);
+  if (current.status === 'archived') return { scratchpad: current, unchanged: true };
+  const now = new Date().toISOString();
+  const upd = db.prepare("UPDATE scratchpads SET status = 'archived', closed_at = $now, updated_at = $now WHERE user_id = $u AND project_id = $p AND scratchpad_id = $sid");
+  upd.bind({ $u: userId, $p: proj.id, $sid: scratchpadId, $now: now });
+  upd.step();
+  upd.free();
+  await persistDb();
+  return { scratchpad: await getScratchpad(userId, projectId, scratchpadId), unchanged: false };
+}
+
+// Removes a scratchpad row with its search rows and subagent runs, and its sub-scratchpads the
+// same way (sync, no persist). Returns the number of deleted runs.
+function removeScratchpadRows(db, { userId, projectId, scratchpadId }) {
+  let runs = 0;
+  for (const child of scratchpadChildren(db, { userId, projectId, scratchpadId })) {
+    runs += removeScratchpadRows(db, { userId, projectId, scratchpadId: child.scratchpad_id });
+  }
+  const del = db.prepare('DELETE FROM scratchpads WHERE user_id = $u AND project_id = $p AND scratchpad_id = $sid');
+  del.bind({ $u: userId, $p: projectId, $sid: scratchpadId });
+  del.step();
+  del.free();
+  const delRuns = db.prepare('DELETE FROM subagent_runs WHERE user_id = $u AND project_id = $p AND scratchpad_id = $sid');
+  delRuns.bind({ $u: userId, $p: projectId, $sid: scratchpadId });
+  delRuns.step();
+  delRuns.free();
+  runs += db.getRowsModified();
+  deleteSearchRows(db, projectId, 'scratchpad', scratchpadId);
+  return runs;
+}
+
+export async function deleteScratchpad(userId, projectId, scratchpadId) {
+  const db = await openDb();
+  const proj = await getProjectFullById(userId, projectId);
+  if (!proj) throw new Error('project not found');
+  await getScratchpad(userId, projectId, scratchpadId); // throws scratchpad not found
+  const descendants = [];
+  (function collect(sid) {
+    for (const child of scratchpadChildren(db, { userId, projectId: proj.id, scratchpadId: sid })) {
+      descendants.push(child.scratchpad_id);
+      collect(child.scratchpad_id);
+    }
+  })(scratchpadId);
+  const deletedRuns = removeScratchpadRows(db, { userId, projectId: proj.id, scratchpadId });
+  await persistDb();
+  return { scratchpad_id: scratchpadId, deleted_runs: deletedRuns, ...(descendants.length ? { deleted_sub_scratchpads: descendants } : {}) };
+}
+
+// Expiry sweep across all projects: open scratchpads untouched for openTtlHours and archived ones
+// closed more than archivedTtlHours ago are deleted with their runs; 0 disables either rule.
+// Runs whose scratchpad is gone (or never recorded) are dropped after openTtlHours too.
+export async function purgeExpiredScratchpads({ openTtlHours, archivedTtlHours, dryRun = false, now = new Date() }) {
+  const db = await openDb();
+  const cutoff = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000).toISOString();
+  const expired = [];
+  const collect = (sql, bind) => {
+    const sel = db.prepare(sql);
+    sel.bind(bind);
+    while (sel.step()) {
+      const r = sel.getAsObject();
+      expired.push({ user_id: r.user_id, project_id: r.project_id, scratchpad_id: r.scratchpad_id, status: r.status, last_activity: r.last_activity });
+    }
+    sel.free();
+  };
+  if (openTtlHours > 0) {
+    collect(`SELECT user_id, project_id, scratchpad_id, status, COALESCE(updated_at, created_at) AS last_activity FROM scratchpads
+      WHERE status <> 'archived' AND COALESCE(updated_at, created_at) < $cut`, { $cut: cutoff(openTtlHours) });
+  }
+  if (archivedTtlHours > 0) {
+    collect(`SELECT user_id, project_id, scratchpad_id, status, COALESCE(closed_at, updated_at, created_at) AS last_activity FROM scratchpads
+      WHERE status = 'archived' AND COALESCE(closed_at, updated_at, created_at) < $cut`, { $cut: cutoff(archivedTtlHours) });
+  }
+  // A scratchpad stays while any of its sub-scratchpads is still live (deleting it would take them along)
+  const key = (pad) => `${pad.user_id}\u0000${pad.project_id}\u0000${pad.scratchpad_id}`;
+  const expiredKeys = new Set(expired.map(key));
+  for (let changed = true; changed;) {
+    changed = false;
+    for (let i = expired.length - 1; i >= 0; i--) {
+      const pad = expired[i];
+      const children = scratchpadChildren(db, { userId: pad.user_id, projectId: pad.project_id, scratchpadId: pad.scratchpad_id });
+      if (children.every(c => expiredKeys.has(key({ ...pad, scratchpad_id: c.scratchpad_id })))) continue;
+      expiredKeys.delete(key(pad));
+      expired.splice(i, 1);
+      changed = true;
+    }
+  }
+  let runs = 0;
+  if (!dryRun) {
+    for (const pad of expired) runs += removeScratchpadRows(db, { userId: pad.user_id, projectId: pad.project_id, scratchpadId: pad.scratchpad_id });
+    if (openTtlHours > 0) {
+      const orphans = db.prepare(`DELETE FROM subagent_runs WHERE COALESCE(updated_at, created_at) < $cut AND NOT EXISTS (
+        SELECT 1 FROM scratchpads s WHERE s.user_id = subagent_runs.user_id AND s.project_id = subagent_runs.project_id AND s.scratchpad_id = subagent_runs.scratchpad_id)`);
+      orphans.bind({ $cut: cutoff(openTtlHours) });
+      orphans.step();
+      orphans.free();
+      runs += db.getRowsModified();
+    }
+    if (expired.length || runs) await persistDb();
+  }
+  return { scratchpads: expired, deleted_runs: runs };
+}
+
 // ---------------- Subagent Runs APIs ----------------
 
 function normalizeRunStatus(s) {
@@ -1397,16 +3603,16 @@ function normalizeRunStatus(s) {
   return 'pending';
 }
 
-export async function createSubagentRun(userId, projectId, runId, status = 'pending') {
+export async function createSubagentRun(userId, projectId, runId, status = 'pending', { scratchpadId } = {}) {
   const db = await openDb();
   const proj = await getProjectFullById(userId, projectId);
   if (!proj) throw new Error('project not found');
   const now = new Date().toISOString();
   const stmt = db.prepare(`
-    INSERT INTO subagent_runs (id, user_id, project_id, run_id, status, created_at)
-    VALUES ($id, $u, $p, $rid, $st, $now)
+    INSERT INTO subagent_runs (id, user_id, project_id, run_id, scratchpad_id, status, created_at)
+    VALUES ($id, $u, $p, $rid, $sid, $st, $now)
   `);
-  stmt.bind({ $id: newUserId(), $u: userId, $p: proj.id, $rid: String(runId), $st: normalizeRunStatus(status), $now: now });
+  stmt.bind({ $id: newUserId(), $u: userId, $p: proj.id, $rid: String(runId), $sid: scratchpadId || null, $st: normalizeRunStatus(status), $now: now });
   stmt.step();
   stmt.free();
   await persistDb();
@@ -1438,3 +3644,297 @@ export async function getSubagentRun(userId, projectId, runId) {
   sel.free();
   return { run_id: r.run_id, status: r.status, created_at: r.created_at, updated_at: r.updated_at || null };
 }
+
+// ---------------- Search Index APIs ----------------
+// search_fts rows are derived data: every writer above refreshes the rows of what it touched,
+// projects created before the index existed are backfilled by ensureProjectSearchIndex, and
+// uploaded files are indexed lazily (see src/search.js) because text extraction is async and slow.
+
+const SEARCH_BLOCK_MAX_CHARS = 1500;
+
+// Split text into blank-line separated blocks, remembering the 1-based line each block starts on
+function splitSearchBlocks(text) {
+  const lines = String(text ?? '').split(/\r?\n/);
+  const blocks = [];
+  let buf = [];
+  let startLine = 1;
+  let size = 0;
+  const flush = () => {
+    const content = buf.join('\n').trim();
+    if (content) blocks.push({ line: startLine, content });
+    buf = [];
+    size = 0;
+  };
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (!line.trim() || size + line.length > SEARCH_BLOCK_MAX_CHARS) {
+      flush();
+      if (!line.trim()) continue;
+    }
+    if (!buf.length) startLine = i + 1;
+    buf.push(line);
+    size += line.length + 1;
+  }
+  flush();
+  return blocks;
+}
+
+function markSearchSource(db, projectId, sourceType, sourceId, signature) {
+  const stmt = db.prepare(`
+    INSERT INTO search_sources (project_id, source_type, source_id, signature, updated_at)
+    VALUES ($p, $t, $s, $sig, $now)
+    ON CONFLICT(project_id, source_type, source_id) DO UPDATE SET signature = excluded.signature, updated_at = excluded.updated_at
+  `);
+  stmt.bind({ $p: projectId, $t: sourceType, $s: String(sourceId), $sig: signature ?? null, $now: new Date().toISOString() });
+  stmt.step();
+  stmt.free();
+}
+
+function deleteSearchRows(db, projectId, sourceType, sourceId) {
+  let sql = 'DELETE FROM search_fts WHERE project_id = $p AND source_type = $t';
+  const bind = { $p: projectId, $t: sourceType };
+  if (typeof sourceId !== 'undefined') { sql += ' AND source_id = $s'; bind.$s = String(sourceId); }
+  const del = db.prepare(sql);
+  del.bind(bind);
+  del.step();
+  del.free();
+}
+
+function insertSearchRows(db, projectId, sourceType, rows) {
+  const ins = db.prepare('INSERT INTO search_fts (content, project_id, owner_user, source_type, source_id, sub_id, location) VALUES ($c, $p, $o, $t, $s, $sub, $loc)');
+  for (const r of rows) {
+    if (!r || !String(r.content || '').trim()) continue;
+    ins.bind({
+      $c: String(r.content),
+      $p: projectId,
+      $o: r.owner_user || null,
+      $t: sourceType,
+      $s: String(r.source_id),
+      $sub: r.sub_id == null ? null : String(r.sub_id),
+      $loc: JSON.stringify(r.location || {}),
+    });
+    ins.step();
+    ins.reset();
+  }
+  ins.free();
+}
+
+function clearSearchIndex(db, projectId) {
+  const del = db.prepare('DELETE FROM search_fts WHERE project_id = $p');
+  del.bind({ $p: projectId });
+  del.step();
+  del.free();
+  const delSrc = db.prepare('DELETE FROM search_sources WHERE project_id = $p');
+  delSrc.bind({ $p: projectId });
+  delSrc.step();
+  delSrc.free();
+}
+
+function indexAgentForSearch(db, projectId, content) {
+  indexDocForSearch(db, projectId, DEFAULT_DOC_NAME, content);
+}
+
+// Documents are indexed as source_type 'agent' with the document name as source_id
+function indexDocForSearch(db, projectId, name, content) {
+  deleteSearchRows(db, projectId, 'agent', name);
+  const rows = splitSearchBlocks(content).map(b => ({ source_id: name, location: { line: b.line }, content: b.content }));
+  insertSearchRows(db, projectId, 'agent', rows);
+  markSearchSource(db, projectId, 'agent', name, null);
+}
+
+function unindexDocForSearch(db, projectId, name) {
+  deleteSearchRows(db, projectId, 'agent', name);
+  const del = db.prepare("DELETE FROM search_sources WHERE project_id = $p AND source_type = 'agent' AND source_id = $s");
+  del.bind({ $p: projectId, $s: name });
+  del.step();
+  del.free();
+}
+
+function indexTasksForSearch(db, { userId, projectId }) {
+  deleteSearchRows(db, projectId, 'task');
+  const rows = [];
+  const q = db.prepare('SELECT task_id, task_info, extra_note FROM project_tasks WHERE user_id = $u AND project_id = $p');
+  q.bind({ $u: userId, $p: projectId });
+  while (q.step()) {
+    const r = q.getAsObject();
+    rows.push({ source_id: r.task_id, location: { field: 'task_info' }, content: r.task_info });
+    if (r.extra_note) rows.push({ source_id: r.task_id, location: { field: 'extra_note' }, content: r.extra_note });
+  }
+  q.free();
+  insertSearchRows(db, projectId, 'task', rows);
+  markSearchSource(db, projectId, 'task', '*', null);
+}
+
+function indexScratchpadForSearch(db, { userId, projectId, scratchpadId }) {
+  deleteSearchRows(db, projectId, 'scratchpad', scratchpadId);
+  const sel = db.prepare('SELECT tasks_json, common_memory FROM scratchpads WHERE user_id = $u AND project_id = $p AND scratchpad_id = $sid');
+  sel.bind({ $u: userId, $p: projectId, $sid: scratchpadId });
+  const ok = sel.step();
+  const r = ok ? sel.getAsObject() : null;
+  sel.free();
+  if (!r) return;
+  const rows = [];
+  for (const b of splitSearchBlocks(r.common_memory)) {
+    rows.push({ source_id: scratchpadId, owner_user: userId, location: { field: 'common_memory', line: b.line }, content: b.content });
+  }
+  const tasks = safeParseJson(r.tasks_json, []);
+  for (const t of (Array.isArray(tasks) ? tasks : [])) {
+    for (const field of ['task_info', 'scratchpad', 'comments']) {
+      if (t && t[field]) rows.push({ source_id: scratchpadId, sub_id: t.task_id, owner_user: userId, location: { field }, content: t[field] });
+    }
+  }
+  insertSearchRows(db, projectId, 'scratchpad', rows);
+}
+
+// Backfill the index for projects created before search existed (no-op once indexed)
+export async function ensureProjectSearchIndex(ownerId, projectId) {
+  const db = await openDb();
+  const proj = await getProjectFullById(ownerId, projectId);
+  if (!proj) throw new Error('project not found');
+  const chk = db.prepare("SELECT 1 FROM search_sources WHERE project_id = $p AND source_type = 'project' LIMIT 1");
+  chk.bind({ $p: proj.id });
+  const indexed = chk.step();
+  chk.free();
+  if (indexed) return false;
+  indexAgentForSearch(db, proj.id, safeParseJson(proj.agent_json, {}).content);
+  for (const [name, content] of Object.entries(loadProjectDocs(db, proj.id))) indexDocForSearch(db, proj.id, name, content);
+  indexTasksForSearch(db, { userId: ownerId, projectId: proj.id });
+  const sp = db.prepare('SELECT user_id, scratchpad_id FROM scratchpads WHERE project_id = $p');
+  sp.bind({ $p: proj.id });
+  const pads = [];
+  while (sp.step()) pads.push(sp.getAsObject());
+  sp.free();
+  for (const pad of pads) indexScratchpadForSearch(db, { userId: pad.user_id, projectId: proj.id, scratchpadId: pad.scratchpad_id });
+  markSearchSource(db, proj.id, 'project', '*', null);
+  await persistDb();
+  return true;
+}
+
+export async function listSearchSources(projectId, sourceType) {
+  const db = await openDb();
+  const stmt = db.prepare('SELECT source_id, signature, updated_at FROM search_sources WHERE project_id = $p AND source_type = $t');
+  stmt.bind({ $p: String(projectId), $t: sourceType });
+  const rows = [];
+  while (stmt.step()) {
+    const r = stmt.getAsObject();
+    rows.push({ source_id: String(r.source_id), signature: r.signature || null, updated_at: r.updated_at });
+  }
+  stmt.free();
+  return rows;
+}
+
+// pages: [{ page, text }] for OCR'd PDFs; otherwise text with unit 'line' (md/txt) or 'offset' (parsed PDF text)
+export async function replaceFileSearchIndex(projectId, fileId, signature, { pages, text, unit = 'line' } = {}) {
+  const db = await openDb();
+  const pid = String(projectId);
+  deleteSearchRows(db, pid, 'file', fileId);
+  const rows = [];
+  if (Array.isArray(pages)) {
+    for (const pg of pages) {
+      for (const b of splitSearchBlocks(pg.text)) rows.push({ source_id: fileId, location: { page: pg.page }, content: b.content });
+    }
+  } else if (unit === 'offset') {
+    const str = String(text ?? '');
+    for (let off = 0; off < str.length; off += SEARCH_BLOCK_MAX_CHARS) {
+      rows.push({ source_id: fileId, location: { offset: off }, content: str.slice(off, off + SEARCH_BLOCK_MAX_CHARS) });
+    }
+  } else {
+    for (const b of splitSearchBlocks(text)) rows.push({ source_id: fileId, location: { line: b.line }, content: b.content });
+  }
+  insertSearchRows(db, pid, 'file', rows);
+  markSearchSource(db, pid, 'file', fileId, signature);
+  await persistDb();
+  return rows.length;
+}
+
+export async function removeSearchSource(projectId, sourceType, sourceId) {
+  const db = await openDb();
+  const pid = String(projectId);
+  deleteSearchRows(db, pid, sourceType, sourceId);
+  const del = db.prepare('DELETE FROM search_sources WHERE project_id = $p AND source_type = $t AND source_id = $s');
+  del.bind({ $p: pid, $t: sourceType, $s: String(sourceId) });
+  del.step();
+  del.free();
+  await persistDb();
+}
+
+// Turn free text into a safe FTS MATCH expression: every word/phrase must appear,
+// a trailing * keeps prefix matching; FTS operators in user input are treated as words.
+function buildFtsQuery(input) {
+  const parts = [];
+  const re = /"([^"]*)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(String(input ?? ''))) !== null) {
+    const raw = m[1] ?? m[2];
+    const prefix = !m[1] && raw.endsWith('*');
+    const words = raw.match(/[\p{L}\p{N}_]+/gu) || [];
+    if (!words.length) continue;
+    parts.push(`"${words.join(' ')}${prefix ? '*' : ''}"`);
+  }
+  return parts.join(' ');
+}
+
+// Okapi BM25 over the content column, from matchinfo(search_fts, 'pcnalx')
+function bm25FromMatchinfo(info) {
+  const u32 = new Uint32Array(info.buffer.slice(info.byteOffset, info.byteOffset + info.byteLength));
+  const [phrases, cols, total] = u32;
+  const avgLen = u32[3] || 1; // column 0 average tokens
+  const docLen = u32[3 + cols];
+  const k1 = 1.2;
+  const b = 0.75;
+  let score = 0;
+  for (let i = 0; i < phrases; i++) {
+    const base = 3 + cols * 2 + 3 * (i * cols);
+    const tf = u32[base];
+    const docsWithHit = u32[base + 2];
+    const idf = Math.log(1 + (total - docsWithHit + 0.5) / (docsWithHit + 0.5));
+    score += idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * docLen / avgLen));
+  }
+  return score;
+}
+
+// Blocks are indexed with their first line; narrow to the line holding the first highlighted term
+function lineOfFirstMatch(content, snippet) {
+  const m = /\*\*(.+?)\*\*/.exec(String(snippet || ''));
+  if (!m) return 0;
+  const term = m[1].toLowerCase();
+  const idx = String(content || '').split('\n').findIndex(l => l.toLowerCase().includes(term));
+  return idx > 0 ? idx : 0;
+}
+
+export const SEARCH_SOURCE_TYPES = ['agent', 'task', 'scratchpad', 'file'];
+
+// userId scopes scratchpad hits to the caller's own scratchpads
+export async function searchProjectIndex(projectId, query, { userId, types, limit = 20 } = {}) {
+  const db = await openDb();
+  const match = buildFtsQuery(query);
+  if (!match) return [];
+  const wanted = (Array.isArray(types) && types.length ? types : SEARCH_SOURCE_TYPES).filter(t => SEARCH_SOURCE_TYPES.includes(t));
+  if (!wanted.length) return [];
+  const typeBinds = {};
+  const typePlaceholders = wanted.map((t, i) => { typeBinds[`$t${i}`] = t; return `$t${i}`; });
+  const stmt = db.prepare(`
+    SELECT source_type, source_id, sub_id, location, content,
+      snippet(search_fts, '**', '**', '…', 0, 16) AS snippet,
+      matchinfo(search_fts, 'pcnalx') AS info
+    FROM search_fts
+    WHERE search_fts MATCH $q AND project_id = $p AND source_type IN (${typePlaceholders.join(', ')})
+      AND (source_type <> 'scratchpad' OR owner_user = $u)
+  `);
+  stmt.bind({ $q: match, $p: String(projectId), $u: userId || '', ...typeBinds });
+  const hits = [];
+  while (stmt.step()) {
+    const r = stmt.getAsObject();
+    const hit = { source_type: r.source_type, source_id: r.source_id };
+    if (r.sub_id) hit.sub_id = r.sub_id;
+    Object.assign(hit, safeParseJson(r.location, {}));
+    if (typeof hit.line === 'number') hit.line += lineOfFirstMatch(r.content, r.snippet);
+    hit.snippet = r.snippet;
+    hit.score = Math.round(bm25FromMatchinfo(r.info) * 1000) / 1000;
+    hits.push(hit);
+  }
+  stmt.free();
+  hits.sort((a, b) => b.score - a.score);
+  const max = Math.min(100, Math.max(1, Number.isFinite(Number(limit)) ? Math.floor(Number(limit)) : 20));
+  return hits.slice(0, max);
+}
@@ -0,0 +1,474 @@
+// Text and task diffs/merges between project snapshots (diff_project_versions, merge_branch, backup deltas).
+
+function splitLines(text) {
+  const s = String(text ?? '').replace(/\r\n/g, '\n');
+  if (!s) return [];
+  const lines = s.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// Line diffs run Myers only over the middle left after trimming the common prefix/suffix. Middles
+// longer than this (old + new lines) are treated as one replace instead, which bounds the edit
+// script's time and memory for full rewrites: unifiedDiff shows a single hunk, mergeText a single
+// conflict when both sides touch it, and textDelta stores the middle as one insert.
+const DIFF_LINE_LIMIT = 2000;
+
+// Myers O((N+M)D) shortest edit script; returns [{ op: ' '|'-'|'+', line, a, b }]
+// where a/b are 0-based indexes into the old/new line arrays. Only the diagonals reachable at
+// each step are kept for the backtrack, so the trace is O(D^2) rather than O((N+M)D).
+function myersLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    // Frontier of step d-1 for diagonals -d-1..d+1 (what step d reads)
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) x = v[offset + k + 1];
+      else x = v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[offset + k] = x;
+      if (x >= n && y >= m) { found = true; break; }
+    }
+  }
+  // Backtrack through the saved frontiers
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const vd = trace[d];
+    const at = (k) => vd[k + d + 1];
+    const k = x - y;
+    let prevK;
+    if (k === -d || (k !== d && at(k - 1) < at(k + 1))) prevK = k + 1;
+    else prevK = k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = d === 0 ? 0 : prevX - prevK;
+    while (x > prevX && y > prevY) { x--; y--; ops.push({ op: ' ', line: a[x], a: x, b: y }); }
+    if (d === 0) break;
+    if (x === prevX) { y--; ops.push({ op: '+', line: b[y], a: x, b: y }); }
+    else { x--; ops.push({ op: '-', line: a[x], a: x, b: y }); }
+  }
+  while (x > 0 && y > 0) { x--; y--; ops.push({ op: ' ', line: a[x], a: x, b: y }); }
+  return ops.reverse();
+}
+
+function diffLines(a, b) {
+  let pre = 0;
+  while (pre < a.length && pre < b.length && a[pre] === b[pre]) pre++;
+  let suf = 0;
+  while (suf < a.length - pre && suf < b.length - pre && a[a.length - 1 - suf] === b[b.length - 1 - suf]) suf++;
+  const midA = a.slice(pre, a.length - suf);
+  const midB = b.slice(pre, b.length - suf);
+  const ops = [];
+  for (let i = 0; i < pre; i++) ops.push({ op: ' ', line: a[i], a: i, b: i });
+  if (midA.length + midB.length > DIFF_LINE_LIMIT) {
+    midA.forEach((line, i) => ops.push({ op: '-', line, a: pre + i, b: pre }));
+    midB.forEach((line, j) => ops.push({ op: '+', line, a: pre + midA.length, b: pre + j }));
+  } else {
+    for (const o of myersLines(midA, midB)) ops.push({ ...o, a: pre + o.a, b: pre + o.b });
+  }
+  for (let i = 0; i < suf; i++) ops.push({ op: ' ', line: a[a.length - suf + i], a: a.length - suf + i, b: b.length - suf + i });
+  return ops;
+}
+
+// Unified diff text ('' when identical). Hunk headers follow `diff -u` conventions.
+export function unifiedDiff(oldText, newText, { fromLabel = 'a/AGENTS.md', toLabel = 'b/AGENTS.md', context = 3 } = {}) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const ops = diffLines(a, b);
+  if (!ops.some(o => o.op !== ' ')) return '';
+  const out = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  let i = 0;
+  while (i < ops.length) {
+    while (i < ops.length && ops[i].op === ' ') i++;
+    if (i >= ops.length) break;
+    // Grow the hunk until a run of unchanged lines longer than 2*context separates changes
+    let start = Math.max(0, i - context);
+    let end = i;
+    while (end < ops.length) {
+      if (ops[end].op !== ' ') { end++; continue; }
+      let run = end;
+      while (run < ops.length && ops[run].op === ' ') run++;
+      if (run >= ops.length || run - end > 2 * context) { end = Math.min(ops.length, end + context); break; }
+      end = run;
+    }
+    const hunk = ops.slice(start, end);
+    const oldCount = hunk.filter(o => o.op !== '+').length;
+    const newCount = hunk.filter(o => o.op !== '-').length;
+    const oldStart = oldCount ? hunk.find(o => o.op !== '+').a + 1 : hunk[0].a;
+    const newStart = newCount ? hunk.find(o => o.op !== '-').b + 1 : hunk[0].b;
+    out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const o of hunk) out.push(`${o.op}${o.line}`);
+    i = end;
+  }
+  return out.join('\n') + '\n';
+}
+
+// Exact (lossless) line delta for snapshot storage: a list of [start, count] copies from the old
+// text and string inserts (lines joined by '\n'). applyTextDelta(old, delta) rebuilds the new text.
+export function textDelta(oldText, newText) {
+  const a = String(oldText ?? '').split('\n');
+  const b = String(newText ?? '').split('\n');
+  let pre = 0;
+  while (pre < a.length && pre < b.length && a[pre] === b[pre]) pre++;
+  let suf = 0;
+  while (suf < a.length - pre && suf < b.length - pre && a[a.length - 1 - suf] === b[b.length - 1 - suf]) suf++;
+  const midA = a.slice(pre, a.length - suf);
+  const midB = b.slice(pre, b.length - suf);
+  const delta = [];
+  const copy = (start, count) => {
+    if (!count) return;
+    const last = delta[delta.length - 1];
+    if (Array.isArray(last) && last[0] + last[1] === start) last[1] += count;
+    else delta.push([start, count]);
+  };
+  const insert = (lines) => { if (lines.length) delta.push(lines.join('\n')); };
+  copy(0, pre);
+  if (midA.length + midB.length > DIFF_LINE_LIMIT) {
+    insert(midB);
+  } else {
+    let added = [];
+    for (const o of diffLines(midA, midB)) {
+      if (o.op === '+') { added.push(o.line); continue; }
+      insert(added);
+      added = [];
+      if (o.op === ' ') copy(pre + o.a, 1);
+    }
+    insert(added);
+  }
+  copy(a.length - suf, suf);
+  return delta;
+}
+
+export function applyTextDelta(oldText, delta) {
+  const a = String(oldText ?? '').split('\n');
+  const out = [];
+  for (const part of Array.isArray(delta) ? delta : []) {
+    if (typeof part === 'string') out.push(...part.split('\n'));
+    else out.push(...a.slice(part[0], part[0] + part[1]));
+  }
+  return out.join('\n');
+}
+
+const TASK_DIFF_FIELDS = ['task_info', 'parent_id', 'extra_note', 'depends_on', 'priority', 'due_date', 'assignee', 'labels'];
+
+function sameValue(x, y) {
+  return JSON.stringify(x ?? null) === JSON.stringify(y ?? null);
+}
+
+// Task comment threads are append-only, so diffs list new entries and merges take the union
+function commentIds(task) {
+  return new Set((Array.isArray(task?.comments) ? task.comments : []).map(c => String(c.comment_id)));
+}
+
+function mergeComments(a, b) {
+  const byId = new Map();
+  for (const c of [...(Array.isArray(a) ? a : []), ...(Array.isArray(b) ? b : [])]) {
+    if (!byId.has(String(c.comment_id))) byId.set(String(c.comment_id), c);
+  }
+  return Array.from(byId.values()).sort((x, y) => String(x.created_at || '').localeCompare(String(y.created_at || '')));
+}
+
+// Sibling order (by position) per parent for the given task ids
+function siblingOrder(tasks, keep) {
+  const groups = new Map();
+  for (const t of tasks) {
+    if (!keep.has(String(t.task_id))) continue;
+    const parent = t.parent_id || null;
+    if (!groups.has(parent)) groups.set(parent, []);
+    groups.get(parent).push(t);
+  }
+  for (const [parent, list] of groups) {
+    groups.set(parent, list
+      .slice()
+      .sort((a, b) => (a.position ?? Infinity) - (b.position ?? Infinity) || String(a.created_at || '').localeCompare(String(b.created_at || '')))
+      .map(t => String(t.task_id)));
+  }
+  return groups;
+}
+
+// Compare two task lists by task_id. Status moves are reported separately from other field edits
+// so callers can show "pending -> completed" without digging through a field map.
+export function diffTasks(oldTasks, newTasks) {
+  const before = new Map((Array.isArray(oldTasks) ? oldTasks : []).map(t => [String(t.task_id), t]));
+  const after = new Map((Array.isArray(newTasks) ? newTasks : []).map(t => [String(t.task_id), t]));
+  const added = [];
+  const removed = [];
+  const statusChanged = [];
+  const fieldChanged = [];
+  const commentsAdded = [];
+  for (const [id, t] of after) {
+    const prev = before.get(id);
+    if (!prev) { added.push(t); continue; }
+    const seen = commentIds(prev);
+    const fresh = (Array.isArray(t.comments) ? t.comments : []).filter(c => !seen.has(String(c.comment_id)));
+    if (fresh.length) commentsAdded.push({ task_id: id, task_info: t.task_info, comments: fresh });
+    if (String(prev.status || 'pending') !== String(t.status || 'pending')) {
+      statusChanged.push({ task_id: id, task_info: t.task_info, from: prev.status || 'pending', to: t.status || 'pending' });
+    }
+    const changes = {};
+    for (const f of TASK_DIFF_FIELDS) {
+      if (!sameValue(prev[f], t[f])) changes[f] = { from: prev[f] ?? null, to: t[f] ?? null };
+    }
+    if (Object.keys(changes).length) fieldChanged.push({ task_id: id, task_info: t.task_info, changes });
+  }
+  for (const [id, t] of before) if (!after.has(id)) removed.push(t);
+  // Reordering shows up as a changed sibling sequence rather than as position field edits
+  const stayed = new Set([...after.keys()].filter(id => before.has(id) && String(before.get(id).parent_id || '') === String(after.get(id).parent_id || '')));
+  const oldOrder = siblingOrder(before.values(), stayed);
+  const reordered = [];
+  for (const [parent, order] of siblingOrder(after.values(), stayed)) {
+    const prevOrder = oldOrder.get(parent) || [];
+    if (prevOrder.join() !== order.join()) reordered.push({ parent_id: parent, from: prevOrder, to: order });
+  }
+  return { added, removed, status_changed: statusChanged, field_changed: fieldChanged, comments_added: commentsAdded, reordered };
+}
+
+// Group an edit script into hunks over the base: { start, end, lines } replaces base[start, end)
+function editHunks(ops) {
+  const hunks = [];
+  let cur = null;
+  for (const o of ops) {
+    if (o.op === ' ') { cur = null; continue; }
+    if (!cur) { cur = { start: o.a, end: o.a, lines: [] }; hunks.push(cur); }
+    if (o.op === '-') cur.end = o.a + 1;
+    else cur.lines.push(o.line);
+  }
+  return hunks;
+}
+
+function applyHunksToRange(base, hunks, start, end) {
+  const out = [];
+  let pos = start;
+  for (const h of hunks) {
+    out.push(...base.slice(pos, h.start), ...h.lines);
+    pos = h.end;
+  }
+  out.push(...base.slice(pos, end));
+  return out;
+}
+
+export const MERGE_CONFLICT_RESOLUTIONS = ['markers', 'ours', 'theirs'];
+
+// Three-way line merge (diff3). Non-overlapping edits from both sides are combined; overlapping
+// or adjacent edits that differ are conflicts, resolved per onConflict in the returned text:
+// 'markers' writes git-style <<<<<<< / ======= / >>>>>>> blocks, 'ours'/'theirs' pick a side.
+export function mergeText(baseText, oursText, theirsText, { onConflict = 'markers', oursLabel = 'ours', theirsLabel = 'theirs' } = {}) {
+  const base = splitLines(baseText);
+  const ours = splitLines(oursText);
+  const theirs = splitLines(theirsText);
+  const tagged = [
+    ...editHunks(diffLines(base, ours)).map(h => ({ ...h, side: 'ours' })),
+    ...editHunks(diffLines(base, theirs)).map(h => ({ ...h, side: 'theirs' })),
+  ].sort((x, y) => x.start - y.start || x.end - y.end);
+  const out = [];
+  const conflicts = [];
+  let pos = 0;
+  let i = 0;
+  while (i < tagged.length) {
+    const cluster = [tagged[i]];
+    let cStart = tagged[i].start;
+    let cEnd = tagged[i].end;
+    i++;
+    while (i < tagged.length) {
+      const h = tagged[i];
+      const touches = h.start < cEnd || h.start === cStart || (h.start === cEnd && cluster.some(c => c.side !== h.side));
+      if (!touches) break;
+      cluster.push(h);
+      cEnd = Math.max(cEnd, h.end);
+      i++;
+    }
+    out.push(...base.slice(pos, cStart));
+    const oursHunks = cluster.filter(h => h.side === 'ours');
+    const theirsHunks = cluster.filter(h => h.side === 'theirs');
+    const oursLines = applyHunksToRange(base, oursHunks, cStart, cEnd);
+    const theirsLines = applyHunksToRange(base, theirsHunks, cStart, cEnd);
+    if (!theirsHunks.length) out.push(...oursLines);
+    else if (!oursHunks.length) out.push(...theirsLines);
+    else if (oursLines.join('\n') === theirsLines.join('\n')) out.push(...oursLines);
+    else {
+      conflicts.push({
+        base_line: cStart + 1,
+        line: out.length + 1,
+        base: base.slice(cStart, cEnd),
+        ours: oursLines,
+        theirs: theirsLines,
+      });
+      if (onConflict === 'ours') out.push(...oursLines);
+      else if (onConflict === 'theirs') out.push(...theirsLines);
+      else out.push(`<<<<<<< ${oursLabel}`, ...oursLines, '=======', ...theirsLines, `>>>>>>> ${theirsLabel}`);
+    }
+    pos = cEnd;
+  }
+  out.push(...base.slice(pos));
+  const trailingNewline = /\n$/.test(String(oursText ?? '')) || (!String(oursText ?? '') && /\n$/.test(String(theirsText ?? '')));
+  const text = out.join('\n') + (out.length && trailingNewline ? '\n' : '');
+  return { text, conflicts, clean: conflicts.length === 0 };
+}
+
+const TASK_MERGE_FIELDS = ['task_info', 'parent_id', 'status', 'extra_note', 'depends_on', 'priority', 'due_date', 'assignee', 'labels'];
+
+// Parent chain that leads from parentId back to taskId (the cycle, starting and ending at
+// taskId), or null. parentOf(id) returns a task's parent_id; loops elsewhere are ignored.
+export function findParentCycle(taskId, parentId, parentOf) {
+  const trail = [taskId];
+  const seen = new Set();
+  let current = parentId || null;
+  while (current) {
+    trail.push(current);
+    if (current === taskId) return trail.reverse();
+    if (seen.has(current)) return null;
+    seen.add(current);
+    current = parentOf(current) || null;
+  }
+  return null;
+}
+
+// Per-task three-way merge keyed by task_id. Fields changed on one side win; fields changed
+// differently on both sides, and delete-vs-modify, are conflicts. Resolution: 'theirs' takes
+// the incoming side, anything else keeps ours.
+export function mergeTasks(baseTasks, oursTasks, theirsTasks, { onConflict = 'markers' } = {}) {
+  const index = (list) => new Map((Array.isArray(list) ? list : []).map(t => [String(t.task_id), t]));
+  const base = index(baseTasks);
+  const ours = index(oursTasks);
+  const theirs = index(theirsTasks);
+  const preferTheirs = onConflict === 'theirs';
+  const merged = [];
+  const conflicts = [];
+  const ids = [...ours.keys(), ...[...theirs.keys()].filter(id => !ours.has(id))];
+  for (const id of [...ids, ...[...base.keys()].filter(id => !ours.has(id) && !theirs.has(id))]) {
+    const b = base.get(id);
+    const o = ours.get(id);
+    const t = theirs.get(id);
+    if (!o && !t) continue;
+    if (!o || !t) {
+      const present = o || t;
+      if (!b) { merged.push(present); continue; } // added on one side
+      const changed = TASK_MERGE_FIELDS.some(f => !sameValue(b[f], present[f]));
+      if (!changed) continue; // deleted on one side, untouched on the other
+      conflicts.push({ task_id: id, kind: o ? 'modify/delete' : 'delete/modify' });
+      if ((o && !preferTheirs) || (t && preferTheirs)) merged.push(present);
+      continue;
+    }
+    const result = { ...o };
+    const fieldConflicts = [];
+    for (const f of TASK_MERGE_FIELDS) {
+      const bv = b ? b[f] : undefined;
+      if (sameValue(o[f], t[f])) continue;
+      if (sameValue(o[f], bv)) { result[f] = t[f]; continue; }
+      if (sameValue(t[f], bv)) continue;
+      fieldConflicts.push({ field: f, base: bv ?? null, ours: o[f] ?? null, theirs: t[f] ?? null });
+      if (preferTheirs) result[f] = t[f];
+    }
+    if (fieldConflicts.length) conflicts.push({ task_id: id, kind: 'modify/modify', fields: fieldConflicts });
+    // Sibling positions never conflict: ours wins unless only theirs moved
+    if (sameValue(o.position, b?.position) && !sameValue(t.position, o.position)) result.position = t.position;
+    const comments = mergeComments(o.comments, t.comments);
+    if (comments.length) result.comments = comments;
+    if (TASK_MERGE_FIELDS.some(f => !sameValue(result[f], o[f]))) result.updated_at = t.updated_at || o.updated_at || null;
+    merged.push(result);
+  }
+  // Moves that are fine on their own can still combine into a parent_id loop (ours puts A under
+  // B, theirs B under A). Each loop is a conflict; resolving it takes the preferred side's parent
+  // for the tasks in it, or detaches one of them when that side has no say.
+  const byId = new Map(merged.map(t => [String(t.task_id), t]));
+  const parentOf = (id) => byId.get(id)?.parent_id || null;
+  const preferred = preferTheirs ? theirs : ours;
+  for (let guard = merged.length; guard >= 0; guard--) {
+    let cycle = null;
+    for (const t of merged) {
+      cycle = findParentCycle(String(t.task_id), parentOf(String(t.task_id)), parentOf);
+      if (cycle) break;
+    }
+    if (!cycle) break;
+    const members = cycle.slice(0, -1);
+    conflicts.push({ task_id: members[0], kind: 'parent_cycle', cycle });
+    const fixable = members.filter(id => preferred.has(id) && !sameValue(preferred.get(id).parent_id, parentOf(id)));
+    if (fixable.length) for (const id of fixable) byId.set(id, { ...byId.get(id), parent_id: preferred.get(id).parent_id ?? null });
+    else byId.set(members[0], { ...byId.get(members[0]), parent_id: null });
+    merged.splice(0, merged.length, ...merged.map(t => byId.get(String(t.task_id))));
+  }
+  return { tasks: merged, conflicts, clean: conflicts.length === 0 };
+}
+
+const ADR_FIELDS = ['title', 'status', 'context', 'decision', 'consequences', 'supersedes', 'date'];
+
+// Architecture decision records keyed by number: added/removed ({ number, title }) and changed
+// ({ number, title, changes: { field: { from, to } } }).
+export function diffAdrs(oldAdrs, newAdrs) {
+  const before = new Map((Array.isArray(oldAdrs) ? oldAdrs : []).map(a => [Number(a.number), a]));
+  const after = new Map((Array.isArray(newAdrs) ? newAdrs : []).map(a => [Number(a.number), a]));
+  const added = [];
+  const removed = [];
+  const changed = [];
+  for (const [n, a] of after) {
+    const b = before.get(n);
+    if (!b) { added.push({ number: n, title: a.title }); continue; }
+    const changes = {};
+    for (const f of ADR_FIELDS) if (!sameValue(b[f], a[f])) changes[f] = { from: b[f] ?? null, to: a[f] ?? null };
+    if (Object.keys(changes).length) changed.push({ number: n, title: a.title, changes });
+  }
+  for (const [n, b] of before) if (!after.has(n)) removed.push({ number: n, title: b.title });
+  return { added, removed, changed };
+}
+
+// Per-record three-way merge keyed by number, like mergeTasks. Two branches that each added a
+// different record under the same number conflict field by field.
+export function mergeAdrs(baseAdrs, oursAdrs, theirsAdrs, { onConflict = 'markers' } = {}) {
+  const index = (list) => new Map((Array.isArray(list) ? list : []).map(a => [Number(a.number), a]));
+  const base = index(baseAdrs);
+  const ours = index(oursAdrs);
+  const theirs = index(theirsAdrs);
+  const preferTheirs = onConflict === 'theirs';
+  const merged = [];
+  const conflicts = [];
+  const numbers = [...new Set([...ours.keys(), ...theirs.keys()])].sort((x, y) => x - y);
+  for (const n of numbers) {
+    const b = base.get(n);
+    const o = ours.get(n);
+    const t = theirs.get(n);
+    if (!o || !t) {
+      const present = o || t;
+      if (!b) { merged.push(present); continue; }
+      if (!ADR_FIELDS.some(f => !sameValue(b[f], present[f]))) continue;
+      conflicts.push({ number: n, kind: o ? 'modify/delete' : 'delete/modify' });
+      if ((o && !preferTheirs) || (t && preferTheirs)) merged.push(present);
+      continue;
+    }
+    const result = { ...o };
+    const fieldConflicts = [];
+    for (const f of ADR_FIELDS) {
+      const bv = b ? b[f] : undefined;
+      if (sameValue(o[f], t[f])) continue;
+      if (sameValue(o[f], bv)) { result[f] = t[f]; continue; }
+      if (sameValue(t[f], bv)) continue;
+      fieldConflicts.push({ field: f, base: bv ?? null, ours: o[f] ?? null, theirs: t[f] ?? null });
+      if (preferTheirs) result[f] = t[f];
+    }
+    if (fieldConflicts.length) conflicts.push({ number: n, kind: 'modify/modify', fields: fieldConflicts });
+    if (ADR_FIELDS.some(f => !sameValue(result[f], o[f]))) result.updated_at = t.updated_at || o.updated_at || null;
+    merged.push(result);
+  }
+  return { adrs: merged, conflicts, clean: conflicts.length === 0 };
+}
+
+export default {
+  unifiedDiff,
+  textDelta,
+  applyTextDelta,
+  diffTasks,
+  mergeText,
+  mergeTasks,
+  findParentCycle,
+  diffAdrs,
+  mergeAdrs,
+  MERGE_CONFLICT_RESOLUTIONS,
+};
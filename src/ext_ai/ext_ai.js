@@ -266,7 +266,7 @@ export async function runScratchpadSubagent(
   }
 
   // Record run as pending before any long-running work
-  await dbCreateSubagentRun(userId, projectId, run_id, "pending");
+  await dbCreateSubagentRun(userId, projectId, run_id, "pending", { scratchpadId: sid });
 
   // Load current scratchpad to read existing fields and common_memory
   let sp;
@@ -0,0 +1,115 @@
+import express from 'express';
+
+import { getUserByApiKey, getProjectById, resolveProjectAccess } from './db.js';
+import {
+  diffProjectVersions,
+  readProjectVersion,
+  retentionPolicy,
+  compactProjectHistory,
+  compactAllProjects,
+} from './version.js';
+import { parseBoolean } from './env.js';
+
+function isAdminRequest(req) {
+  const header = req.headers['authorization'] || '';
+  const bearer = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const main = process.env.MAIN_API_KEY;
+  return Boolean(main && bearer && bearer === main);
+}
+
+async function resolveUserFromRequest(req) {
+  // Prefer Bearer first (user apiKey), fallback to query ?apiKey=
+  const header = req.headers['authorization'] || '';
+  const bearer = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const apiKey = (req.query.apiKey && String(req.query.apiKey)) || bearer || null;
+  if (!apiKey) return null;
+  const user = await getUserByApiKey(apiKey);
+  if (!user) return null;
+  return { id: user.id, name: user.name || null };
+}
+
+export function buildProjectHistoryRouter() {
+  const router = express.Router();
+
+  // GET /project/versions/diff?project_id=...&from=<hash>[&to=<hash>]
+  router.get('/versions/diff', async (req, res) => {
+    try {
+      const projectId = String(req.query.project_id || '').trim();
+      if (!projectId) return res.status(400).json({ error: 'project_id_required' });
+      const user = await resolveUserFromRequest(req);
+      if (!user) return res.status(401).json({ error: 'apiKey required' });
+      const access = await resolveProjectAccess(user.id, projectId);
+      if (!access) return res.status(404).json({ error: 'project_not_found' });
+      const from = String(req.query.from || req.query.from_hash || '').trim();
+      if (!from) return res.status(400).json({ error: 'from_hash_required' });
+      const to = String(req.query.to || req.query.to_hash || '').trim();
+      const diff = await diffProjectVersions(access.owner_id, access.project_id, from, to || null);
+      return res.json({ project_id: access.project_id, ...diff });
+    } catch (e) {
+      const msg = e?.message || 'diff_failed';
+      if (/hash_not_found/i.test(msg)) return res.status(404).json({ error: 'hash_not_found', message: msg });
+      if (/project not found/i.test(msg)) return res.status(404).json({ error: 'project_not_found' });
+      console.error('project:versions:diff error', e);
+      return res.status(500).json({ error: 'diff_failed', message: msg });
+    }
+  });
+
+  // GET /project/versions/:hash?project_id=... → full stored snapshot (AGENTS.md, tasks, meta)
+  router.get('/versions/:hash', async (req, res) => {
+    try {
+      const projectId = String(req.query.project_id || '').trim();
+      if (!projectId) return res.status(400).json({ error: 'project_id_required' });
+      const user = await resolveUserFromRequest(req);
+      if (!user) return res.status(401).json({ error: 'apiKey required' });
+      const access = await resolveProjectAccess(user.id, projectId);
+      if (!access) return res.status(404).json({ error: 'project_not_found' });
+      const version = await readProjectVersion(access.owner_id, access.project_id, String(req.params.hash || ''));
+      return res.json({
+        project_id: access.project_id,
+        hash: version.hash,
+        message: version.message,
+        modified_by: version.modified_by,
+        created_at: version.created_at,
+        snapshot: version.snapshot,
+      });
+    } catch (e) {
+      const msg = e?.message || 'read_failed';
+      if (/hash_not_found/i.test(msg)) return res.status(404).json({ error: 'hash_not_found', message: msg });
+      if (/project not found/i.test(msg)) return res.status(404).json({ error: 'project_not_found' });
+      console.error('project:versions:read error', e);
+      return res.status(500).json({ error: 'read_failed', message: msg });
+    }
+  });
+
+  // POST /project/history/compact (admin, Bearer MAIN_API_KEY)
+  // Body: { project_id?, dry_run?, keep_last?, keep_daily?, keep_weekly?, keep_tagged? }
+  // Applies the retention policy (env defaults, body overrides) to one project or all of them.
+  router.post('/history/compact', async (req, res) => {
+    try {
+      if (!isAdminRequest(req)) return res.status(401).json({ error: 'Unauthorized' });
+      const body = req.body || {};
+      let policy;
+      try {
+        policy = retentionPolicy(body);
+      } catch (e) {
+        return res.status(400).json({ error: 'invalid_retention', message: e?.message });
+      }
+      const dryRun = parseBoolean(body.dry_run ?? req.query.dry_run, false);
+      const projectId = String(body.project_id || req.query.project_id || '').trim();
+      if (!projectId) return res.json(await compactAllProjects(policy, { dryRun }));
+      const proj = await getProjectById(projectId);
+      if (!proj) return res.status(404).json({ error: 'project_not_found' });
+      const result = await compactProjectHistory(proj.owner_id, proj.id, policy, { dryRun });
+      return res.json({ policy, dry_run: dryRun, projects: [result], total_reclaimed_bytes: result.reclaimed_bytes });
+    } catch (e) {
+      console.error('project:history:compact error', e);
+      return res.status(500).json({ error: 'compact_failed', message: e?.message || 'Compaction failed' });
+    }
+  });
+
+  return router;
+}
+
+export default {
+  buildProjectHistoryRouter,
+};
@@ -0,0 +1,159 @@
+// Markdown section helpers for AGENTS.md: heading outline + section-addressed edits.
+// Sections are ATX headings (# .. ######); a section spans from its heading to the line
+// before the next heading of the same or higher level, so it includes its subsections.
+
+const HEADING_RE = /^ {0,3}(#{1,6})[ \t]+(.*?)[ \t]*#*[ \t]*$/;
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})/;
+
+export const SECTION_OPERATIONS = ['replace', 'append', 'prepend', 'delete', 'insert_after'];
+
+function splitLines(text) {
+  return String(text ?? '').replace(/\r\n/g, '\n').split('\n');
+}
+
+// Returns [{ level, title, path, start_line, end_line }] with 1-based, inclusive line numbers
+export function parseMarkdownOutline(text) {
+  const lines = splitLines(text);
+  const headings = [];
+  let fence = null;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const f = FENCE_RE.exec(line);
+    if (f) {
+      if (!fence) fence = f[1][0];
+      else if (f[1][0] === fence) fence = null;
+      continue;
+    }
+    if (fence) continue;
+    const m = HEADING_RE.exec(line);
+    if (!m) continue;
+    headings.push({ level: m[1].length, title: m[2].trim(), start_line: i + 1 });
+  }
+  // Trailing empty line from a final newline is not part of any section
+  let lastLine = lines.length;
+  while (lastLine > 0 && lines[lastLine - 1].trim() === '') lastLine--;
+  const stack = [];
+  for (let i = 0; i < headings.length; i++) {
+    const h = headings[i];
+    let end = lastLine;
+    for (let j = i + 1; j < headings.length; j++) {
+      if (headings[j].level <= h.level) { end = headings[j].start_line - 1; break; }
+    }
+    h.end_line = Math.max(h.start_line, end);
+    while (stack.length && stack[stack.length - 1].level >= h.level) stack.pop();
+    stack.push(h);
+    h.path = stack.map(s => `${'#'.repeat(s.level)} ${s.title}`).join(' > ');
+  }
+  return headings;
+}
+
+function parsePathSegments(sectionPath) {
+  return String(sectionPath ?? '')
+    .split('>')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(seg => {
+      const m = /^(#{1,6})\s*(.*)$/.exec(seg);
+      return m ? { level: m[1].length, title: m[2].trim().toLowerCase() } : { level: null, title: seg.toLowerCase() };
+    });
+}
+
+function segmentMatches(seg, h) {
+  return h.title.toLowerCase() === seg.title && (seg.level == null || seg.level === h.level);
+}
+
+// Resolve "## A > ### B" (levels optional, case-insensitive titles). Intermediate segments
+// must be ancestors of the target in order, but not necessarily direct parents.
+export function resolveSection(outline, sectionPath) {
+  const segs = parsePathSegments(sectionPath);
+  if (!segs.length) throw new Error('section path required');
+  const last = segs[segs.length - 1];
+  const matches = [];
+  for (let i = 0; i < outline.length; i++) {
+    const h = outline[i];
+    if (!segmentMatches(last, h)) continue;
+    // Collect ancestors of h (nearest first)
+    const ancestors = [];
+    let level = h.level;
+    for (let j = i - 1; j >= 0 && level > 1; j--) {
+      if (outline[j].level < level) { ancestors.push(outline[j]); level = outline[j].level; }
+    }
+    ancestors.reverse();
+    let k = 0;
+    for (const a of ancestors) {
+      if (k < segs.length - 1 && segmentMatches(segs[k], a)) k++;
+    }
+    if (k === segs.length - 1) matches.push(h);
+  }
+  if (!matches.length) {
+    const e = new Error(`section_not_found: ${sectionPath}`);
+    e.code = 'section_not_found';
+    throw e;
+  }
+  if (matches.length > 1) {
+    const e = new Error(`ambiguous_section: ${sectionPath} matches ${matches.length} headings; add parent headings to the path`);
+    e.code = 'ambiguous_section';
+    e.matches = matches.map(m => ({ path: m.path, start_line: m.start_line }));
+    throw e;
+  }
+  return matches[0];
+}
+
+function trimBlankEdges(lines) {
+  let s = 0;
+  let e = lines.length;
+  while (s < e && lines[s].trim() === '') s++;
+  while (e > s && lines[e - 1].trim() === '') e--;
+  return lines.slice(s, e);
+}
+
+// Apply one section operation; returns { text, section } where section is the resolved heading path.
+// replace/append/prepend act on the section's own body (text between the heading and its first
+// subsection), so subsections survive; delete drops the heading with everything under it;
+// insert_after places content (typically a new heading + body) after the whole section.
+export function editMarkdownSection(text, sectionPath, operation, content) {
+  const op = String(operation || '').toLowerCase();
+  if (!SECTION_OPERATIONS.includes(op)) throw new Error(`invalid operation: ${operation} (allowed: ${SECTION_OPERATIONS.join(', ')})`);
+  if (op !== 'delete' && typeof content !== 'string') throw new Error(`content (string) required for ${op}`);
+  const lines = splitLines(text);
+  const outline = parseMarkdownOutline(text);
+  const target = resolveSection(outline, sectionPath);
+  const headIdx = target.start_line - 1;
+  const endIdx = target.end_line; // index of the first line after the section
+  const firstChild = outline.find(h => h.start_line > target.start_line && h.start_line <= target.end_line);
+  const bodyEnd = firstChild ? firstChild.start_line - 1 : endIdx;
+  const body = trimBlankEdges(lines.slice(headIdx + 1, bodyEnd));
+  const subsections = trimBlankEdges(lines.slice(bodyEnd, endIdx));
+  const incoming = op === 'delete' ? [] : trimBlankEdges(splitLines(content));
+  const hasFollowing = lines.slice(endIdx).some(l => l.trim() !== '');
+  // Follow the file's style for a blank line under the heading
+  const headGap = headIdx + 1 < endIdx ? lines[headIdx + 1].trim() === '' : true;
+  const withGap = (block) => (block.length ? ['', ...block] : []);
+  const underHeading = (block) => (block.length ? (headGap ? ['', ...block] : block) : []);
+  let newBody;
+  if (op === 'replace') newBody = incoming;
+  else if (op === 'append') newBody = [...body, ...incoming];
+  else if (op === 'prepend') newBody = [...incoming, ...body];
+  else newBody = body;
+  let replacement = [];
+  if (op !== 'delete') {
+    replacement = [lines[headIdx], ...underHeading(newBody), ...withGap(subsections)];
+    if (op === 'insert_after') replacement.push(...withGap(incoming));
+    if (hasFollowing) replacement.push('');
+  }
+  let out = [...lines.slice(0, headIdx), ...replacement, ...lines.slice(endIdx)];
+  if (!hasFollowing) {
+    // Section was last: normalize to a single trailing newline (if the file had one)
+    const endsWithNewline = lines.length > 1 && lines[lines.length - 1] === '';
+    while (out.length && out[out.length - 1].trim() === '') out.pop();
+    if (endsWithNewline) out.push('');
+  }
+  return { text: out.join('\n'), section: target.path };
+}
+
+export default {
+  SECTION_OPERATIONS,
+  parseMarkdownOutline,
+  resolveSection,
+  editMarkdownSection,
+};
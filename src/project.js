@@ -17,6 +17,7 @@ import {
   updateProjectFileDescription as dbUpdateProjectFileDescription,
   getDataDir,
 } from './db.js';
+import { checkBaseHash } from './version.js';
 
 async function resolveUserFromRequest(req) {
   // Prefer Bearer first (user apiKey), fallback to query ?apiKey=
@@ -29,6 +30,16 @@ async function resolveUserFromRequest(req) {
   return { id: user.id, name: user.name || null };
 }
 
+// Optional base_hash (body or query): answers 409 conflict when the project has moved on since it
+async function rejectStaleBaseHash(req, res, access) {
+  const baseHash = String(req.body?.base_hash || req.query.base_hash || '').trim();
+  if (!baseHash) return false;
+  const conflict = await checkBaseHash(access.owner_id, access.project_id, baseHash);
+  if (!conflict) return false;
+  res.status(409).json({ error: 'conflict', ...conflict });
+  return true;
+}
+
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: { fileSize: 50 * 1024 * 1024 }, // 50MB max to prevent large uploads
@@ -150,6 +161,7 @@ export function buildProjectFilesRouter() {
       const access = await resolveProjectAccess(user.id, projectId);
       if (!access) return res.status(404).json({ error: 'project_not_found' });
       if (access.permission === 'ro') return res.status(403).json({ error: 'read_only_project' });
+      if (await rejectStaleBaseHash(req, res, access)) return;
       const file = req.file;
       if (!file) return res.status(400).json({ error: 'file_required' });
       let description;
@@ -239,6 +251,7 @@ export function buildProjectFilesRouter() {
       const access = await resolveProjectAccess(user.id, projectId);
       if (!access) return res.status(404).json({ error: 'project_not_found' });
       if (access.permission === 'ro') return res.status(403).json({ error: 'read_only_project' });
+      if (await rejectStaleBaseHash(req, res, access)) return;
       const fileId = String(req.params.fileId || '').trim();
       if (!fileId) return res.status(400).json({ error: 'file_id_required' });
 
@@ -266,6 +279,7 @@ export function buildProjectFilesRouter() {
       const access = await resolveProjectAccess(user.id, projectId);
       if (!access) return res.status(404).json({ error: 'project_not_found' });
       if (access.permission === 'ro') return res.status(403).json({ error: 'read_only_project' });
+      if (await rejectStaleBaseHash(req, res, access)) return;
       const fileId = String(req.params.fileId || '').trim();
       if (!fileId) return res.status(400).json({ error: 'file_id_required' });
       const description = (req.body && Object.prototype.hasOwnProperty.call(req.body, 'description'))
@@ -289,6 +303,7 @@ export function buildProjectFilesRouter() {
       const access = await resolveProjectAccess(user.id, projectId);
       if (!access) return res.status(404).json({ error: 'project_not_found' });
       if (access.permission === 'ro') return res.status(403).json({ error: 'read_only_project' });
+      if (await rejectStaleBaseHash(req, res, access)) return;
       const fileId = String(req.params.fileId || '').trim();
       if (!fileId) return res.status(400).json({ error: 'file_id_required' });
 
@@ -324,6 +339,7 @@ export function buildProjectFilesRouter() {
       const access = await resolveProjectAccess(user.id, projectId);
       if (!access) return res.status(404).json({ error: 'project_not_found' });
       if (access.permission === 'ro') return res.status(403).json({ error: 'read_only_project' });
+      if (await rejectStaleBaseHash(req, res, access)) return;
 
       const force = parseBoolean(req.body?.force ?? req.query?.force, false);
       const result = await processAllProjectPdfs(access.project_id, { force });
@@ -356,6 +372,7 @@ export function buildProjectFilesRouter() {
       if (!fileId) return res.status(400).json({ error: 'file_id_required' });
       const prompt = typeof req.body?.prompt === 'string' ? req.body.prompt : undefined;
       const save = !!req.body?.save;
+      if (save && await rejectStaleBaseHash(req, res, access)) return;
 
       const out = await extSummarizeFile(user.id, { project_id: access.project_id, file_id: fileId, prompt });
       if (!out || out.error) {
@@ -0,0 +1,168 @@
+import express from 'express';
+
+import {
+  getUserByApiKey,
+  getProjectById,
+  resolveProjectAccess,
+  purgeExpiredScratchpads,
+  getProjectScratchpadMaxTasks,
+  setProjectScratchpadMaxTasks,
+} from './db.js';
+import { parseBoolean } from './env.js';
+
+// Scratchpads are throwaway working state. Open ones expire after SCRATCHPAD_TTL_HOURS without an
+// update, archived ones (scratchpad_close) SCRATCHPAD_ARCHIVED_TTL_HOURS after they were closed;
+// expiry deletes the scratchpad together with its subagent runs. 0 turns either rule off.
+
+export const DEFAULT_SCRATCHPAD_EXPIRY = { ttl_hours: 168, archived_ttl_hours: 24 };
+
+// Tasks per scratchpad: SCRATCHPAD_MAX_TASKS for the server, optionally overridden per project.
+// Sub-scratchpads (scratchpad_initialize with a parent) nest at most SCRATCHPAD_MAX_DEPTH levels.
+export const DEFAULT_SCRATCHPAD_MAX_TASKS = 6;
+export const SCRATCHPAD_MAX_TASKS_LIMIT = 100;
+export const DEFAULT_SCRATCHPAD_MAX_DEPTH = 3;
+
+function envInt(value, fallback, max) {
+  const n = Number(value);
+  return value !== undefined && value !== '' && Number.isInteger(n) && n >= 1 && n <= max ? n : fallback;
+}
+
+export function serverScratchpadLimits() {
+  return {
+    max_tasks: envInt(process.env.SCRATCHPAD_MAX_TASKS, DEFAULT_SCRATCHPAD_MAX_TASKS, SCRATCHPAD_MAX_TASKS_LIMIT),
+    max_depth: envInt(process.env.SCRATCHPAD_MAX_DEPTH, DEFAULT_SCRATCHPAD_MAX_DEPTH, 10),
+  };
+}
+
+// Effective limits for a project the caller owns
+export async function scratchpadLimits(userId, projectId) {
+  const server = serverScratchpadLimits();
+  const override = await getProjectScratchpadMaxTasks(userId, projectId);
+  return { ...server, max_tasks: override ?? server.max_tasks };
+}
+
+function expiryHours(override, envValue, fallback, key) {
+  if (override !== undefined && override !== null && override !== '') {
+    const n = Number(override);
+    if (!Number.isFinite(n) || n < 0) throw new Error(`invalid_expiry: ${key} must be a non-negative number`);
+    return n;
+  }
+  const n = Number(envValue);
+  return envValue !== undefined && envValue !== '' && Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// Policy from SCRATCHPAD_TTL_HOURS / SCRATCHPAD_ARCHIVED_TTL_HOURS, per-call overrides first
+export function scratchpadExpiryPolicy(overrides = {}) {
+  const o = overrides || {};
+  const env = process.env;
+  return {
+    ttl_hours: expiryHours(o.ttl_hours, env.SCRATCHPAD_TTL_HOURS, DEFAULT_SCRATCHPAD_EXPIRY.ttl_hours, 'ttl_hours'),
+    archived_ttl_hours: expiryHours(o.archived_ttl_hours, env.SCRATCHPAD_ARCHIVED_TTL_HOURS, DEFAULT_SCRATCHPAD_EXPIRY.archived_ttl_hours, 'archived_ttl_hours'),
+  };
+}
+
+export async function sweepExpiredScratchpads(policy = scratchpadExpiryPolicy(), { dryRun = false } = {}) {
+  const res = await purgeExpiredScratchpads({ openTtlHours: policy.ttl_hours, archivedTtlHours: policy.archived_ttl_hours, dryRun });
+  return { policy, dry_run: dryRun, expired: res.scratchpads, deleted_scratchpads: dryRun ? 0 : res.scratchpads.length, deleted_runs: res.deleted_runs };
+}
+
+function isAdminRequest(req) {
+  const header = req.headers['authorization'] || '';
+  const bearer = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const main = process.env.MAIN_API_KEY;
+  return Boolean(main && bearer && bearer === main);
+}
+
+async function resolveUserFromRequest(req) {
+  // Prefer Bearer first (user apiKey), fallback to query ?apiKey=
+  const header = req.headers['authorization'] || '';
+  const bearer = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const apiKey = (req.query.apiKey && String(req.query.apiKey)) || bearer || null;
+  if (!apiKey) return null;
+  const user = await getUserByApiKey(apiKey);
+  if (!user) return null;
+  return { id: user.id, name: user.name || null };
+}
+
+// Owner (user apiKey) or admin; returns { owner_id, project_id } or sends the error response
+async function resolveSettingsProject(req, res, projectId) {
+  if (!projectId) { res.status(400).json({ error: 'project_id_required' }); return null; }
+  if (isAdminRequest(req)) {
+    const proj = await getProjectById(projectId);
+    if (!proj) { res.status(404).json({ error: 'project_not_found' }); return null; }
+    return { owner_id: proj.owner_id, project_id: proj.id };
+  }
+  const user = await resolveUserFromRequest(req);
+  if (!user) { res.status(401).json({ error: 'apiKey required' }); return null; }
+  const access = await resolveProjectAccess(user.id, projectId);
+  if (!access) { res.status(404).json({ error: 'project_not_found' }); return null; }
+  if (access.permission !== 'owner') { res.status(403).json({ error: 'owner_only', message: 'Only the project owner can change scratchpad settings' }); return null; }
+  return { owner_id: access.owner_id, project_id: access.project_id };
+}
+
+async function settingsPayload(ownerId, projectId) {
+  const server = serverScratchpadLimits();
+  const override = await getProjectScratchpadMaxTasks(ownerId, projectId);
+  return { project_id: projectId, max_tasks: override ?? server.max_tasks, project_max_tasks: override, server_max_tasks: server.max_tasks, max_depth: server.max_depth };
+}
+
+export function buildScratchpadsRouter() {
+  const router = express.Router();
+
+  // POST /project/scratchpads/sweep (admin, Bearer MAIN_API_KEY)
+  // Body: { ttl_hours?, archived_ttl_hours?, dry_run? } → runs the expiry sweep now
+  router.post('/scratchpads/sweep', async (req, res) => {
+    try {
+      if (!isAdminRequest(req)) return res.status(401).json({ error: 'Unauthorized' });
+      const body = req.body || {};
+      let policy;
+      try {
+        policy = scratchpadExpiryPolicy(body);
+      } catch (e) {
+        return res.status(400).json({ error: 'invalid_expiry', message: e?.message });
+      }
+      const dryRun = parseBoolean(body.dry_run ?? req.query.dry_run, false);
+      return res.json(await sweepExpiredScratchpads(policy, { dryRun }));
+    } catch (e) {
+      console.error('project:scratchpads:sweep error', e);
+      return res.status(500).json({ error: 'sweep_failed', message: e?.message || 'Scratchpad sweep failed' });
+    }
+  });
+
+  // GET /project/scratchpads/settings?project_id=... (owner or admin) → effective task cap and its source
+  router.get('/scratchpads/settings', async (req, res) => {
+    try {
+      const proj = await resolveSettingsProject(req, res, String(req.query.project_id || '').trim());
+      if (!proj) return;
+      return res.json(await settingsPayload(proj.owner_id, proj.project_id));
+    } catch (e) {
+      console.error('project:scratchpads:settings error', e);
+      return res.status(500).json({ error: 'settings_failed', message: e?.message || 'Failed to read scratchpad settings' });
+    }
+  });
+
+  // PUT /project/scratchpads/settings  Body: { project_id, max_tasks } (null restores the server default)
+  router.put('/scratchpads/settings', async (req, res) => {
+    try {
+      const body = req.body || {};
+      const proj = await resolveSettingsProject(req, res, String(body.project_id || '').trim());
+      if (!proj) return;
+      if (!('max_tasks' in body)) return res.status(400).json({ error: 'invalid_settings', message: 'max_tasks required (null for the server default)' });
+      const maxTasks = body.max_tasks;
+      if (maxTasks !== null && !(Number.isInteger(maxTasks) && maxTasks >= 1 && maxTasks <= SCRATCHPAD_MAX_TASKS_LIMIT)) {
+        return res.status(400).json({ error: 'invalid_settings', message: `max_tasks must be an integer from 1 to ${SCRATCHPAD_MAX_TASKS_LIMIT}, or null` });
+      }
+      await setProjectScratchpadMaxTasks(proj.owner_id, proj.project_id, maxTasks);
+      return res.json(await settingsPayload(proj.owner_id, proj.project_id));
+    } catch (e) {
+      console.error('project:scratchpads:settings error', e);
+      return res.status(500).json({ error: 'settings_failed', message: e?.message || 'Failed to update scratchpad settings' });
+    }
+  });
+
+  return router;
+}
+
+export default {
+  buildScratchpadsRouter,
+};
@@ -0,0 +1,133 @@
+import express from 'express';
+import path from 'path';
+import fs from 'fs/promises';
+import { loadFilePayload } from './ext_ai/fileUtils.js';
+
+import {
+  getUserByApiKey,
+  resolveProjectAccess,
+  listProjectFiles as dbListProjectFiles,
+  ensureProjectSearchIndex,
+  listSearchSources,
+  replaceFileSearchIndex,
+  removeSearchSource,
+  searchProjectIndex,
+  SEARCH_SOURCE_TYPES,
+  getDataDir,
+} from './db.js';
+
+async function resolveUserFromRequest(req) {
+  // Prefer Bearer first (user apiKey), fallback to query ?apiKey=
+  const header = req.headers['authorization'] || '';
+  const bearer = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const apiKey = (req.query.apiKey && String(req.query.apiKey)) || bearer || null;
+  if (!apiKey) return null;
+  const user = await getUserByApiKey(apiKey);
+  if (!user) return null;
+  return { id: user.id, name: user.name || null };
+}
+
+// Prefer OCR sidecar pages (page-accurate hits); otherwise parsed PDF text by char offset
+// (matches read_project_file start/length) or plain text by line.
+async function extractFileForIndex(projectDir, meta) {
+  const filePath = path.join(projectDir, meta.file_id);
+  const isPdf = String(meta.file_type || '').toLowerCase().includes('pdf');
+  if (isPdf) {
+    try {
+      const raw = await fs.readFile(`${filePath}.ocr.json`, 'utf-8');
+      const j = JSON.parse(raw);
+      const pages = (Array.isArray(j?.pages) ? j.pages : [])
+        .filter(p => typeof p?.index === 'number')
+        .map(p => ({ page: p.index, text: String(p.markdown ?? p.text ?? '') }));
+      if (pages.length) return { pages };
+    } catch {}
+    const payload = await loadFilePayload(filePath, { mimeType: meta.file_type || '', originalName: meta.original_name });
+    return { text: String(payload?.text || ''), unit: 'offset' };
+  }
+  return { text: await fs.readFile(filePath, 'utf-8'), unit: 'line' };
+}
+
+async function fileSignature(projectDir, meta) {
+  let sidecarMtime = 0;
+  try { sidecarMtime = (await fs.stat(path.join(projectDir, `${meta.file_id}.ocr.json`))).mtimeMs; } catch {}
+  return `${meta.updated_at}|${sidecarMtime}`;
+}
+
+// Bring file rows of the index in line with project_files: (re)index new or changed files, drop removed ones
+async function syncProjectFileIndex(ownerId, projectId) {
+  const files = await dbListProjectFiles(ownerId, projectId);
+  const indexed = new Map((await listSearchSources(projectId, 'file')).map(s => [s.source_id, s.signature]));
+  const projectDir = path.join(getDataDir(), projectId);
+  for (const meta of files) {
+    const fid = String(meta.file_id);
+    const signature = await fileSignature(projectDir, meta);
+    if (indexed.get(fid) === signature) { indexed.delete(fid); continue; }
+    indexed.delete(fid);
+    try {
+      const extracted = await extractFileForIndex(projectDir, meta);
+      await replaceFileSearchIndex(projectId, fid, signature, extracted);
+    } catch (err) {
+      console.warn(`search: failed to index file ${projectId}/${fid}:`, err?.message || err);
+    }
+  }
+  for (const staleId of indexed.keys()) await removeSearchSource(projectId, 'file', staleId);
+  return files;
+}
+
+function normalizeTypes(input) {
+  if (input == null || input === '') return [];
+  const list = Array.isArray(input) ? input : String(input).split(',');
+  return list.map(t => String(t).trim().toLowerCase()).filter(Boolean);
+}
+
+// Shared by the search_project MCP tool and GET /project/search
+export async function searchProject(userId, projectId, query, { types, limit } = {}) {
+  const access = await resolveProjectAccess(userId, String(projectId || ''));
+  if (!access) throw new Error('project not found');
+  const q = String(query ?? '').trim();
+  if (!q) throw new Error('query required');
+  const wanted = normalizeTypes(types);
+  const unknown = wanted.filter(t => !SEARCH_SOURCE_TYPES.includes(t));
+  if (unknown.length) throw new Error(`invalid_types: ${unknown.join(', ')} (allowed: ${SEARCH_SOURCE_TYPES.join(', ')})`);
+  await ensureProjectSearchIndex(access.owner_id, access.project_id);
+  let files = [];
+  if (!wanted.length || wanted.includes('file')) files = await syncProjectFileIndex(access.owner_id, access.project_id);
+  const hits = await searchProjectIndex(access.project_id, q, { userId, types: wanted, limit });
+  const names = new Map(files.map(f => [String(f.file_id), f.original_name]));
+  for (const h of hits) {
+    if (h.source_type === 'file' && names.has(h.source_id)) h.filename = names.get(h.source_id);
+  }
+  return { project_id: access.project_id, query: q, hits };
+}
+
+export function buildProjectSearchRouter() {
+  const router = express.Router();
+
+  router.get('/search', async (req, res) => {
+    try {
+      const projectId = String(req.query.project_id || '').trim();
+      if (!projectId) return res.status(400).json({ error: 'project_id_required' });
+      const user = await resolveUserFromRequest(req);
+      if (!user) return res.status(401).json({ error: 'apiKey required' });
+      const result = await searchProject(user.id, projectId, req.query.q ?? req.query.query, {
+        types: req.query.types,
+        limit: req.query.limit,
+      });
+      return res.json(result);
+    } catch (e) {
+      const msg = e?.message || 'search_failed';
+      if (/project not found/i.test(msg)) return res.status(404).json({ error: 'project_not_found' });
+      if (/query required/i.test(msg)) return res.status(400).json({ error: 'query_required' });
+      if (/invalid_types/i.test(msg)) return res.status(400).json({ error: 'invalid_types', message: msg });
+      console.error('project:search error', e);
+      return res.status(500).json({ error: 'search_failed', message: msg });
+    }
+  });
+
+  return router;
+}
+
+export default {
+  buildProjectSearchRouter,
+  searchProject,
+};
@@ -9,6 +9,7 @@ import {
   revokeProjectShare,
   getProjectShareInfo,
 } from './db.js';
+import { checkBaseHash } from './version.js';
 
 function isAdminRequest(req) {
   const header = req.headers['authorization'] || '';
@@ -85,6 +86,11 @@ export function buildProjectsRouter() {
 
       // Execute
       const ownerId = proj.owner_id; // for DB guard; admin passes through here too
+      const baseHash = String(req.body?.base_hash || '').trim();
+      if (baseHash) {
+        const conflict = await checkBaseHash(ownerId, proj.id, baseHash);
+        if (conflict) return res.status(409).json({ error: 'conflict', ...conflict });
+      }
       let result;
       if (revoke) {
         result = await revokeProjectShare(ownerId, proj.id, target.id);
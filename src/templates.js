@@ -0,0 +1,249 @@
+import express from 'express';
+
+import {
+  getUserByApiKey,
+  listTaskTemplates,
+  getTaskTemplate,
+  createTaskTemplate,
+  updateTaskTemplate,
+  deleteTaskTemplate,
+} from './db.js';
+
+// Task templates: a named tree of tasks whose text may contain {{placeholders}}. Applying one
+// (progress_apply_template) substitutes variables, assigns fresh task ids and adds the tree to a
+// project. due_in_days turns into a due_date relative to the day the template is applied.
+
+const TEMPLATE_MAX_TASKS = 200;
+const TEMPLATE_MAX_DEPTH = 10;
+const TEMPLATE_PRIORITIES = ['p0', 'p1', 'p2', 'p3'];
+const PLACEHOLDER_RE = /\{\{\s*([A-Za-z_][\w-]*)\s*\}\}/g;
+
+function isAdminRequest(req) {
+  const header = req.headers['authorization'] || '';
+  const bearer = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const main = process.env.MAIN_API_KEY;
+  return Boolean(main && bearer && bearer === main);
+}
+
+async function resolveUserFromRequest(req) {
+  // Prefer Bearer first (user apiKey), fallback to query ?apiKey=
+  const header = req.headers['authorization'] || '';
+  const bearer = header.startsWith('Bearer ') ? header.slice(7) : null;
+  const apiKey = (req.query.apiKey && String(req.query.apiKey)) || bearer || null;
+  if (!apiKey) return null;
+  const user = await getUserByApiKey(apiKey);
+  if (!user) return null;
+  return { id: user.id, name: user.name || null };
+}
+
+// Returns { tasks } with only known fields kept, or { error, message }
+function normalizeTemplateTasks(input) {
+  if (!Array.isArray(input) || !input.length) return { error: 'invalid_template', message: 'tasks must be a non-empty array' };
+  let count = 0;
+  function walk(list, depth, path) {
+    if (depth > TEMPLATE_MAX_DEPTH) throw new Error(`${path}: nesting deeper than ${TEMPLATE_MAX_DEPTH} levels`);
+    return list.map((t, i) => {
+      const at = `${path}[${i}]`;
+      if (!t || typeof t !== 'object') throw new Error(`${at}: must be an object`);
+      if (++count > TEMPLATE_MAX_TASKS) throw new Error(`at most ${TEMPLATE_MAX_TASKS} tasks per template`);
+      const task_info = typeof t.task_info === 'string' ? t.task_info.trim() : '';
+      if (!task_info) throw new Error(`${at}.task_info is required`);
+      const out = { task_info };
+      if (t.extra_note != null) out.extra_note = String(t.extra_note);
+      if (t.priority != null) {
+        const p = String(t.priority).trim().toLowerCase();
+        out.priority = /^[0-3]$/.test(p) ? 'p' + p : p;
+        if (!TEMPLATE_PRIORITIES.includes(out.priority)) throw new Error(`${at}.priority must be p0..p3`);
+      }
+      if (t.labels != null) {
+        if (!Array.isArray(t.labels) || t.labels.some(l => typeof l !== 'string')) throw new Error(`${at}.labels must be an array of strings`);
+        out.labels = t.labels;
+      }
+      if (t.due_in_days != null) {
+        if (!Number.isInteger(t.due_in_days) || t.due_in_days < 0 || t.due_in_days > 3650) throw new Error(`${at}.due_in_days must be an integer from 0 to 3650`);
+        out.due_in_days = t.due_in_days;
+      }
+      if (t.children != null) {
+        if (!Array.isArray(t.children)) throw new Error(`${at}.children must be an array`);
+        if (t.children.length) out.children = walk(t.children, depth + 1, `${at}.children`);
+      }
+      return out;
+    });
+  }
+  try {
+    return { tasks: walk(input, 1, 'tasks') };
+  } catch (e) {
+    return { error: 'invalid_template', message: e.message };
+  }
+}
+
+// variables: { name: default } for placeholders; a null default means the caller must supply it
+function normalizeTemplateVariables(input) {
+  if (input == null) return { variables: {} };
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'invalid_template', message: 'variables must be an object of defaults' };
+  const variables = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (!/^[A-Za-z_][\w-]*$/.test(key)) return { error: 'invalid_template', message: `invalid variable name: ${key}` };
+    variables[key] = value == null ? null : String(value);
+  }
+  return { variables };
+}
+
+function templatePlaceholders(tasks) {
+  const names = new Set();
+  const scan = (s) => { for (const m of String(s || '').matchAll(PLACEHOLDER_RE)) names.add(m[1]); };
+  (function walk(list) {
+    for (const t of list || []) {
+      scan(t.task_info);
+      scan(t.extra_note);
+      (t.labels || []).forEach(scan);
+      walk(t.children);
+    }
+  })(tasks);
+  return Array.from(names).sort();
+}
+
+// Flatten a template into progress_add items (parents before children). newId() yields fresh
+// task ids; parentId hangs the template's top-level tasks under an existing task.
+// Returns { tasks } or { error: 'missing_variables', missing }.
+export function instantiateTemplate(template, { variables = {}, newId, parentId = null, today = new Date() }) {
+  const values = { ...template.variables };
+  for (const [key, value] of Object.entries(variables || {})) if (value != null) values[key] = String(value);
+  const missing = templatePlaceholders(template.tasks).filter(name => values[name] == null);
+  if (missing.length) return { error: 'missing_variables', missing };
+  const fill = (s) => String(s).replace(PLACEHOLDER_RE, (_, name) => values[name]);
+  const out = [];
+  (function walk(list, parent) {
+    for (const t of list) {
+      const task = { task_id: newId(), task_info: fill(t.task_info), parent_id: parent, status: 'pending' };
+      if (t.extra_note != null) task.extra_note = fill(t.extra_note);
+      if (t.priority) task.priority = t.priority;
+      if (t.labels) task.labels = t.labels.map(fill);
+      if (Number.isInteger(t.due_in_days)) {
+        const due = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + t.due_in_days));
+        task.due_date = due.toISOString().slice(0, 10);
+      }
+      out.push(task);
+      if (t.children) walk(t.children, task.task_id);
+    }
+  })(template.tasks, parentId || null);
+  return { tasks: out };
+}
+
+export function countTemplateTasks(tasks) {
+  return (tasks || []).reduce((n, t) => n + 1 + countTemplateTasks(t.children), 0);
+}
+
+function summarizeTemplate(t) {
+  return { ...t, task_count: countTemplateTasks(t.tasks), placeholders: templatePlaceholders(t.tasks) };
+}
+
+// Validates a create/update body; absent fields stay undefined so updates can be partial
+function parseTemplateBody(body, { partial = false } = {}) {
+  const out = {};
+  if (!partial || typeof body.name !== 'undefined') {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 100) return { error: 'invalid_name', message: 'name must be 1-100 characters' };
+    out.name = name;
+  }
+  if (typeof body.description !== 'undefined') out.description = body.description == null ? '' : String(body.description);
+  if (!partial || typeof body.tasks !== 'undefined') {
+    const res = normalizeTemplateTasks(body.tasks);
+    if (res.error) return res;
+    out.tasks = res.tasks;
+  }
+  if (typeof body.variables !== 'undefined') {
+    const res = normalizeTemplateVariables(body.variables);
+    if (res.error) return res;
+    out.variables = res.variables;
+  }
+  return { fields: out };
+}
+
+function templateErrorStatus(msg) {
+  if (/template_not_found/.test(msg)) return [404, 'template_not_found'];
+  if (/template_exists/.test(msg)) return [409, 'template_exists'];
+  return [500, 'template_failed'];
+}
+
+// Express router under /templates. A user apiKey manages that user's templates and can read the
+// server-wide ones; MAIN_API_KEY (admin) manages the server-wide templates.
+export function buildTemplatesRouter() {
+  const router = express.Router();
+  router.use(express.json({ limit: '1mb' }));
+
+  // Resolves the template owner for this request: user id, or null for admin (server-wide)
+  router.use(async (req, res, next) => {
+    try {
+      if (isAdminRequest(req)) { req.templateOwner = null; return next(); }
+      const user = await resolveUserFromRequest(req);
+      if (!user) return res.status(401).json({ error: 'apiKey required' });
+      req.templateOwner = user.id;
+      next();
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  // GET /templates → own + server-wide templates (admin: server-wide only)
+  router.get('/', async (req, res) => {
+    try {
+      const templates = await listTaskTemplates(req.templateOwner);
+      return res.json({ templates: templates.map(summarizeTemplate) });
+    } catch (e) {
+      return res.status(500).json({ error: 'list_failed', message: e?.message || 'Failed to list templates' });
+    }
+  });
+
+  // GET /templates/:id (id or name)
+  router.get('/:id', async (req, res) => {
+    try {
+      const template = await getTaskTemplate(req.templateOwner, req.params.id);
+      if (!template) return res.status(404).json({ error: 'template_not_found' });
+      return res.json({ template: summarizeTemplate(template) });
+    } catch (e) {
+      return res.status(500).json({ error: 'read_failed', message: e?.message || 'Failed to read template' });
+    }
+  });
+
+  // POST /templates  Body: { name, description?, tasks, variables? }
+  router.post('/', async (req, res) => {
+    try {
+      const parsed = parseTemplateBody(req.body || {});
+      if (parsed.error) return res.status(400).json({ error: parsed.error, message: parsed.message });
+      const template = await createTaskTemplate(req.templateOwner, parsed.fields);
+      return res.status(201).json({ template: summarizeTemplate(template) });
+    } catch (e) {
+      const msg = String(e?.message || 'create_failed');
+      const [status, code] = templateErrorStatus(msg);
+      return res.status(status).json({ error: code, message: msg });
+    }
+  });
+
+  // PUT /templates/:id  Body: any of { name, description, tasks, variables }
+  router.put('/:id', async (req, res) => {
+    try {
+      const parsed = parseTemplateBody(req.body || {}, { partial: true });
+      if (parsed.error) return res.status(400).json({ error: parsed.error, message: parsed.message });
+      const template = await updateTaskTemplate(req.templateOwner, String(req.params.id), parsed.fields);
+      return res.json({ template: summarizeTemplate(template) });
+    } catch (e) {
+      const msg = String(e?.message || 'update_failed');
+      const [status, code] = templateErrorStatus(msg);
+      return res.status(status).json({ error: code, message: msg });
+    }
+  });
+
+  // DELETE /templates/:id
+  router.delete('/:id', async (req, res) => {
+    try {
+      const deleted = await deleteTaskTemplate(req.templateOwner, String(req.params.id));
+      if (!deleted) return res.status(404).json({ error: 'template_not_found' });
+      return res.json({ ok: true, id: String(req.params.id) });
+    } catch (e) {
+      return res.status(500).json({ error: 'delete_failed', message: e?.message || 'Failed to delete template' });
+    }
+  });
+
+  return router;
+}
@@ -3,7 +3,7 @@ import React, { useMemo, useState, useEffect } from 'react';
 import { useSearchParams, useRouter, useParams } from 'next/navigation';
 import { useApiKey } from '../../../components/ApiKeyContext';
 import { useProjects } from '../../../lib/hooks';
-import AgentEditor from '../../../components/AgentEditor';
+import DocsPanel from '../../../components/DocsPanel';
 import KanbanBoard from '../../../components/KanbanBoard';
 import TaskAddForm from '../../../components/TaskAddForm';
 import SharePanel from '../../../components/SharePanel';
@@ -11,11 +11,13 @@ import HistoryList from '../../../components/HistoryList';
 import Link from 'next/link';
 import Dashboard from '../../../components/Dashboard';
 import ProjectFilesPanel from '../../../components/ProjectFilesPanel';
+import ScratchpadsPanel from '../../../components/ScratchpadsPanel';
 
 const TABS = [
   { key: 'tasks', label: 'Tasks' },
-  { key: 'agent', label: 'AGENTS.md' },
+  { key: 'agent', label: 'Docs' },
   { key: 'files', label: 'Files' },
+  { key: 'scratchpads', label: 'Scratchpads' },
   { key: 'share', label: 'Share' },
   { key: 'history', label: 'History' }
 ];
@@ -73,10 +75,11 @@ export default function ProjectPage() {
           <KanbanBoard key={refreshTasksFlag} projectId={projectId} readOnly={readOnly} />
         </div>
       )}
-      {tab === 'agent' && <AgentEditor projectId={projectId} readOnly={readOnly} />}
+      {tab === 'agent' && <DocsPanel projectId={projectId} readOnly={readOnly} />}
       {tab === 'share' && <SharePanel projectId={projectId} />}
       {tab === 'files' && <ProjectFilesPanel projectId={projectId} readOnly={readOnly} />}
-      {tab === 'history' && <HistoryList projectId={projectId} readOnly={readOnly} />}
+      {tab === 'scratchpads' && <ScratchpadsPanel projectId={projectId} />}
+      {tab === 'history' && <HistoryList projectId={projectId} readOnly={readOnly} isOwner={project?.permission === 'owner'} />}
     </div>
   );
 }
@@ -2,7 +2,7 @@
 import React, { useEffect, useState, useCallback, useRef } from 'react';
 import dynamic from 'next/dynamic';
 const MDEditor = dynamic(() => import('@uiw/react-md-editor'), { ssr: false });
-import { useAgent } from '../lib/hooks';
+import { useAgent, useDoc } from '../lib/hooks';
 import dayjs from 'dayjs';
 import relativeTime from 'dayjs/plugin/relativeTime';
 dayjs.extend(relativeTime);
@@ -11,9 +11,15 @@ import { useApiKey } from './ApiKeyContext';
 import toast from 'react-hot-toast';
 import { AgentEditorSkeleton } from './LoadingSkeletons';
 
-export default function AgentEditor({ projectId, readOnly }) {
+const DEFAULT_DOC = 'AGENTS.md';
+
+// Edits AGENTS.md, or another project document when `doc` names one
+export default function AgentEditor({ projectId, readOnly, doc = DEFAULT_DOC, onSaved }) {
   const { apiKey } = useApiKey();
-  const { data, error, isLoading, mutate } = useAgent(apiKey, projectId);
+  const isDefault = doc === DEFAULT_DOC;
+  const agent = useAgent(apiKey, isDefault ? projectId : null);
+  const named = useDoc(apiKey, isDefault ? null : projectId, doc);
+  const { data, error, isLoading, mutate } = isDefault ? agent : named;
   const [value, setValue] = useState('');
   const [dirty, setDirty] = useState(false);
   const [saving, setSaving] = useState(false);
@@ -40,24 +46,28 @@ export default function AgentEditor({ projectId, readOnly }) {
         // Prompt user for optional commit message
         let msg = window.prompt('Optional commit message (leave blank for default):', '');
         if (msg && msg.trim()) {
-          comment = `${shortUserFromKey(apiKey)} edit agents.md: ${msg.trim()}`;
+          comment = `${shortUserFromKey(apiKey)} edit ${doc.toLowerCase()}: ${msg.trim()}`;
         } else {
-          comment = `${shortUserFromKey(apiKey)} edit agents.md (manual save)`;
+          comment = `${shortUserFromKey(apiKey)} edit ${doc.toLowerCase()} (manual save)`;
         }
       } else {
-        comment = `${shortUserFromKey(apiKey)} edit agents.md (autosave)`;
+        comment = `${shortUserFromKey(apiKey)} edit ${doc.toLowerCase()} (autosave)`;
       }
-      await callTool(apiKey, 'write_agent', { project_id: projectId, mode: 'full', content: value, comment });
+      const res = isDefault
+        ? await callTool(apiKey, 'write_agent', { project_id: projectId, mode: 'full', content: value, comment })
+        : await callTool(apiKey, 'write_doc', { project_id: projectId, name: doc, mode: 'full', content: value, comment });
+      if (res?.error) throw new Error(res.message || res.error);
       setDirty(false);
       setLastSaved(Date.now());
       mutate();
-      if (!opts.silent) toast.success('Saved AGENTS.md');
+      onSaved?.();
+      if (!opts.silent) toast.success(`Saved ${doc}`);
     } catch (err) {
       toast.error('Save failed: ' + err.message);
     } finally {
       setSaving(false);
     }
-  }, [dirty, saving, apiKey, projectId, value, mutate]);
+  }, [dirty, saving, apiKey, projectId, value, mutate, doc, isDefault, onSaved]);
 
   // Debounced autosave
   useEffect(() => {
@@ -82,7 +92,7 @@ export default function AgentEditor({ projectId, readOnly }) {
   return (
     <div data-color-mode="dark" suppressHydrationWarning>
       <div style={{display:'flex',justifyContent:'space-between',alignItems:'center',marginBottom:'0.5rem'}}>
-        <h3 style={{margin:0}}>AGENTS.md</h3>
+        <h3 style={{margin:0}}>{doc}</h3>
         <div style={{display:'flex',gap:'0.6rem',alignItems:'center'}}>
           {dirty && <span style={{fontSize:'0.65rem',background:'#9e6a03',padding:'0.2rem 0.45rem',borderRadius:4}}>Unsaved changes</span>}
           {lastSaved && !dirty && <span style={{fontSize:'0.6rem',opacity:0.6}}>Saved {dayjs(lastSaved).fromNow()}</span>}
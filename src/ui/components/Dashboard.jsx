@@ -83,6 +83,10 @@ export default function Dashboard({ onSelectProject }) {
         parent_id: t?.parent_id ? String(t.parent_id).trim() : undefined,
         status: t?.status,
         extra_note: typeof t?.extra_note === 'undefined' ? undefined : String(t.extra_note),
+        // Assignees are not carried over: they refer to users of the exported project
+        priority: t?.priority || undefined,
+        due_date: t?.due_date || undefined,
+        labels: Array.isArray(t?.labels) ? t.labels : undefined,
       }));
       const res = await callTool(apiKey, 'init_project', { name: finalName, agent, progress: normalizedTasks });
       if (res?.error) throw new Error(res.message || 'Import failed');
@@ -0,0 +1,77 @@
+"use client";
+import React, { useEffect, useState } from 'react';
+import AgentEditor from './AgentEditor';
+import { useDocs } from '../lib/hooks';
+import { callTool } from '../lib/mcpClient';
+import { useApiKey } from './ApiKeyContext';
+import toast from 'react-hot-toast';
+
+const DEFAULT_DOC = 'AGENTS.md';
+const DOC_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/;
+
+// Project documents as tabs: AGENTS.md (the default document) first, then the named documents
+export default function DocsPanel({ projectId, readOnly }) {
+  const { apiKey } = useApiKey();
+  const { data, error, mutate } = useDocs(apiKey, projectId);
+  const docs = Array.isArray(data?.docs) ? data.docs : [{ name: DEFAULT_DOC, default: true }];
+  const [active, setActive] = useState(DEFAULT_DOC);
+  const [pending, setPending] = useState(null); // created locally, not saved yet
+
+  // Fall back to AGENTS.md when the active document disappears (deleted elsewhere, branch switch)
+  useEffect(() => {
+    if (!data?.docs || active === pending) return;
+    if (!data.docs.some(d => d.name === active)) setActive(DEFAULT_DOC);
+  }, [data, active, pending]);
+
+  const tabs = pending && !docs.some(d => d.name === pending) ? [...docs, { name: pending }] : docs;
+
+  function newDoc() {
+    const name = (window.prompt('Document name (e.g. ARCHITECTURE.md):', '') || '').trim();
+    if (!name) return;
+    if (!DOC_NAME_RE.test(name)) { toast.error('Use letters, digits, ".", "_" or "-" only'); return; }
+    if (!docs.some(d => d.name === name)) setPending(name);
+    setActive(name);
+  }
+
+  async function deleteDoc(name) {
+    if (!window.confirm(`Delete ${name}? It stays available in the project history.`)) return;
+    if (name === pending && !docs.some(d => d.name === name)) {
+      setPending(null);
+      setActive(DEFAULT_DOC);
+      return;
+    }
+    try {
+      const res = await callTool(apiKey, 'delete_doc', { project_id: projectId, name });
+      if (res?.error) throw new Error(res.message || res.error);
+      toast.success(`Deleted ${name}`);
+      setActive(DEFAULT_DOC);
+      mutate();
+    } catch (err) {
+      toast.error('Delete failed: ' + err.message);
+    }
+  }
+
+  return (
+    <div>
+      <div style={{display:'flex',gap:'0.35rem',alignItems:'center',flexWrap:'wrap',marginBottom:'0.75rem'}}>
+        {tabs.map(d => (
+          <button key={d.name} onClick={()=>setActive(d.name)} title={d.lines != null ? `${d.lines} lines` : 'Not saved yet'} style={{background: active===d.name?'#1f6feb':'#21262d',color:'#fff',border:'1px solid #30363d',padding:'0.3rem 0.65rem',borderRadius:6,cursor:'pointer',fontSize:'0.75rem',fontStyle: d.lines == null ? 'italic' : 'normal'}}>{d.name}</button>
+        ))}
+        {!readOnly && (
+          <button onClick={newDoc} style={{background:'none',color:'var(--muted)',border:'1px dashed #30363d',padding:'0.3rem 0.65rem',borderRadius:6,cursor:'pointer',fontSize:'0.75rem'}}>+ New document</button>
+        )}
+        {!readOnly && active !== DEFAULT_DOC && (
+          <button onClick={()=>deleteDoc(active)} style={{marginLeft:'auto',background:'none',color:'tomato',border:'1px solid #30363d',padding:'0.3rem 0.65rem',borderRadius:6,cursor:'pointer',fontSize:'0.7rem'}}>Delete {active}</button>
+        )}
+      </div>
+      {error && <p style={{color:'tomato',fontSize:'0.8rem'}}>Error loading documents: {error.message}</p>}
+      <AgentEditor
+        key={active}
+        projectId={projectId}
+        readOnly={readOnly}
+        doc={active}
+        onSaved={() => { if (active === pending) setPending(null); mutate(); }}
+      />
+    </div>
+  );
+}
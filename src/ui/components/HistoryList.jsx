@@ -1,18 +1,25 @@
 "use client";
 import React, { useMemo, useState } from 'react';
-import { useLogs } from '../lib/hooks';
+import { useLogs, useTags } from '../lib/hooks';
 import { useApiKey } from './ApiKeyContext';
 import { callTool } from '../lib/mcpClient';
 import toast from 'react-hot-toast';
 import dayjs from 'dayjs';
 
-export default function HistoryList({ projectId, readOnly = false }) {
+export default function HistoryList({ projectId, readOnly = false, isOwner = false }) {
   const { apiKey } = useApiKey();
-  const { data, error, isLoading, mutate } = useLogs(apiKey, projectId);
+  const { data, error, isLoading, mutate: mutateLogs } = useLogs(apiKey, projectId);
+  const { data: tagData, mutate: mutateTags } = useTags(apiKey, projectId);
+  const mutate = () => { mutateLogs(); mutateTags(); };
   const [busyHashes, setBusyHashes] = useState(() => new Set());
   const [sortOrder, setSortOrder] = useState('desc'); // 'desc' puts newest on top (default)
+  const [diffHash, setDiffHash] = useState(null); // commit whose changes-since panel is open
+  const [diffData, setDiffData] = useState(null);
+  const [diffLoading, setDiffLoading] = useState(false);
 
   const logs = useMemo(() => data?.logs || [], [data]);
+  // Tags whose commits a reset dropped from the history; still readable and restorable
+  const detachedTags = useMemo(() => (tagData?.tags || []).filter(t => !t.in_active_history), [tagData]);
   const sortedLogs = useMemo(() => {
     const getTs = (x) => {
       const t = new Date(x?.created_at || 0).getTime();
@@ -26,15 +33,88 @@ export default function HistoryList({ projectId, readOnly = false }) {
     return arr;
   }, [logs, sortOrder]);
 
-  async function onRevert(hash) {
+  async function openDiff(hash) {
     if (!hash) return;
+    if (diffHash === hash) { setDiffHash(null); setDiffData(null); return; }
+    setDiffHash(hash);
+    setDiffData(null);
+    setDiffLoading(true);
+    try {
+      const res = await callTool(apiKey, 'diff_project_versions', { project_id: projectId, from_hash: hash });
+      if (res?.error) throw new Error(res.message || res.error);
+      setDiffData(res);
+    } catch (e) {
+      toast.error(`Diff failed: ${e?.message || e}`);
+      setDiffHash(null);
+    } finally {
+      setDiffLoading(false);
+    }
+  }
+
+  async function onTag(hash) {
+    const name = window.prompt(`Tag commit ${hash.slice(0, 8)} as (e.g. v1-release, before-refactor):`);
+    if (!name || !name.trim()) return;
+    try {
+      const res = await callTool(apiKey, 'tag_commit', { project_id: projectId, name: name.trim(), hash });
+      if (res?.error) throw new Error(res.message || res.error);
+      toast.success(`Tagged ${hash.slice(0, 8)} as ${res.tag?.name || name.trim()}`);
+      mutate();
+    } catch (e) {
+      toast.error(`Tag failed: ${e?.message || e}`);
+    }
+  }
+
+  async function onDeleteTag(name) {
+    if (!window.confirm(`Delete tag ${name}? The commit itself is kept.`)) return;
+    try {
+      const res = await callTool(apiKey, 'delete_tag', { project_id: projectId, name });
+      if (res?.error) throw new Error(res.message || res.error);
+      toast.success(`Deleted tag ${name}`);
+      mutate();
+    } catch (e) {
+      toast.error(`Delete tag failed: ${e?.message || e}`);
+    }
+  }
+
+  async function onRestore(hash, scope, taskIds) {
     const short = hash.slice(0, 8);
-    const ok = window.confirm(`Revert project to commit ${short}?\n\nThis restores AGENTS.md and tasks to that snapshot.\nThis action cannot be undone.`);
+    const what = taskIds ? `tasks ${taskIds.join(', ')}` : (scope === 'agent' ? 'the documents' : 'the task list');
+    const ok = window.confirm(`Restore ${what} from commit ${short}?\n\nEverything else stays as it is now; the result is saved as a new commit.`);
     if (!ok) return;
     setBusyHashes(prev => new Set(prev).add(hash));
     try {
-      await callTool(apiKey, 'revert_project', { project_id: projectId, hash });
-      toast.success(`Reverted to ${short}`);
+      const args = { project_id: projectId, hash, mode: 'new_commit', scope };
+      if (taskIds) args.task_ids = taskIds;
+      const res = await callTool(apiKey, 'revert_project', args);
+      if (res?.error) throw new Error(res.message || res.error);
+      toast.success(`Restored ${what} from ${short}`);
+      setDiffHash(null);
+      setDiffData(null);
+      mutate();
+    } catch (e) {
+      toast.error(`Restore failed: ${e?.message || e}`);
+    } finally {
+      setBusyHashes(prev => { const next = new Set(prev); next.delete(hash); return next; });
+    }
+  }
+
+  // mode=new_commit keeps history (safe for shared projects); mode=reset trims it (owners)
+  async function onRevert(hash, mode = 'new_commit') {
+    if (!hash) return;
+    // Show what the revert would undo before asking for confirmation
+    if (diffHash !== hash) { await openDiff(hash); return; }
+    const short = hash.slice(0, 8);
+    const ok = window.confirm(mode === 'reset'
+      ? `Reset project to commit ${short}?\n\nThis restores AGENTS.md and tasks to that snapshot and removes all newer commits from history.\nThis action cannot be undone.`
+      : `Revert project to commit ${short}?\n\nThis restores AGENTS.md and tasks to that snapshot as a new commit, undoing the changes shown below it.\nHistory is kept, so this revert can itself be reverted.`);
+    if (!ok) return;
+    setBusyHashes(prev => new Set(prev).add(hash));
+    try {
+      const res = await callTool(apiKey, 'revert_project', { project_id: projectId, hash, mode });
+      if (res?.error) throw new Error(res.message || res.error);
+      toast.success(mode === 'reset' ? `Reset to ${short}` : `Reverted to ${short} as a new commit`);
+      setDiffHash(null);
+      setDiffData(null);
       // Refresh history after revert
       mutate();
     } catch (e) {
@@ -55,6 +135,15 @@ export default function HistoryList({ projectId, readOnly = false }) {
       </div>
       {isLoading && <p>Loading history...</p>}
       {error && <p style={{color:'tomato'}}>Error: {error.message}</p>}
+      {detachedTags.length > 0 && (
+        <div style={{margin:'0.5rem 0',fontSize:'0.75rem',opacity:0.8}}>
+          Tags outside this history:{' '}
+          {detachedTags.map(t => (
+            <span key={t.name} style={{marginRight:'0.5rem'}}>🏷 {t.name} <code>{t.hash.slice(0, 8)}</code></span>
+          ))}
+          <span style={{opacity:0.7}}>(use the tag name with revert_project mode=new_commit to restore)</span>
+        </div>
+      )}
       <ul style={{listStyle:'none',padding:0,margin:0,display:'flex',flexDirection:'column',gap:'0.4rem'}}>
         {sortedLogs.map(l => {
           const short = l.hash.slice(0,8);
@@ -65,18 +154,58 @@ export default function HistoryList({ projectId, readOnly = false }) {
                 <div style={{display:'flex',alignItems:'center',gap:'0.5rem'}}>
                   <code style={{opacity:0.8}}>{short}</code>
                   <span style={{opacity:0.6}}>{dayjs(l.created_at).format('MM-DD HH:mm')}</span>
+                  {(l.tags || []).map(tag => (
+                    <span key={tag} title={`Tag ${tag}`} style={{display:'inline-flex',alignItems:'center',gap:'0.2rem',background:'rgba(31,111,235,0.15)',color:'var(--accent)',border:'1px solid var(--accent)',borderRadius:10,padding:'0 0.45rem',fontSize:'0.7rem',fontWeight:600}}>
+                      🏷 {tag}
+                      {!readOnly && (
+                        <button onClick={() => onDeleteTag(tag)} disabled={busy} title={`Delete tag ${tag}`} style={{background:'none',border:'none',color:'inherit',cursor:'pointer',padding:0,fontSize:'0.75rem',lineHeight:1}}>×</button>
+                      )}
+                    </span>
+                  ))}
                 </div>
+                <div style={{display:'flex',gap:'0.35rem'}}>
+                <button
+                  onClick={() => openDiff(l.hash)}
+                  title={`Show changes since ${short}`}
+                  style={{background:'var(--panel)',color:'var(--text)',border:'1px solid var(--border)',padding:'0.25rem 0.6rem',borderRadius:6,cursor:'pointer',fontSize:'0.75rem',fontWeight:600}}
+                >{diffHash === l.hash ? 'Hide diff' : 'Diff'}</button>
+                {!readOnly && (
+                  <button
+                    onClick={() => onTag(l.hash)}
+                    disabled={busy}
+                    title={`Tag ${short} with a name`}
+                    style={{background:'var(--panel)',color:'var(--text)',border:'1px solid var(--border)',padding:'0.25rem 0.6rem',borderRadius:6,cursor:busy?'wait':'pointer',fontSize:'0.75rem',fontWeight:600}}
+                  >Tag</button>
+                )}
                 {!readOnly && (
                   <button
                     onClick={() => onRevert(l.hash)}
                     disabled={busy}
                     title={`Revert to ${short}`}
                     style={{background:'var(--accent)',color:'#fff',border:'1px solid var(--accent-hover)',padding:'0.25rem 0.6rem',borderRadius:6,cursor:busy?'wait':'pointer',fontSize:'0.75rem',fontWeight:600}}
-                  >{busy ? 'Reverting…' : 'Revert'}</button>
+                  >{busy ? 'Reverting…' : (diffHash === l.hash ? 'Confirm revert' : 'Revert')}</button>
+                )}
+                {!readOnly && isOwner && diffHash === l.hash && (
+                  <button
+                    onClick={() => onRevert(l.hash, 'reset')}
+                    disabled={busy}
+                    title={`Reset to ${short} and drop newer commits`}
+                    style={{background:'var(--panel)',color:'tomato',border:'1px solid tomato',padding:'0.25rem 0.6rem',borderRadius:6,cursor:busy?'wait':'pointer',fontSize:'0.75rem',fontWeight:600}}
+                  >Reset</button>
                 )}
+                </div>
               </div>
               <div style={{marginTop:'0.3rem'}}>{l.message}</div>
               {l.modified_by && <div style={{marginTop:'0.3rem',opacity:0.5}}>by {l.modified_by}</div>}
+              {diffHash === l.hash && (
+                <VersionDiff
+                  key={l.hash}
+                  loading={diffLoading}
+                  diff={diffData}
+                  busy={busy}
+                  onRestore={readOnly ? null : (scope, taskIds) => onRestore(l.hash, scope, taskIds)}
+                />
+              )}
             </li>
           );
         })}
@@ -84,3 +213,99 @@ export default function HistoryList({ projectId, readOnly = false }) {
     </div>
   );
 }
+
+
+function DiffLine({ line }) {
+  let color = 'inherit';
+  let background = 'transparent';
+  if (line.startsWith('+') && !line.startsWith('+++')) { color = '#2e7d32'; background = 'rgba(46,125,50,0.12)'; }
+  else if (line.startsWith('-') && !line.startsWith('---')) { color = '#c62828'; background = 'rgba(198,40,40,0.12)'; }
+  else if (line.startsWith('@@')) { color = 'var(--accent)'; }
+  return <div style={{color,background,whiteSpace:'pre-wrap',wordBreak:'break-word'}}>{line || ' '}</div>;
+}
+
+const smallBtn = {background:'var(--panel)',color:'var(--text)',border:'1px solid var(--border)',padding:'0.2rem 0.5rem',borderRadius:6,cursor:'pointer',fontSize:'0.72rem',fontWeight:600};
+
+// Changes between a commit and the current state: reverting undoes all of them.
+// onRestore(scope, taskIds) restores just part of the commit as a new commit.
+function VersionDiff({ loading, diff, onRestore, busy }) {
+  const [picked, setPicked] = useState(() => new Set());
+  if (loading) return <p style={{margin:'0.4rem 0 0',opacity:0.7}}>Loading diff…</p>;
+  if (!diff) return null;
+  const { agent, tasks, summary } = diff;
+  const docs = diff.docs || { added: [], removed: [], changed: [] };
+  const docsChanged = agent.changed || summary.docs_changed > 0;
+  const noTaskChanges = !summary.tasks_added && !summary.tasks_removed && !summary.tasks_status_changed && !summary.tasks_field_changed && !summary.task_comments_added && !summary.tasks_reordered;
+  const section = {marginTop:'0.5rem',borderTop:'1px solid var(--border)',paddingTop:'0.4rem'};
+  const togglePick = (id) => setPicked(prev => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  });
+  // Tasks that exist in the commit can be restored individually; added ones only exist now
+  const pick = (id) => onRestore ? (
+    <input type="checkbox" checked={picked.has(id)} onChange={() => togglePick(id)} disabled={busy} title="Select to restore this task" style={{marginRight:'0.3rem'}} />
+  ) : null;
+  return (
+    <div style={{marginTop:'0.4rem'}}>
+      <div style={{opacity:0.7}}>Changes since this commit (reverting undoes these):</div>
+      <div style={section}>
+        <div style={{display:'flex',justifyContent:'space-between',alignItems:'center'}}>
+          <strong>AGENTS.md</strong>
+          {onRestore && docsChanged && (
+            <button onClick={() => onRestore('agent')} disabled={busy} style={smallBtn} title="Restore only AGENTS.md and the other documents from this commit">Restore documents only</button>
+          )}
+        </div>
+        {agent.changed ? (
+          <div style={{marginTop:'0.3rem',fontFamily:'monospace',fontSize:'0.72rem',maxHeight:260,overflow:'auto',border:'1px solid var(--border)',borderRadius:4,padding:'0.3rem'}}>
+            {agent.diff.replace(/\n$/, '').split('\n').map((line, i) => <DiffLine key={i} line={line} />)}
+          </div>
+        ) : <span style={{opacity:0.6}}> — no changes</span>}
+      </div>
+      {summary.docs_changed > 0 && (
+        <div style={section}>
+          <strong>Other documents</strong>
+          <ul style={{margin:'0.3rem 0 0',paddingLeft:'1.1rem'}}>
+            {docs.added.map(name => <li key={`a-${name}`} style={{color:'#2e7d32'}}>+ <code>{name}</code></li>)}
+            {docs.removed.map(name => <li key={`r-${name}`} style={{color:'#c62828'}}>− <code>{name}</code></li>)}
+            {docs.changed.map(d => <li key={`c-${d.name}`}><code>{d.name}</code> changed</li>)}
+          </ul>
+          {docs.changed.map(d => (
+            <div key={`d-${d.name}`} style={{marginTop:'0.3rem',fontFamily:'monospace',fontSize:'0.72rem',maxHeight:260,overflow:'auto',border:'1px solid var(--border)',borderRadius:4,padding:'0.3rem'}}>
+              {d.diff.replace(/\n$/, '').split('\n').map((line, i) => <DiffLine key={i} line={line} />)}
+            </div>
+          ))}
+        </div>
+      )}
+      <div style={section}>
+        <div style={{display:'flex',justifyContent:'space-between',alignItems:'center',gap:'0.35rem'}}>
+          <strong>Tasks</strong>
+          {onRestore && !noTaskChanges && (
+            <div style={{display:'flex',gap:'0.35rem'}}>
+              <button onClick={() => onRestore('tasks', Array.from(picked))} disabled={busy || !picked.size} style={smallBtn} title="Restore only the checked tasks">Restore selected ({picked.size})</button>
+              <button onClick={() => onRestore('tasks')} disabled={busy} style={smallBtn} title="Restore the whole task list from this commit">Restore tasks only</button>
+            </div>
+          )}
+        </div>
+        {noTaskChanges && <span style={{opacity:0.6}}> — no changes</span>}
+        <ul style={{margin:'0.3rem 0 0',paddingLeft:'1.1rem'}}>
+          {tasks.added.map(t => <li key={`a-${t.task_id}`} style={{color:'#2e7d32'}}>+ <code>{t.task_id}</code> {t.task_info}</li>)}
+          {tasks.removed.map(t => <li key={`r-${t.task_id}`} style={{color:'#c62828'}}>{pick(t.task_id)}− <code>{t.task_id}</code> {t.task_info}</li>)}
+          {tasks.status_changed.map(t => <li key={`s-${t.task_id}`}>{pick(t.task_id)}<code>{t.task_id}</code> {t.task_info}: {t.from} → {t.to}</li>)}
+          {tasks.field_changed.filter(t => !tasks.status_changed.some(x => x.task_id === t.task_id)).map(t => (
+            <li key={`f-${t.task_id}`}>{pick(t.task_id)}<code>{t.task_id}</code> changed {Object.keys(t.changes).join(', ')}</li>
+          ))}
+          {tasks.field_changed.filter(t => tasks.status_changed.some(x => x.task_id === t.task_id)).map(t => (
+            <li key={`f-${t.task_id}`} style={{listStyle:'none',opacity:0.8}}><code>{t.task_id}</code> also changed {Object.keys(t.changes).join(', ')}</li>
+          ))}
+          {(tasks.comments_added || []).map(t => (
+            <li key={`c-${t.task_id}`} style={{opacity:0.8}}><code>{t.task_id}</code> {t.comments.length} new comment{t.comments.length === 1 ? '' : 's'}</li>
+          ))}
+          {(tasks.reordered || []).map(g => (
+            <li key={`o-${g.parent_id || 'root'}`} style={{opacity:0.8}}>reordered {g.parent_id ? <>children of <code>{g.parent_id}</code></> : 'top-level tasks'}</li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+}
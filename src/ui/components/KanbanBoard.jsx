@@ -1,6 +1,7 @@
 "use client";
 import React, { useState } from 'react';
 import TaskPropertyModal from './TaskPropertyModal';
+import TemplateApplyModal from './TemplateApplyModal';
 import dynamic from 'next/dynamic';
 // Dynamically import DnD to avoid SSR hydration issues
 const DragDropContext = dynamic(() => import('@hello-pangea/dnd').then(m => m.DragDropContext), { ssr: false });
@@ -19,10 +20,30 @@ const COLUMNS = [
   { key: 'archived', title: 'Archived' },
 ];
 
+const PRIORITY_COLORS = { p0: '#ff7b72', p1: '#ffa657', p2: '#58a6ff', p3: '#8b949e' };
+
+function TaskMetaBadges({ task }) {
+  const labels = task.labels || [];
+  if (!task.priority && !task.due_date && !task.assignee && !labels.length && !task.comment_count) return null;
+  const today = new Date().toISOString().slice(0, 10);
+  const overdue = task.due_date && task.due_date < today && task.status !== 'completed' && task.status !== 'archived';
+  const pill = {fontSize:'0.65rem',background:'var(--pill-bg)',border:'1px solid var(--pill-border)',borderRadius:12,padding:'0 0.4rem'};
+  return (
+    <div style={{display:'flex',flexWrap:'wrap',gap:'0.25rem',marginTop:'0.25rem'}}>
+      {task.priority && <span title="Priority" style={{...pill,color:'#fff',background:PRIORITY_COLORS[task.priority],borderColor:PRIORITY_COLORS[task.priority]}}>{task.priority.toUpperCase()}</span>}
+      {task.due_date && <span title={overdue ? 'Overdue' : 'Due date'} style={{...pill,color: overdue ? 'tomato' : undefined}}>📅 {task.due_date}</span>}
+      {task.assignee && <span title="Assignee" style={pill}>👤 {task.assignee}</span>}
+      {labels.map(l => <span key={l} title="Label" style={pill}>#{l}</span>)}
+      {task.comment_count > 0 && <span title="Comments" style={pill}>💬 {task.comment_count}</span>}
+    </div>
+  );
+}
+
 export default function KanbanBoard({ projectId, readOnly }) {
   const { apiKey } = useApiKey();
   const { data, error, isLoading, mutate } = useTasks(apiKey, projectId);
   const [moving, setMoving] = useState(false);
+  const [templateOpen, setTemplateOpen] = useState(false);
   const [collapsed, setCollapsed] = useState(() => {
     try {
       if (typeof window !== 'undefined') {
@@ -134,6 +155,36 @@ export default function KanbanBoard({ projectId, readOnly }) {
     return map;
   }, [allTasks, collapsed, ancestorHidden]);
 
+  // Per column: tasks rendered as a tree (children under parents in the same column), in the
+  // persisted sibling order read_progress returns. Drag indexes refer to the hierarchical list.
+  const columnLayouts = React.useMemo(() => {
+    const layouts = {};
+    COLUMNS.forEach(col => {
+      const colTasks = tasksByCol[col.key];
+      // Build child mapping (only within same column/status)
+      const childrenMap = {};
+      colTasks.forEach(t => { if (t.parent_id) { (childrenMap[t.parent_id] ||= []).push(t); } });
+      // Order preservation map
+      const orderIndex = new Map(colTasks.map((t,i)=>[t.task_id,i]));
+      // Roots are tasks without parent_id or whose parent is not in same column
+      const roots = colTasks.filter(t => !t.parent_id || !colTasks.find(x => x.task_id === t.parent_id));
+      roots.sort((a,b)=>orderIndex.get(a.task_id)-orderIndex.get(b.task_id));
+      const hierarchical = [];
+      function addTask(t, depth){
+        hierarchical.push({ task: t, depth, globalDepth: depthCache.get(t.task_id) || 0 });
+        if (collapsed.has(t.task_id)) return; // collapsed: skip rendering its descendants
+        const kids = childrenMap[t.task_id];
+        if (kids){
+          kids.sort((a,b)=>orderIndex.get(a.task_id)-orderIndex.get(b.task_id));
+          kids.forEach(k => addTask(k, depth+1));
+        }
+      }
+      roots.forEach(r => addTask(r, 0));
+      layouts[col.key] = { colTasks, childrenMap, hierarchical };
+    });
+    return layouts;
+  }, [tasksByCol, collapsed, depthCache]);
+
   // Color palette for root lineage markers
   const ROOT_COLORS = ['#58a6ff','#d2a8ff','#ff7b72','#ffa657','#7ee787','#f0883e','#1f6feb','#bc8cff','#79c0ff','#ffb77c','#ffb3d1','#c9d1d9','#b5e8a3','#ffd580','#b392f0','#8ddb8c'];
   const rootColorMap = React.useMemo(() => {
@@ -150,17 +201,52 @@ export default function KanbanBoard({ projectId, readOnly }) {
     return 'user-' + key.slice(0,4);
   }
 
+  // Dropped before a card: become its sibling right before it; dropped last: right after the card above
+  async function reorderWithinColumn(colKey, fromIndex, toIndex) {
+    const entries = columnLayouts[colKey].hierarchical.map(e => e.task);
+    const movedTask = entries[fromIndex];
+    if (!movedTask) return;
+    const rest = entries.filter((_, i) => i !== fromIndex);
+    const next = rest[toIndex];
+    const prev = rest[toIndex - 1];
+    const placement = next ? { before_id: next.task_id } : (prev ? { after_id: prev.task_id } : null);
+    if (!placement) return;
+    setMoving(true);
+    try {
+      const anchor = placement.before_id || placement.after_id;
+      const comment = `${shortUserFromKey(apiKey)} reordered task ${movedTask.task_id} ${placement.before_id ? 'before' : 'after'} ${anchor}`;
+      const res = await callTool(apiKey, 'progress_move', { project_id: projectId, task_id: movedTask.task_id, ...placement, comment });
+      if (res?.error) throw new Error(res.message || res.error);
+      if (!res?.unchanged) toast.success('Reordered');
+      mutate();
+    } catch (e) {
+      toast.error('Reorder failed: ' + e.message);
+    } finally {
+      setMoving(false);
+    }
+  }
+
   async function onDragEnd(result) {
     if (!result.destination) return;
     const { draggableId, destination, source } = result;
     const destCol = destination.droppableId;
     const srcCol = source.droppableId;
-    if (destCol === srcCol) return; // no change
+    if (destCol === srcCol) {
+      if (destination.index === source.index) return; // no change
+      if (readOnly) { toast.error('Read-only project'); return; }
+      await reorderWithinColumn(srcCol, source.index, destination.index);
+      return;
+    }
     if (readOnly) { toast.error('Read-only project'); return; }
     setMoving(true);
     try {
       const comment = `${shortUserFromKey(apiKey)} moved task ${draggableId} ${srcCol} -> ${destCol}`;
-      await callTool(apiKey, 'progress_set_new_state', { project_id: projectId, match: [draggableId], state: destCol, comment });
+      const res = await callTool(apiKey, 'progress_set_new_state', { project_id: projectId, match: [draggableId], state: destCol, comment });
+      if (res?.error === 'task_blocked') {
+        const blockers = (res.blocked || []).flatMap(b => b.blocked_by || []);
+        toast.error('Blocked by: ' + blockers.join(', '));
+        return;
+      }
       toast.success('Updated status');
       mutate();
     } catch (e) {
@@ -174,35 +260,19 @@ export default function KanbanBoard({ projectId, readOnly }) {
     <div>
       <div style={{display:'flex',justifyContent:'space-between',alignItems:'center'}}>
         <h3 style={{margin:'0 0 0.5rem'}}>Tasks</h3>
-        {moving && <small>Updating…</small>}
+        <div style={{display:'flex',alignItems:'center',gap:'0.5rem'}}>
+          {moving && <small>Updating…</small>}
+          {!readOnly && (
+            <button type="button" onClick={()=>setTemplateOpen(true)} style={{background:'var(--btn-muted-bg)',border:'1px solid var(--btn-muted-border)',color:'var(--text)',padding:'0.25rem 0.6rem',borderRadius:4,cursor:'pointer',fontSize:'0.75rem'}}>New from template</button>
+          )}
+        </div>
       </div>
   {isLoading && <KanbanSkeleton />}
       {error && <p style={{color:'tomato'}}>Error: {error.message}</p>}
       <DragDropContext onDragEnd={onDragEnd}>
         <div style={{display:'grid',gridTemplateColumns:'repeat(auto-fit,minmax(220px,1fr))',gap:'0.75rem'}}>
           {COLUMNS.map(col => {
-            const colTasks = tasksByCol[col.key];
-            // Build child mapping (only within same column/status)
-            const childrenMap = {};
-            colTasks.forEach(t => { if (t.parent_id) { (childrenMap[t.parent_id] ||= []).push(t); } });
-            // Order preservation map
-            const orderIndex = new Map(colTasks.map((t,i)=>[t.task_id,i]));
-            // Roots are tasks without parent_id or whose parent is not in same column
-            const roots = colTasks.filter(t => !t.parent_id || !colTasks.find(x => x.task_id === t.parent_id));
-            // Sort roots by their original order for stability
-            roots.sort((a,b)=>orderIndex.get(a.task_id)-orderIndex.get(b.task_id));
-            const hierarchical = [];
-            function addTask(t, depth){
-              hierarchical.push({ task: t, depth, globalDepth: depthCache.get(t.task_id) || 0 });
-              if (collapsed.has(t.task_id)) return; // collapsed: skip rendering its descendants
-              const kids = childrenMap[t.task_id];
-              if (kids){
-                // stable order by original appearance
-                kids.sort((a,b)=>orderIndex.get(a.task_id)-orderIndex.get(b.task_id));
-                kids.forEach(k => addTask(k, depth+1));
-              }
-            }
-            roots.forEach(r => addTask(r, 0));
+            const { colTasks, childrenMap, hierarchical } = columnLayouts[col.key];
             const totalCount = colTasks.length;
             return (
               <Droppable droppableId={col.key} key={col.key}>
@@ -240,6 +310,10 @@ export default function KanbanBoard({ projectId, readOnly }) {
                                   <div style={{flex:1,cursor: readOnly? 'default':'pointer'}} onDoubleClick={()=> !readOnly && setPropTask(t.task_id)}>
                                     <div style={{fontSize:'0.75rem',opacity:0.6}}>{t.task_id}</div>
                                     <div style={{fontSize:'0.85rem'}}>{t.task_info}</div>
+                                    <TaskMetaBadges task={t} />
+                                    {t.blocked && (
+                                      <div title="Waiting on these tasks to be completed" style={{fontSize:'0.7rem',color:'tomato'}}>⛔ Blocked by: {t.blocked_by.join(', ')}</div>
+                                    )}
                                   </div>
                                   {hiddenCount > 0 && (
                                     <span style={{fontSize:'0.65rem',background:'var(--pill-bg)',border:'1px solid var(--pill-border)',borderRadius:12,padding:'0 0.4rem'}}>{hiddenCount}</span>
@@ -271,6 +345,13 @@ export default function KanbanBoard({ projectId, readOnly }) {
         readOnly={readOnly}
         onUpdated={()=>mutate()}
       />
+      <TemplateApplyModal
+        open={templateOpen}
+        onClose={()=>setTemplateOpen(false)}
+        projectId={projectId}
+        allTasks={allTasks}
+        onApplied={()=>mutate()}
+      />
     </div>
   );
 }
@@ -0,0 +1,98 @@
+"use client";
+import React, { useState } from 'react';
+import { useScratchpads, useScratchpad } from '../lib/hooks';
+import { callTool } from '../lib/mcpClient';
+import { useApiKey } from './ApiKeyContext';
+import toast from 'react-hot-toast';
+
+const btnStyle = {background:'none',border:'1px solid #30363d',padding:'0.25rem 0.55rem',borderRadius:6,cursor:'pointer',fontSize:'0.7rem'};
+
+function formatTime(iso) {
+  if (!iso) return '—';
+  try { return new Date(iso).toLocaleString(); } catch { return iso; }
+}
+
+function ScratchpadDetail({ projectId, scratchpadId }) {
+  const { apiKey } = useApiKey();
+  const { data, error, isLoading } = useScratchpad(apiKey, projectId, scratchpadId);
+  if (isLoading) return <p style={{fontSize:'0.8rem'}}>Loading…</p>;
+  if (error || data?.error) return <p style={{color:'tomato',fontSize:'0.8rem'}}>Error: {error?.message || data?.message || data?.error}</p>;
+  const tasks = Array.isArray(data?.tasks) ? data.tasks : [];
+  return (
+    <div style={{padding:'0.5rem 0.75rem',borderTop:'1px solid #30363d'}}>
+      {tasks.length ? (
+        <ul style={{listStyle:'none',margin:0,padding:0,fontSize:'0.8rem'}}>
+          {tasks.map(t => (
+            <li key={t.task_id} style={{marginBottom:'0.4rem'}}>
+              <span style={{opacity:0.8}}>{t.status === 'complete' ? '☑' : '☐'}</span> <code>{t.task_id}</code> {t.task_info}
+              {t.scratchpad && <div style={{fontSize:'0.75rem',opacity:0.75,whiteSpace:'pre-wrap',marginLeft:'1.2rem'}}>{t.scratchpad}</div>}
+              {t.comments && <div style={{fontSize:'0.75rem',opacity:0.6,whiteSpace:'pre-wrap',marginLeft:'1.2rem'}}>{t.comments}</div>}
+              {(data?.sub_scratchpads || []).filter(c => c.task_id === t.task_id).map(c => (
+                <div key={c.scratchpad_id} style={{fontSize:'0.7rem',opacity:0.7,marginLeft:'1.2rem'}}>↳ sub-scratchpad <code>{c.scratchpad_id}</code> ({c.status})</div>
+              ))}
+            </li>
+          ))}
+        </ul>
+      ) : <p style={{fontSize:'0.8rem',opacity:0.7}}>No tasks.</p>}
+      <div style={{fontSize:'0.7rem',textTransform:'uppercase',letterSpacing:'.05em',margin:'0.5rem 0 0.25rem'}}>Common memory</div>
+      <pre style={{whiteSpace:'pre-wrap',fontSize:'0.75rem',margin:0,background:'#0d1117',padding:'0.5rem',borderRadius:4,maxHeight:300,overflow:'auto'}}>{data?.common_memory || '(empty)'}</pre>
+    </div>
+  );
+}
+
+// The caller's scratchpads in this project: task counts, close (archive) and delete (which also
+// removes sub-scratchpads)
+export default function ScratchpadsPanel({ projectId }) {
+  const { apiKey } = useApiKey();
+  const { data, error, isLoading, mutate } = useScratchpads(apiKey, projectId);
+  const [expanded, setExpanded] = useState(null);
+  const [busy, setBusy] = useState(null);
+  const pads = Array.isArray(data?.scratchpads) ? data.scratchpads : [];
+
+  async function act(tool, pad) {
+    if (tool === 'scratchpad_delete' && !window.confirm(`Delete scratchpad ${pad.scratchpad_id}, its sub-scratchpads and subagent runs?`)) return;
+    setBusy(pad.scratchpad_id);
+    try {
+      const res = await callTool(apiKey, tool, { project_id: projectId, scratchpad_id: pad.scratchpad_id });
+      if (res?.error) throw new Error(res.message || res.error);
+      toast.success(tool === 'scratchpad_delete' ? 'Scratchpad deleted' : 'Scratchpad closed');
+      if (tool === 'scratchpad_delete' && expanded === pad.scratchpad_id) setExpanded(null);
+      mutate();
+    } catch (err) {
+      toast.error('Failed: ' + err.message);
+    } finally {
+      setBusy(null);
+    }
+  }
+
+  if (isLoading) return <p style={{fontSize:'0.8rem'}}>Loading scratchpads…</p>;
+  if (error) return <p style={{color:'tomato',fontSize:'0.8rem'}}>Error loading scratchpads: {error.message}</p>;
+  if (data?.error === 'project_not_found') return <p style={{fontSize:'0.8rem',opacity:0.8}}>Scratchpads are private to the project owner.</p>;
+  if (data?.error) return <p style={{color:'tomato',fontSize:'0.8rem'}}>Error loading scratchpads: {data.message || data.error}</p>;
+  if (!pads.length) return <p style={{fontSize:'0.8rem',opacity:0.8}}>No scratchpads. Agents create them with <code>scratchpad_initialize</code>; idle ones expire automatically.</p>;
+
+  return (
+    <div style={{display:'flex',flexDirection:'column',gap:'0.5rem'}}>
+      {pads.map(pad => (
+        <div key={pad.scratchpad_id} style={{border:'1px solid #30363d',borderRadius:6,opacity: pad.status === 'archived' ? 0.75 : 1}}>
+          <div style={{display:'flex',alignItems:'center',gap:'0.75rem',padding:'0.5rem 0.75rem',flexWrap:'wrap'}}>
+            <button onClick={()=>setExpanded(e => e === pad.scratchpad_id ? null : pad.scratchpad_id)} style={{...btnStyle,border:'none',color:'#58a6ff',padding:0,fontSize:'0.8rem'}}>
+              {expanded === pad.scratchpad_id ? '▾' : '▸'} <code>{pad.scratchpad_id}</code>
+            </button>
+            <span style={{fontSize:'0.65rem',background: pad.status === 'archived' ? '#555' : '#238636',color:'#fff',padding:'0.1rem 0.4rem',borderRadius:4}}>{pad.status}</span>
+            <span style={{fontSize:'0.75rem',opacity:0.8}}>{pad.tasks_complete}/{pad.task_count} complete</span>
+            {pad.parent_scratchpad_id && <span style={{fontSize:'0.7rem',opacity:0.7}}>↳ breaks down <code>{pad.parent_task_id}</code> of <code>{pad.parent_scratchpad_id}</code></span>}
+            <span style={{fontSize:'0.7rem',opacity:0.6}} title={`Created ${formatTime(pad.created_at)}`}>Updated {formatTime(pad.updated_at || pad.created_at)}</span>
+            <span style={{marginLeft:'auto',display:'flex',gap:'0.35rem'}}>
+              {pad.status !== 'archived' && (
+                <button disabled={busy === pad.scratchpad_id} onClick={()=>act('scratchpad_close', pad)} style={{...btnStyle,color:'var(--muted)'}}>Close</button>
+              )}
+              <button disabled={busy === pad.scratchpad_id} onClick={()=>act('scratchpad_delete', pad)} style={{...btnStyle,color:'tomato'}}>Delete</button>
+            </span>
+          </div>
+          {expanded === pad.scratchpad_id && <ScratchpadDetail projectId={projectId} scratchpadId={pad.scratchpad_id} />}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -11,20 +11,72 @@ const STATUS_OPTIONS = [
   { value: 'archived', label: 'Archived' }
 ];
 
+const PRIORITY_OPTIONS = [
+  { value: '', label: 'None' },
+  { value: 'p0', label: 'P0 (highest)' },
+  { value: 'p1', label: 'P1' },
+  { value: 'p2', label: 'P2' },
+  { value: 'p3', label: 'P3' }
+];
+
+function parseLabels(text) {
+  return Array.from(new Set(text.split(',').map(s => s.trim()).filter(Boolean)));
+}
+
 export default function TaskPropertyModal({ open, onClose, taskId, allTasks, projectId, readOnly, onUpdated }) {
   const { apiKey } = useApiKey();
   const task = useMemo(() => allTasks.find(t => t.task_id === taskId), [taskId, allTasks]);
   const [name, setName] = useState(task?.task_info || '');
   const [status, setStatus] = useState(task?.status || 'pending');
   const [parentId, setParentId] = useState(task?.parent_id || '');
+  const [priority, setPriority] = useState(task?.priority || '');
+  const [dueDate, setDueDate] = useState(task?.due_date || '');
+  const [assignee, setAssignee] = useState(task?.assignee || '');
+  const [labelsText, setLabelsText] = useState((task?.labels || []).join(', '));
   const [filter, setFilter] = useState('');
   const [saving, setSaving] = useState(false);
+  const [comments, setComments] = useState([]);
+  const [newComment, setNewComment] = useState('');
+  const [posting, setPosting] = useState(false);
+
+  const loadComments = React.useCallback(async () => {
+    if (!open || !taskId) return;
+    try {
+      const res = await callTool(apiKey, 'progress_list_comments', { project_id: projectId, task_id: taskId, limit: 100 });
+      setComments(res?.comments || []);
+    } catch {
+      setComments([]);
+    }
+  }, [open, taskId, apiKey, projectId]);
+
+  React.useEffect(() => { loadComments(); }, [loadComments]);
+
+  async function postComment() {
+    const text = newComment.trim();
+    if (!text || readOnly) return;
+    setPosting(true);
+    try {
+      const res = await callTool(apiKey, 'progress_add_comment', { project_id: projectId, task_id: taskId, text });
+      if (res?.error) throw new Error(res.message || res.error);
+      setNewComment('');
+      await loadComments();
+      onUpdated?.();
+    } catch (err) {
+      toast.error('Comment failed: ' + err.message);
+    } finally {
+      setPosting(false);
+    }
+  }
 
   React.useEffect(() => {
     if (task) {
       setName(task.task_info || '');
       setStatus(task.status || 'pending');
       setParentId(task.parent_id || '');
+      setPriority(task.priority || '');
+      setDueDate(task.due_date || '');
+      setAssignee(task.assignee || '');
+      setLabelsText((task.labels || []).join(', '));
     }
   }, [task]);
 
@@ -58,12 +110,18 @@ export default function TaskPropertyModal({ open, onClose, taskId, allTasks, pro
     if (status !== task.status) changed.state = status;
     const normalizedParent = parentId.trim() || undefined;
     if ((task.parent_id || undefined) !== normalizedParent) changed.parent_id = normalizedParent || null; // backend treats null removal
+    if (priority !== (task.priority || '')) changed.priority = priority || null;
+    if (dueDate !== (task.due_date || '')) changed.due_date = dueDate || null;
+    if (assignee.trim() !== (task.assignee || '')) changed.assignee = assignee.trim() || null;
+    const labels = parseLabels(labelsText);
+    if (JSON.stringify(labels) !== JSON.stringify(task.labels || [])) changed.labels = labels;
     if (!Object.keys(changed).length) { toast('No changes'); onClose?.(); return; }
     setSaving(true);
     try {
       const fields = Object.keys(changed).join(', ');
       const comment = `${shortUserFromKey(apiKey)} updated task ${task.task_id}: ${fields}`;
-      await callTool(apiKey, 'progress_set_new_state', { project_id: projectId, match: [task.task_id], ...changed, comment });
+      const res = await callTool(apiKey, 'progress_set_new_state', { project_id: projectId, match: [task.task_id], ...changed, comment });
+      if (res?.error) throw new Error(res.message || res.error);
       toast.success('Task updated');
       onUpdated?.();
       onClose?.();
@@ -92,6 +150,25 @@ export default function TaskPropertyModal({ open, onClose, taskId, allTasks, pro
           {STATUS_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
         </select>
 
+        <div style={{display:'flex',gap:'0.5rem'}}>
+          <div style={{flex:1}}>
+            <label style={{display:'block',fontSize:'0.7rem',textTransform:'uppercase',letterSpacing:'.05em',marginBottom:4}}>Priority</label>
+            <select value={priority} onChange={e=>setPriority(e.target.value)} disabled={readOnly} style={{width:'100%',background:'var(--panel)',color:'var(--text)',border:'1px solid var(--border)',borderRadius:4,padding:'0.35rem',fontSize:'0.8rem',marginBottom:'0.75rem'}}>
+              {PRIORITY_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+            </select>
+          </div>
+          <div style={{flex:1}}>
+            <label style={{display:'block',fontSize:'0.7rem',textTransform:'uppercase',letterSpacing:'.05em',marginBottom:4}}>Due date</label>
+            <input type="date" value={dueDate} onChange={e=>setDueDate(e.target.value)} disabled={readOnly} style={{width:'100%',background:'var(--panel)',color:'var(--text)',border:'1px solid var(--border)',borderRadius:4,padding:'0.3rem',fontSize:'0.8rem',marginBottom:'0.75rem'}} />
+          </div>
+        </div>
+
+        <label style={{display:'block',fontSize:'0.7rem',textTransform:'uppercase',letterSpacing:'.05em',marginBottom:4}}>Assignee</label>
+        <input value={assignee} onChange={e=>setAssignee(e.target.value)} placeholder="User id (must have project access)" disabled={readOnly} style={{width:'100%',background:'var(--panel)',color:'var(--text)',border:'1px solid var(--border)',borderRadius:4,padding:'0.35rem',fontSize:'0.75rem',marginBottom:'0.75rem'}} />
+
+        <label style={{display:'block',fontSize:'0.7rem',textTransform:'uppercase',letterSpacing:'.05em',marginBottom:4}}>Labels</label>
+        <input value={labelsText} onChange={e=>setLabelsText(e.target.value)} placeholder="Comma separated, e.g. backend, bug" disabled={readOnly} style={{width:'100%',background:'var(--panel)',color:'var(--text)',border:'1px solid var(--border)',borderRadius:4,padding:'0.35rem',fontSize:'0.75rem',marginBottom:'0.75rem'}} />
+
         <label style={{display:'block',fontSize:'0.7rem',textTransform:'uppercase',letterSpacing:'.05em',marginBottom:4}}>Parent</label>
         <input value={filter} onChange={e=>setFilter(e.target.value)} placeholder="Search parent..." style={{width:'100%',background:'var(--panel)',color:'var(--text)',border:'1px solid var(--border)',borderRadius:4,padding:'0.35rem',fontSize:'0.75rem',marginBottom:4}} />
         <div style={{maxHeight:120,overflow:'auto',border:'1px solid var(--border)',borderRadius:4,background:'var(--panel-alt)',marginBottom:'0.6rem'}}>
@@ -104,6 +181,23 @@ export default function TaskPropertyModal({ open, onClose, taskId, allTasks, pro
           {candidateParents.length === 0 && <div style={{padding:'0.35rem',fontSize:'0.65rem',opacity:0.5}}>No matches</div>}
         </div>
 
+        <label style={{display:'block',fontSize:'0.7rem',textTransform:'uppercase',letterSpacing:'.05em',marginBottom:4}}>Activity</label>
+        <div style={{maxHeight:160,overflow:'auto',border:'1px solid var(--border)',borderRadius:4,background:'var(--panel)',marginBottom:'0.4rem'}}>
+          {comments.length === 0 && <div style={{padding:'0.35rem',fontSize:'0.65rem',opacity:0.5}}>No comments yet</div>}
+          {comments.map(c => (
+            <div key={c.comment_id} style={{padding:'0.35rem',fontSize:'0.7rem',borderBottom:'1px solid var(--border)',opacity: c.kind === 'status' ? 0.65 : 1}}>
+              <div style={{fontSize:'0.6rem',opacity:0.6}}>{c.author || 'unknown'} · {new Date(c.created_at).toLocaleString()}{c.run_id ? ` · run ${c.run_id}` : ''}{c.commit_hash ? ` · ${c.commit_hash.slice(0,8)}` : ''}</div>
+              <div style={{whiteSpace:'pre-wrap',fontStyle: c.kind === 'status' ? 'italic' : 'normal'}}>{c.text}</div>
+            </div>
+          ))}
+        </div>
+        {!readOnly && (
+          <div style={{display:'flex',gap:'0.4rem',marginBottom:'0.6rem'}}>
+            <input value={newComment} onChange={e=>setNewComment(e.target.value)} onKeyDown={e=>{ if (e.key === 'Enter') { e.preventDefault(); postComment(); } }} placeholder="Add a comment..." style={{flex:1,background:'var(--panel)',color:'var(--text)',border:'1px solid var(--border)',borderRadius:4,padding:'0.35rem',fontSize:'0.75rem'}} />
+            <button type="button" onClick={postComment} disabled={posting || !newComment.trim()} style={{background:'var(--btn-muted-bg)',border:'1px solid var(--btn-muted-border)',color:'var(--text)',padding:'0.3rem 0.6rem',borderRadius:4,cursor:'pointer',fontSize:'0.7rem'}}>{posting ? 'Posting...' : 'Comment'}</button>
+          </div>
+        )}
+
         <div style={{display:'flex',justifyContent:'flex-end',gap:'0.5rem',marginTop:'0.5rem'}}>
           <button type="button" onClick={()=>onClose?.()} disabled={saving} style={{background:'var(--btn-muted-bg)',border:'1px solid var(--btn-muted-border)',color:'var(--text)',padding:'0.4rem 0.75rem',borderRadius:4,cursor:'pointer',fontSize:'0.75rem'}}>Cancel</button>
           <button type="submit" disabled={saving || readOnly} style={{background:'var(--success)',border:'1px solid var(--success-border)',color:'#fff',padding:'0.45rem 0.9rem',borderRadius:4,cursor: readOnly? 'not-allowed':'pointer',fontSize:'0.75rem'}}>{saving ? 'Saving...' : 'Save'}</button>
@@ -0,0 +1,96 @@
+"use client";
+import React, { useEffect, useMemo, useState } from 'react';
+import { callTool } from '../lib/mcpClient';
+import { useTaskTemplates } from '../lib/hooks';
+import { useApiKey } from './ApiKeyContext';
+import toast from 'react-hot-toast';
+
+const fieldStyle = {width:'100%',background:'var(--panel)',color:'var(--text)',border:'1px solid var(--border)',borderRadius:4,padding:'0.35rem',fontSize:'0.8rem',marginBottom:'0.75rem'};
+const labelStyle = {display:'block',fontSize:'0.7rem',textTransform:'uppercase',letterSpacing:'.05em',marginBottom:4};
+
+export default function TemplateApplyModal({ open, onClose, projectId, allTasks, onApplied }) {
+  const { apiKey } = useApiKey();
+  const { data, error, isLoading } = useTaskTemplates(apiKey, open);
+  const templates = data?.templates || [];
+  const [templateId, setTemplateId] = useState('');
+  const [values, setValues] = useState({});
+  const [parentId, setParentId] = useState('');
+  const [applying, setApplying] = useState(false);
+  const template = useMemo(() => templates.find(t => t.id === templateId) || null, [templates, templateId]);
+
+  useEffect(() => {
+    if (!templateId && templates.length) setTemplateId(templates[0].id);
+  }, [templates, templateId]);
+
+  // Prefill placeholders with the template defaults whenever another template is picked
+  useEffect(() => {
+    if (!template) return;
+    const next = {};
+    template.placeholders.forEach(name => { next[name] = template.variables?.[name] ?? ''; });
+    setValues(next);
+  }, [template]);
+
+  async function apply(e) {
+    e?.preventDefault();
+    if (!template) return;
+    setApplying(true);
+    try {
+      const variables = Object.fromEntries(Object.entries(values).filter(([, v]) => v.trim()).map(([k, v]) => [k, v.trim()]));
+      const res = await callTool(apiKey, 'progress_apply_template', { project_id: projectId, template: template.id, variables, ...(parentId ? { parent_id: parentId } : {}) });
+      if (res?.error) throw new Error(res.missing ? `Missing values: ${res.missing.join(', ')}` : (res.message || res.error));
+      toast.success(`Added ${res.added.length} task${res.added.length === 1 ? '' : 's'} from ${template.name}`);
+      onApplied?.(res);
+      onClose?.();
+    } catch (err) {
+      toast.error('Apply failed: ' + err.message);
+    } finally {
+      setApplying(false);
+    }
+  }
+
+  if (!open) return null;
+
+  return (
+    <div style={{position:'fixed',inset:0,zIndex:2000,display:'flex',alignItems:'flex-start',justifyContent:'center',paddingTop:'5vh',background:'rgba(0,0,0,0.5)'}} onMouseDown={(e)=>{ if (e.target === e.currentTarget) onClose?.(); }}>
+      <form onSubmit={apply} style={{width:'420px',maxWidth:'90vw',background:'var(--panel-alt)',border:'1px solid var(--border)',borderRadius:8,padding:'1rem',boxShadow:'0 4px 16px rgba(0,0,0,0.6)'}} onMouseDown={e=>e.stopPropagation()}>
+        <div style={{display:'flex',justifyContent:'space-between',alignItems:'center',marginBottom:'0.75rem'}}>
+          <h4 style={{margin:0,fontSize:'0.95rem'}}>New from template</h4>
+          <button type="button" onClick={()=>onClose?.()} style={{background:'none',border:'none',color:'var(--muted)',cursor:'pointer',fontSize:'0.9rem'}}>✕</button>
+        </div>
+        {isLoading && <p style={{fontSize:'0.8rem'}}>Loading templates…</p>}
+        {error && <p style={{color:'tomato',fontSize:'0.8rem'}}>Error: {error.message}</p>}
+        {!isLoading && !error && !templates.length && (
+          <p style={{fontSize:'0.8rem',opacity:0.8}}>No templates yet. Create one with <code>POST /templates</code>.</p>
+        )}
+        {templates.length > 0 && (
+          <>
+            <label style={labelStyle}>Template</label>
+            <select value={templateId} onChange={e=>setTemplateId(e.target.value)} style={fieldStyle}>
+              {templates.map(t => <option key={t.id} value={t.id}>{t.name}{t.scope === 'server' ? ' (server)' : ''}</option>)}
+            </select>
+            {template && (
+              <div style={{fontSize:'0.75rem',opacity:0.75,marginTop:'-0.5rem',marginBottom:'0.75rem'}}>
+                {template.description ? `${template.description} · ` : ''}{template.task_count} task{template.task_count === 1 ? '' : 's'}
+              </div>
+            )}
+            {template?.placeholders.map(name => (
+              <div key={name}>
+                <label style={labelStyle}>{name}</label>
+                <input value={values[name] ?? ''} onChange={e=>setValues(v => ({ ...v, [name]: e.target.value }))} placeholder={template.variables?.[name] == null ? 'Required' : 'Default: ' + template.variables[name]} style={fieldStyle} />
+              </div>
+            ))}
+            <label style={labelStyle}>Add under</label>
+            <select value={parentId} onChange={e=>setParentId(e.target.value)} style={fieldStyle}>
+              <option value="">(top level)</option>
+              {allTasks.filter(t => t.status !== 'archived').map(t => <option key={t.task_id} value={t.task_id}>{t.task_id} – {t.task_info.slice(0, 60)}</option>)}
+            </select>
+          </>
+        )}
+        <div style={{display:'flex',justifyContent:'flex-end',gap:'0.5rem',marginTop:'0.5rem'}}>
+          <button type="button" onClick={()=>onClose?.()} disabled={applying} style={{background:'var(--btn-muted-bg)',border:'1px solid var(--btn-muted-border)',color:'var(--text)',padding:'0.4rem 0.75rem',borderRadius:4,cursor:'pointer',fontSize:'0.75rem'}}>Cancel</button>
+          <button type="submit" disabled={applying || !template} style={{background:'var(--success)',border:'1px solid var(--success-border)',color:'#fff',padding:'0.45rem 0.9rem',borderRadius:4,cursor: template ? 'pointer' : 'not-allowed',fontSize:'0.75rem'}}>{applying ? 'Adding...' : 'Add tasks'}</button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -23,6 +23,28 @@ export function useAgent(apiKey, projectId) {
   return useSWR(ready && apiKey && projectId ? ['agent', apiKey, projectId] : null, () => toolFetcher(apiKey, 'read_agent', { project_id: projectId }), { refreshInterval: 0 });
 }
 
+// Project documents besides AGENTS.md (list_docs always includes AGENTS.md first)
+export function useDocs(apiKey, projectId) {
+  const ready = useClientReady();
+  return useSWR(ready && apiKey && projectId ? ['docs', apiKey, projectId] : null, () => toolFetcher(apiKey, 'list_docs', { project_id: projectId }), { refreshInterval: 30000 });
+}
+
+export function useDoc(apiKey, projectId, name) {
+  const ready = useClientReady();
+  return useSWR(ready && apiKey && projectId && name ? ['doc', apiKey, projectId, name] : null, () => toolFetcher(apiKey, 'read_doc', { project_id: projectId, name }), { refreshInterval: 0 });
+}
+
+// Caller's scratchpads in the project (summaries); review_scratchpad loads one in full
+export function useScratchpads(apiKey, projectId) {
+  const ready = useClientReady();
+  return useSWR(ready && apiKey && projectId ? ['scratchpads', apiKey, projectId] : null, () => toolFetcher(apiKey, 'list_scratchpads', { project_id: projectId }), { refreshInterval: 15000 });
+}
+
+export function useScratchpad(apiKey, projectId, scratchpadId) {
+  const ready = useClientReady();
+  return useSWR(ready && apiKey && projectId && scratchpadId ? ['scratchpad', apiKey, projectId, scratchpadId] : null, () => toolFetcher(apiKey, 'review_scratchpad', { project_id: projectId, scratchpad_id: scratchpadId }), { refreshInterval: 15000 });
+}
+
 export function useTasks(apiKey, projectId) {
   const ready = useClientReady();
   return useSWR(ready && apiKey && projectId ? ['tasks', apiKey, projectId] : null, () => toolFetcher(apiKey, 'read_progress', { project_id: projectId }), { refreshInterval: 10000 });
@@ -33,6 +55,11 @@ export function useLogs(apiKey, projectId) {
   return useSWR(ready && apiKey && projectId ? ['logs', apiKey, projectId] : null, () => toolFetcher(apiKey, 'list_project_logs', { project_id: projectId }), { refreshInterval: 30000 });
 }
 
+export function useTags(apiKey, projectId) {
+  const ready = useClientReady();
+  return useSWR(ready && apiKey && projectId ? ['tags', apiKey, projectId] : null, () => toolFetcher(apiKey, 'list_tags', { project_id: projectId }), { refreshInterval: 30000 });
+}
+
 async function fetchProjectFiles(apiKey, projectId) {
   const res = await fetch(`/project/files?project_id=${encodeURIComponent(projectId)}`, {
     headers: { Authorization: `Bearer ${apiKey}` }
@@ -54,3 +81,16 @@ export function useProjectFiles(apiKey, projectId) {
   const ready = useClientReady();
   return useSWR(ready && apiKey && projectId ? ['files', apiKey, projectId] : null, () => fetchProjectFiles(apiKey, projectId), { refreshInterval: 15000 });
 }
+
+async function fetchTaskTemplates(apiKey) {
+  const res = await fetch('/templates', { headers: { Authorization: `Bearer ${apiKey}` } });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data?.message || data?.error || `status ${res.status}`);
+  return data;
+}
+
+// Own + server-wide task templates; only fetched while enabled (e.g. the template dialog is open)
+export function useTaskTemplates(apiKey, enabled = true) {
+  const ready = useClientReady();
+  return useSWR(ready && apiKey && enabled ? ['templates', apiKey] : null, () => fetchTaskTemplates(apiKey), { refreshInterval: 0 });
+}
@@ -1,4 +1,27 @@
-import { ensureProjectVersionInitialized, createProjectBackup, listProjectLogs as dbListLogs, revertProjectToHash } from './db.js';
+import {
+  ensureProjectVersionInitialized,
+  createProjectBackup,
+  listProjectLogs as dbListLogs,
+  revertProjectToHash,
+  restoreProjectFromHash,
+  getProjectSnapshot,
+  listProjectBranches,
+  getBranchHistory,
+  createProjectBranch,
+  switchProjectBranch,
+  replaceProjectState,
+  recordBranchMerge,
+  listProjectTags,
+  createProjectTag,
+  deleteProjectTag,
+  resolveCommitRef,
+  getProjectRetentionInfo,
+  compactProjectBackups,
+  vacuumDb,
+  listAllProjectsAdmin,
+} from './db.js';
+import { unifiedDiff, diffTasks, mergeText, mergeTasks, diffAdrs, mergeAdrs, MERGE_CONFLICT_RESOLUTIONS } from './diff.js';
+import { parseBoolean } from './env.js';
 
 function defaultMessage(action) {
   const ts = new Date().toISOString();
@@ -16,10 +39,366 @@ export async function commitProject(userId, projectId, { comment, action, modifi
   return hash;
 }
 
-export async function listProjectLogs(userId, projectId) {
-  return await dbListLogs(userId, projectId);
+export async function listProjectLogs(userId, projectId, { branch } = {}) {
+  return await dbListLogs(userId, projectId, { branch });
 }
 
-export async function revertProject(userId, projectId, hash, currentUserId) {
-  return await revertProjectToHash(userId, projectId, hash, currentUserId);
+export const REVERT_MODES = ['reset', 'new_commit'];
+export const RESTORE_SCOPES = ['all', 'agent', 'tasks'];
+
+function restoreMessage(hash, scope, taskIds, ref) {
+  const short = ref && ref !== hash ? `${ref} (${String(hash).slice(0, 8)})` : String(hash).slice(0, 8);
+  if (Array.isArray(taskIds)) return `restore tasks ${taskIds.join(', ')} from ${short}`;
+  if (scope === 'agent') return `restore AGENTS.md from ${short}`;
+  if (scope === 'tasks') return `restore tasks from ${short}`;
+  return `revert to ${short}`;
+}
+
+// mode=reset trims history back to hash; mode=new_commit restores the snapshot content as a
+// fresh commit on top of history, so nothing is discarded and any rw participant may use it.
+// scope/taskIds select what is restored (always as a new commit): 'agent', 'tasks', or just taskIds.
+export async function revertProject(userId, projectId, hash, currentUserId, { mode, comment, scope = 'all', taskIds = null } = {}) {
+  if (!RESTORE_SCOPES.includes(scope)) throw new Error(`invalid_scope: ${scope} (allowed: ${RESTORE_SCOPES.join(', ')})`);
+  if (Array.isArray(taskIds)) {
+    if (!taskIds.length) throw new Error('invalid_arguments: task_ids must be a non-empty array');
+    if (scope === 'agent') throw new Error('invalid_arguments: task_ids cannot be combined with scope=agent');
+    scope = 'tasks';
+  }
+  const selective = scope !== 'all';
+  const effectiveMode = mode || (selective ? 'new_commit' : 'reset');
+  if (!REVERT_MODES.includes(effectiveMode)) throw new Error(`invalid_mode: ${effectiveMode} (allowed: ${REVERT_MODES.join(', ')})`);
+  if (selective && effectiveMode === 'reset') throw new Error('invalid_arguments: selective restore always creates a new commit; use mode=new_commit');
+  const ref = String(hash || '').trim();
+  hash = await resolveCommitRef(userId, projectId, ref);
+  if (effectiveMode === 'reset') {
+    const res = { mode: 'reset', ...(await revertProjectToHash(userId, projectId, hash, currentUserId)) };
+    // Tags survive a reset; report the ones whose commits are no longer in the active history
+    const detached = (await listProjectTags(userId, projectId)).filter(t => !t.in_active_history);
+    if (detached.length) res.detached_tags = detached.map(t => ({ name: t.name, hash: t.hash }));
+    return res;
+  }
+  const restored = await restoreProjectFromHash(userId, projectId, hash, {
+    agent: scope !== 'tasks',
+    tasks: scope !== 'agent',
+    taskIds: Array.isArray(taskIds) ? taskIds : null,
+  });
+  // A caller comment never replaces the reference to the restored commit
+  const note = String(comment || '').trim();
+  const message = note ? `${note} (${restoreMessage(hash, scope, taskIds, ref)})` : restoreMessage(hash, scope, taskIds, ref);
+  const newHash = await createProjectBackup(userId, projectId, message, currentUserId || userId);
+  const res = { mode: 'new_commit', hash: newHash, reverted_to: hash };
+  if (selective) {
+    res.scope = scope;
+    res.restored = { agent: restored.agent, tasks: restored.tasks };
+    if (restored.not_in_snapshot.length) res.not_in_snapshot = restored.not_in_snapshot;
+    if (restored.dropped_depends_on.length) res.dropped_depends_on = restored.dropped_depends_on;
+  }
+  return res;
+}
+
+// Stored snapshot for one commit (read-only; does not touch the current state)
+export async function readProjectVersion(userId, projectId, hash) {
+  if (!String(hash || '').trim()) throw new Error('hash required');
+  return await getProjectSnapshot(userId, projectId, await resolveCommitRef(userId, projectId, hash));
+}
+
+// Diff two commits (to omitted = current project state): unified AGENTS.md diff + task diff
+// Named documents besides AGENTS.md: added/removed names plus a unified diff per changed document
+function diffDocs(from, to) {
+  const a = from.snapshot.docs || {};
+  const b = to.snapshot.docs || {};
+  const out = { added: [], removed: [], changed: [] };
+  for (const name of Object.keys(a).sort()) if (!Object.prototype.hasOwnProperty.call(b, name)) out.removed.push(name);
+  for (const name of Object.keys(b).sort()) {
+    if (!Object.prototype.hasOwnProperty.call(a, name)) { out.added.push(name); continue; }
+    const diff = unifiedDiff(a[name], b[name], {
+      fromLabel: `a/${name}@${from.hash.slice(0, 8)}`,
+      toLabel: to.current ? `b/${name}@current` : `b/${name}@${to.hash.slice(0, 8)}`,
+    });
+    if (diff) out.changed.push({ name, diff });
+  }
+  return out;
+}
+
+export async function diffProjectVersions(userId, projectId, fromHash, toHash) {
+  if (!String(fromHash || '').trim()) throw new Error('from_hash required');
+  const from = await getProjectSnapshot(userId, projectId, await resolveCommitRef(userId, projectId, fromHash));
+  const to = await getProjectSnapshot(userId, projectId, await resolveCommitRef(userId, projectId, toHash));
+  const fromLabel = `a/AGENTS.md@${from.hash.slice(0, 8)}`;
+  const toLabel = to.current ? 'b/AGENTS.md@current' : `b/AGENTS.md@${to.hash.slice(0, 8)}`;
+  const agentDiff = unifiedDiff(from.snapshot.agent?.content, to.snapshot.agent?.content, { fromLabel, toLabel });
+  const tasks = diffTasks(from.snapshot.tasks, to.snapshot.tasks);
+  const docs = diffDocs(from, to);
+  const adrs = diffAdrs(from.snapshot.adrs, to.snapshot.adrs);
+  return {
+    from: from.hash,
+    to: to.current ? 'current' : to.hash,
+    agent: { changed: agentDiff !== '', diff: agentDiff },
+    docs,
+    adrs,
+    tasks,
+    summary: {
+      agent_changed: agentDiff !== '',
+      docs_changed: docs.added.length + docs.removed.length + docs.changed.length,
+      adrs_changed: adrs.added.length + adrs.removed.length + adrs.changed.length,
+      tasks_added: tasks.added.length,
+      tasks_removed: tasks.removed.length,
+      tasks_status_changed: tasks.status_changed.length,
+      tasks_field_changed: tasks.field_changed.length,
+      task_comments_added: tasks.comments_added.reduce((n, t) => n + t.comments.length, 0),
+      tasks_reordered: tasks.reordered.length,
+    },
+  };
+}
+
+// ---------------- Optimistic concurrency ----------------
+
+export async function currentHash(userId, projectId) {
+  return await ensureProjectVersionInitialized(userId, projectId);
+}
+
+// base_hash check for mutating calls: null when baseHash (or a tag naming it) is the current head,
+// otherwise the conflict details including what changed since baseHash (null if it is unknown).
+export async function checkBaseHash(userId, projectId, baseHash) {
+  const current = await ensureProjectVersionInitialized(userId, projectId);
+  const base = await resolveCommitRef(userId, projectId, baseHash);
+  if (base === current) return null;
+  let changes = null;
+  try {
+    const { agent, docs, adrs, tasks, summary } = await diffProjectVersions(userId, projectId, base, null);
+    changes = { agent, docs, adrs, tasks, summary };
+  } catch {}
+  return {
+    message: `base_hash ${String(baseHash).slice(0, 8)} does not match current hash ${current.slice(0, 8)}; re-read and retry`,
+    base_hash: base,
+    current_hash: current,
+    changes,
+  };
+}
+
+// write_agent/write_doc with base_hash: null when baseHash is the head, otherwise the document
+// (AGENTS.md unless `doc` names another one) stored at baseHash for a three-way merge; a document
+// that did not exist yet at baseHash merges from empty. Throws hash_not_found for unknown commits.
+export async function agentMergeBase(userId, projectId, baseHash, { doc } = {}) {
+  const current = await ensureProjectVersionInitialized(userId, projectId);
+  const base = await resolveCommitRef(userId, projectId, baseHash);
+  if (base === current) return null;
+  const { snapshot } = await getProjectSnapshot(userId, projectId, base);
+  const content = !doc || doc === 'AGENTS.md' ? snapshot.agent?.content : snapshot.docs?.[doc];
+  return { base_hash: base, current_hash: current, content: String(content ?? '') };
+}
+
+// Merge an incoming document (edited from mergeBase.content) with the current one
+export function mergeAgentContent(mergeBase, currentContent, incomingContent) {
+  return mergeText(mergeBase.content, currentContent, incomingContent, {
+    onConflict: 'markers',
+    oursLabel: `current (${mergeBase.current_hash.slice(0, 8)})`,
+    theirsLabel: 'incoming',
+  });
+}
+
+// ---------------- Branches ----------------
+
+export const MERGE_ON_CONFLICT = ['abort', ...MERGE_CONFLICT_RESOLUTIONS];
+
+export async function listBranches(userId, projectId) {
+  return await listProjectBranches(userId, projectId);
+}
+
+export async function createBranch(userId, projectId, name, { fromHash, switchTo = false, createdBy } = {}) {
+  const created = await createProjectBranch(userId, projectId, name, { fromHash: await resolveCommitRef(userId, projectId, fromHash), createdBy });
+  if (switchTo) await switchProjectBranch(userId, projectId, created.name);
+  return { ...created, active: switchTo };
+}
+
+export async function switchBranch(userId, projectId, name) {
+  return await switchProjectBranch(userId, projectId, name);
+}
+
+// Merge base: the newest source commit the active branch already contains, or the source head
+// recorded by the last merge from it (whichever comes later in the source history).
+function findMergeBase(sourceHistory, targetHistory, lastMerged) {
+  const target = new Set(targetHistory);
+  let idx = -1;
+  for (let i = sourceHistory.length - 1; i >= 0; i--) {
+    if (target.has(sourceHistory[i])) { idx = i; break; }
+  }
+  const mergedIdx = lastMerged ? sourceHistory.lastIndexOf(lastMerged) : -1;
+  idx = Math.max(idx, mergedIdx);
+  return idx >= 0 ? { hash: sourceHistory[idx], index: idx } : null;
+}
+
+// Per-document three-way merge of the named documents. A document missing on one side merges
+// against empty content, so deleting it on one branch while editing it on the other conflicts.
+// Returns { docs, conflicts: [{ doc, ...textConflict }] }.
+function mergeDocs(baseDocs = {}, oursDocs = {}, theirsDocs = {}, { onConflict, oursLabel, theirsLabel }) {
+  const has = (o, k) => Object.prototype.hasOwnProperty.call(o || {}, k);
+  const names = new Set([...Object.keys(oursDocs || {}), ...Object.keys(theirsDocs || {})]);
+  const docs = {};
+  const conflicts = [];
+  for (const name of [...names].sort()) {
+    const inBase = has(baseDocs, name);
+    // Deleted on one side and untouched on the other: stays deleted
+    if (!has(oursDocs, name) && inBase && theirsDocs[name] === baseDocs[name]) continue;
+    if (!has(theirsDocs, name) && inBase && oursDocs[name] === baseDocs[name]) continue;
+    const merged = mergeText(baseDocs?.[name], oursDocs?.[name], theirsDocs?.[name], { onConflict, oursLabel, theirsLabel });
+    merged.conflicts.forEach(c => conflicts.push({ doc: name, ...c }));
+    docs[name] = merged.text;
+  }
+  return { docs, conflicts };
+}
+
+// Merge branch `source` into the active branch. AGENTS.md and the other named documents get a line-based three-way merge and
+// tasks a per-task merge. With onConflict=abort (default) nothing is written when conflicts exist;
+// markers/ours/theirs resolve them and the merge commit lists what was resolved.
+export async function mergeBranch(userId, projectId, source, { onConflict = 'abort', comment, modifiedBy } = {}) {
+  if (!MERGE_ON_CONFLICT.includes(onConflict)) throw new Error(`invalid_on_conflict: ${onConflict} (allowed: ${MERGE_ON_CONFLICT.join(', ')})`);
+  const target = await getBranchHistory(userId, projectId, null);
+  const src = await getBranchHistory(userId, projectId, source);
+  if (src.branch === target.branch) throw new Error('invalid_arguments: cannot merge a branch into itself');
+  const sourceHead = src.history[src.history.length - 1];
+  const targetHead = target.history[target.history.length - 1];
+  if (!sourceHead) throw new Error(`branch_empty: ${src.branch}`);
+  const base = findMergeBase(src.history, target.history, target.meta?.merged?.[src.branch]);
+  if (target.history.includes(sourceHead) || (base && base.hash === sourceHead)) {
+    return { status: 'up_to_date', branch: target.branch, source: src.branch, hash: targetHead };
+  }
+  if (base && base.hash === targetHead) {
+    const history = [...target.history, ...src.history.slice(base.index + 1)];
+    await recordBranchMerge(userId, projectId, src.branch, sourceHead, { fastForwardHistory: history });
+    return { status: 'fast_forward', branch: target.branch, source: src.branch, hash: sourceHead };
+  }
+  const baseSnap = base ? (await getProjectSnapshot(userId, projectId, base.hash)).snapshot : { agent: { content: '' }, tasks: [] };
+  const ours = (await getProjectSnapshot(userId, projectId, null)).snapshot;
+  const theirs = (await getProjectSnapshot(userId, projectId, sourceHead)).snapshot;
+  const resolution = onConflict === 'abort' ? 'markers' : onConflict;
+  const agent = mergeText(baseSnap.agent?.content, ours.agent?.content, theirs.agent?.content, {
+    onConflict: resolution,
+    oursLabel: target.branch,
+    theirsLabel: src.branch,
+  });
+  const docs = mergeDocs(baseSnap.docs, ours.docs, theirs.docs, { onConflict: resolution, oursLabel: target.branch, theirsLabel: src.branch });
+  const adrs = mergeAdrs(baseSnap.adrs, ours.adrs, theirs.adrs, { onConflict: resolution });
+  const tasks = mergeTasks(baseSnap.tasks, ours.tasks, theirs.tasks, { onConflict: resolution });
+  const conflicts = {
+    agent: agent.conflicts,
+    ...(docs.conflicts.length ? { docs: docs.conflicts } : {}),
+    ...(adrs.conflicts.length ? { adrs: adrs.conflicts } : {}),
+    tasks: tasks.conflicts,
+  };
+  const conflictCount = agent.conflicts.length + docs.conflicts.length + adrs.conflicts.length + tasks.conflicts.length;
+  if (conflictCount && onConflict === 'abort') {
+    const e = new Error(`merge_conflict: ${conflictCount} conflict(s) merging ${src.branch} into ${target.branch}`);
+    e.code = 'merge_conflict';
+    e.conflicts = conflicts;
+    e.base = base ? base.hash : null;
+    throw e;
+  }
+  await replaceProjectState(userId, projectId, { agentContent: agent.text, docs: docs.docs, adrs: adrs.adrs, tasks: tasks.tasks });
+  const message = String(comment || '').trim() || `merge ${src.branch} into ${target.branch}`;
+  const hash = await createProjectBackup(userId, projectId, message, modifiedBy || userId);
+  await recordBranchMerge(userId, projectId, src.branch, sourceHead);
+  return {
+    status: 'merged',
+    branch: target.branch,
+    source: src.branch,
+    base: base ? base.hash : null,
+    hash,
+    resolution: conflictCount ? resolution : null,
+    conflicts,
+  };
+}
+
+// ---------------- Tags ----------------
+
+export async function listTags(userId, projectId) {
+  return await listProjectTags(userId, projectId);
+}
+
+// hash may itself be a tag name (tagging the same commit twice); omitted = current head
+export async function createTag(userId, projectId, name, hash, createdBy) {
+  const target = hash ? await resolveCommitRef(userId, projectId, hash) : null;
+  return await createProjectTag(userId, projectId, name, target, createdBy);
+}
+
+export async function deleteTag(userId, projectId, name) {
+  return await deleteProjectTag(userId, projectId, name);
+}
+
+// ---------------- Retention / compaction ----------------
+
+export const DEFAULT_RETENTION = { keep_last: 50, keep_daily: 30, keep_weekly: 12, keep_tagged: true };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function retentionCount(override, envValue, fallback, key) {
+  if (override !== undefined && override !== null && override !== '') {
+    const n = Number(override);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`invalid_retention: ${key} must be a non-negative integer`);
+    return n;
+  }
+  const n = Number(envValue);
+  return envValue !== undefined && envValue !== '' && Number.isInteger(n) && n >= 0 ? n : fallback;
+}
+
+// Policy from HISTORY_KEEP_LAST / HISTORY_KEEP_DAILY / HISTORY_KEEP_WEEKLY / HISTORY_KEEP_TAGGED,
+// with per-call overrides (e.g. from the admin route) taking precedence.
+export function retentionPolicy(overrides = {}) {
+  const o = overrides || {};
+  const env = process.env;
+  return {
+    keep_last: retentionCount(o.keep_last, env.HISTORY_KEEP_LAST, DEFAULT_RETENTION.keep_last, 'keep_last'),
+    keep_daily: retentionCount(o.keep_daily, env.HISTORY_KEEP_DAILY, DEFAULT_RETENTION.keep_daily, 'keep_daily'),
+    keep_weekly: retentionCount(o.keep_weekly, env.HISTORY_KEEP_WEEKLY, DEFAULT_RETENTION.keep_weekly, 'keep_weekly'),
+    keep_tagged: parseBoolean(o.keep_tagged ?? env.HISTORY_KEEP_TAGGED, DEFAULT_RETENTION.keep_tagged),
+  };
+}
+
+function weekStart(iso) {
+  const d = new Date(iso);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+// Hashes to keep: pinned commits, tags (keep_tagged), the last keep_last commits of every branch,
+// and the newest commit of each UTC day / week within the last keep_daily days / keep_weekly weeks.
+export function selectRetainedCommits({ commits, histories, pinned, tagged }, policy, now = new Date()) {
+  const keep = new Set(pinned);
+  if (policy.keep_tagged) for (const h of tagged) keep.add(h);
+  if (policy.keep_last > 0) {
+    for (const history of Object.values(histories)) for (const h of history.slice(-policy.keep_last)) keep.add(h);
+  }
+  const checkpoints = (windowMs, keyOf) => {
+    const since = now.getTime() - windowMs;
+    const newest = new Map();
+    for (const c of commits) {
+      if (Date.parse(c.created_at) >= since) newest.set(keyOf(c.created_at), c.hash);
+    }
+    for (const h of newest.values()) keep.add(h);
+  };
+  if (policy.keep_daily > 0) checkpoints(policy.keep_daily * DAY_MS, iso => String(iso).slice(0, 10));
+  if (policy.keep_weekly > 0) checkpoints(policy.keep_weekly * 7 * DAY_MS, weekStart);
+  return keep;
+}
+
+export async function compactProjectHistory(userId, projectId, policy = retentionPolicy(), { dryRun = false, vacuum = true } = {}) {
+  const info = await getProjectRetentionInfo(userId, projectId);
+  const keep = selectRetainedCommits(info, policy);
+  const result = await compactProjectBackups(userId, projectId, [...keep], { dryRun, vacuum });
+  return { project_id: info.project_id, name: info.name, ...result };
+}
+
+// Compact every project (the periodic job and the admin route without project_id)
+export async function compactAllProjects(policy = retentionPolicy(), { dryRun = false } = {}) {
+  const projects = [];
+  for (const p of await listAllProjectsAdmin()) {
+    try {
+      projects.push(await compactProjectHistory(p.owner_id, p.id, policy, { dryRun, vacuum: false }));
+    } catch (e) {
+      projects.push({ project_id: p.id, name: p.name, error: String(e?.message || e) });
+    }
+  }
+  if (!dryRun && projects.some(p => p.removed?.length)) await vacuumDb();
+  const total = projects.reduce((n, p) => n + (p.reclaimed_bytes || 0), 0);
+  return { policy, dry_run: !!dryRun, projects, total_reclaimed_bytes: total };
 }
@@ -127,6 +127,14 @@ async function deleteFile(apiKey, projectId, fileId) {
   return { status: res.status, json };
 }
 
+async function deleteFileAt(apiKey, projectId, fileId, baseHash) {
+  const res = await fetch(`${BASE}/project/files/${encodeURIComponent(fileId)}?project_id=${encodeURIComponent(projectId)}&base_hash=${encodeURIComponent(baseHash)}`, {
+    method: 'DELETE',
+    headers: { Authorization: `Bearer ${apiKey}` },
+  });
+  return { status: res.status, json: await res.json().catch(() => null) };
+}
+
 async function createTempTextFile(prefix, content) {
   const dir = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
   const filePath = path.join(dir, 'test.txt');
@@ -198,6 +206,23 @@ async function run() {
     assert(updated.uploaded_by?.id === rwUser.id, 'Uploader should update to RW user');
     assert(updated.description === rwDescription, 'Description should update on re-upload');
 
+    console.log('Search finds file text (RO user via REST)...');
+    const searchRes = await fetch(`${BASE}/project/search?project_id=${encodeURIComponent(projectId)}&q=${encodeURIComponent('document contents')}`, {
+      headers: { 'Authorization': `Bearer ${roUser.apiKey}` },
+    });
+    const searchJson = await searchRes.json();
+    assert(searchRes.status === 200 && searchJson.hits?.length === 1, 'Search should succeed for RO user');
+    // Old content from the replaced upload must not be indexed anymore
+    const staleSearch = await fetch(`${BASE}/project/search?project_id=${encodeURIComponent(projectId)}&q=Initial+owner+upload&types=file`, {
+      headers: { 'Authorization': `Bearer ${owner.apiKey}` },
+    }).then(r => r.json());
+    assert((staleSearch.hits || []).length === 0, 'Replaced file content should not be searchable');
+    const fileHits = await fetch(`${BASE}/project/search?project_id=${encodeURIComponent(projectId)}&q=RW+updated&types=file`, {
+      headers: { 'Authorization': `Bearer ${owner.apiKey}` },
+    }).then(r => r.json());
+    const fileHit = (fileHits.hits || [])[0];
+    assert(fileHit && fileHit.source_id === updated.file_id && fileHit.filename === uploadName && fileHit.line === 1, 'Search should return the current file with line');
+
     console.log('RO user can only list...');
     const roList = await listFiles(roUser.apiKey, projectId);
     assert(roList.status === 200 && Array.isArray(roList.json?.files), 'RO user should list files');
@@ -207,12 +232,31 @@ async function run() {
     const roDeleteAttempt = await deleteFile(roUser.apiKey, projectId, updated.file_id);
     assert(roDeleteAttempt.status === 403, 'RO delete attempt should be forbidden');
 
+    console.log('Stale base_hash is rejected with 409...');
+    const staleHash = JSON.parse((await ownerClient.callTool({ name: 'read_progress', arguments: { project_id: projectId } })).content?.[0]?.text || '{}').hash;
+    assert(staleHash, 'read_progress should return the current hash');
+    await ownerClient.callTool({ name: 'write_agent', arguments: { project_id: projectId, content: '# Moved on\n' } });
+    const staleDelete = await deleteFileAt(rwUser.apiKey, projectId, updated.file_id, staleHash);
+    assert(staleDelete.status === 409 && staleDelete.json?.error === 'conflict', 'Delete with a stale base_hash should conflict');
+    assert(staleDelete.json.current_hash && staleDelete.json.current_hash !== staleHash && staleDelete.json.changes?.summary?.agent_changed, 'Conflict should report current_hash and the AGENTS.md change');
+
     console.log('RW user deletes file...');
     const rwDelete = await deleteFile(rwUser.apiKey, projectId, updated.file_id);
     assert(rwDelete.status === 200 && rwDelete.json?.ok, 'RW delete should succeed');
 
+    console.log('Delete with a matching base_hash succeeds...');
+    const second = await uploadFile(rwUser.apiKey, projectId, { name: 'second.txt', content: 'Second document.' });
+    assert(second.status === 200 && second.json?.file?.file_id, 'Second upload should succeed');
+    const currentHash = JSON.parse((await ownerClient.callTool({ name: 'read_progress', arguments: { project_id: projectId } })).content?.[0]?.text || '{}').hash;
+    const matchingDelete = await deleteFileAt(rwUser.apiKey, projectId, second.json.file.file_id, currentHash);
+    assert(matchingDelete.status === 200 && matchingDelete.json?.ok, 'Delete with the current base_hash should succeed');
+
     const listAfterDelete = await listFiles(owner.apiKey, projectId);
     assert(listAfterDelete.status === 200 && listAfterDelete.json.files.length === 0, 'No files should remain after delete');
+    const searchAfterDelete = await fetch(`${BASE}/project/search?project_id=${encodeURIComponent(projectId)}&q=RW+updated&types=file`, {
+      headers: { 'Authorization': `Bearer ${owner.apiKey}` },
+    }).then(r => r.json());
+    assert((searchAfterDelete.hits || []).length === 0, 'Deleted file should drop out of search');
 
     await ownerClient.close();
     await fs.rm(dir, { recursive: true, force: true }).catch(() => {});
@@ -179,6 +179,16 @@ async function run() {
     const revertToU2Latest = await client2.callTool({ name: 'revert_project', arguments: { project_id: projectId, hash: u2LatestHash } });
     const revertToU2LatestJson = JSON.parse(revertToU2Latest.content?.[0]?.text || '{}');
     assert(revertToU2LatestJson.error, 'u2 should NOT be able to revert to their commit when it would discard others work');
+    assert(/new_commit/.test(revertToU2LatestJson.suggest || ''), 'restricted reset should suggest mode=new_commit');
+    // ...but a non-destructive revert is allowed and keeps u1's commits in history
+    const logsBeforeNc = newLogs.length;
+    const ncRevert = JSON.parse((await client2.callTool({ name: 'revert_project', arguments: { project_id: projectId, hash: u2LatestHash, mode: 'new_commit' } })).content?.[0]?.text || '{}');
+    assert(ncRevert.hash && ncRevert.reverted_to === u2LatestHash, 'u2 should be able to revert with mode=new_commit');
+    const ncLogs = JSON.parse((await client1.callTool({ name: 'list_project_logs', arguments: { project_id: projectId } })).content?.[0]?.text || '{}').logs || [];
+    assert(ncLogs.length === logsBeforeNc + 1 && ncLogs[ncLogs.length - 1].modified_by === u2.name, 'new_commit revert should append a commit by u2');
+    assert(ncLogs.some(l => l.hash === u1Commits[u1Commits.length - 1].hash), 'new_commit revert should keep u1 commits');
+    const agentAfterNc = (await client1.callTool({ name: 'read_agent', arguments: { project_id: projectId } })).content?.[0]?.text || '';
+    assert(!agentAfterNc.includes('U1 commit after U2'), 'new_commit revert should restore the older AGENTS.md');
     
     // u1 should be able to revert to their most recent commit (which is the latest overall)
     const u1LatestHash = u1Commits[u1Commits.length - 1].hash;
@@ -204,6 +214,18 @@ async function run() {
     const roRevertJson = JSON.parse(roRevertAttempt.content?.[0]?.text || '{}');
     assert(roRevertJson.error === 'read_only_project', 'RO participant should not be able to revert project');
 
+    // ...but can browse history without reverting
+    const roAgentAt = (await client2.callTool({ name: 'read_agent', arguments: { project_id: projectId, at_hash: u1LatestHash } })).content?.[0]?.text || '';
+    assert(roAgentAt.includes('U1 commit after U2'), 'RO participant should read AGENTS.md at a past hash');
+    const roTasksAt = JSON.parse((await client2.callTool({ name: 'read_progress', arguments: { project_id: projectId, at_hash: u1LatestHash } })).content?.[0]?.text || '{}');
+    assert(roTasksAt.at_hash === u1LatestHash && Array.isArray(roTasksAt.tasks), 'RO participant should read tasks at a past hash');
+    const roVersionRes = await fetch(`${BASE}/project/versions/${u1LatestHash}?project_id=${encodeURIComponent(projectId)}&apiKey=${encodeURIComponent(u2.apiKey)}`);
+    const roVersion = await roVersionRes.json();
+    assert(roVersionRes.ok && roVersion.hash === u1LatestHash && roVersion.snapshot?.agent?.content?.includes('U1 commit after U2'), 'RO participant should fetch a full snapshot over REST');
+    const u3 = await createUser(MAIN, 'u3');
+    const noAccessVersion = await fetch(`${BASE}/project/versions/${u1LatestHash}?project_id=${encodeURIComponent(projectId)}&apiKey=${encodeURIComponent(u3.apiKey)}`);
+    assert(noAccessVersion.status === 404, 'Non-participants should not read project versions');
+
     console.log('MCP share tests passed');
   } catch (err) {
     console.error('MCP share tests failed:', err);
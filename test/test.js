@@ -86,11 +86,13 @@ async function run() {
     const expected = [
       'list_projects','list_file',
       'init_project','delete_project','rename_project',
-      'read_agent','write_agent','read_progress',
-      'progress_add','progress_set_new_state',
+      'read_agent','write_agent','edit_agent_section','list_docs','read_doc','write_doc','delete_doc','adr_create','adr_list','adr_read','adr_supersede','adr_set_status','adr_index','read_progress',
+      'progress_add','progress_set_new_state','progress_move','progress_batch','progress_delete','progress_apply_template','progress_add_comment','progress_list_comments',
       'get_agents_md_best_practices_and_examples','generate_task_ids',
-      'list_project_logs','revert_project',
-      'scratchpad_initialize','review_scratchpad','scratchpad_update_task','scratchpad_append_common_memory'
+      'list_project_logs','diff_project_versions','revert_project','search_project',
+      'list_branches','create_branch','switch_branch','merge_branch','list_tags','tag_commit','delete_tag',
+      'scratchpad_initialize','review_scratchpad','scratchpad_update_task','scratchpad_append_common_memory',
+      'scratchpad_add_tasks','list_scratchpads','scratchpad_close','scratchpad_delete','scratchpad_promote'
     ];
     if (externalAiEnabled) {
       expected.push('scratchpad_subagent','scratchpad_subagent_status');
@@ -144,10 +146,96 @@ async function run() {
     const vLogs5 = JSON.parse((await client.callTool({ name: 'list_project_logs', arguments: { project_id: vprojId } })).content?.[0]?.text || '{}');
     assert(vLogs5.logs.length === vLogs4.logs.length + 1, 'logs length should increment after rename_project');
     assert(vLogs5.logs[vLogs5.logs.length - 1].message === 'rename 1', 'last commit should be rename 1');
+    // diff_project_versions: init vs. latest commit, and init vs. current state
+    const addHash = vLogs3.logs[vLogs3.logs.length - 1].hash;
+    const vDiff = JSON.parse((await client.callTool({ name: 'diff_project_versions', arguments: { project_id: vprojId, from_hash: initHash, to_hash: vSet.hash } })).content?.[0]?.text || '{}');
+    assert(vDiff.from === initHash && vDiff.to === vSet.hash, 'diff should echo from/to hashes');
+    assert(vDiff.agent?.changed && vDiff.agent.diff.includes('+Hello V1') && vDiff.agent.diff.includes('@@ '), 'diff should include unified AGENTS.md diff');
+    assert(vDiff.tasks.added.length === 2 && vDiff.tasks.removed.length === 0, 'diff should list added tasks');
+    const vDiffStatus = JSON.parse((await client.callTool({ name: 'diff_project_versions', arguments: { project_id: vprojId, from_hash: addHash, to_hash: vSet.hash } })).content?.[0]?.text || '{}');
+    assert(!vDiffStatus.agent.changed && vDiffStatus.agent.diff === '', 'unchanged AGENTS.md should produce empty diff');
+    const stChange = vDiffStatus.tasks.status_changed.find(t => t.task_id === 'p0p0p0p0');
+    assert(stChange && stChange.from === 'pending' && stChange.to === 'completed', 'diff should report status change');
+    const vDiffCurrent = JSON.parse((await client.callTool({ name: 'diff_project_versions', arguments: { project_id: vprojId, from_hash: vSet.hash } })).content?.[0]?.text || '{}');
+    assert(vDiffCurrent.to === 'current' && !vDiffCurrent.agent.changed && vDiffCurrent.summary.tasks_added === 0, 'diff against current should be empty after last commit');
+    const vDiffMissing = JSON.parse((await client.callTool({ name: 'diff_project_versions', arguments: { project_id: vprojId, from_hash: 'deadbeef' } })).content?.[0]?.text || '{}');
+    assert(vDiffMissing.error === 'hash_not_found', 'diff with unknown hash should fail');
+    const restDiffRes = await fetch(`http://localhost:${PORT}/project/versions/diff?project_id=${encodeURIComponent(vprojId)}&from=${initHash}&to=${addHash}&apiKey=${encodeURIComponent(created.apiKey)}`);
+    const restDiff = await restDiffRes.json();
+    assert(restDiffRes.ok && restDiff.tasks?.added?.length === 2 && restDiff.agent?.changed, 'REST version diff should match tool output');
+    // at_hash: read past AGENTS.md / tasks without reverting
+    const agentAtInit = (await client.callTool({ name: 'read_agent', arguments: { project_id: vprojId, at_hash: initHash } })).content?.[0]?.text || '';
+    const agentAtWrite = (await client.callTool({ name: 'read_agent', arguments: { project_id: vprojId, at_hash: vWrite.hash, lineNumbers: true } })).content?.[0]?.text || '';
+    assert(!agentAtInit.includes('Hello V1') && agentAtWrite === '1|# agent\n2|Hello V1', 'read_agent at_hash should return that version');
+    const tasksAtAdd = JSON.parse((await client.callTool({ name: 'read_progress', arguments: { project_id: vprojId, at_hash: addHash } })).content?.[0]?.text || '{}');
+    assert(tasksAtAdd.at_hash === addHash && tasksAtAdd.tasks.length === 2 && tasksAtAdd.tasks.every(t => t.status === 'pending'), 'read_progress at_hash should return that version');
+    const tasksAtSetDone = JSON.parse((await client.callTool({ name: 'read_progress', arguments: { project_id: vprojId, at_hash: vSet.hash, only: 'completed' } })).content?.[0]?.text || '{}');
+    assert(tasksAtSetDone.tasks.length === 2 && tasksAtSetDone.tasks.every(t => t.status === 'completed'), 'read_progress at_hash should honor status filters');
+    const tasksAtAddDone = JSON.parse((await client.callTool({ name: 'read_progress', arguments: { project_id: vprojId, at_hash: addHash, only: 'completed' } })).content?.[0]?.text || '{}');
+    assert(tasksAtAddDone.tasks.length === 0, 'read_progress at_hash filter should apply to the snapshot');
+    const agentAtMissing = JSON.parse((await client.callTool({ name: 'read_agent', arguments: { project_id: vprojId, at_hash: 'deadbeef' } })).content?.[0]?.text || '{}');
+    assert(agentAtMissing.error === 'hash_not_found', 'read_agent with unknown at_hash should fail');
+    const restVersionRes = await fetch(`http://localhost:${PORT}/project/versions/${addHash}?project_id=${encodeURIComponent(vprojId)}&apiKey=${encodeURIComponent(created.apiKey)}`);
+    const restVersion = await restVersionRes.json();
+    assert(restVersionRes.ok && restVersion.message === 'add tasks' && restVersion.snapshot.tasks.length === 2, 'REST version read should return the snapshot');
+    // revert_project mode=new_commit: restore an older version as a new commit, keeping history
+    const ncRes = JSON.parse((await client.callTool({ name: 'revert_project', arguments: { project_id: vprojId, hash: addHash, mode: 'new_commit' } })).content?.[0]?.text || '{}');
+    assert(ncRes.mode === 'new_commit' && ncRes.reverted_to === addHash && ncRes.hash && ncRes.hash !== addHash, 'new_commit revert should return a fresh hash');
+    const vLogsNc = JSON.parse((await client.callTool({ name: 'list_project_logs', arguments: { project_id: vprojId } })).content?.[0]?.text || '{}');
+    assert(vLogsNc.logs.length === vLogs5.logs.length + 1, 'new_commit revert should append to history');
+    assert(vLogsNc.logs[vLogsNc.logs.length - 1].message === `revert to ${addHash.slice(0, 8)}`, 'new_commit message should reference the target hash');
+    const ncTasks = JSON.parse((await client.callTool({ name: 'read_progress', arguments: { project_id: vprojId } })).content?.[0]?.text || '{}');
+    assert(ncTasks.tasks.find(t => t.task_id === 'p0p0p0p0')?.status === 'pending', 'new_commit revert should restore task state');
+    const ncBadMode = JSON.parse((await client.callTool({ name: 'revert_project', arguments: { project_id: vprojId, hash: addHash, mode: 'rewind' } })).content?.[0]?.text || '{}');
+    assert(ncBadMode.error === 'invalid_mode', 'unknown revert mode should be rejected');
+    // Selective restore: only some tasks, only AGENTS.md, or only the task list
+    await client.callTool({ name: 'write_agent', arguments: { project_id: vprojId, content: '# agent\nHello V2' } });
+    await client.callTool({ name: 'progress_set_new_state', arguments: { project_id: vprojId, match: ['p0p0p0p0', 'c0c0c0c0'], state: 'completed' } });
+    const selIds = JSON.parse((await client.callTool({ name: 'revert_project', arguments: { project_id: vprojId, hash: addHash, task_ids: ['c0c0c0c0', 'zzzzzzzz'] } })).content?.[0]?.text || '{}');
+    assert(selIds.mode === 'new_commit' && selIds.scope === 'tasks' && selIds.restored.tasks.join() === 'c0c0c0c0' && !selIds.restored.agent, 'task_ids restore should restore only listed tasks');
+    assert(selIds.not_in_snapshot?.[0] === 'zzzzzzzz', 'task_ids restore should report ids missing from the snapshot');
+    const selLogCount = JSON.parse((await client.callTool({ name: 'list_project_logs', arguments: { project_id: vprojId } })).content?.[0]?.text || '{}').logs.length;
+    const selNone = JSON.parse((await client.callTool({ name: 'revert_project', arguments: { project_id: vprojId, hash: addHash, task_ids: ['zzzzzzzz', 'yyyyyyyy'] } })).content?.[0]?.text || '{}');
+    assert(selNone.error === 'task_not_found' && selNone.missing?.join() === 'zzzzzzzz,yyyyyyyy', 'task_ids restore with no known ids should fail with the missing ids');
+    assert(JSON.parse((await client.callTool({ name: 'list_project_logs', arguments: { project_id: vprojId } })).content?.[0]?.text || '{}').logs.length === selLogCount, 'failed task_ids restore should not commit');
+    const selTasks = JSON.parse((await client.callTool({ name: 'read_progress', arguments: { project_id: vprojId } })).content?.[0]?.text || '{}').tasks;
+    assert(selTasks.find(t => t.task_id === 'c0c0c0c0')?.status === 'pending' && selTasks.find(t => t.task_id === 'p0p0p0p0')?.status === 'completed', 'only the listed task should be restored');
+    const agentAfterSel = (await client.callTool({ name: 'read_agent', arguments: { project_id: vprojId } })).content?.[0]?.text || '';
+    assert(agentAfterSel.includes('Hello V2'), 'task restore should keep current AGENTS.md');
+    const selAgent = JSON.parse((await client.callTool({ name: 'revert_project', arguments: { project_id: vprojId, hash: initHash, scope: 'agent', comment: 'drop the greeting' } })).content?.[0]?.text || '{}');
+    assert(selAgent.restored?.agent === true && selAgent.restored.tasks.length === 0, 'scope=agent should restore only AGENTS.md');
+    const selAgentLogs = JSON.parse((await client.callTool({ name: 'list_project_logs', arguments: { project_id: vprojId } })).content?.[0]?.text || '{}').logs;
+    assert(selAgentLogs[selAgentLogs.length - 1].message === `drop the greeting (restore AGENTS.md from ${initHash.slice(0, 8)})`, 'revert comment should keep the restored hash reference');
+    const agentAfterSelAgent = (await client.callTool({ name: 'read_agent', arguments: { project_id: vprojId } })).content?.[0]?.text || '';
+    const tasksAfterSelAgent = JSON.parse((await client.callTool({ name: 'read_progress', arguments: { project_id: vprojId } })).content?.[0]?.text || '{}').tasks;
+    assert(!agentAfterSelAgent.includes('Hello') && tasksAfterSelAgent.length === 2, 'scope=agent should keep current tasks');
+    const selAllTasks = JSON.parse((await client.callTool({ name: 'revert_project', arguments: { project_id: vprojId, hash: initHash, scope: 'tasks' } })).content?.[0]?.text || '{}');
+    assert(selAllTasks.scope === 'tasks' && selAllTasks.hash, 'scope=tasks should commit');
+    const tasksAfterSelAll = JSON.parse((await client.callTool({ name: 'read_progress', arguments: { project_id: vprojId } })).content?.[0]?.text || '{}').tasks;
+    assert(tasksAfterSelAll.length === 0, 'scope=tasks should restore the whole task list');
+    const selReset = JSON.parse((await client.callTool({ name: 'revert_project', arguments: { project_id: vprojId, hash: initHash, scope: 'agent', mode: 'reset' } })).content?.[0]?.text || '{}');
+    assert(selReset.error === 'invalid_arguments', 'selective restore should refuse mode=reset');
+    // Tags: name a commit and use the name wherever a hash is accepted
+    const tagRes = await client.callTool({ name: 'tag_commit', arguments: { project_id: vprojId, name: 'before-refactor', hash: vWrite.hash } });
+    const tagJson = JSON.parse(tagRes.content?.[0]?.text || '{}');
+    assert(tagJson.tag?.name === 'before-refactor' && tagJson.tag.hash === vWrite.hash, 'tag_commit should tag the given hash');
+    const tagDup = JSON.parse((await client.callTool({ name: 'tag_commit', arguments: { project_id: vprojId, name: 'before-refactor' } })).content?.[0]?.text || '{}');
+    assert(tagDup.error === 'tag_exists', 'duplicate tag should fail');
+    const tagHex = JSON.parse((await client.callTool({ name: 'tag_commit', arguments: { project_id: vprojId, name: 'deadbeef' } })).content?.[0]?.text || '{}');
+    assert(tagHex.error === 'invalid_tag_name', 'hash-like tag names should be rejected');
+    const tagHead = JSON.parse((await client.callTool({ name: 'tag_commit', arguments: { project_id: vprojId, name: 'v1-release' } })).content?.[0]?.text || '{}');
+    const vLogsTagged = JSON.parse((await client.callTool({ name: 'list_project_logs', arguments: { project_id: vprojId } })).content?.[0]?.text || '{}');
+    assert(vLogsTagged.logs.find(l => l.hash === vWrite.hash)?.tags.includes('before-refactor'), 'logs should show tags');
+    assert(vLogsTagged.logs[vLogsTagged.logs.length - 1].tags.includes('v1-release') && tagHead.tag.hash === vLogsTagged.logs[vLogsTagged.logs.length - 1].hash, 'tag_commit without hash should tag the head');
+    const agentAtTag = (await client.callTool({ name: 'read_agent', arguments: { project_id: vprojId, at_hash: 'before-refactor' } })).content?.[0]?.text || '';
+    assert(agentAtTag === '# agent\nHello V1', 'read_agent should accept a tag as at_hash');
+    const diffByTag = JSON.parse((await client.callTool({ name: 'diff_project_versions', arguments: { project_id: vprojId, from_hash: 'before-refactor', to_hash: 'v1-release' } })).content?.[0]?.text || '{}');
+    assert(diffByTag.from === vWrite.hash && diffByTag.tasks, 'diff should accept tags');
     // Revert to init: should trim history and reset state
     const revRes = await client.callTool({ name: 'revert_project', arguments: { project_id: vprojId, hash: initHash } });
     const rev = JSON.parse(revRes.content?.[0]?.text || '{}');
     assert(rev.hash === initHash, 'revert_project should return reverted hash');
+    assert(rev.detached_tags?.some(t => t.name === 'before-refactor'), 'reset should report tags now outside the history');
     const vLogsAfterRevert = JSON.parse((await client.callTool({ name: 'list_project_logs', arguments: { project_id: vprojId } })).content?.[0]?.text || '{}');
     assert(vLogsAfterRevert.logs.length === 1, 'history should be trimmed to the reverted commit');
     assert(vLogsAfterRevert.logs[0].hash === initHash, 'first commit after revert should be init');
@@ -158,6 +246,146 @@ async function run() {
     // Tasks should be empty after revert to init
     const tasksAfterRevert = JSON.parse((await client.callTool({ name: 'read_progress', arguments: { project_id: vprojId } })).content?.[0]?.text || '{}');
     assert(Array.isArray(tasksAfterRevert.tasks) && tasksAfterRevert.tasks.length === 0, 'Tasks should be empty after revert to init');
+    // Tags survive the truncating revert and still resolve
+    const tagsAfterReset = JSON.parse((await client.callTool({ name: 'list_tags', arguments: { project_id: vprojId } })).content?.[0]?.text || '{}');
+    const keptTag = tagsAfterReset.tags.find(t => t.name === 'before-refactor');
+    assert(keptTag && keptTag.hash === vWrite.hash && keptTag.in_active_history === false, 'tags should survive reset');
+    const revByTag = JSON.parse((await client.callTool({ name: 'revert_project', arguments: { project_id: vprojId, hash: 'before-refactor', mode: 'new_commit' } })).content?.[0]?.text || '{}');
+    assert(revByTag.reverted_to === vWrite.hash, 'revert_project should accept a tag');
+    const agentAfterTagRevert = (await client.callTool({ name: 'read_agent', arguments: { project_id: vprojId } })).content?.[0]?.text || '';
+    assert(agentAfterTagRevert.includes('Hello V1'), 'reverting to a tag should restore that version');
+    const delTag = JSON.parse((await client.callTool({ name: 'delete_tag', arguments: { project_id: vprojId, name: 'before-refactor' } })).content?.[0]?.text || '{}');
+    assert(delTag.deleted === 'before-refactor', 'delete_tag should delete');
+    const delTagAgain = JSON.parse((await client.callTool({ name: 'delete_tag', arguments: { project_id: vprojId, name: 'before-refactor' } })).content?.[0]?.text || '{}');
+    assert(delTagAgain.error === 'tag_not_found', 'deleting a missing tag should fail');
+
+    // base_hash optimistic concurrency
+    const readWithHash = await client.callTool({ name: 'read_agent', arguments: { project_id: vprojId } });
+    const readHash = JSON.parse(readWithHash.content?.[1]?.text || '{}').hash;
+    const progressHash = JSON.parse((await client.callTool({ name: 'read_progress', arguments: { project_id: vprojId } })).content?.[0]?.text || '{}').hash;
+    assert(readHash && readHash === progressHash && readHash === revByTag.hash, 'read_agent/read_progress should return the current hash');
+    const okWrite = JSON.parse((await client.callTool({ name: 'write_agent', arguments: { project_id: vprojId, content: 'Hello V3\n', base_hash: readHash } })).content?.[0]?.text || '{}');
+    assert(okWrite.status === 'ok' && okWrite.hash !== readHash, 'write with a matching base_hash should succeed');
+    const staleAdd = JSON.parse((await client.callTool({ name: 'progress_add', arguments: { project_id: vprojId, base_hash: readHash, item: [{ task_id: 'stale001', task_info: 'Stale' }] } })).content?.[0]?.text || '{}');
+    assert(staleAdd.error === 'conflict' && staleAdd.current_hash === okWrite.hash && staleAdd.base_hash === readHash, 'stale base_hash should be rejected with the current hash');
+    assert(staleAdd.changes?.summary?.agent_changed && staleAdd.changes.agent.diff.includes('+Hello V3'), 'conflict should include the changes since base_hash');
+    const staleTasks = JSON.parse((await client.callTool({ name: 'read_progress', arguments: { project_id: vprojId } })).content?.[0]?.text || '{}');
+    assert(!staleTasks.tasks.some(t => t.task_id === 'stale001'), 'rejected call should not write');
+    const unknownBase = JSON.parse((await client.callTool({ name: 'progress_set_new_state', arguments: { project_id: vprojId, match: ['x'], state: 'completed', base_hash: 'deadbeef' } })).content?.[0]?.text || '{}');
+    assert(unknownBase.error === 'conflict' && unknownBase.changes === null, 'unknown base_hash should conflict without changes');
+    const staleComment = JSON.parse((await client.callTool({ name: 'progress_add_comment', arguments: { project_id: vprojId, task_id: 'stale001', text: 'late note', base_hash: readHash } })).content?.[0]?.text || '{}');
+    assert(staleComment.error === 'conflict' && staleComment.current_hash === okWrite.hash, 'progress_add_comment with a stale base_hash should conflict');
+    const toolsWithBase = (await client.listTools()).tools.filter(t => t.inputSchema?.properties?.base_hash).map(t => t.name);
+    assert(toolsWithBase.includes('write_agent') && toolsWithBase.includes('progress_add') && !toolsWithBase.includes('read_agent'), 'mutating tools should advertise base_hash');
+
+    // write_agent with a stale base_hash three-way merges instead of rejecting
+    const mBase = JSON.parse((await client.callTool({ name: 'write_agent', arguments: { project_id: vprojId, content: 'A\nB\nC\nD\nE\n' } })).content?.[0]?.text || '{}').hash;
+    const mOther = JSON.parse((await client.callTool({ name: 'write_agent', arguments: { project_id: vprojId, content: 'A1\nB\nC\nD\nE\n', base_hash: mBase } })).content?.[0]?.text || '{}');
+    assert(mOther.status === 'ok' && !mOther.merged, 'write on the current base_hash should not merge');
+    const mClean = JSON.parse((await client.callTool({ name: 'write_agent', arguments: { project_id: vprojId, mode: 'replace', edits: [{ old_text: 'E', new_text: 'E5' }], base_hash: mBase } })).content?.[0]?.text || '{}');
+    assert(mClean.status === 'ok' && mClean.merged?.base_hash === mBase && mClean.merged.current_hash === mOther.hash, 'non-overlapping stale write should merge');
+    assert((await client.callTool({ name: 'read_agent', arguments: { project_id: vprojId } })).content?.[0]?.text === 'A1\nB\nC\nD\nE5\n', 'merged AGENTS.md should keep both edits');
+    const mLogs = JSON.parse((await client.callTool({ name: 'list_project_logs', arguments: { project_id: vprojId } })).content?.[0]?.text || '{}');
+    assert(/three-way merge/.test(mLogs.logs[mLogs.logs.length - 1].message), 'merge commit message should note the merge');
+    const mConflict = JSON.parse((await client.callTool({ name: 'write_agent', arguments: { project_id: vprojId, content: 'A2\nB\nC\nD\nE\n', base_hash: mBase } })).content?.[0]?.text || '{}');
+    assert(mConflict.error === 'merge_conflict' && mConflict.current_hash === mClean.hash && mConflict.conflicts.length === 1, 'overlapping stale write should be a merge_conflict');
+    assert(mConflict.content.includes('<<<<<<< current') && mConflict.content.includes('A2') && mConflict.content.includes('>>>>>>> incoming'), 'merge_conflict should return conflict markers');
+    assert((await client.callTool({ name: 'read_agent', arguments: { project_id: vprojId } })).content?.[0]?.text === 'A1\nB\nC\nD\nE5\n', 'merge_conflict should not write');
+
+    // --- Branch tests ---
+    const call = async (tool, a) => {
+      const text = (await client.callTool({ name: tool, arguments: a })).content?.[0]?.text || '';
+      try { return JSON.parse(text); } catch { return text; }
+    };
+    const bproj = (await call('init_project', { name: `branchproj_${Date.now()}` })).id;
+    await call('write_agent', { project_id: bproj, content: 'L1\nL2\nL3\nL4\nL5\n' });
+    await call('progress_add', { project_id: bproj, item: [{ task_id: 'b1b1b1b1', task_info: 'B1' }, { task_id: 'b2b2b2b2', task_info: 'B2' }] });
+    const br0 = await call('list_branches', { project_id: bproj });
+    assert(br0.active === 'main' && br0.branches.length === 1 && br0.branches[0].commits >= 3, 'new project should have a single main branch');
+    const brCreate = await call('create_branch', { project_id: bproj, name: 'rewrite', switch: true });
+    assert(brCreate.name === 'rewrite' && brCreate.active === true, 'create_branch should create and switch');
+    await call('write_agent', { project_id: bproj, content: 'R1\nL2\nL3\nL4\nL5\n', comment: 'rewrite L1' });
+    await call('progress_set_new_state', { project_id: bproj, match: ['b1b1b1b1'], state: 'completed' });
+    const mainLogs = await call('list_project_logs', { project_id: bproj, branch: 'main' });
+    assert(!mainLogs.logs.some(l => l.message === 'rewrite L1'), 'branch commits should not land on main');
+    const brSwitch = await call('switch_branch', { project_id: bproj, name: 'main' });
+    assert(brSwitch.active === 'main' && brSwitch.changed, 'switch_branch should switch');
+    assert((await call('read_agent', { project_id: bproj })).startsWith('L1'), 'switching should restore the branch head AGENTS.md');
+    assert((await call('read_progress', { project_id: bproj })).tasks.find(t => t.task_id === 'b1b1b1b1').status === 'pending', 'switching should restore the branch head tasks');
+    await call('write_agent', { project_id: bproj, content: 'L1\nL2\nL3\nL4\nM5\n' });
+    await call('progress_set_new_state', { project_id: bproj, match: ['b2b2b2b2'], state: 'in_progress' });
+    const brMerge = await call('merge_branch', { project_id: bproj, source: 'rewrite' });
+    assert(brMerge.status === 'merged' && brMerge.hash && brMerge.conflicts.agent.length === 0, 'non-overlapping merge should succeed');
+    assert((await call('read_agent', { project_id: bproj })) === 'R1\nL2\nL3\nL4\nM5\n', 'merge should combine AGENTS.md edits from both branches');
+    const mergedTasks = (await call('read_progress', { project_id: bproj })).tasks;
+    assert(mergedTasks.find(t => t.task_id === 'b1b1b1b1').status === 'completed' && mergedTasks.find(t => t.task_id === 'b2b2b2b2').status === 'in_progress', 'merge should combine task changes');
+    const mergeLogs = await call('list_project_logs', { project_id: bproj });
+    assert(mergeLogs.logs[mergeLogs.logs.length - 1].message === 'merge rewrite into main', 'merge commit should land on the active branch');
+    assert((await call('merge_branch', { project_id: bproj, source: 'rewrite' })).status === 'up_to_date', 'second merge should be up to date');
+    // Conflicting edits: abort writes nothing, on_conflict=theirs resolves
+    await call('switch_branch', { project_id: bproj, name: 'rewrite' });
+    await call('write_agent', { project_id: bproj, content: 'R1\nL2\nX3\nL4\nL5\n' });
+    await call('switch_branch', { project_id: bproj, name: 'main' });
+    await call('write_agent', { project_id: bproj, content: 'R1\nL2\nY3\nL4\nM5\n' });
+    const brConflict = await call('merge_branch', { project_id: bproj, source: 'rewrite' });
+    assert(brConflict.error === 'merge_conflict' && brConflict.conflicts.agent.length === 1 && brConflict.conflicts.agent[0].theirs[0] === 'X3', 'conflicting merge should report conflicts');
+    assert((await call('read_agent', { project_id: bproj })).includes('Y3'), 'aborted merge should not write');
+    const brMarkers = await call('merge_branch', { project_id: bproj, source: 'rewrite', on_conflict: 'theirs' });
+    assert(brMarkers.status === 'merged' && brMarkers.resolution === 'theirs', 'on_conflict=theirs should merge');
+    assert((await call('read_agent', { project_id: bproj })) === 'R1\nL2\nX3\nL4\nM5\n', 'theirs resolution should keep non-conflicting ours edits');
+    // Fast-forward
+    await call('create_branch', { project_id: bproj, name: 'ff', switch: true });
+    await call('write_agent', { project_id: bproj, content: 'R1\nL2\nX3\nL4\nM5\nF6\n' });
+    await call('switch_branch', { project_id: bproj, name: 'main' });
+    const brFf = await call('merge_branch', { project_id: bproj, source: 'ff' });
+    assert(brFf.status === 'fast_forward' && (await call('read_agent', { project_id: bproj })).endsWith('F6\n'), 'merge onto an unchanged head should fast-forward');
+    assert((await call('list_branches', { project_id: bproj })).branches.find(b => b.name === 'main').head === brFf.hash, 'fast-forward should move the main head');
+    assert((await call('create_branch', { project_id: bproj, name: 'ff' })).error === 'branch_exists', 'duplicate branch should fail');
+    assert((await call('create_branch', { project_id: bproj, name: 'bad name!' })).error === 'invalid_branch_name', 'invalid branch name should fail');
+    assert((await call('switch_branch', { project_id: bproj, name: 'nope' })).error === 'branch_not_found', 'unknown branch should fail');
+    // Moves that only loop once combined (each branch parents one task under the other)
+    await call('progress_add', { project_id: bproj, item: [{ task_id: 'c1c1c1c1', task_info: 'C1' }, { task_id: 'c2c2c2c2', task_info: 'C2' }] });
+    await call('create_branch', { project_id: bproj, name: 'loop', switch: true });
+    await call('progress_move', { project_id: bproj, task_id: 'c1c1c1c1', parent_id: 'c2c2c2c2' });
+    await call('switch_branch', { project_id: bproj, name: 'main' });
+    await call('progress_move', { project_id: bproj, task_id: 'c2c2c2c2', parent_id: 'c1c1c1c1' });
+    const brCycle = await call('merge_branch', { project_id: bproj, source: 'loop' });
+    assert(brCycle.error === 'merge_conflict' && brCycle.conflicts.tasks.some(c => c.kind === 'parent_cycle' && c.cycle.includes('c1c1c1c1') && c.cycle.includes('c2c2c2c2')), 'merge creating a parent_id loop should report a parent_cycle conflict');
+    const brCycleOurs = await call('merge_branch', { project_id: bproj, source: 'loop', on_conflict: 'ours' });
+    const cycleTasks = (await call('read_progress', { project_id: bproj })).tasks;
+    assert(brCycleOurs.status === 'merged' && cycleTasks.find(t => t.task_id === 'c2c2c2c2').parent_id === 'c1c1c1c1' && !cycleTasks.find(t => t.task_id === 'c1c1c1c1').parent_id, 'on_conflict=ours should keep our parents for the looping tasks');
+
+    // --- History retention / compaction ---
+    const cproj = (await call('init_project', { name: `compactproj_${Date.now()}` })).id;
+    const cHashes = [];
+    for (let i = 1; i <= 6; i++) {
+      const body = Array.from({ length: 40 }, (_, n) => `line ${n}${n === i ? ' edited' : ''}`).join('\n') + '\n';
+      cHashes.push((await call('write_agent', { project_id: cproj, content: body, comment: `c${i}` })).hash);
+    }
+    await call('tag_commit', { project_id: cproj, name: 'keep-me', hash: cHashes[1] });
+    const compact = (body, key = 'test-main-key') => fetch(`http://localhost:${PORT}/project/history/compact`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${key}` },
+      body: JSON.stringify(body),
+    }).then(async r => ({ status: r.status, json: await r.json() }));
+    assert((await compact({ project_id: cproj }, created.apiKey)).status === 401, 'compaction should be admin-only');
+    assert((await compact({ project_id: cproj, keep_last: -1 })).status === 400, 'invalid retention should be rejected');
+    const policy = { project_id: cproj, keep_last: 2, keep_daily: 0, keep_weekly: 0 };
+    const dry = await compact({ ...policy, dry_run: true });
+    assert(dry.status === 200 && dry.json.dry_run === true && dry.json.projects[0].removed.length === 4, 'dry run should report what would be removed');
+    assert((await call('list_project_logs', { project_id: cproj })).logs.length === 7, 'dry run should not remove commits');
+    const real = (await compact(policy)).json.projects[0];
+    assert(real.commits_before === 7 && real.commits_after === 3 && real.reclaimed_bytes > 0, 'compaction should drop commits and report reclaimed bytes');
+    const cLogs = (await call('list_project_logs', { project_id: cproj })).logs.map(l => l.hash);
+    assert(cLogs.join() === [cHashes[1], cHashes[4], cHashes[5]].join(), 'last N and tagged commits should survive compaction');
+    const cTagged = await call('read_agent', { project_id: cproj, at_hash: 'keep-me' });
+    assert(cTagged.includes('line 2 edited') && !cTagged.includes('line 1 edited'), 'kept commits should still read back after re-encoding');
+    assert((await call('read_agent', { project_id: cproj, at_hash: cHashes[2] })).error === 'hash_not_found', 'dropped commits should be gone');
+    const cDiff = await call('diff_project_versions', { project_id: cproj, from_hash: cHashes[4] });
+    assert(cDiff.agent.diff.includes('-line 5 edited') && cDiff.agent.diff.includes('+line 6 edited'), 'diffs between kept commits should still work');
+    const untagged = (await compact({ ...policy, keep_tagged: false })).json.projects[0];
+    assert(untagged.removed.join() === cHashes[1] && untagged.dropped_tags.length === 1 && untagged.dropped_tags[0].name === 'keep-me', 'keep_tagged=false should drop tagged commits and report their tags');
+    assert(!(await call('list_tags', { project_id: cproj })).tags.some(t => t.name === 'keep-me'), 'tags of dropped commits should be deleted');
 
     // Unique project name
     const name = `testproj_${Date.now()}`;
@@ -212,6 +440,53 @@ async function run() {
     const agentText2c = readAgent2c.content?.[0]?.text || '';
     assert(agentText2c.includes('Hello world!!!') && agentText2c.includes('More'), 'implicit patch mode should apply when patch is provided');
 
+    // 4.3) Section-aware edits: outline + edit_agent_section operations
+    const secDoc = ['# agent', '', '## Conventions', 'Use tabs.', '', '### Testing', 'Run npm test.', '', '## Deploy', 'Ship it.', ''].join('\n');
+    await client.callTool({ name: 'write_agent', arguments: { project_id: projectId, content: secDoc } });
+    const outlineRes = JSON.parse((await client.callTool({ name: 'read_agent', arguments: { project_id: projectId, outline: true } })).content?.[0]?.text || '{}');
+    const testingEntry = (outlineRes.outline || []).find(h => h.title === 'Testing');
+    assert(testingEntry && testingEntry.path === '# agent > ## Conventions > ### Testing' && testingEntry.start_line === 6 && testingEntry.end_line === 8, 'outline should report heading path and line range');
+    const secReplace = JSON.parse((await client.callTool({ name: 'edit_agent_section', arguments: { project_id: projectId, section: '## Conventions > ### Testing', operation: 'replace', content: 'Run pnpm test.' } })).content?.[0]?.text || '{}');
+    assert(secReplace.status === 'ok' && typeof secReplace.hash === 'string', 'edit_agent_section should commit and return hash');
+    await client.callTool({ name: 'edit_agent_section', arguments: { project_id: projectId, section: 'conventions', operation: 'append', content: 'Prefer ESM.' } });
+    await client.callTool({ name: 'edit_agent_section', arguments: { project_id: projectId, section: 'Testing', operation: 'insert_after', content: '### Linting\nNone yet.' } });
+    await client.callTool({ name: 'edit_agent_section', arguments: { project_id: projectId, section: '## Deploy', operation: 'delete' } });
+    const secText = (await client.callTool({ name: 'read_agent', arguments: { project_id: projectId } })).content?.[0]?.text || '';
+    assert(secText === ['# agent', '', '## Conventions', 'Use tabs.', 'Prefer ESM.', '', '### Testing', 'Run pnpm test.', '', '### Linting', 'None yet.', ''].join('\n'), 'section edits should compose into expected document');
+    const secMissing = JSON.parse((await client.callTool({ name: 'edit_agent_section', arguments: { project_id: projectId, section: 'Nope', operation: 'delete' } })).content?.[0]?.text || '{}');
+    assert(secMissing.error === 'section_not_found' && secMissing.sections.includes('# agent > ## Conventions'), 'missing section should list available sections');
+
+    // 4.4) write_agent mode=replace: atomic search-and-replace with per-edit results
+    await client.callTool({ name: 'write_agent', arguments: { project_id: projectId, content: 'alpha\nbeta\nalpha\ngamma\n' } });
+    const replAmbig = JSON.parse((await client.callTool({ name: 'write_agent', arguments: { project_id: projectId, mode: 'replace', edits: [
+      { old_text: 'gamma', new_text: 'GAMMA' },
+      { old_text: 'alpha', new_text: 'ALPHA' },
+      { old_text: 'delta', new_text: 'x' }
+    ] } })).content?.[0]?.text || '{}');
+    assert(replAmbig.error === 'replace_failed', 'replace should fail when an edit is ambiguous or missing');
+    assert(replAmbig.results[0].status === 'ok' && replAmbig.results[1].status === 'ambiguous' && replAmbig.results[2].status === 'not_found', 'replace should report per-edit status');
+    const afterFailed = (await client.callTool({ name: 'read_agent', arguments: { project_id: projectId } })).content?.[0]?.text || '';
+    assert(afterFailed === 'alpha\nbeta\nalpha\ngamma\n', 'failed replace should not write anything');
+    const replOk = JSON.parse((await client.callTool({ name: 'write_agent', arguments: { project_id: projectId, edits: [
+      { old_text: 'alpha', new_text: 'ALPHA', occurrence: 2 },
+      { old_text: 'beta', new_text: 'BETA' }
+    ] } })).content?.[0]?.text || '{}');
+    assert(replOk.status === 'ok' && replOk.mode === 'replace' && replOk.hash && replOk.results[0].line === 3, 'replace should apply and report line');
+    const afterReplace = (await client.callTool({ name: 'read_agent', arguments: { project_id: projectId } })).content?.[0]?.text || '';
+    assert(afterReplace === 'alpha\nBETA\nALPHA\ngamma\n', 'replace edits should apply in order');
+
+    // 4.5) Fuzzy patch fallback: context differing only in whitespace
+    await client.callTool({ name: 'write_agent', arguments: { project_id: projectId, content: '# agent\n- item  one\n- item two\nend\n' } });
+    const fuzzyPatch = ['@@ -2,2 +2,3 @@', ' - item one', ' - item two', '+- item three'].join('\n');
+    const strictRes = JSON.parse((await client.callTool({ name: 'write_agent', arguments: { project_id: projectId, patch: fuzzyPatch } })).content?.[0]?.text || '{}');
+    assert(strictRes.error === 'patch_failed', 'strict patch should fail on whitespace-different context');
+    const fuzzyRes = JSON.parse((await client.callTool({ name: 'write_agent', arguments: { project_id: projectId, patch: fuzzyPatch, fuzzy: true } })).content?.[0]?.text || '{}');
+    assert(fuzzyRes.status === 'ok' && fuzzyRes.fuzzed.length === 1 && fuzzyRes.fuzzed[0].hunk === 1 && fuzzyRes.fuzzed[0].line === 2, 'fuzzy patch should apply and report fuzzed hunk');
+    const afterFuzzy = (await client.callTool({ name: 'read_agent', arguments: { project_id: projectId } })).content?.[0]?.text || '';
+    assert(afterFuzzy === '# agent\n- item  one\n- item two\n- item three\nend\n', 'fuzzy patch should keep document context lines');
+    const tooFuzzy = JSON.parse((await client.callTool({ name: 'write_agent', arguments: { project_id: projectId, patch: ['@@ -2,2 +2,2 @@', ' - nothing like it', '-- item two', '+- item 2'].join('\n'), fuzzy: true, fuzz_threshold: 0.9 } })).content?.[0]?.text || '{}');
+    assert(tooFuzzy.error === 'patch_failed', 'fuzzy patch below threshold should fail');
+
     // 5) Add structured tasks (8-char IDs)
     const t1 = { task_id: 'a1b2c3d4', task_info: 'first', status: 'pending' };
     const t2 = { task_id: 'b2c3d4e5', task_info: 'second', status: 'in_progress' };
@@ -328,6 +603,483 @@ async function run() {
     const c1row = (p8.tasks || []).find(t => t.task_id === 'bbbb2222');
     assert(c1row && c1row.task_info === 'C1 unlocked edit' && c1row.extra_note === 'ok', 'Child fields should reflect unlocked edits');
 
+    // 16) Task dependencies: blocked flag, refusal while blocked, cycle detection
+    const name5 = `${name}_deps`;
+    const init5Res = await client.callTool({ name: 'init_project', arguments: { name: name5 } });
+    const projectId5 = JSON.parse(init5Res.content?.[0]?.text || '{}').id;
+    const depA = { task_id: 'dddd1111', task_info: 'Dep A' };
+    const depB = { task_id: 'dddd2222', task_info: 'Dep B', depends_on: ['dddd1111'] };
+    const depBad = { task_id: 'dddd3333', task_info: 'Dep bad', depends_on: ['zzzz9999'] };
+    const depAddRes = await client.callTool({ name: 'progress_add', arguments: { project_id: projectId5, item: [depA, depB, depBad] } });
+    const depAdd = JSON.parse(depAddRes.content?.[0]?.text || '{}');
+    assert(depAdd.added.includes('dddd2222') && !depAdd.added.includes('dddd3333'), 'Tasks with unknown dependencies should not be added');
+    assert((depAdd.invalid || []).some(i => i.reason === 'unknown_dependency'), 'Unknown dependency should be reported as invalid');
+    const chainAdd = JSON.parse((await client.callTool({ name: 'progress_add', arguments: { project_id: projectId5, item: [
+      { task_id: 'dddd4444', task_info: 'Rejected first', depends_on: ['zzzz9999'] },
+      { task_id: 'dddd5555', task_info: 'Depends on rejected', depends_on: ['dddd4444'] },
+      { task_id: 'dddd6666', task_info: 'Depends on later rejected', depends_on: ['dddd7777'] },
+      { task_id: 'dddd7777', task_info: 'Rejected later', depends_on: ['zzzz9999'] }
+    ] } })).content?.[0]?.text || '{}');
+    assert(chainAdd.added.length === 0 && chainAdd.invalid.length === 4 && chainAdd.invalid.every(i => i.reason === 'unknown_dependency'), 'Tasks depending on rejected batch tasks should be rejected too');
+    assert(chainAdd.invalid.find(i => i.item.task_id === 'dddd6666').depends_on.join() === 'dddd7777', 'Rejection should name the dependency that failed');
+    const rpDeps = JSON.parse((await client.callTool({ name: 'read_progress', arguments: { project_id: projectId5 } })).content?.[0]?.text || '{}');
+    const depBRow = (rpDeps.tasks || []).find(t => t.task_id === 'dddd2222');
+    assert(depBRow && depBRow.blocked === true && depBRow.blocked_by.includes('dddd1111'), 'Task with incomplete dependency should be blocked');
+    assert(/blocked by: dddd1111/.test(rpDeps.markdown), 'Markdown should list blockers');
+    const blockedRes = JSON.parse((await client.callTool({ name: 'progress_set_new_state', arguments: { project_id: projectId5, match: ['dddd2222'], state: 'in_progress' } })).content?.[0]?.text || '{}');
+    assert(blockedRes.error === 'task_blocked' && blockedRes.blocked[0].blocked_by.includes('dddd1111'), 'Starting a blocked task should be refused');
+    const cycleRes = JSON.parse((await client.callTool({ name: 'progress_set_new_state', arguments: { project_id: projectId5, match: ['dddd1111'], depends_on: ['dddd2222'] } })).content?.[0]?.text || '{}');
+    assert(cycleRes.error === 'dependency_cycle', 'Dependency cycle should be refused');
+    const unknownDepRes = JSON.parse((await client.callTool({ name: 'progress_set_new_state', arguments: { project_id: projectId5, match: ['dddd1111'], depends_on: ['zzzz9999'] } })).content?.[0]?.text || '{}');
+    assert(unknownDepRes.error === 'invalid_dependency', 'Unknown dependency on update should be refused');
+    await client.callTool({ name: 'progress_add', arguments: { project_id: projectId5, item: [
+      { task_id: 'dddd8888', task_info: 'Dep parent' },
+      { task_id: 'dddd9999', task_info: 'Dep child', parent_id: 'dddd8888', depends_on: ['dddd1111'] }
+    ] } });
+    const parentBlocked = JSON.parse((await client.callTool({ name: 'progress_set_new_state', arguments: { project_id: projectId5, match: ['dddd8888'], state: 'completed' } })).content?.[0]?.text || '{}');
+    assert(parentBlocked.error === 'task_blocked' && parentBlocked.blocked.some(b => b.task_id === 'dddd9999' && b.cascaded_from === 'dddd8888' && b.blocked_by.includes('dddd1111')), 'Completing a parent should be refused while a cascaded subtask is blocked');
+    const rpCascade = JSON.parse((await client.callTool({ name: 'read_progress', arguments: { project_id: projectId5 } })).content?.[0]?.text || '{}');
+    assert(rpCascade.tasks.filter(t => t.task_id === 'dddd8888' || t.task_id === 'dddd9999').every(t => t.status === 'pending'), 'Refused cascade should leave the subtree unchanged');
+    await client.callTool({ name: 'progress_set_new_state', arguments: { project_id: projectId5, match: ['dddd1111'], state: 'completed' } });
+    const unblockedRes = JSON.parse((await client.callTool({ name: 'progress_set_new_state', arguments: { project_id: projectId5, match: ['dddd2222'], state: 'in_progress' } })).content?.[0]?.text || '{}');
+    assert(unblockedRes.changed?.includes('dddd2222'), 'Task should start once its dependency is completed');
+
+    // 17) Task metadata: priority, due_date, assignee, labels (validation, filters, sort, revert)
+    const metaCall = async (tool, args) => JSON.parse((await client.callTool({ name: tool, arguments: { project_id: projectId5, ...args } })).content?.[0]?.text || '{}');
+    const metaAdd = await metaCall('progress_add', { item: [
+      { task_id: 'eeee1111', task_info: 'Meta A', priority: 'p2', due_date: '2030-05-01', labels: ['backend', 'api'] },
+      { task_id: 'eeee2222', task_info: 'Meta B', priority: 0, assignee: created.id, labels: ['backend'] },
+      { task_id: 'eeee3333', task_info: 'Meta C', due_date: '2030-01-15' },
+      { task_id: 'eeee4444', task_info: 'Bad priority', priority: 'urgent' },
+      { task_id: 'eeee5555', task_info: 'Bad date', due_date: '2030-02-30' },
+      { task_id: 'eeee6666', task_info: 'Bad assignee', assignee: 'no-such-user' }
+    ] });
+    assert(['eeee1111', 'eeee2222', 'eeee3333'].every(id => metaAdd.added.includes(id)), 'Tasks with valid metadata should be added');
+    const metaReasons = (metaAdd.invalid || []).map(i => i.reason);
+    assert(['invalid_priority', 'invalid_due_date', 'invalid_assignee'].every(r => metaReasons.includes(r)), 'Invalid metadata should be reported per task');
+    const metaAddHash = metaAdd.hash;
+    const byPriority = await metaCall('read_progress', { sort: 'priority' });
+    const metaOrder = byPriority.tasks.map(t => t.task_id).filter(id => id.startsWith('eeee'));
+    assert(JSON.stringify(metaOrder) === JSON.stringify(['eeee2222', 'eeee1111', 'eeee3333']), 'sort=priority should put p0 first and unset priorities last');
+    const rowB = byPriority.tasks.find(t => t.task_id === 'eeee2222');
+    assert(rowB.priority === 'p0' && rowB.assignee === created.id && rowB.labels.includes('backend'), 'read_progress should return task metadata');
+    assert(/Meta B \(eeee2222\) \[p0, @/.test(byPriority.markdown), 'Markdown should include task metadata');
+    const byDue = await metaCall('read_progress', { sort: 'due_date', due_before: '2030-12-31' });
+    assert(JSON.stringify(byDue.tasks.map(t => t.task_id)) === JSON.stringify(['eeee3333', 'eeee1111']), 'due_before should filter and sort=due_date should order by date');
+    const byLabels = await metaCall('read_progress', { labels: ['backend', 'api'] });
+    assert(byLabels.tasks.length === 1 && byLabels.tasks[0].task_id === 'eeee1111', 'labels filter should require every label');
+    const byAssignee = await metaCall('read_progress', { assignee: created.id, priority: ['p0', 'p1'] });
+    assert(byAssignee.tasks.length === 1 && byAssignee.tasks[0].task_id === 'eeee2222', 'assignee and priority filters should combine');
+    const badSort = await metaCall('read_progress', { sort: 'random' });
+    assert(badSort.error === 'invalid_request', 'Unknown sort should be refused');
+    const metaSet = await metaCall('progress_set_new_state', { match: ['eeee1111'], priority: 'p1', due_date: null, labels: ['frontend'] });
+    assert(metaSet.changed?.includes('eeee1111'), 'Metadata update should apply');
+    const badAssignee = await metaCall('progress_set_new_state', { match: ['eeee1111'], assignee: 'no-such-user' });
+    assert(badAssignee.error === 'invalid_assignee', 'Assignee without project access should be refused');
+    const badLabels = await metaCall('progress_set_new_state', { match: ['eeee1111'], labels: [''] });
+    assert(badLabels.error === 'invalid_labels', 'Empty labels should be refused');
+    const afterSet = (await metaCall('read_progress', {})).tasks.find(t => t.task_id === 'eeee1111');
+    assert(afterSet.priority === 'p1' && afterSet.due_date === null && JSON.stringify(afterSet.labels) === '["frontend"]', 'Metadata update should be persisted');
+    const atMetaHash = (await metaCall('read_progress', { at_hash: metaAddHash, labels: ['api'] })).tasks;
+    assert(atMetaHash.length === 1 && atMetaHash[0].due_date === '2030-05-01', 'at_hash reads should filter on snapshot metadata');
+    await metaCall('revert_project', { hash: metaAddHash, task_ids: ['eeee1111'] });
+    const reverted = (await metaCall('read_progress', {})).tasks.find(t => t.task_id === 'eeee1111');
+    assert(reverted.priority === 'p2' && reverted.due_date === '2030-05-01' && reverted.labels.includes('api'), 'Revert should restore task metadata');
+
+    // 18) read_progress querying: subtree, depth, text, updated_since, sort direction, paging and format
+    await metaCall('progress_add', { item: [
+      { task_id: 'ffff0000', task_info: 'Query root' },
+      { task_id: 'ffff1111', task_info: 'Query child one', parent_id: 'ffff0000', extra_note: 'needle in note' },
+      { task_id: 'ffff2222', task_info: 'Query child two', parent_id: 'ffff0000' },
+      { task_id: 'ffff3333', task_info: 'Query grandchild', parent_id: 'ffff1111' }
+    ] });
+    const subtree = await metaCall('read_progress', { root_id: 'ffff0000' });
+    assert(subtree.tasks.length === 4 && subtree.total === 4, 'root_id should return the whole subtree');
+    const shallow = await metaCall('read_progress', { root_id: 'ffff0000', max_depth: 1 });
+    assert(shallow.tasks.length === 3 && !shallow.tasks.some(t => t.task_id === 'ffff3333'), 'max_depth should cut off deeper levels');
+    const topLevel = await metaCall('read_progress', { max_depth: 0 });
+    assert(topLevel.tasks.some(t => t.task_id === 'ffff0000') && !topLevel.tasks.some(t => t.parent_id), 'max_depth 0 without root_id should return top-level tasks');
+    const byNote = await metaCall('read_progress', { text: 'NEEDLE' });
+    assert(byNote.tasks.length === 1 && byNote.tasks[0].task_id === 'ffff1111', 'text should match extra_note case-insensitively');
+    const byRegex = await metaCall('read_progress', { text: '/^query child (one|two)$/i' });
+    assert(byRegex.tasks.length === 2, 'text /regex/ should match task_info');
+    const badRegex = await metaCall('read_progress', { text: '/([/' });
+    assert(badRegex.error === 'invalid_request', 'Invalid regex should be refused');
+    const nestedRegex = await metaCall('read_progress', { text: '/(a+)+$/' });
+    assert(nestedRegex.error === 'invalid_request' && /nested quantifiers/.test(nestedRegex.message), 'Nested-quantifier regex should be refused');
+    const longRegex = await metaCall('read_progress', { text: `/${'a'.repeat(201)}/` });
+    assert(longRegex.error === 'invalid_request', 'Overlong regex should be refused');
+    await metaCall('progress_set_new_state', { match: ['ffff2222'], extra_note: 'touched' });
+    const touched = (await metaCall('read_progress', { root_id: 'ffff0000', sort: '-updated_at' })).tasks;
+    assert(touched[0].task_id === 'ffff2222', 'sort=-updated_at should put the latest edit first');
+    const since = await metaCall('read_progress', { updated_since: touched[0].updated_at });
+    assert(since.tasks.length === 1 && since.tasks[0].task_id === 'ffff2222', 'updated_since should filter by last change');
+    const page1 = await metaCall('read_progress', { root_id: 'ffff0000', limit: 3, format: 'json' });
+    assert(page1.tasks.length === 3 && page1.total === 4 && page1.next_cursor && typeof page1.markdown === 'undefined', 'First page should return limit tasks, total and a cursor');
+    const page2 = await metaCall('read_progress', { root_id: 'ffff0000', limit: 3, cursor: page1.next_cursor, format: 'json' });
+    assert(page2.tasks.length === 1 && page2.next_cursor === null, 'Last page should end the cursor');
+    const pagedIds = [...page1.tasks, ...page2.tasks].map(t => t.task_id).sort();
+    assert(JSON.stringify(pagedIds) === JSON.stringify(['ffff0000', 'ffff1111', 'ffff2222', 'ffff3333']), 'Pages should cover the subtree without overlap');
+    const mdOnly = await metaCall('read_progress', { root_id: 'ffff1111', format: 'markdown' });
+    assert(typeof mdOnly.tasks === 'undefined' && /Query grandchild/.test(mdOnly.markdown), 'format=markdown should return only the outline');
+    const badCursor = await metaCall('read_progress', { limit: 2, cursor: 'not-a-cursor' });
+    assert(badCursor.error === 'invalid_request', 'Malformed cursor should be refused');
+    const snapQuery = await metaCall('read_progress', { at_hash: since.hash, root_id: 'ffff0000', text: 'touched' });
+    assert(snapQuery.tasks.length === 1 && snapQuery.tasks[0].task_id === 'ffff2222', 'at_hash reads should support the same query arguments');
+
+    // 19) Task comment threads: append-only comments, automatic status entries, snapshots and revert
+    const cm1 = await metaCall('progress_add_comment', { task_id: 'ffff1111', text: 'First look done', commit_hash: since.hash });
+    assert(cm1.comment?.comment_id && cm1.comment.author === created.id && cm1.comment.commit_hash === since.hash && cm1.hash, 'progress_add_comment should record author, link and commit');
+    const beforeSecond = cm1.hash;
+    const cm2 = await metaCall('progress_add_comment', { task_id: 'ffff1111', text: 'Handed to subagent', run_id: 'run-123' });
+    assert(cm2.comment?.run_id === 'run-123', 'progress_add_comment should keep run_id');
+    const missingTask = await metaCall('progress_add_comment', { task_id: 'zzzz0000', text: 'nope' });
+    assert(missingTask.error === 'task_not_found', 'Commenting on an unknown task should fail');
+    const emptyText = await metaCall('progress_add_comment', { task_id: 'ffff1111', text: '  ' });
+    assert(emptyText.error === 'invalid_request', 'Empty comment text should be refused');
+    await metaCall('progress_set_new_state', { match: ['ffff1111'], state: 'completed' });
+    const thread = await metaCall('progress_list_comments', { task_id: 'ffff1111' });
+    assert(thread.total === 3 && thread.comments.map(c => c.kind).join() === 'comment,comment,status', 'Thread should hold comments then the status entry');
+    assert(thread.comments[2].text === 'status: pending -> completed', 'Status entry should describe the move');
+    const cascaded = await metaCall('progress_list_comments', { task_id: 'ffff3333', kind: 'status' });
+    assert(cascaded.comments.length === 1 && /cascaded from ffff1111/.test(cascaded.comments[0].text), 'Cascaded status changes should be logged on subtasks');
+    const counted = (await metaCall('read_progress', { root_id: 'ffff1111', only: ['completed'] })).tasks.find(t => t.task_id === 'ffff1111');
+    assert(counted.comment_count === 2, 'read_progress should report comment_count');
+    const commentDiff = JSON.parse((await client.callTool({ name: 'diff_project_versions', arguments: { project_id: projectId5, from_hash: beforeSecond } })).content?.[0]?.text || '{}');
+    assert(commentDiff.tasks.comments_added.some(t => t.task_id === 'ffff1111' && t.comments[0].text === 'Handed to subagent'), 'Diffs should list new comments');
+    await metaCall('revert_project', { hash: beforeSecond, task_ids: ['ffff1111'] });
+    const revertedThread = await metaCall('progress_list_comments', { task_id: 'ffff1111' });
+    assert(revertedThread.total === 1 && revertedThread.comments[0].comment_id === cm1.comment.comment_id, 'Revert should restore the thread as of the target commit');
+
+    // 20) Explicit ordering: progress_move reorders and reparents with cycle checks
+    const orderProject = JSON.parse((await client.callTool({ name: 'init_project', arguments: { name: `${name}_order` } })).content?.[0]?.text || '{}').id;
+    const orderCall = async (tool, args) => JSON.parse((await client.callTool({ name: tool, arguments: { project_id: orderProject, ...args } })).content?.[0]?.text || '{}');
+    await orderCall('progress_add', { item: [
+      { task_id: 'oooo0001', task_info: 'First' },
+      { task_id: 'oooo0002', task_info: 'Second' },
+      { task_id: 'oooo0003', task_info: 'Third' },
+      { task_id: 'oooo0011', task_info: 'Child of first', parent_id: 'oooo0001' }
+    ] });
+    const rootOrder = async () => (await orderCall('read_progress', { max_depth: 0, format: 'json' })).tasks.map(t => t.task_id);
+    assert(JSON.stringify(await rootOrder()) === JSON.stringify(['oooo0001', 'oooo0002', 'oooo0003']), 'New tasks should be appended in order');
+    const toFront = await orderCall('progress_move', { task_id: 'oooo0003', index: 0 });
+    assert(toFront.hash && JSON.stringify(toFront.siblings) === JSON.stringify(['oooo0003', 'oooo0001', 'oooo0002']), 'progress_move should reorder siblings');
+    assert(JSON.stringify(await rootOrder()) === JSON.stringify(['oooo0003', 'oooo0001', 'oooo0002']), 'read_progress should follow the persisted order');
+    const afterMove = await orderCall('progress_move', { task_id: 'oooo0001', after_id: 'oooo0002' });
+    assert(afterMove.index === 2, 'after_id should place the task behind its sibling');
+    const noop = await orderCall('progress_move', { task_id: 'oooo0001', index: 2 });
+    assert(noop.unchanged === true, 'Moving to the current place should be a no-op');
+    const reparent = await orderCall('progress_move', { task_id: 'oooo0002', before_id: 'oooo0011' });
+    assert(reparent.parent_id === 'oooo0001' && reparent.from_parent_id === null && reparent.index === 0, 'before_id should adopt the sibling parent');
+    const orderMd = (await orderCall('read_progress', { format: 'markdown' })).markdown;
+    assert(orderMd.indexOf('Third') < orderMd.indexOf('First') && orderMd.indexOf('Second') < orderMd.indexOf('Child of first'), 'Markdown outline should honor the order');
+    const moveCycle = await orderCall('progress_move', { task_id: 'oooo0001', parent_id: 'oooo0002' });
+    assert(moveCycle.error === 'move_cycle' && moveCycle.cycle.includes('oooo0002'), 'Moving under a descendant should be refused');
+    const setCycle = await orderCall('progress_set_new_state', { match: ['oooo0001'], parent_id: 'oooo0011' });
+    assert(setCycle.error === 'parent_cycle', 'progress_set_new_state should refuse parent cycles');
+    const toTop = await orderCall('progress_move', { task_id: 'oooo0002', parent_id: null, index: 1 });
+    assert(toTop.parent_id === null && JSON.stringify(await rootOrder()) === JSON.stringify(['oooo0003', 'oooo0002', 'oooo0001']), 'parent_id null should move a task to the top level');
+    const orderDiff = await orderCall('diff_project_versions', { from_hash: toFront.hash, to_hash: afterMove.hash });
+    assert(orderDiff.tasks.reordered.some(g => g.parent_id === null), 'Diffs should report reordered sibling groups');
+    await orderCall('progress_set_new_state', { match: ['oooo0003'], state: 'completed' });
+    const lockedMove = await orderCall('progress_move', { task_id: 'oooo0003', parent_id: 'oooo0001' });
+    assert(lockedMove.error === 'task_locked', 'Reparenting a completed task should be refused');
+    const lockedReorder = await orderCall('progress_move', { task_id: 'oooo0003', index: 2 });
+    assert(lockedReorder.hash, 'Reordering a completed task in place should be allowed');
+    await orderCall('revert_project', { hash: toFront.hash });
+    assert(JSON.stringify(await rootOrder()) === JSON.stringify(['oooo0003', 'oooo0001', 'oooo0002']), 'Revert should restore the task order');
+
+    // 21) progress_batch: all-or-nothing task operations with one commit
+    const batchLogCount = async () => (await orderCall('list_project_logs', {})).logs.length;
+    const batchBefore = await orderCall('read_progress', { format: 'json' });
+    const logsBefore = await batchLogCount();
+    const badShape = await orderCall('progress_batch', { operations: [
+      { op: 'update', task_id: 'oooo0001', state: 'completed' },
+      { op: 'rename', task_id: 'oooo0002' },
+      { op: 'add', task_id: 'BAD', task_info: 'x' }
+    ] });
+    assert(badShape.error === 'batch_invalid' && badShape.errors.map(e => e.index).join() === '1,2', 'Malformed operations should be reported per index');
+    const failed = await orderCall('progress_batch', { operations: [
+      { op: 'add', task_id: 'bbbb0001', task_info: 'Batch new', parent_id: 'oooo0001' },
+      { op: 'update', task_id: 'oooo0002', state: 'completed' },
+      { op: 'update', task_id: 'oooo0002', task_info: 'Edit after completing' },
+      { op: 'move', task_id: 'oooo0001', parent_id: 'bbbb0001' },
+      { op: 'delete', task_id: 'zzzz9999' }
+    ] });
+    assert(failed.error === 'batch_failed' && failed.errors.map(e => `${e.index}:${e.error}`).join() === '2:task_locked,3:move_cycle,4:task_not_found', 'Batch should list every failing operation');
+    const batchAfterFail = await orderCall('read_progress', { format: 'json' });
+    assert(batchAfterFail.hash === batchBefore.hash && JSON.stringify(batchAfterFail.tasks) === JSON.stringify(batchBefore.tasks), 'A failed batch should leave tasks untouched');
+    assert(await batchLogCount() === logsBefore, 'A failed batch should not commit');
+    const batch = await orderCall('progress_batch', { comment: 'batch step', operations: [
+      { op: 'add', task_id: 'bbbb0001', task_info: 'Batch new', parent_id: 'oooo0001', depends_on: ['oooo0011'], priority: 'p1' },
+      { op: 'add', task_id: 'bbbb0002', task_info: 'Batch second', depends_on: ['bbbb0001'] },
+      { op: 'update', task_id: 'oooo0001', state: 'completed' },
+      { op: 'move', task_id: 'oooo0002', index: 0 },
+      { op: 'delete', task_id: 'oooo0002' }
+    ] });
+    assert(batch.applied === 5 && batch.hash, 'Batch should apply every operation');
+    assert(batch.results[2].cascaded.includes('bbbb0001') && batch.results[4].deleted.includes('oooo0002'), 'Batch results should report cascades and deletions');
+    assert(await batchLogCount() === logsBefore + 1, 'A batch should create exactly one commit');
+    const batchTasks = (await orderCall('read_progress', { only: ['pending', 'completed'], format: 'json' })).tasks;
+    assert(!batchTasks.some(t => t.task_id === 'oooo0002') && batchTasks.find(t => t.task_id === 'bbbb0001').status === 'completed', 'Batch effects should be visible together');
+    const batchBlocked = await orderCall('progress_batch', { operations: [{ op: 'delete', task_id: 'bbbb0001' }] });
+    assert(batchBlocked.error === 'batch_failed' && batchBlocked.errors[0].error === 'task_locked', 'Deleting a locked task should be refused');
+
+    // 22) progress_delete: children policy, dependency cleanup and revert
+    await orderCall('progress_add', { item: [
+      { task_id: 'dddd0001', task_info: 'Delete me' },
+      { task_id: 'dddd0011', task_info: 'Kid one', parent_id: 'dddd0001' },
+      { task_id: 'dddd0012', task_info: 'Kid two', parent_id: 'dddd0001' },
+      { task_id: 'dddd0111', task_info: 'Grandkid', parent_id: 'dddd0011' },
+      { task_id: 'dddd0002', task_info: 'After', depends_on: ['dddd0012'] }
+    ] });
+    const refused = await orderCall('progress_delete', { task_id: 'dddd0001' });
+    assert(refused.error === 'has_children' && refused.children.join() === 'dddd0011,dddd0012', 'Deleting a parent should be refused by default');
+    const badPolicy = await orderCall('progress_delete', { task_id: 'dddd0001', children: 'orphan' });
+    assert(badPolicy.error === 'invalid_request', 'Unknown children policies should be rejected');
+    const beforeDelete = (await orderCall('read_progress', { format: 'json' })).hash;
+    const reparented = await orderCall('progress_delete', { task_id: 'dddd0001', children: 'reparent_to_parent' });
+    assert(reparented.hash && reparented.deleted.join() === 'dddd0001' && reparented.reparented.join() === 'dddd0011,dddd0012', 'reparent_to_parent should keep the children');
+    const rootsAfterDelete = await rootOrder();
+    assert(rootsAfterDelete.indexOf('dddd0011') === rootsAfterDelete.indexOf('dddd0012') - 1 && rootsAfterDelete.indexOf('dddd0012') < rootsAfterDelete.indexOf('dddd0002'), 'Reparented children should take the deleted task slot');
+    const cascadeDelete = await orderCall('progress_delete', { task_id: 'dddd0011', children: 'cascade' });
+    assert(cascadeDelete.deleted.join() === 'dddd0011,dddd0111', 'cascade should delete the subtree');
+    const depDelete = await orderCall('progress_delete', { task_id: 'dddd0012' });
+    assert(depDelete.dropped_depends_on.some(d => d.task_id === 'dddd0002' && d.depends_on === 'dddd0012'), 'Dependents should drop deleted ids');
+    const afterDeletes = (await orderCall('read_progress', { format: 'json' })).tasks;
+    assert(afterDeletes.find(t => t.task_id === 'dddd0002').depends_on.length === 0 && !afterDeletes.some(t => t.task_id.startsWith('dddd00') && t.task_id !== 'dddd0002'), 'Deleted tasks should be gone');
+    const missingDelete = await orderCall('progress_delete', { task_id: 'zzzz9999' });
+    assert(missingDelete.error === 'task_not_found', 'Deleting an unknown task should fail');
+    await orderCall('revert_project', { hash: beforeDelete, mode: 'new_commit' });
+    const restored = (await orderCall('read_progress', { format: 'json' })).tasks;
+    assert(restored.find(t => t.task_id === 'dddd0011').parent_id === 'dddd0001' && restored.some(t => t.task_id === 'dddd0111'), 'Reverting should bring deleted tasks back');
+
+    // 23) Task templates: REST CRUD (user + server-wide) and progress_apply_template
+    const templatesUrl = `http://localhost:${PORT}/templates`;
+    const tplFetch = async (pathAndQuery, { method = 'GET', body, key = created.apiKey } = {}) => {
+      const r = await fetch(`${templatesUrl}${pathAndQuery}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${key}` },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      return { status: r.status, json: await r.json() };
+    };
+    const releaseTemplate = {
+      name: 'release',
+      description: 'Release checklist',
+      variables: { channel: 'stable', version: null },
+      tasks: [
+        { task_info: 'Release {{version}}', priority: 1, labels: ['release', '{{channel}}'], children: [
+          { task_info: 'Bump version to {{version}}', due_in_days: 0 },
+          { task_info: 'Publish to {{channel}}', due_in_days: 2, extra_note: 'Tag v{{version}}' }
+        ] }
+      ]
+    };
+    const badTemplate = await tplFetch('', { method: 'POST', body: { name: 'broken', tasks: [{ task_info: '' }] } });
+    assert(badTemplate.status === 400 && badTemplate.json.error === 'invalid_template', 'Invalid template trees should be rejected');
+    const createdTpl = await tplFetch('', { method: 'POST', body: releaseTemplate });
+    assert(createdTpl.status === 201 && createdTpl.json.template.task_count === 3 && createdTpl.json.template.placeholders.join() === 'channel,version', 'Creating a template should report its size and placeholders');
+    const dupTpl = await tplFetch('', { method: 'POST', body: releaseTemplate });
+    assert(dupTpl.status === 409, 'Template names should be unique per owner');
+    const serverTpl = await tplFetch('', { method: 'POST', key: 'test-main-key', body: { name: 'server-checklist', tasks: [{ task_info: 'Server-wide step' }] } });
+    assert(serverTpl.status === 201 && serverTpl.json.template.scope === 'server', 'Admin should create server-wide templates');
+    const tplList = await tplFetch('');
+    assert(tplList.json.templates.map(t => t.name).join() === 'release,server-checklist', 'Users should see their own and server-wide templates');
+    const foreignEdit = await tplFetch(`/${serverTpl.json.template.id}`, { method: 'PUT', body: { name: 'mine now' } });
+    assert(foreignEdit.status === 404, 'Users should not edit server-wide templates');
+    const renamedTpl = await tplFetch(`/${createdTpl.json.template.id}`, { method: 'PUT', body: { description: 'Ship it' } });
+    assert(renamedTpl.status === 200 && renamedTpl.json.template.description === 'Ship it' && renamedTpl.json.template.task_count === 3, 'Partial template updates should keep other fields');
+    const missingVars = await orderCall('progress_apply_template', { template: 'release' });
+    assert(missingVars.error === 'missing_variables' && missingVars.missing.join() === 'version', 'Placeholders without defaults should be required');
+    const unknownTpl = await orderCall('progress_apply_template', { template: 'nope' });
+    assert(unknownTpl.error === 'template_not_found' && unknownTpl.available.includes('server-checklist'), 'Unknown templates should list the available ones');
+    const applied = await orderCall('progress_apply_template', { template: 'release', variables: { version: '2.0' }, parent_id: 'oooo0001' });
+    assert(applied.hash && applied.added.length === 3 && applied.added.every(t => /^[a-z0-9]{8}$/.test(t.task_id)), 'Applying a template should add tasks with fresh ids');
+    const [tplRoot, tplBump, tplPublish] = applied.added;
+    assert(tplRoot.parent_id === 'oooo0001' && tplBump.parent_id === tplRoot.task_id && tplPublish.parent_id === tplRoot.task_id, 'The template tree should keep its shape');
+    const appliedTasks = (await orderCall('read_progress', { root_id: tplRoot.task_id, format: 'json' })).tasks;
+    const rootTask = appliedTasks.find(t => t.task_id === tplRoot.task_id);
+    const publishTask = appliedTasks.find(t => t.task_id === tplPublish.task_id);
+    const inTwoDays = new Date(Date.now() + 2 * 86400000).toISOString().slice(0, 10);
+    assert(rootTask.task_info === 'Release 2.0' && rootTask.priority === 'p1' && rootTask.labels.join() === 'release,stable', 'Variables and defaults should be substituted');
+    assert(publishTask.extra_note === 'Tag v2.0' && publishTask.due_date === inTwoDays, 'Notes and relative due dates should be filled in');
+    const again = await orderCall('progress_apply_template', { template: createdTpl.json.template.id, variables: { version: '2.1', channel: 'beta' } });
+    assert(again.added.every(t => !applied.added.some(a => a.task_id === t.task_id)), 'Each application should get new ids');
+    const badParent = await orderCall('progress_apply_template', { template: 'server-checklist', parent_id: 'zzzz9999' });
+    assert(badParent.error === 'parent_not_found', 'Applying under an unknown parent should fail');
+    const deletedTpl = await tplFetch(`/${createdTpl.json.template.id}`, { method: 'DELETE' });
+    assert(deletedTpl.status === 200 && (await tplFetch(`/${createdTpl.json.template.id}`)).status === 404, 'Deleting a template should remove it');
+    await tplFetch(`/${serverTpl.json.template.id}`, { method: 'DELETE', key: 'test-main-key' });
+
+    // 24) Named documents: list/read/write/delete, versioning, search and three-way merge
+    const docRaw = async (args) => (await client.callTool({ name: 'read_doc', arguments: { project_id: orderProject, ...args } })).content || [];
+    const docsBefore = await orderCall('list_docs', {});
+    assert(docsBefore.docs.length === 1 && docsBefore.docs[0].name === 'AGENTS.md' && docsBefore.docs[0].default, 'AGENTS.md should be the default document');
+    const badDocName = await orderCall('write_doc', { name: '../etc/passwd', content: 'x' });
+    assert(badDocName.error === 'invalid_doc_name', 'Document names with paths should be rejected');
+    const archWrite = await orderCall('write_doc', { name: 'ARCHITECTURE.md', content: '# Architecture\nLayers: api, db\n\n## Storage\nsql.js\n' });
+    assert(archWrite.created === true && archWrite.hash, 'write_doc should create and commit a new document');
+    const archNumbered = await docRaw({ name: 'ARCHITECTURE.md', lineNumbers: true });
+    assert(archNumbered[0].text.startsWith('1|# Architecture\n2|Layers') && JSON.parse(archNumbered[1].text).hash === archWrite.hash, 'read_doc should support line numbers and return the hash');
+    assert((await orderCall('read_doc', { name: 'MISSING.md' })).error === 'doc_not_found', 'Reading an unknown document should fail');
+    const archPatched = await orderCall('write_doc', { name: 'ARCHITECTURE.md', patch: '@@ -1,2 +1,2 @@\n # Architecture\n-Layers: api, db\n+Layers: api, service, db\n' });
+    assert(archPatched.mode === 'patch' && archPatched.created === false, 'write_doc should apply patches');
+    const archMoved = await orderCall('write_doc', { name: 'ARCHITECTURE.md', mode: 'replace', edits: [{ old_text: 'sql.js', new_text: 'sql.js (WASM)' }] });
+    const archMerged = await orderCall('write_doc', { name: 'ARCHITECTURE.md', base_hash: archPatched.hash, mode: 'replace', edits: [{ old_text: '# Architecture', new_text: '# System architecture' }] });
+    assert(archMerged.merged?.base_hash === archPatched.hash, 'A stale base_hash should be three-way merged');
+    assert((await docRaw({ name: 'ARCHITECTURE.md' }))[0].text === '# System architecture\nLayers: api, service, db\n\n## Storage\nsql.js (WASM)\n', 'Both edits should survive the merge');
+    assert((await orderCall('read_doc', { name: 'ARCHITECTURE.md', outline: true })).outline.map(h => h.title).join() === 'System architecture,Storage', 'read_doc should return outlines');
+    await orderCall('write_doc', { name: 'AGENTS.md', content: '# Agent\nSee ARCHITECTURE.md' });
+    assert((await client.callTool({ name: 'read_agent', arguments: { project_id: orderProject } })).content[0].text === '# Agent\nSee ARCHITECTURE.md', 'write_doc AGENTS.md should write the default document');
+    const docsAfter = await orderCall('list_docs', {});
+    assert(docsAfter.docs.map(d => d.name).join() === 'AGENTS.md,ARCHITECTURE.md' && docsAfter.docs[1].lines === 6, 'list_docs should list every document');
+    const docHits = await orderCall('search_project', { query: 'WASM', types: ['agent'] });
+    assert(docHits.hits.length === 1 && docHits.hits[0].source_id === 'ARCHITECTURE.md', 'Documents should be searchable by name');
+    const docDiff = await orderCall('diff_project_versions', { from_hash: archWrite.hash });
+    assert(docDiff.summary.docs_changed === 1 && docDiff.docs.changed[0].name === 'ARCHITECTURE.md' && docDiff.docs.changed[0].diff.includes('+Layers: api, service, db'), 'diff_project_versions should diff documents');
+    const beforeDocDelete = (await orderCall('list_docs', {})).hash;
+    assert((await orderCall('delete_doc', { name: 'AGENTS.md' })).error === 'default_doc', 'AGENTS.md cannot be deleted');
+    const docDeleted = await orderCall('delete_doc', { name: 'ARCHITECTURE.md' });
+    assert(docDeleted.status === 'ok' && docDeleted.hash, 'delete_doc should commit the deletion');
+    assert((await orderCall('delete_doc', { name: 'ARCHITECTURE.md' })).error === 'doc_not_found', 'Deleting twice should fail');
+    assert((await orderCall('search_project', { query: 'WASM', types: ['agent'] })).hits.length === 0, 'Deleted documents should leave the search index');
+    assert((await docRaw({ name: 'ARCHITECTURE.md', at_hash: beforeDocDelete }))[0].text.includes('sql.js (WASM)'), 'read_doc at_hash should read deleted documents');
+    assert((await orderCall('diff_project_versions', { from_hash: beforeDocDelete })).docs.removed.join() === 'ARCHITECTURE.md', 'Deletions should show up in diffs');
+    await orderCall('revert_project', { hash: beforeDocDelete, mode: 'new_commit', scope: 'agent' });
+    assert((await docRaw({ name: 'ARCHITECTURE.md' }))[0].text.startsWith('# System architecture'), 'Restoring scope=agent should bring documents back');
+    await orderCall('create_branch', { name: 'docs-branch', switch: true });
+    await orderCall('write_doc', { name: 'ARCHITECTURE.md', mode: 'replace', edits: [{ old_text: '## Storage', new_text: '## Persistence' }] });
+    await orderCall('write_doc', { name: 'DECISIONS.md', content: '# Decisions\n' });
+    await orderCall('switch_branch', { name: 'main' });
+    assert((await orderCall('read_doc', { name: 'DECISIONS.md' })).error === 'doc_not_found', 'Switching branches should switch documents');
+    await orderCall('write_doc', { name: 'ARCHITECTURE.md', mode: 'replace', edits: [{ old_text: '# System architecture', new_text: '# Architecture overview' }] });
+    const docMerge = await orderCall('merge_branch', { source: 'docs-branch' });
+    assert(docMerge.status === 'merged' && !docMerge.conflicts.docs, 'Document edits on both branches should merge');
+    assert((await docRaw({ name: 'ARCHITECTURE.md' }))[0].text.startsWith('# Architecture overview') && (await docRaw({ name: 'ARCHITECTURE.md' }))[0].text.includes('## Persistence'), 'Merged document should keep both edits');
+    assert((await orderCall('list_docs', {})).docs.map(d => d.name).join() === 'AGENTS.md,ARCHITECTURE.md,DECISIONS.md', 'Documents added on a branch should be merged in');
+
+    // 25) Architecture decision records: create, supersede, status, index injection and versioning
+    assert((await orderCall('adr_list', {})).adrs.length === 0, 'New projects should have no ADRs');
+    assert((await orderCall('adr_create', { title: 'Use sql.js', context: 'Need embedded storage' })).error === 'invalid_adr', 'decision should be required');
+    const adr1 = await orderCall('adr_create', { title: 'Use sql.js', context: 'Need embedded storage', decision: 'Store everything in sql.js', status: 'accepted', date: '2026-01-05' });
+    assert(adr1.adr.number === 1 && adr1.adr.label === 'ADR-0001' && adr1.adr.status === 'accepted' && adr1.index_updated === false && adr1.hash, 'adr_create should number and commit records');
+    const adr2 = await orderCall('adr_create', { title: 'Stateless MCP', context: 'Horizontal scaling', decision: 'One server per request' });
+    assert(adr2.adr.number === 2 && adr2.adr.status === 'proposed', 'ADRs default to proposed');
+    const injected = await orderCall('adr_index', { inject: true });
+    const agentWithIndex = (await client.callTool({ name: 'read_agent', arguments: { project_id: orderProject } })).content[0].text;
+    assert(injected.changed && agentWithIndex.includes('<!-- adr-index:start -->') && agentWithIndex.includes('| ADR-0001 | Use sql.js | accepted | 2026-01-05 |'), 'adr_index inject should write the index into AGENTS.md');
+    const accepted = await orderCall('adr_set_status', { number: 'ADR-0002', status: 'accepted' });
+    assert(accepted.adr.status === 'accepted' && accepted.index_updated, 'Status changes should refresh the injected index');
+    const beforeSupersede = accepted.hash;
+    const adr3 = await orderCall('adr_supersede', { number: 1, title: 'Use SQLite files', context: 'sql.js keeps everything in memory', decision: 'Move to on-disk SQLite' });
+    assert(adr3.adr.number === 3 && adr3.adr.supersedes === 1 && adr3.adr.status === 'accepted', 'adr_supersede should create an accepted successor');
+    const adr1Read = await orderCall('adr_read', { number: 1 });
+    assert(adr1Read.adr.status === 'superseded' && adr1Read.adr.superseded_by === 3 && adr1Read.markdown.includes('- Superseded by: ADR-0003'), 'Superseded ADRs should link to their successor');
+    assert((await orderCall('adr_set_status', { number: 1, status: 'accepted' })).error === 'adr_superseded', 'Superseded ADRs are final');
+    assert((await orderCall('adr_set_status', { number: 2, status: 'superseded' })).error === 'invalid_status', 'superseded is only reachable through adr_supersede');
+    assert((await orderCall('adr_supersede', { number: 1, title: 'x', context: 'y', decision: 'z' })).error === 'adr_superseded', 'An ADR can only be superseded once');
+    assert((await orderCall('adr_read', { number: 9 })).error === 'adr_not_found', 'Unknown ADRs should fail');
+    assert((await orderCall('adr_list', { status: 'superseded' })).adrs.map(a => a.number).join() === '1', 'adr_list should filter by status');
+    assert((await client.callTool({ name: 'read_agent', arguments: { project_id: orderProject } })).content[0].text.includes('| ADR-0001 | Use sql.js | superseded (by ADR-0003) |'), 'The injected index should follow supersedes');
+    const adrDiff = await orderCall('diff_project_versions', { from_hash: beforeSupersede });
+    assert(adrDiff.summary.adrs_changed === 2 && adrDiff.adrs.added[0].number === 3 && adrDiff.adrs.changed[0].changes.status.to === 'superseded', 'diff_project_versions should report ADR changes');
+    assert((await orderCall('adr_read', { number: 1, at_hash: beforeSupersede })).adr.status === 'accepted', 'adr_read at_hash should read older versions');
+    await orderCall('revert_project', { hash: beforeSupersede, mode: 'new_commit' });
+    const adrsReverted = await orderCall('adr_list', {});
+    assert(adrsReverted.total === 2 && adrsReverted.adrs[0].status === 'accepted', 'Reverting should restore ADRs');
+
+    // 26) Scratchpad lifecycle: list, close (archive), delete and the expiry sweep
+    const padA = await orderCall('scratchpad_initialize', { tasks: [{ task_id: 'a1', task_info: 'probe', status: 'complete' }, { task_id: 'a2', task_info: 'measure' }] });
+    const padB = await orderCall('scratchpad_initialize', { tasks: [{ task_id: 'b1', task_info: 'spike' }] });
+    const padList = await orderCall('list_scratchpads', {});
+    const padASummary = padList.scratchpads.find(p => p.scratchpad_id === padA.scratchpad_id);
+    assert(padList.scratchpads.length === 2 && padASummary.status === 'open' && padASummary.task_count === 2 && padASummary.tasks_open === 1 && padASummary.tasks_complete === 1 && padASummary.created_at, 'list_scratchpads should summarize task counts');
+    const closedPad = await orderCall('scratchpad_close', { scratchpad_id: padA.scratchpad_id });
+    assert(closedPad.status === 'archived' && closedPad.closed_at && closedPad.tasks.length === 2, 'scratchpad_close should archive the scratchpad');
+    assert((await orderCall('scratchpad_close', { scratchpad_id: padA.scratchpad_id })).unchanged === true, 'Closing twice should be a no-op');
+    assert((await orderCall('scratchpad_update_task', { scratchpad_id: padA.scratchpad_id, updates: [{ task_id: 'a2', status: 'complete' }] })).error === 'scratchpad_archived', 'Archived scratchpads should refuse updates');
+    assert((await orderCall('scratchpad_append_common_memory', { scratchpad_id: padA.scratchpad_id, append: 'late' })).error === 'scratchpad_archived', 'Archived scratchpads should refuse appends');
+    assert((await orderCall('list_scratchpads', { status: 'open' })).scratchpads.map(p => p.scratchpad_id).join() === padB.scratchpad_id, 'list_scratchpads should filter by status');
+    const sweep = (body, key = 'test-main-key') => fetch(`http://localhost:${PORT}/project/scratchpads/sweep`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${key}` },
+      body: JSON.stringify(body),
+    }).then(async r => ({ status: r.status, json: await r.json() }));
+    assert((await sweep({}, created.apiKey)).status === 401, 'The scratchpad sweep should be admin-only');
+    assert((await sweep({ ttl_hours: -1 })).status === 400, 'Invalid expiry should be rejected');
+    await new Promise(r => setTimeout(r, 50));
+    const drySweep = (await sweep({ ttl_hours: 0.00001, archived_ttl_hours: 0, dry_run: true })).json;
+    assert(drySweep.dry_run && drySweep.expired.some(p => p.scratchpad_id === padB.scratchpad_id) && !drySweep.expired.some(p => p.scratchpad_id === padA.scratchpad_id), 'A dry run should list idle open scratchpads only');
+    assert((await orderCall('list_scratchpads', {})).scratchpads.length === 2, 'A dry run should not delete scratchpads');
+    const archivedSweep = (await sweep({ ttl_hours: 0, archived_ttl_hours: 0.00001 })).json;
+    assert(archivedSweep.deleted_scratchpads === archivedSweep.expired.length && archivedSweep.expired.some(p => p.scratchpad_id === padA.scratchpad_id) && archivedSweep.expired.every(p => p.status === 'archived'), 'The sweep should purge expired archived scratchpads');
+    assert((await orderCall('review_scratchpad', { scratchpad_id: padA.scratchpad_id })).error === 'scratchpad_not_found', 'Swept scratchpads should be gone');
+    const padDeleted = await orderCall('scratchpad_delete', { scratchpad_id: padB.scratchpad_id });
+    assert(padDeleted.deleted && padDeleted.deleted_runs === 0, 'scratchpad_delete should delete the scratchpad');
+    assert((await orderCall('list_scratchpads', {})).scratchpads.length === 0, 'Deleted scratchpads should not be listed');
+    assert((await orderCall('scratchpad_delete', { scratchpad_id: padB.scratchpad_id })).error === 'scratchpad_not_found', 'Deleting twice should fail');
+
+    // 27) scratchpad_promote: scratchpad tasks and common_memory into the project in one commit
+    await orderCall('progress_add', { item: [{ task_id: 'prom0001', task_info: 'Storage decision', extra_note: 'Earlier note' }] });
+    await orderCall('write_agent', { content: '# Agent\n\n## Findings\nExisting text\n\n## Setup\nSteps\n' });
+    const promoPad = await orderCall('scratchpad_initialize', { tasks: [
+      { task_id: 'p1', task_info: 'Benchmark sql.js writes', status: 'complete', scratchpad: '12k rows/s', comments: 'batching helps' },
+      { task_id: 'p2', task_info: 'Check WAL support', scratchpad: 'not available in sql.js' },
+    ] });
+    await orderCall('scratchpad_append_common_memory', { scratchpad_id: promoPad.scratchpad_id, append: ['Writes are CPU bound', 'Persist after each batch'] });
+    const promoLogsBefore = (await orderCall('list_project_logs', {})).logs.length;
+    assert((await orderCall('scratchpad_promote', { scratchpad_id: promoPad.scratchpad_id })).error === 'invalid_request', 'scratchpad_promote needs task_ids or section');
+    assert((await orderCall('scratchpad_promote', { scratchpad_id: promoPad.scratchpad_id, task_ids: ['p9'] })).error === 'task_not_found', 'Unknown scratchpad tasks should be rejected');
+    assert((await orderCall('scratchpad_promote', { scratchpad_id: promoPad.scratchpad_id, task_ids: ['p1'], section: 'Nope' })).error === 'section_not_found', 'Unknown sections should be rejected');
+    assert((await orderCall('list_project_logs', {})).logs.length === promoLogsBefore, 'Rejected promotions should not commit');
+    const promoted = await orderCall('scratchpad_promote', { scratchpad_id: promoPad.scratchpad_id, task_ids: ['p1', 'p2'], targets: { p2: 'prom0001' }, section: 'Findings' });
+    const promotedNew = promoted.tasks.find(t => t.scratchpad_task_id === 'p1');
+    assert(promotedNew.action === 'created' && promoted.tasks.find(t => t.scratchpad_task_id === 'p2').action === 'updated' && promoted.section === '# Agent > ## Findings' && promoted.hash, 'scratchpad_promote should create, update and edit AGENTS.md');
+    const promoLogs = (await orderCall('list_project_logs', {})).logs;
+    assert(promoLogs.length === promoLogsBefore + 1 && promoLogs[promoLogs.length - 1].message.includes(promoPad.scratchpad_id), 'scratchpad_promote should commit once, naming the scratchpad');
+    const promoTasks = (await orderCall('read_progress', {})).tasks;
+    const createdTask = promoTasks.find(t => t.task_id === promotedNew.task_id);
+    assert(createdTask.task_info === 'Benchmark sql.js writes' && createdTask.status === 'completed' && createdTask.extra_note.includes('12k rows/s') && createdTask.extra_note.includes('Comments: batching helps'), 'Promoted tasks should carry the scratchpad notes');
+    assert(promoTasks.find(t => t.task_id === 'prom0001').extra_note.startsWith('Earlier note\n\nFrom scratchpad') && promoTasks.find(t => t.task_id === 'prom0001').extra_note.includes('not available in sql.js'), 'Targets should get the notes appended to extra_note');
+    const promoAgent = (await client.callTool({ name: 'read_agent', arguments: { project_id: orderProject } })).content[0].text;
+    assert(/## Findings\nExisting text\n> From scratchpad `[^`]+` \(\d{4}-\d{2}-\d{2}\):\n>\n> Writes are CPU bound\n> Persist after each batch\n\n## Setup/.test(promoAgent), 'common_memory should be appended as a quoted block');
+    await orderCall('scratchpad_close', { scratchpad_id: promoPad.scratchpad_id });
+    const summarized = await orderCall('scratchpad_promote', { scratchpad_id: promoPad.scratchpad_id, section: 'Setup', summary: 'Batch writes', comment: 'keep the gist' });
+    assert(summarized.hash && !summarized.tasks.length, 'Closed scratchpads can still be promoted');
+    const summarizedLog = (await orderCall('list_project_logs', {})).logs.pop();
+    assert(summarizedLog.message === `keep the gist (promote scratchpad ${promoPad.scratchpad_id})`, 'promote comment should keep the scratchpad reference');
+    assert((await client.callTool({ name: 'read_agent', arguments: { project_id: orderProject } })).content[0].text.includes('> Batch writes'), 'summary should replace common_memory');
+
+    // 28) Scratchpad task caps (dropped reporting, per-project setting), scratchpad_add_tasks and sub-scratchpads
+    const eightTasks = Array.from({ length: 8 }, (_, i) => ({ task_id: `c${i + 1}`, task_info: `step ${i + 1}` }));
+    const capped = await orderCall('scratchpad_initialize', { tasks: eightTasks });
+    assert(capped.tasks.length === 6 && capped.max_tasks === 6 && capped.dropped.map(d => d.task_id).join() === 'c7,c8' && capped.dropped[0].reason === 'over_limit', 'Tasks over the cap should be reported as dropped');
+    assert((await orderCall('scratchpad_initialize', { tasks: [{ task_id: 'd1', task_info: 'a' }, { task_id: 'd1', task_info: 'b' }] })).invalid[0].reason === 'duplicate_task_id', 'Duplicate task_ids should be invalid');
+    const spSettings = (method, body, key = created.apiKey) => fetch(`http://localhost:${PORT}/project/scratchpads/settings${method === 'GET' ? `?project_id=${orderProject}` : ''}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${key}` },
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    }).then(async r => ({ status: r.status, json: await r.json() }));
+    const spSettingsBefore = await spSettings('GET');
+    assert(spSettingsBefore.status === 200 && spSettingsBefore.json.max_tasks === 6 && spSettingsBefore.json.project_max_tasks === null, 'Scratchpad settings should default to the server cap');
+    assert((await spSettings('PUT', { project_id: orderProject, max_tasks: 0 })).status === 400, 'Invalid caps should be rejected');
+    assert((await spSettings('PUT', { project_id: orderProject, max_tasks: 10 })).json.max_tasks === 10, 'The project cap should be settable');
+    const added = await orderCall('scratchpad_add_tasks', { scratchpad_id: capped.scratchpad_id, tasks: [...eightTasks.slice(5), { task_id: 'c9', task_info: 'step 9' }, { task_id: 'c10', task_info: 'step 10' }, { task_id: 'c11', task_info: 'step 11' }, { task_info: 'no id' }] });
+    assert(added.added.join() === 'c7,c8,c9,c10' && added.exists.join() === 'c6' && added.dropped.map(d => d.task_id).join() === 'c11' && added.invalid.length === 1 && added.max_tasks === 10, 'scratchpad_add_tasks should add up to the cap and report the rest');
+    assert(added.scratchpad.tasks.length === 10, 'Added tasks should be stored');
+    assert((await spSettings('PUT', { project_id: orderProject, max_tasks: null })).json.max_tasks === 6, 'null should restore the server cap');
+    const subPad = await orderCall('scratchpad_initialize', { parent_scratchpad_id: capped.scratchpad_id, parent_task_id: 'c2', tasks: [{ task_id: 'x1', task_info: 'sub step' }] });
+    assert(subPad.parent.scratchpad_id === capped.scratchpad_id && subPad.parent.task_id === 'c2', 'Sub-scratchpads should record their parent task');
+    const subSubPad = await orderCall('scratchpad_initialize', { parent_scratchpad_id: subPad.scratchpad_id, parent_task_id: 'x1', tasks: [{ task_id: 'y1', task_info: 'deeper' }] });
+    assert(subSubPad.scratchpad_id, 'Sub-scratchpads should nest');
+    assert((await orderCall('scratchpad_initialize', { parent_scratchpad_id: subSubPad.scratchpad_id, parent_task_id: 'y1', tasks: [] })).error === 'max_depth_exceeded', 'Nesting should be limited');
+    assert((await orderCall('scratchpad_initialize', { parent_scratchpad_id: capped.scratchpad_id, parent_task_id: 'zz', tasks: [] })).error === 'parent_not_found', 'The parent task must exist');
+    const parentReview = await orderCall('review_scratchpad', { scratchpad_id: capped.scratchpad_id });
+    assert(parentReview.sub_scratchpads.length === 1 && parentReview.sub_scratchpads[0].scratchpad_id === subPad.scratchpad_id && parentReview.sub_scratchpads[0].task_id === 'c2', 'review_scratchpad should list sub-scratchpads');
+    const cascade = await orderCall('scratchpad_delete', { scratchpad_id: capped.scratchpad_id });
+    assert(cascade.deleted_sub_scratchpads.join() === [subPad.scratchpad_id, subSubPad.scratchpad_id].join(), 'Deleting a scratchpad should delete its sub-scratchpads');
+    assert((await orderCall('review_scratchpad', { scratchpad_id: subSubPad.scratchpad_id })).error === 'scratchpad_not_found', 'Sub-scratchpads should be gone with their parent');
+
     // 11) generate_task_ids returns unique 8-char ids not colliding with user tasks
     const genRes = await client.callTool({ name: 'generate_task_ids', arguments: { count: 5 } });
     const gen = JSON.parse(genRes.content?.[0]?.text || '{}');
@@ -388,6 +1140,25 @@ async function run() {
     const spRev3 = JSON.parse(spReview3.content?.[0]?.text || '{}');
     assert(spRev3.common_memory.includes('first memory') && spRev3.common_memory.includes('second memory') && spRev3.common_memory.includes('third memory'), 'Appended common_memory should accumulate');
 
+    // search_project: hits across AGENTS.md, tasks and scratchpads
+    await client.callTool({ name: 'write_agent', arguments: { project_id: spProjectId, content: '# Agent\n\nIntro line\n\n## Deploy\nUse the zanzibar pipeline for releases' } });
+    await client.callTool({ name: 'progress_add', arguments: { project_id: spProjectId, item: [{ task_id: 'srch0001', task_info: 'Wire zanzibar metrics', extra_note: 'needs dashboards' }] } });
+    await client.callTool({ name: 'scratchpad_append_common_memory', arguments: { project_id: spProjectId, scratchpad_id: spId, append: 'zanzibar latency spikes on Mondays' } });
+    const searchRes = JSON.parse((await client.callTool({ name: 'search_project', arguments: { project_id: spProjectId, query: 'zanzibar' } })).content?.[0]?.text || '{}');
+    const searchTypes = new Set((searchRes.hits || []).map(h => h.source_type));
+    assert(searchTypes.has('agent') && searchTypes.has('task') && searchTypes.has('scratchpad'), 'search_project should find agent, task and scratchpad hits');
+    const agentHit = searchRes.hits.find(h => h.source_type === 'agent');
+    assert(agentHit.line === 6 && /\*\*zanzibar\*\*/.test(agentHit.snippet), 'Agent hit should carry line and highlighted snippet');
+    const taskHit = searchRes.hits.find(h => h.source_type === 'task');
+    assert(taskHit.source_id === 'srch0001' && taskHit.field === 'task_info', 'Task hit should carry task_id and field');
+    const scopedRes = JSON.parse((await client.callTool({ name: 'search_project', arguments: { project_id: spProjectId, query: 'dashboards', types: ['task'] } })).content?.[0]?.text || '{}');
+    assert(scopedRes.hits.length === 1 && scopedRes.hits[0].field === 'extra_note', 'types filter and extra_note indexing should work');
+    await client.callTool({ name: 'write_agent', arguments: { project_id: spProjectId, content: '# Agent\nNothing here' } });
+    const afterRewrite = JSON.parse((await client.callTool({ name: 'search_project', arguments: { project_id: spProjectId, query: 'zanzibar', types: ['agent'] } })).content?.[0]?.text || '{}');
+    assert(afterRewrite.hits.length === 0, 'Rewritten AGENTS.md should be re-indexed');
+    const badSearch = JSON.parse((await client.callTool({ name: 'search_project', arguments: { project_id: spProjectId, query: '   ' } })).content?.[0]?.text || '{}');
+    assert(badSearch.error === 'invalid_request', 'Empty query should be rejected');
+
     // 10) list_projects contains project with rich data
     const list2 = await client.callTool({ name: 'list_projects', arguments: {} });
     const projectsData = JSON.parse(list2.content?.[0]?.text || '{}').projects || [];